@@ -0,0 +1,25 @@
+/**
+ * Cloudflare Pages Function: same-origin platform proxy (/api/proxy)
+ *
+ * The page detects it at startup and uses it before any public proxy.
+ *
+ * Environment (project settings):
+ *   RELAY_ORIGINS   - Extra page origins allowed besides the site itself (comma-separated)
+ *   RELAY_CACHE_TTL - GET cache lifetime in ms (default 10000, 0 = off)
+ */
+
+import { createRelayHandler } from '../../server/relay-handler.js';
+
+// Pages only passes env per request, so the handler (and its cache) is created on first use
+let handle = null;
+
+export function onRequest(context) {
+    if (!handle) {
+        const env = context.env || {};
+        handle = createRelayHandler({
+            origins: ['self', ...(env.RELAY_ORIGINS || '').split(',').map(o => o.trim()).filter(Boolean)],
+            ...(env.RELAY_CACHE_TTL !== undefined ? { cacheTtl: Number(env.RELAY_CACHE_TTL) } : {})
+        });
+    }
+    return handle(context.request);
+}
@@ -0,0 +1,22 @@
+/* eslint-env node */
+/**
+ * Netlify Function: same-origin platform proxy
+ *
+ * Served at /api/proxy (see the redirect in netlify.toml). The page detects
+ * it at startup and uses it before any public proxy.
+ *
+ * Environment (site settings):
+ *   RELAY_ORIGINS   - Extra page origins allowed besides the site itself (comma-separated)
+ *   RELAY_CACHE_TTL - GET cache lifetime in ms (default 10000, 0 = off)
+ */
+
+import { createRelayHandler } from '../../server/relay-handler.js';
+
+const env = process.env;
+
+const handle = createRelayHandler({
+    origins: ['self', ...(env.RELAY_ORIGINS || '').split(',').map(o => o.trim()).filter(Boolean)],
+    ...(env.RELAY_CACHE_TTL !== undefined ? { cacheTtl: Number(env.RELAY_CACHE_TTL) } : {})
+});
+
+export default request => handle(request);
@@ -0,0 +1,199 @@
+// @vitest-environment node
+/**
+ * Relay Server Tests
+ * Testing the request rules and the server with a stubbed upstream
+ */
+
+import net from 'node:net';
+import { describe, it, expect, afterEach } from 'vitest';
+import { getAllowedHosts, buildUpstreamHeaders, getCacheKey, createRelayServer } from '../relay.js';
+import { createRelayHandler } from '../relay-handler.js';
+
+describe('Relay - request rules', () => {
+  it('should allow the platform API hosts only', () => {
+    const hosts = getAllowedHosts();
+    expect(hosts.has('api.live.bilibili.com')).toBe(true);
+    expect(hosts.has('open.douyucdn.cn')).toBe(true);
+    expect(hosts.has('example.com')).toBe(false);
+  });
+
+  it('should allow the share short link hosts', () => {
+    const hosts = getAllowedHosts();
+    expect(hosts.has('b23.tv')).toBe(true);
+    expect(hosts.has('v.douyin.com')).toBe(true);
+  });
+
+  it('should add the Referer and drop headers that are not forwardable', () => {
+    const headers = buildUpstreamHeaders(new URL('https://www.douyu.com/betard/1'), {
+      Cookie: 'a=1',
+      Authorization: 'secret',
+    });
+    expect(headers.referer).toBe('https://www.douyu.com/');
+    expect(headers.cookie).toBe('a=1');
+    expect(headers.authorization).toBeUndefined();
+  });
+
+  it('should ignore the t cache-buster in cache keys', () => {
+    const a = getCacheKey(new URL('https://www.douyu.com/betard/1?t=1'), {});
+    const b = getCacheKey(new URL('https://www.douyu.com/betard/1?t=2'), {});
+    expect(a).toBe(b);
+  });
+});
+
+describe('Relay - handler', () => {
+  it('should answer the health probe used for same-origin detection', async () => {
+    const handle = createRelayHandler({ origins: ['self'] });
+    const res = await handle(new Request('https://radar.example.com/api/proxy?health=1'));
+    expect(await res.text()).toBe('ok');
+  });
+
+  it("should only serve the site's own pages in 'self' mode", async () => {
+    const handle = createRelayHandler({ origins: ['self'] });
+    const request = (origin) =>
+      new Request('https://radar.example.com/api/proxy?health=1', { headers: { origin } });
+
+    expect((await handle(request('https://radar.example.com'))).status).toBe(200);
+    expect((await handle(request('https://evil.example.com'))).status).toBe(403);
+  });
+
+  it('should check each redirect before following it', async () => {
+    const requested = [];
+    const handle = createRelayHandler({
+      fetch: async (url) => {
+        requested.push(url);
+        return new Response(null, {
+          status: 302,
+          headers: { location: 'https://evil.example.com/steal' },
+        });
+      },
+    });
+
+    const res = await handle(
+      new Request(
+        `https://relay.local/?url=${encodeURIComponent('https://www.douyu.com/betard/1')}`
+      )
+    );
+
+    expect(res.status).toBe(403);
+    expect(requested).toEqual(['https://www.douyu.com/betard/1']);
+  });
+
+  it('should follow redirects between allowed hosts, switching a POST to GET on 302', async () => {
+    const requested = [];
+    const handle = createRelayHandler({
+      fetch: async (url, init) => {
+        requested.push(`${init.method} ${url}`);
+        if (requested.length === 1) {
+          return new Response(null, { status: 302, headers: { location: '/betard/2' } });
+        }
+        return new Response('{"ok":1}', { headers: { 'content-type': 'application/json' } });
+      },
+    });
+
+    const res = await handle(
+      new Request(
+        `https://relay.local/?url=${encodeURIComponent('https://www.douyu.com/betard/1')}`,
+        {
+          method: 'POST',
+          body: 'a=1',
+        }
+      )
+    );
+
+    expect(await res.json()).toEqual({ ok: 1 });
+    expect(requested).toEqual([
+      'POST https://www.douyu.com/betard/1',
+      'GET https://www.douyu.com/betard/2',
+    ]);
+  });
+
+  it('should resolve a share short link to the room page', async () => {
+    const handle = createRelayHandler({
+      fetch: async (url) =>
+        url.startsWith('https://b23.tv/')
+          ? new Response(null, {
+              status: 302,
+              headers: { location: 'https://live.bilibili.com/21452505?share=1' },
+            })
+          : new Response('room page', { headers: { 'content-type': 'text/html' } }),
+    });
+
+    const res = await handle(
+      new Request(`https://relay.local/?url=${encodeURIComponent('https://b23.tv/AbC123')}`)
+    );
+
+    expect(res.status).toBe(200);
+    expect(await res.text()).toBe('room page');
+  });
+
+  it('should stop after too many redirects', async () => {
+    const handle = createRelayHandler({
+      maxRedirects: 2,
+      fetch: async () => new Response(null, { status: 301, headers: { location: '/betard/1' } }),
+    });
+
+    const res = await handle(
+      new Request(
+        `https://relay.local/?url=${encodeURIComponent('https://www.douyu.com/betard/1')}`
+      )
+    );
+
+    expect(res.status).toBe(502);
+  });
+});
+
+describe('Relay - server', () => {
+  let server;
+
+  afterEach(() => new Promise((resolve) => (server ? server.close(resolve) : resolve())));
+
+  const start = async (options) => {
+    server = createRelayServer(options);
+    await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+    return `http://127.0.0.1:${server.address().port}`;
+  };
+
+  it('should refuse hosts outside API_ENDPOINTS', async () => {
+    const base = await start({ fetch: () => Promise.reject(new Error('unexpected')) });
+    const res = await fetch(`${base}/?url=${encodeURIComponent('https://example.com/')}`);
+    expect(res.status).toBe(403);
+  });
+
+  it('should cache GET responses', async () => {
+    let calls = 0;
+    const base = await start({
+      fetch: async () => {
+        calls++;
+        return new Response('{"ok":1}', { headers: { 'content-type': 'application/json' } });
+      },
+    });
+    const target = encodeURIComponent('https://www.douyu.com/betard/1');
+
+    const first = await fetch(`${base}/?url=${target}`);
+    const second = await fetch(`${base}/?url=${target}`);
+    expect(first.headers.get('x-relay-cache')).toBe('MISS');
+    expect(second.headers.get('x-relay-cache')).toBe('HIT');
+    expect(await second.json()).toEqual({ ok: 1 });
+    expect(calls).toBe(1);
+  });
+
+  it('should survive a client that disconnects in the middle of the request body', async () => {
+    const base = await start({ fetch: () => Promise.reject(new Error('unexpected')) });
+    const { port } = server.address();
+    const target = encodeURIComponent('https://www.douyu.com/betard/1');
+
+    await new Promise((resolve) => {
+      const socket = net.connect(port, '127.0.0.1', () => {
+        socket.write(
+          `POST /?url=${target} HTTP/1.1\r\nHost: 127.0.0.1\r\nContent-Type: text/plain\r\nContent-Length: 1000\r\n\r\nabc`
+        );
+        setTimeout(() => socket.destroy(), 20);
+      });
+      socket.on('close', resolve);
+    });
+    await new Promise((resolve) => setTimeout(resolve, 50));
+
+    const res = await fetch(`${base}/health`);
+    expect(await res.text()).toBe('ok');
+  });
+});
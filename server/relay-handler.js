@@ -0,0 +1,266 @@
+/**
+ * ====================================================================
+ * LiveRadar Relay - Request Handler
+ * ====================================================================
+ *
+ * The relay logic as a fetch-style handler (Request → Response), shared by
+ * every place the relay runs:
+ * - server/relay.js                  - standalone Node server / Vite dev middleware
+ * - netlify/functions/proxy.mjs      - Netlify Function (/api/proxy)
+ * - functions/api/proxy.js           - Cloudflare Pages Function (/api/proxy)
+ *
+ * Only uses web-standard APIs, so it bundles for Node and Workers alike.
+ *
+ * Request: GET|POST ?url=<encoded target URL>
+ *   x-relay-headers: optional JSON object of upstream headers
+ * Health:  GET /health or ?health → "ok" (used for runtime detection)
+ *
+ * @module server/relay-handler
+ */
+
+import { API_ENDPOINTS, PLATFORM_CONFIG } from '../src/config/constants.js';
+import { RELAY_HEADERS_HEADER } from '../src/config/proxies.js';
+
+export const RELAY_DEFAULTS = {
+    origins: ['*'],   // '*' = any page, 'self' = same origin as the relay
+    cacheTtl: 10000,
+    cacheSize: 500,
+    timeout: 10000,
+    maxBodyBytes: 64 * 1024,
+    maxRedirects: 5
+};
+
+const USER_AGENT = 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/124.0.0.0 Safari/537.36';
+
+// Hosts that check the Referer (by domain suffix)
+const REFERERS = [
+    { suffix: 'douyu.com', referer: 'https://www.douyu.com/' },
+    { suffix: 'douyucdn.cn', referer: 'https://www.douyu.com/' },
+    { suffix: 'bilibili.com', referer: 'https://live.bilibili.com/' },
+    { suffix: 'twitch.tv', referer: 'https://www.twitch.tv/' },
+    { suffix: 'kick.com', referer: 'https://kick.com/' }
+];
+
+// Upstream headers a page may ask the relay to send
+const FORWARDABLE_HEADERS = ['cookie', 'client-id', 'content-type', 'accept', 'accept-language'];
+
+// ====================================================================
+// Request Rules
+// ====================================================================
+
+/**
+ * Hosts the relay forwards to: every http(s) host in API_ENDPOINTS, plus the
+ * share short link hosts (b23.tv, v.douyin.com) the add box resolves
+ * @param {Object} [endpoints] - Endpoint groups
+ * @param {Object} [platforms] - Platform configs (shortLinkHosts)
+ * @returns {Set<string>} Hostnames
+ */
+export function getAllowedHosts(endpoints = API_ENDPOINTS, platforms = PLATFORM_CONFIG) {
+    const hosts = new Set();
+    Object.values(endpoints).forEach(group => {
+        Object.values(group).forEach(value => {
+            if (typeof value !== 'string' || !/^https?:\/\//.test(value)) return;
+            hosts.add(new URL(value).hostname);
+        });
+    });
+    Object.values(platforms).forEach(config => {
+        (config.shortLinkHosts || []).forEach(host => hosts.add(host));
+    });
+    return hosts;
+}
+
+/**
+ * Headers sent upstream
+ * @param {URL} target - Target URL
+ * @param {Object} forwarded - Headers requested by the page (x-relay-headers)
+ * @returns {Object} Headers
+ */
+export function buildUpstreamHeaders(target, forwarded = {}) {
+    const headers = { 'user-agent': USER_AGENT };
+
+    Object.entries(forwarded).forEach(([name, value]) => {
+        const key = name.toLowerCase();
+        if (FORWARDABLE_HEADERS.includes(key) && typeof value === 'string') headers[key] = value;
+    });
+
+    const rule = REFERERS.find(({ suffix }) => target.hostname === suffix || target.hostname.endsWith(`.${suffix}`));
+    if (rule) headers.referer = rule.referer;
+
+    return headers;
+}
+
+/**
+ * Cache key of a GET request
+ * The client's `t` cache-buster changes every second, so it is left out.
+ * @param {URL} target - Target URL
+ * @param {Object} headers - Upstream headers
+ * @returns {string} Key
+ */
+export function getCacheKey(target, headers) {
+    const url = new URL(target);
+    url.searchParams.delete('t');
+    return `${url.href} ${headers.cookie || ''}`;
+}
+
+// ====================================================================
+// Handler
+// ====================================================================
+
+/**
+ * Create the relay handler
+ * The GET cache lives as long as the handler (one process / warm function instance).
+ * @param {Object} [options] - Overrides for RELAY_DEFAULTS, plus `fetch` (for tests)
+ * @returns {function(Request): Promise<Response>} Handler
+ */
+export function createRelayHandler(options = {}) {
+    const config = { ...RELAY_DEFAULTS, ...options };
+    const fetchUpstream = options.fetch || globalThis.fetch;
+    const allowedHosts = getAllowedHosts();
+    const cache = new Map();
+
+    const isOriginAllowed = (origin, selfOrigin) => !origin
+        || config.origins.includes('*')
+        || config.origins.includes(origin)
+        || (config.origins.includes('self') && origin === selfOrigin);
+
+    const corsHeaders = origin => {
+        const allowAny = config.origins.includes('*');
+        return {
+            'access-control-allow-origin': allowAny ? '*' : origin,
+            'access-control-allow-methods': 'GET, POST, OPTIONS',
+            'access-control-allow-headers': `${RELAY_HEADERS_HEADER}, content-type`,
+            'access-control-max-age': '600',
+            ...(allowAny ? {} : { vary: 'Origin' })
+        };
+    };
+
+    const errorResponse = (status, cors, message) => new Response(JSON.stringify({ error: message }), {
+        status,
+        headers: { ...cors, 'content-type': 'application/json; charset=utf-8' }
+    });
+
+    const readCache = key => {
+        const entry = cache.get(key);
+        if (!entry) return null;
+        if (entry.expires <= Date.now()) {
+            cache.delete(key);
+            return null;
+        }
+        return entry;
+    };
+
+    const writeCache = (key, entry) => {
+        cache.delete(key);
+        cache.set(key, entry);
+        // Map keeps insertion order: the first key is the oldest
+        if (cache.size > config.cacheSize) cache.delete(cache.keys().next().value);
+    };
+
+    const readBody = async request => {
+        if (Number(request.headers.get('content-length')) > config.maxBodyBytes) return null;
+        const body = await request.arrayBuffer();
+        return body.byteLength > config.maxBodyBytes ? null : body;
+    };
+
+    return async request => {
+        const requestUrl = new URL(request.url);
+        const origin = request.headers.get('origin') || '';
+        const cors = origin ? corsHeaders(origin) : {};
+
+        if (!isOriginAllowed(origin, requestUrl.origin)) {
+            return errorResponse(403, {}, 'Origin not allowed');
+        }
+        if (request.method === 'OPTIONS') {
+            return new Response(null, { status: 204, headers: cors });
+        }
+        if (request.method !== 'GET' && request.method !== 'POST') {
+            return errorResponse(405, cors, 'Method not allowed');
+        }
+
+        if (requestUrl.pathname.endsWith('/health') || requestUrl.searchParams.has('health')) {
+            return new Response('ok', { headers: { ...cors, 'content-type': 'text/plain' } });
+        }
+
+        let target;
+        try {
+            target = new URL(requestUrl.searchParams.get('url') || '');
+        } catch {
+            return errorResponse(400, cors, 'Missing or invalid url parameter');
+        }
+        if (target.protocol !== 'https:' || !allowedHosts.has(target.hostname)) {
+            return errorResponse(403, cors, `Host not allowed: ${target.hostname}`);
+        }
+
+        let forwarded = {};
+        try {
+            forwarded = JSON.parse(request.headers.get(RELAY_HEADERS_HEADER) || '{}');
+        } catch {
+            return errorResponse(400, cors, `Invalid ${RELAY_HEADERS_HEADER} header`);
+        }
+        const headers = buildUpstreamHeaders(target, forwarded);
+
+        const cacheKey = request.method === 'GET' && config.cacheTtl > 0 ? getCacheKey(target, headers) : null;
+        const cached = cacheKey && readCache(cacheKey);
+        if (cached) {
+            return new Response(cached.body, {
+                status: cached.status,
+                headers: { ...cors, 'content-type': cached.contentType, 'x-relay-cache': 'HIT' }
+            });
+        }
+
+        let body;
+        if (request.method === 'POST') {
+            try {
+                body = await readBody(request);
+            } catch {
+                // The client went away or sent less than its Content-Length
+                return errorResponse(400, cors, 'Request body could not be read');
+            }
+            if (body === null) return errorResponse(413, cors, 'Request body too large');
+            if (!headers['content-type'] && request.headers.has('content-type')) {
+                headers['content-type'] = request.headers.get('content-type');
+            }
+        }
+
+        try {
+            const signal = AbortSignal.timeout(config.timeout);
+            let method = request.method;
+            let url = target;
+            let upstream;
+
+            // Redirects are followed by hand, so every hop is checked before it is requested
+            for (let hops = 0; ; hops++) {
+                upstream = await fetchUpstream(url.href, { method, headers, body, redirect: 'manual', signal });
+                const location = upstream.status >= 300 && upstream.status < 400 && upstream.headers.get('location');
+                if (!location) break;
+                await upstream.body?.cancel();
+
+                if (hops >= config.maxRedirects) return errorResponse(502, cors, 'Too many redirects');
+                url = new URL(location, url);
+                if (url.protocol !== 'https:' || !allowedHosts.has(url.hostname)) {
+                    return errorResponse(403, cors, `Redirected to a host that is not allowed: ${url.hostname}`);
+                }
+                // Same method rewrite as fetch(): 303, and 301/302 after a POST, continue as GET
+                if (upstream.status === 303 || (method === 'POST' && (upstream.status === 301 || upstream.status === 302))) {
+                    method = 'GET';
+                    body = undefined;
+                    delete headers['content-type'];
+                }
+            }
+
+            const responseBody = await upstream.arrayBuffer();
+            const contentType = upstream.headers.get('content-type') || 'application/octet-stream';
+
+            if (cacheKey && upstream.status === 200) {
+                writeCache(cacheKey, { status: 200, contentType, body: responseBody, expires: Date.now() + config.cacheTtl });
+            }
+            return new Response(responseBody, {
+                status: upstream.status,
+                headers: { ...cors, 'content-type': contentType, 'x-relay-cache': 'MISS' }
+            });
+        } catch (error) {
+            const timedOut = error.name === 'TimeoutError';
+            return errorResponse(timedOut ? 504 : 502, cors, timedOut ? 'Upstream timed out' : `Upstream failed: ${error.message}`);
+        }
+    };
+}
@@ -0,0 +1,121 @@
+/* eslint-env node */
+/**
+ * ====================================================================
+ * LiveRadar Relay - Self-Hosted CORS Relay
+ * ====================================================================
+ *
+ * A small Node server (no dependencies) that LiveRadar can use instead of
+ * public CORS proxies, so the monitored room list stays on your own
+ * infrastructure:
+ * - Only forwards to the platform hosts listed in API_ENDPOINTS
+ * - Sends a browser User-Agent, and the Referer the platforms expect
+ * - Relays upstream headers the browser cannot send (Cookie etc.)
+ * - Caches GET responses briefly, so several tabs/users share fetches
+ *
+ * Usage:
+ *   npm run relay
+ *   RELAY_HOST=0.0.0.0 RELAY_PORT=8080 RELAY_ORIGINS=https://radar.example.com npm run relay
+ *
+ * Then build LiveRadar with VITE_RELAY_URL=https://relay.example.com/ or add
+ * "https://relay.example.com/?url={url}" in the 代理 panel with the 私有 tier.
+ *
+ * Environment:
+ *   RELAY_HOST      - Listen address (default 127.0.0.1)
+ *   RELAY_PORT      - Port (default 8787)
+ *   RELAY_ORIGINS   - Comma-separated page origins allowed to use the relay (default *)
+ *   RELAY_CACHE_TTL - GET cache lifetime in ms (default 10000, 0 = off)
+ *
+ * Request: GET|POST /?url=<encoded target URL>
+ *   x-relay-headers: optional JSON object of upstream headers
+ *
+ * The request rules and caching live in relay-handler.js, which the
+ * Netlify/Pages functions use as well.
+ * ==================================================================== */
+
+import http from 'node:http';
+import { Readable } from 'node:stream';
+import { pathToFileURL } from 'node:url';
+import { RELAY_DEFAULTS, createRelayHandler, getAllowedHosts } from './relay-handler.js';
+
+export { getAllowedHosts, buildUpstreamHeaders, getCacheKey } from './relay-handler.js';
+
+const DEFAULTS = {
+    ...RELAY_DEFAULTS,
+    host: '127.0.0.1',
+    port: 8787
+};
+
+// ====================================================================
+// Server
+// ====================================================================
+
+/**
+ * Create the relay as connect-style middleware (also used by the Vite dev server)
+ * Only reads the query string, so it can be mounted under any path.
+ * @param {Object} [options] - Overrides for RELAY_DEFAULTS, plus `fetch` (for tests)
+ * @returns {function(http.IncomingMessage, http.ServerResponse): Promise<void>} Middleware
+ */
+export function createRelayMiddleware(options = {}) {
+    const handle = createRelayHandler(options);
+
+    return async (req, res) => {
+        let request;
+        try {
+            const hasBody = req.method !== 'GET' && req.method !== 'HEAD';
+            request = new Request(new URL(req.url, `http://${req.headers.host || 'relay.local'}`), {
+                method: req.method,
+                headers: Object.entries(req.headers).filter(([, value]) => typeof value === 'string'),
+                body: hasBody ? Readable.toWeb(req) : undefined,
+                duplex: hasBody ? 'half' : undefined
+            });
+        } catch {
+            // Methods or headers fetch() refuses (TRACE, CONNECT, ...)
+            res.writeHead(400);
+            res.end();
+            return;
+        }
+
+        let response;
+        let body;
+        try {
+            response = await handle(request);
+            body = Buffer.from(await response.arrayBuffer());
+        } catch {
+            // Nobody to answer once the client has disconnected
+            if (res.destroyed) return;
+            res.writeHead(400);
+            res.end();
+            return;
+        }
+        res.writeHead(response.status, Object.fromEntries(response.headers));
+        res.end(body);
+    };
+}
+
+/**
+ * Create the relay server
+ * @param {Object} [options] - Overrides for DEFAULTS, plus `fetch` (for tests)
+ * @returns {http.Server} Server (not listening yet)
+ */
+export function createRelayServer(options = {}) {
+    return http.createServer(createRelayMiddleware({ ...DEFAULTS, ...options }));
+}
+
+// ====================================================================
+// CLI
+// ====================================================================
+
+if (process.argv[1] && import.meta.url === pathToFileURL(process.argv[1]).href) {
+    const env = process.env;
+    const options = {
+        host: env.RELAY_HOST || DEFAULTS.host,
+        port: Number(env.RELAY_PORT) || DEFAULTS.port,
+        origins: env.RELAY_ORIGINS ? env.RELAY_ORIGINS.split(',').map(o => o.trim()).filter(Boolean) : DEFAULTS.origins,
+        cacheTtl: env.RELAY_CACHE_TTL !== undefined ? Number(env.RELAY_CACHE_TTL) : DEFAULTS.cacheTtl
+    };
+
+    createRelayServer(options).listen(options.port, options.host, () => {
+        console.log(`[Relay] LiveRadar relay listening on http://${options.host}:${options.port}`);
+        console.log(`[Relay] Allowed hosts: ${[...getAllowedHosts()].join(', ')}`);
+    });
+}
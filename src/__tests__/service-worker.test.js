@@ -0,0 +1,160 @@
+// @vitest-environment node
+/**
+ * Service Worker Tests
+ * Testing the background check: fetching monitored rooms and notifying
+ * only on offline → live transitions of each notify key
+ */
+
+import { describe, it, expect, vi, beforeAll, beforeEach, afterAll } from 'vitest';
+
+const kickChannel = (username, isLive) => ({
+  id: 1,
+  user: { username, profile_pic: `https://files.kick.com/${username}.webp` },
+  livestream: isLive
+    ? { is_live: true, session_title: `${username} live`, viewer_count: 10 }
+    : null,
+});
+
+// Kick usernames the fetch stub reports as live / offline; others answer without a channel (fetch failed)
+const channels = {
+  alpha: kickChannel('alpha', true),
+  beta: kickChannel('beta', false),
+  gamma: kickChannel('gamma', false),
+};
+
+const listeners = {};
+const stored = new Map();
+const workerScope = {
+  addEventListener: (type, listener) => {
+    listeners[type] = listener;
+  },
+  skipWaiting: vi.fn(),
+  clients: { matchAll: vi.fn(async () => []), claim: vi.fn() },
+  registration: { scope: 'https://app.example/', showNotification: vi.fn(async () => {}) },
+};
+
+const cacheStorage = {
+  open: async () => ({
+    match: async (url) => (stored.has(url) ? new Response(stored.get(url)) : undefined),
+    put: async (url, response) => {
+      stored.set(url, await response.text());
+    },
+  }),
+};
+
+/**
+ * Send a message to the worker and wait for the work it started
+ * @param {Object} data - Message from the page
+ */
+async function send(data) {
+  let work;
+  listeners.message({ data, waitUntil: (promise) => (work = promise) });
+  await work;
+}
+
+const readState = () => JSON.parse(stored.get('monitor-state.json'));
+
+beforeAll(async () => {
+  vi.stubGlobal('self', workerScope);
+  vi.stubGlobal('caches', cacheStorage);
+  vi.stubGlobal(
+    'fetch',
+    vi.fn(async (url) => {
+      const name = String(url).split('/').pop();
+      return new Response(JSON.stringify(channels[name] || {}), {
+        headers: { 'content-type': 'application/json' },
+      });
+    })
+  );
+
+  await import('../service-worker.js');
+});
+
+beforeEach(async () => {
+  vi.clearAllMocks();
+  stored.clear();
+  await send({
+    type: 'sync-state',
+    state: {
+      rooms: [
+        { platform: 'kick', id: 'alpha' },
+        { platform: 'kick', id: 'beta' },
+        { platform: 'kick', id: 'broken' },
+      ],
+      streamers: [],
+      live: { 'kick-beta': true, 'kick-broken': true },
+      notificationsEnabled: true,
+      appUrl: 'https://app.example/',
+    },
+  });
+});
+
+afterAll(() => {
+  vi.unstubAllGlobals();
+});
+
+describe('Service Worker - background check', () => {
+  it('should notify rooms that went live and record the new live states', async () => {
+    await send({ type: 'check' });
+
+    expect(workerScope.registration.showNotification).toHaveBeenCalledTimes(1);
+    expect(workerScope.registration.showNotification).toHaveBeenCalledWith(
+      '🔴 alpha 开播了!',
+      expect.objectContaining({ tag: 'kick-alpha', body: 'alpha live' })
+    );
+    // beta went offline; broken failed to fetch and keeps its last known state
+    expect(readState().live).toEqual({
+      'kick-alpha': true,
+      'kick-beta': false,
+      'kick-broken': true,
+    });
+  });
+
+  it('should not notify again while the room stays live', async () => {
+    await send({ type: 'check' });
+    await send({ type: 'check' });
+
+    expect(workerScope.registration.showNotification).toHaveBeenCalledTimes(1);
+  });
+
+  it('should notify once per streamer when any of their rooms is live', async () => {
+    await send({
+      type: 'sync-state',
+      state: {
+        rooms: [
+          { platform: 'kick', id: 'gamma', streamerId: 's1' },
+          { platform: 'kick', id: 'alpha', streamerId: 's1' },
+        ],
+        streamers: [{ id: 's1', name: '合并主播' }],
+        live: {},
+      },
+    });
+
+    await send({ type: 'check' });
+
+    expect(workerScope.registration.showNotification).toHaveBeenCalledTimes(1);
+    expect(workerScope.registration.showNotification).toHaveBeenCalledWith(
+      '🔴 合并主播 开播了!',
+      expect.objectContaining({ tag: 'streamer-s1', body: '正在 Kick 直播' })
+    );
+    expect(readState().live).toEqual({ 'streamer-s1': true });
+  });
+
+  it('should record live states without notifying when notifications are off', async () => {
+    await send({ type: 'sync-state', state: { notificationsEnabled: false } });
+
+    await send({ type: 'check' });
+
+    expect(workerScope.registration.showNotification).not.toHaveBeenCalled();
+    expect(readState().live['kick-alpha']).toBe(true);
+  });
+
+  it('should leave the check to a visible tab', async () => {
+    workerScope.clients.matchAll.mockResolvedValueOnce([{ visibilityState: 'visible' }]);
+
+    await send({ type: 'check' });
+
+    expect(fetch).not.toHaveBeenCalled();
+    expect(readState().checkedAt).toBeUndefined();
+  });
+});
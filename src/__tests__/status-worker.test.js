@@ -0,0 +1,85 @@
+// @vitest-environment node
+/**
+ * Status Worker Tests
+ * Running refresh tasks through the worker's message handler, in a scope
+ * without window / sessionStorage like a real Web Worker
+ */
+
+import { describe, it, expect, vi, beforeAll, afterAll } from 'vitest';
+
+const kickChannel = {
+  id: 668,
+  chatroom: { id: 668 },
+  followers_count: 1200,
+  user: {
+    username: 'kickstreamer',
+    profile_pic: 'https://files.kick.com/images/user/668/profile.webp',
+  },
+  livestream: {
+    is_live: true,
+    session_title: 'Just chatting',
+    viewer_count: 4321,
+    created_at: '2026-01-01T12:00:00Z',
+    categories: [{ name: 'Just Chatting' }],
+    thumbnail: { url: 'https://images.kick.com/video_thumbnails/668/thumb.webp' },
+  },
+};
+
+const workerScope = { addEventListener: vi.fn(), postMessage: vi.fn() };
+let onMessage;
+
+/**
+ * Send a message to the worker and wait for its reply to it
+ * @param {Object} message - Message from the page
+ * @returns {Promise<Object>} Reply
+ */
+async function send(message) {
+  workerScope.postMessage.mockClear();
+  await onMessage({ data: message });
+  return workerScope.postMessage.mock.calls
+    .map(([reply]) => reply)
+    .find((reply) => reply.id === message.id);
+}
+
+beforeAll(async () => {
+  vi.stubGlobal('self', workerScope);
+  vi.stubGlobal(
+    'fetch',
+    vi.fn(async (url) => {
+      if (String(url) === 'https://kick.com/api/v2/channels/kickstreamer') {
+        return new Response(JSON.stringify(kickChannel), {
+          headers: { 'content-type': 'application/json' },
+        });
+      }
+      throw new TypeError('Failed to fetch');
+    })
+  );
+
+  await import('../status-worker.js');
+  onMessage = workerScope.addEventListener.mock.calls.find(([type]) => type === 'message')[1];
+});
+
+afterAll(() => {
+  vi.unstubAllGlobals();
+});
+
+describe('Status Worker - fetch', () => {
+  it('should run without window or sessionStorage', () => {
+    expect(globalThis.window).toBeUndefined();
+    expect(globalThis.sessionStorage).toBeUndefined();
+  });
+
+  it('should fetch a Kick room and return it as a patch', async () => {
+    const room = { platform: 'kick', id: 'kickstreamer', isFav: false };
+
+    const reply = await send({ type: 'fetch', id: 1, rooms: [room], batch: false, prevData: {} });
+
+    expect(reply.type).toBe('result');
+    expect(reply.changes).toHaveLength(1);
+    expect(reply.changes[0]).toMatchObject({
+      roomId: 'kickstreamer',
+      isLive: true,
+      owner: 'kickstreamer',
+    });
+  });
+});
@@ -0,0 +1,119 @@
+/**
+ * Bilibili Live Socket Tests
+ * Testing packet framing, compressed body decoding and connection failures
+ */
+
+import { describe, it, expect, vi, afterEach } from 'vitest';
+import { deflateSync } from 'node:zlib';
+import { encodePacket, decodePackets, OP, BilibiliLiveSocket } from '../bilibili-live-socket.js';
+import { APP_CONFIG } from '../../config/constants.js';
+
+/**
+ * Build a raw packet with an explicit protocol version
+ */
+function rawPacket(op, protover, body) {
+  const buffer = new Uint8Array(16 + body.length);
+  const view = new DataView(buffer.buffer);
+  view.setUint32(0, buffer.length);
+  view.setUint16(4, 16);
+  view.setUint16(6, protover);
+  view.setUint32(8, op);
+  view.setUint32(12, 1);
+  buffer.set(body, 16);
+  return buffer;
+}
+
+describe('Bilibili Live Socket - framing', () => {
+  it('should round-trip a JSON packet', async () => {
+    const packets = await decodePackets(encodePacket(OP.MESSAGE, { cmd: 'LIVE', roomid: 1 }));
+    expect(packets).toEqual([{ op: OP.MESSAGE, body: { cmd: 'LIVE', roomid: 1 } }]);
+  });
+
+  it('should decode the popularity value of heartbeat replies', async () => {
+    const body = new Uint8Array(4);
+    new DataView(body.buffer).setUint32(0, 12345);
+    const packets = await decodePackets(rawPacket(OP.HEARTBEAT_REPLY, 1, body));
+    expect(packets).toEqual([{ op: OP.HEARTBEAT_REPLY, body: 12345 }]);
+  });
+
+  it('should unpack several messages from a zlib body', async () => {
+    const first = new Uint8Array(encodePacket(OP.MESSAGE, { cmd: 'PREPARING' }));
+    const second = new Uint8Array(
+      encodePacket(OP.MESSAGE, { cmd: 'ROOM_CHANGE', data: { title: 'hi' } })
+    );
+    const inner = new Uint8Array(first.length + second.length);
+    inner.set(first);
+    inner.set(second, first.length);
+    const packets = await decodePackets(rawPacket(OP.MESSAGE, 2, deflateSync(inner)));
+    expect(packets.map((p) => p.body.cmd)).toEqual(['PREPARING', 'ROOM_CHANGE']);
+  });
+});
+
+describe('Bilibili Live Socket - connection', () => {
+  const opened = [];
+
+  class FakeWebSocket {
+    static OPEN = 1;
+
+    constructor(url) {
+      if (!url.startsWith('wss://')) throw new SyntaxError(`Invalid URL: ${url}`);
+      opened.push(url);
+      this.url = url;
+    }
+
+    send() {}
+    close() {}
+  }
+
+  afterEach(() => {
+    opened.length = 0;
+    vi.unstubAllGlobals();
+  });
+
+  it('should fall back to the public host when the lookup returns a malformed URL', async () => {
+    vi.stubGlobal('WebSocket', FakeWebSocket);
+    const onStateChange = vi.fn();
+    const socket = new BilibiliLiveSocket(1, {
+      onMessage: vi.fn(),
+      onStateChange,
+      getAuth: async () => ({ url: 'not a url' }),
+    });
+
+    await socket.connect();
+
+    expect(opened).toEqual([APP_CONFIG.LIVE_PUSH.BILIBILI_WS_URL]);
+    expect(onStateChange).toHaveBeenLastCalledWith('connecting');
+    socket.close();
+  });
+
+  it('should report closed and schedule a reconnect when no socket can be opened', async () => {
+    vi.stubGlobal(
+      'WebSocket',
+      class {
+        constructor() {
+          throw new SyntaxError('Invalid URL');
+        }
+      }
+    );
+    const onStateChange = vi.fn();
+    const socket = new BilibiliLiveSocket(1, { onMessage: vi.fn(), onStateChange });
+
+    await socket.connect();
+
+    expect(onStateChange).toHaveBeenLastCalledWith('closed');
+    expect(socket.reconnectTimer).not.toBeNull();
+    socket.close();
+  });
+
+  it('should drop a frame with a corrupt compressed body', async () => {
+    vi.stubGlobal('WebSocket', FakeWebSocket);
+    const onMessage = vi.fn();
+    const socket = new BilibiliLiveSocket(1, { onMessage });
+    await socket.connect();
+
+    const corrupt = rawPacket(OP.MESSAGE, 2, new Uint8Array([0x78, 0x9c, 1, 2, 3]));
+    await expect(socket.ws.onmessage({ data: corrupt.buffer })).resolves.toBeUndefined();
+    expect(onMessage).not.toHaveBeenCalled();
+    socket.close();
+  });
+});
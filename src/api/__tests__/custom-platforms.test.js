@@ -0,0 +1,106 @@
+/**
+ * Custom Platforms Tests
+ * Testing spec validation and the declarative adapter mapping
+ */
+
+import { describe, it, expect, vi, afterEach } from 'vitest';
+import {
+  normalizePlatformSpec,
+  registerCustomPlatform,
+  removeCustomPlatform,
+} from '../custom-platforms.js';
+import { getAdapter } from '../platform-adapter.js';
+import { PLATFORM_CONFIG } from '../../config/constants.js';
+
+const baseSpec = {
+  key: 'example',
+  name: 'Example',
+  url: 'https://api.example.com/live/{id}',
+  proxy: false,
+  roomUrl: 'https://example.com/{id}',
+  liveValue: 1,
+  paths: {
+    isLive: 'data.status',
+    title: 'data.title',
+    owner: 'data.user.name',
+    cover: 'data.cover',
+    viewers: 'data.online',
+    startTime: 'data.started_at',
+    category: 'data.game',
+    tags: 'data.tags',
+    followers: 'data.fans',
+  },
+};
+
+describe('Custom Platforms - normalizePlatformSpec', () => {
+  it('should normalize a valid spec', () => {
+    const spec = normalizePlatformSpec({ ...baseSpec, key: 'Example' });
+    expect(spec.key).toBe('example');
+    expect(spec.proxy).toBe(false);
+    expect(spec.paths.isLive).toBe('data.status');
+  });
+
+  it('should reject specs that clash with built-in platforms', () => {
+    expect(() => normalizePlatformSpec({ ...baseSpec, key: 'douyu' })).toThrow();
+  });
+
+  it('should require an {id} placeholder and an isLive path', () => {
+    expect(() =>
+      normalizePlatformSpec({ ...baseSpec, url: 'https://api.example.com/live' })
+    ).toThrow();
+    expect(() => normalizePlatformSpec({ ...baseSpec, paths: { title: 'data.title' } })).toThrow();
+  });
+});
+
+describe('Custom Platforms - DeclarativePlatformAdapter', () => {
+  afterEach(() => {
+    removeCustomPlatform('example');
+    vi.unstubAllGlobals();
+  });
+
+  it('should register an adapter and platform config entry', () => {
+    registerCustomPlatform(baseSpec, { persist: false });
+    expect(getAdapter('example')).not.toBeNull();
+    expect(PLATFORM_CONFIG.example.custom).toBe(true);
+
+    removeCustomPlatform('example');
+    expect(getAdapter('example')).toBeNull();
+    expect(PLATFORM_CONFIG.example).toBeUndefined();
+  });
+
+  it('should map response fields through JSON paths', async () => {
+    const fetchMock = vi.fn().mockResolvedValue({
+      ok: true,
+      json: async () => ({
+        data: {
+          status: 1,
+          title: 'Hello',
+          user: { name: 'Streamer' },
+          cover: 'https://img.example.com/c.jpg',
+          online: '1,234',
+          started_at: 1700000000,
+          game: 'Chess',
+          tags: 'casual, english',
+          fans: '5,000',
+        },
+      }),
+    });
+    vi.stubGlobal('fetch', fetchMock);
+
+    registerCustomPlatform(baseSpec, { persist: false });
+    const status = await getAdapter('example').getStatus('abc');
+
+    expect(fetchMock.mock.calls[0][0]).toBe('https://api.example.com/live/abc');
+    expect(status).toMatchObject({
+      isLive: true,
+      title: 'Hello',
+      owner: 'Streamer',
+      cover: 'https://img.example.com/c.jpg',
+      heatValue: 1234,
+      startTime: 1700000000000,
+      category: 'Chess',
+      tags: ['casual', 'english'],
+      followers: 5000,
+    });
+  });
+});
@@ -0,0 +1,91 @@
+/**
+ * Custom Proxies Tests
+ * Testing entry validation and merging into the proxy list
+ */
+
+import { describe, it, expect, afterEach } from 'vitest';
+import {
+  normalizeProxyEntry,
+  addCustomProxy,
+  setCustomProxyEnabled,
+  removeCustomProxy,
+  getCustomProxies,
+} from '../custom-proxies.js';
+import { getSmartProxyOrder } from '../proxy-manager.js';
+import { PROXIES } from '../../config/proxies.js';
+
+const baseEntry = {
+  name: 'Home Relay',
+  url: 'https://relay.example.com/fetch?target={url}',
+  tier: 'premium',
+  region: 'mainland',
+};
+
+afterEach(() => {
+  getCustomProxies().forEach((entry) => removeCustomProxy(entry.name));
+});
+
+describe('Custom Proxies - normalizeProxyEntry', () => {
+  it('should fill defaults', () => {
+    const entry = normalizeProxyEntry({ name: ' Relay ', url: 'https://x.example/{rawUrl}' });
+    expect(entry).toEqual({
+      name: 'Relay',
+      url: 'https://x.example/{rawUrl}',
+      wrap: false,
+      tier: 'premium',
+      region: 'global',
+      enabled: true,
+    });
+  });
+
+  it('should reject templates without a placeholder', () => {
+    expect(() => normalizeProxyEntry({ ...baseEntry, url: 'https://relay.example.com/' })).toThrow(
+      '{url}'
+    );
+  });
+
+  it('should reject unknown tiers and non-http URLs', () => {
+    expect(() => normalizeProxyEntry({ ...baseEntry, tier: 'gold' })).toThrow();
+    expect(() => normalizeProxyEntry({ ...baseEntry, url: 'ftp://relay/{url}' })).toThrow();
+  });
+});
+
+describe('Custom Proxies - proxy list', () => {
+  it('should add enabled entries to PROXIES with the target substituted', () => {
+    addCustomProxy(baseEntry);
+
+    const proxy = PROXIES.find((p) => p.name === 'Home Relay');
+    expect(proxy.custom).toBe(true);
+    expect(proxy.url('https://api.example.com/a?b=1')).toBe(
+      'https://relay.example.com/fetch?target=https%3A%2F%2Fapi.example.com%2Fa%3Fb%3D1'
+    );
+    expect(
+      getSmartProxyOrder('https://api.example.com/').some((p) => p.name === 'Home Relay')
+    ).toBe(true);
+  });
+
+  it('should take disabled entries out of the smart order', () => {
+    addCustomProxy(baseEntry);
+    getSmartProxyOrder('https://api.example.com/');
+
+    setCustomProxyEnabled('Home Relay', false);
+    expect(getCustomProxies()[0].enabled).toBe(false);
+    expect(
+      getSmartProxyOrder('https://api.example.com/').some((p) => p.name === 'Home Relay')
+    ).toBe(false);
+  });
+
+  it('should order private relays first and let them forward headers', () => {
+    addCustomProxy({ ...baseEntry, tier: 'private', region: 'global' });
+
+    const order = getSmartProxyOrder('https://api.example.com/');
+    expect(order[0].name).toBe('Home Relay');
+    expect(order[0].forwardHeaders({ Cookie: 'a=1' })).toEqual({
+      'x-relay-headers': JSON.stringify({ Cookie: 'a=1' }),
+    });
+  });
+
+  it('should refuse names of built-in proxies', () => {
+    expect(() => addCustomProxy({ ...baseEntry, name: 'CodeTabs' })).toThrow('已存在');
+  });
+});
@@ -0,0 +1,95 @@
+/**
+ * Kick Pusher Socket Tests
+ * Testing Pusher frame handling and topic subscriptions
+ */
+
+import { describe, it, expect, vi, afterEach } from 'vitest';
+import { KickPusherSocket } from '../kick-pusher-socket.js';
+
+function createSocket() {
+  const onEvent = vi.fn();
+  const onStateChange = vi.fn();
+  const socket = new KickPusherSocket({ onEvent, onStateChange });
+  const sent = [];
+  socket.ws = {
+    readyState: WebSocket.OPEN,
+    send: (frame) => sent.push(JSON.parse(frame)),
+    close: vi.fn(),
+  };
+  return { socket, onEvent, onStateChange, sent };
+}
+
+describe('KickPusherSocket', () => {
+  afterEach(() => {
+    vi.useRealTimers();
+  });
+
+  it('should subscribe queued topics once the connection is established', () => {
+    vi.useFakeTimers();
+    const { socket, onStateChange, sent } = createSocket();
+    socket.subscribe('channel.42');
+    expect(sent).toHaveLength(0);
+
+    socket.handleFrame({
+      event: 'pusher:connection_established',
+      data: JSON.stringify({ socket_id: '1.2', activity_timeout: 30 }),
+    });
+
+    expect(onStateChange).toHaveBeenCalledWith('open');
+    expect(socket.activityTimeout).toBe(30);
+    expect(sent).toEqual([
+      { event: 'pusher:subscribe', data: { auth: '', channel: 'channel.42' } },
+    ]);
+    socket.close();
+  });
+
+  it('should answer pings and forward app events with parsed data', () => {
+    vi.useFakeTimers();
+    const { socket, onEvent, sent } = createSocket();
+
+    socket.handleFrame({ event: 'pusher:ping', data: '{}' });
+    expect(sent[0].event).toBe('pusher:pong');
+
+    socket.handleFrame({
+      event: 'App\\Events\\StreamerIsLive',
+      channel: 'channel.42',
+      data: JSON.stringify({ livestream: { session_title: 'Hello' } }),
+    });
+    expect(onEvent).toHaveBeenCalledWith('channel.42', 'App\\Events\\StreamerIsLive', {
+      livestream: { session_title: 'Hello' },
+    });
+    socket.close();
+  });
+
+  it('should ignore null frames and fall back to the default timeout on bad handshake data', () => {
+    vi.useFakeTimers();
+    let ws;
+    vi.stubGlobal(
+      'WebSocket',
+      class {
+        static OPEN = 1;
+
+        constructor() {
+          ws = this;
+        }
+
+        send() {}
+        close() {}
+      }
+    );
+    const onStateChange = vi.fn();
+    const socket = new KickPusherSocket({ onEvent: vi.fn(), onStateChange });
+
+    try {
+      socket.connect();
+      expect(() => ws.onmessage({ data: 'null' })).not.toThrow();
+
+      socket.handleFrame({ event: 'pusher:connection_established', data: '{not json' });
+      expect(onStateChange).toHaveBeenCalledWith('open');
+      expect(socket.activityTimeout).toBeGreaterThan(0);
+    } finally {
+      socket.close();
+      vi.unstubAllGlobals();
+    }
+  });
+});
@@ -0,0 +1,97 @@
+/**
+ * Platform Adapter Tests
+ * Testing Twitch source selection (GQL primary, DecAPI fallback) and canonical room IDs
+ */
+
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+
+vi.mock('../platform-sniffers.js', () => ({
+  getDouyuStatus: vi.fn(),
+  getBilibiliStatus: vi.fn(),
+  getBilibiliStatusBatch: vi.fn(),
+  getTwitchStatus: vi.fn(),
+  getTwitchStatusGQL: vi.fn(),
+  getTwitchStatusBatch: vi.fn(),
+  getKickStatus: vi.fn(),
+  getHuyaStatus: vi.fn(),
+  getYouTubeStatus: vi.fn(),
+  getDouyinStatus: vi.fn(),
+  getChzzkStatus: vi.fn(),
+  getSoopStatus: vi.fn(),
+  resolveDouyuRoomId: vi.fn(),
+  resolveBilibiliRoomId: vi.fn(),
+}));
+
+import {
+  registerDefaultAdapters,
+  getAdapter,
+  resolveCanonicalRoomId,
+} from '../platform-adapter.js';
+import {
+  getTwitchStatus,
+  getTwitchStatusGQL,
+  getTwitchStatusBatch,
+  resolveBilibiliRoomId,
+} from '../platform-sniffers.js';
+
+describe('Platform Adapter - Twitch source selection', () => {
+  let adapter;
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+    registerDefaultAdapters();
+    adapter = getAdapter('twitch');
+    adapter.primaryFailedAt = 0;
+  });
+
+  it('should use GQL when it succeeds', async () => {
+    getTwitchStatusGQL.mockResolvedValue({ isLive: true, category: 'Just Chatting' });
+
+    const result = await adapter.getStatus('xqc');
+
+    expect(result.category).toBe('Just Chatting');
+    expect(getTwitchStatus).not.toHaveBeenCalled();
+  });
+
+  it('should fall back to DecAPI and skip GQL during the cooldown', async () => {
+    getTwitchStatusGQL.mockResolvedValue(null);
+    getTwitchStatus.mockResolvedValue({ isLive: false });
+
+    await adapter.getStatus('xqc');
+    await adapter.getStatus('xqc');
+
+    expect(getTwitchStatusGQL).toHaveBeenCalledTimes(1);
+    expect(getTwitchStatus).toHaveBeenCalledTimes(2);
+    expect(adapter.canBatch('xqc')).toBe(false);
+  });
+
+  it('should return an empty batch result when GQL fails', async () => {
+    getTwitchStatusBatch.mockResolvedValue(null);
+
+    const results = await adapter.getStatusBatch(['a', 'b']);
+
+    expect(results.size).toBe(0);
+    expect(adapter.usePrimary()).toBe(false);
+  });
+});
+
+describe('Platform Adapter - canonical room IDs', () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+    registerDefaultAdapters();
+  });
+
+  it('should resolve Bilibili short IDs to the long room ID', async () => {
+    resolveBilibiliRoomId.mockResolvedValue('7734200');
+
+    expect(await resolveCanonicalRoomId('bilibili', '6')).toBe('7734200');
+    expect(resolveBilibiliRoomId).toHaveBeenCalledWith('6');
+  });
+
+  it('should keep the entered ID when the lookup fails or the platform has no aliases', async () => {
+    resolveBilibiliRoomId.mockResolvedValue(null);
+
+    expect(await resolveCanonicalRoomId('bilibili', '6')).toBe('6');
+    expect(await resolveCanonicalRoomId('twitch', 'xqc')).toBe('xqc');
+  });
+});
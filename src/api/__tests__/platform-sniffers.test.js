@@ -0,0 +1,449 @@
+/**
+ * Platform Sniffer Tests
+ * Testing how recorded platform payloads (fixtures/) map to room status
+ */
+
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+
+vi.mock('../proxy-manager.js', () => ({
+  fetchWithProxy: vi.fn(),
+  fetchQuick: vi.fn(),
+  fetchTextWithProxy: vi.fn(),
+  setPlatformCookie: vi.fn(),
+  getPlatformCookie: vi.fn(),
+  clearPlatformCookies: vi.fn(),
+}));
+
+import {
+  fetchWithProxy,
+  fetchTextWithProxy,
+  getPlatformCookie,
+  clearPlatformCookies,
+} from '../proxy-manager.js';
+import {
+  getHuyaStatus,
+  getYouTubeStatus,
+  getDouyinStatus,
+  getChzzkStatus,
+  getSoopStatus,
+  getTwitchStatus,
+} from '../platform-sniffers.js';
+import { SafeStorage } from '../../utils/safe-storage.js';
+import { APP_CONFIG, API_ENDPOINTS } from '../../config/constants.js';
+import huyaLive from './fixtures/huya-live.json';
+import huyaOffline from './fixtures/huya-offline.json';
+import huyaReplay from './fixtures/huya-replay.json';
+import huyaNotFound from './fixtures/huya-not-found.json';
+import youtubeLive from './fixtures/youtube-live.html?raw';
+import youtubeUpcoming from './fixtures/youtube-upcoming.html?raw';
+import youtubeEnded from './fixtures/youtube-ended.html?raw';
+import youtubeChannel from './fixtures/youtube-channel.html?raw';
+import youtubeNotFound from './fixtures/youtube-not-found.html?raw';
+import douyinLive from './fixtures/douyin-live.json';
+import douyinOffline from './fixtures/douyin-offline.json';
+import douyinNotFound from './fixtures/douyin-not-found.json';
+import chzzkLive from './fixtures/chzzk-live.json';
+import chzzkOffline from './fixtures/chzzk-offline.json';
+import chzzkNotFound from './fixtures/chzzk-not-found.json';
+import soopLive from './fixtures/soop-live.json';
+import soopOffline from './fixtures/soop-offline.json';
+import soopNotFound from './fixtures/soop-not-found.json';
+
+beforeEach(() => {
+  vi.clearAllMocks();
+});
+
+describe('Sniffers - Huya', () => {
+  it('should map a live room', async () => {
+    fetchWithProxy.mockResolvedValue(huyaLive);
+
+    const res = await getHuyaStatus('660000', true, null);
+
+    expect(fetchWithProxy.mock.calls[0][0]).toContain('roomid=660000');
+    expect(res).toMatchObject({
+      isLive: true,
+      isReplay: false,
+      title: '今晚冲分',
+      owner: '虎牙主播',
+      avatar: 'https://huyaimg.msstatic.com/avatar/1001/6b/avatar_180.jpg',
+      cover: 'https://live-cover.msstatic.com/huyalive/screenshot.jpg',
+      category: '英雄联盟',
+      followers: 1520033,
+      heatValue: 2350000,
+      startTime: 1767225600000,
+    });
+  });
+
+  it('should keep the cached cover and leave heat at 0 while offline', async () => {
+    fetchWithProxy.mockResolvedValue(huyaOffline);
+
+    const res = await getHuyaStatus('660000', true, { cover: 'https://cached/cover.jpg' });
+
+    expect(res).toMatchObject({
+      isLive: false,
+      isReplay: false,
+      cover: 'https://cached/cover.jpg',
+      heatValue: 0,
+      startTime: null,
+    });
+  });
+
+  it('should map a rebroadcast loop as replay without a start time', async () => {
+    fetchWithProxy.mockResolvedValue(huyaReplay);
+
+    const res = await getHuyaStatus('660000', true, null);
+
+    expect(res).toMatchObject({
+      isLive: false,
+      isReplay: true,
+      title: '精彩回放',
+      heatValue: 12000,
+      cover: 'https://live-cover.msstatic.com/huyalive/replay.jpg',
+      startTime: null,
+    });
+  });
+
+  it('should treat an unknown room as offline and keep the cached title', async () => {
+    fetchWithProxy.mockResolvedValue(huyaNotFound);
+
+    expect(await getHuyaStatus('nobody', true, null)).toMatchObject({
+      isLive: false,
+      title: '房间信息异常',
+    });
+    expect(await getHuyaStatus('nobody', true, { title: '旧标题' })).toMatchObject({
+      title: '旧标题',
+    });
+  });
+
+  it('should return null on network failure', async () => {
+    fetchWithProxy.mockResolvedValue(null);
+    expect(await getHuyaStatus('660000', true, null)).toBeNull();
+  });
+});
+
+describe('Sniffers - YouTube', () => {
+  it('should request the /live page of a handle or a channel ID', async () => {
+    fetchTextWithProxy.mockResolvedValue(youtubeChannel);
+
+    await getYouTubeStatus('@LofiGirl', true, null);
+    await getYouTubeStatus('UCSJ4gkVC6NrvII8umztf0Ow', true, null);
+
+    expect(fetchTextWithProxy.mock.calls.map((call) => call[0])).toEqual([
+      'https://www.youtube.com/@LofiGirl/live',
+      'https://www.youtube.com/channel/UCSJ4gkVC6NrvII8umztf0Ow/live',
+    ]);
+  });
+
+  it('should map a live broadcast from the watch page', async () => {
+    fetchTextWithProxy.mockResolvedValue(youtubeLive);
+
+    const res = await getYouTubeStatus('@LofiGirl', true, null);
+
+    expect(res).toMatchObject({
+      isLive: true,
+      isUpcoming: false,
+      title: '24/7 lofi {beats} "radio"',
+      owner: 'Lofi Girl',
+      avatar: 'https://yt3.ggpht.com/owner-avatar=s48',
+      category: 'Music',
+      tags: ['lofi', 'study music'],
+      heatValue: 31245,
+      startTime: Date.parse('2026-01-01T08:00:00+00:00'),
+      cover: 'https://i.ytimg.com/vi/liveVid0001/hqdefault_live.jpg',
+    });
+  });
+
+  it('should map a scheduled premiere as upcoming with its planned start', async () => {
+    fetchTextWithProxy.mockResolvedValue(youtubeUpcoming);
+
+    const res = await getYouTubeStatus('@LofiGirl', true, null);
+
+    expect(res).toMatchObject({
+      isLive: false,
+      isUpcoming: true,
+      title: 'Album premiere',
+      startTime: 1767261600000,
+      cover: 'https://i.ytimg.com/vi/premiere0001/hqdefault.jpg',
+    });
+  });
+
+  it('should not treat an ended broadcast as live or upcoming', async () => {
+    fetchTextWithProxy.mockResolvedValue(youtubeEnded);
+
+    const res = await getYouTubeStatus('@LofiGirl', true, {
+      title: 'cached',
+      cover: 'https://cached',
+    });
+
+    expect(res).toMatchObject({
+      isLive: false,
+      isUpcoming: false,
+      title: 'cached',
+      cover: 'https://cached',
+      startTime: null,
+    });
+  });
+
+  it('should read owner and avatar from the channel page while offline', async () => {
+    fetchTextWithProxy.mockResolvedValue(youtubeChannel);
+
+    const res = await getYouTubeStatus('@LofiGirl', true, null);
+
+    expect(res).toMatchObject({
+      isLive: false,
+      isUpcoming: false,
+      owner: 'Lofi Girl',
+      avatar: 'https://yt3.googleusercontent.com/channel-avatar=s900-c-k&no-rj',
+    });
+  });
+
+  it('should treat an unavailable channel page as offline, and a failed fetch as an error', async () => {
+    fetchTextWithProxy.mockResolvedValue(youtubeNotFound);
+    expect(await getYouTubeStatus('@nobody', true, null)).toMatchObject({
+      isLive: false,
+      owner: '@nobody',
+    });
+
+    fetchTextWithProxy.mockResolvedValue(null);
+    expect(await getYouTubeStatus('@nobody', true, null)).toBeNull();
+  });
+});
+
+describe('Sniffers - Douyin', () => {
+  const registerCalls = () =>
+    fetchWithProxy.mock.calls.filter(([url]) => url === API_ENDPOINTS.DOUYIN.TTWID_REGISTER).length;
+
+  beforeEach(() => {
+    getPlatformCookie.mockReturnValue(undefined);
+  });
+
+  it('should map a live room', async () => {
+    getPlatformCookie.mockReturnValue('session-ttwid');
+    fetchWithProxy.mockResolvedValue(douyinLive);
+
+    const res = await getDouyinStatus('123456', true, null);
+
+    expect(fetchWithProxy.mock.calls[0][0]).toContain('web_rid=123456');
+    expect(res).toMatchObject({
+      isLive: true,
+      title: '深夜聊天',
+      owner: '抖音主播',
+      avatar: 'https://p3.douyinpic.com/aweme/100x100/avatar.jpeg',
+      cover: 'https://p3-webcast.douyinpic.com/img/cover.jpg',
+      category: '聊天互动',
+      followers: 880000,
+      heatValue: 28000,
+    });
+  });
+
+  it('should keep the cached title and cover of an ended room', async () => {
+    getPlatformCookie.mockReturnValue('session-ttwid');
+    fetchWithProxy.mockResolvedValue(douyinOffline);
+
+    const res = await getDouyinStatus('123456', true, {
+      title: '上次的标题',
+      cover: 'https://cached/cover.jpg',
+    });
+
+    expect(res).toMatchObject({
+      isLive: false,
+      title: '上次的标题',
+      cover: 'https://cached/cover.jpg',
+      heatValue: 0,
+      followers: 880000,
+    });
+  });
+
+  it('should flag an unknown room as not found and keep the session', async () => {
+    SafeStorage.setJSON('pro_douyin_ttwid', { value: 'good-ttwid', expires: Date.now() + 60000 });
+    fetchWithProxy.mockResolvedValue(douyinNotFound);
+
+    const res = await getDouyinStatus('123456', true, null);
+
+    expect(res).toMatchObject({
+      isLive: false,
+      isError: false,
+      notFound: true,
+      title: '房间不存在',
+    });
+    expect(clearPlatformCookies).not.toHaveBeenCalled();
+    expect(SafeStorage.getJSON('pro_douyin_ttwid', null)).toMatchObject({ value: 'good-ttwid' });
+  });
+
+  it('should drop the stored ttwid when the session is rejected', async () => {
+    SafeStorage.setJSON('pro_douyin_ttwid', { value: 'stale-ttwid', expires: Date.now() + 60000 });
+    fetchWithProxy.mockResolvedValue({ status_code: 0, data: null });
+
+    const res = await getDouyinStatus('123456', true, null);
+
+    expect(res).toMatchObject({ isLive: false, isError: false, title: '房间信息异常' });
+    expect(res.notFound).toBeUndefined();
+    expect(registerCalls()).toBe(0);
+    expect(clearPlatformCookies).toHaveBeenCalledWith('douyin.com');
+    expect(SafeStorage.getJSON('pro_douyin_ttwid', null)).toBeNull();
+  });
+
+  it('should wait for the cooldown before registering a ttwid again', async () => {
+    vi.useFakeTimers({ toFake: ['Date'] });
+    fetchWithProxy.mockImplementation(async (url) =>
+      url === API_ENDPOINTS.DOUYIN.TTWID_REGISTER ? null : douyinOffline
+    );
+
+    try {
+      await getDouyinStatus('123456', true, null);
+      await getDouyinStatus('123456', true, null);
+      expect(registerCalls()).toBe(1);
+
+      vi.advanceTimersByTime(APP_CONFIG.NETWORK.DOUYIN_SESSION_COOLDOWN + 1);
+      await getDouyinStatus('123456', true, null);
+      expect(registerCalls()).toBe(2);
+    } finally {
+      vi.useRealTimers();
+    }
+  });
+});
+
+describe('Sniffers - CHZZK', () => {
+  const channelId = '0123456789abcdef0123456789abcdef';
+
+  it('should map a live channel with its KST start time', async () => {
+    fetchWithProxy.mockResolvedValue(chzzkLive);
+
+    const res = await getChzzkStatus(channelId, true, null);
+
+    expect(fetchWithProxy.mock.calls[0][0]).toBe(
+      `${API_ENDPOINTS.CHZZK.API}/v2/channels/${channelId}/live-detail`
+    );
+    expect(res).toMatchObject({
+      isLive: true,
+      title: '오늘도 랭크',
+      owner: '치지직 스트리머',
+      avatar: 'https://nng-phinf.pstatic.net/profile.png',
+      cover: 'https://livecloud-thumb.akamaized.net/chzzk/image_720.jpg',
+      category: 'League of Legends',
+      tags: ['롤', '랭크'],
+      heatValue: 4821,
+      startTime: Date.parse('2026-01-01T11:00:00Z'),
+    });
+  });
+
+  it('should use the channel image as cover while offline', async () => {
+    fetchWithProxy.mockResolvedValue(chzzkOffline);
+
+    const res = await getChzzkStatus(channelId, true, null);
+
+    expect(res).toMatchObject({
+      isLive: false,
+      title: '어제 방송',
+      cover: 'https://nng-phinf.pstatic.net/profile.png',
+      heatValue: 0,
+      startTime: null,
+    });
+  });
+
+  it('should flag an unknown channel as not found', async () => {
+    fetchWithProxy.mockResolvedValue(chzzkNotFound);
+
+    const res = await getChzzkStatus(channelId, true, null);
+
+    expect(res).toMatchObject({
+      isLive: false,
+      notFound: true,
+      title: '频道信息异常',
+      owner: channelId,
+    });
+  });
+});
+
+describe('Sniffers - SOOP', () => {
+  it('should map a live station', async () => {
+    fetchWithProxy.mockResolvedValue(soopLive);
+
+    const res = await getSoopStatus('soopbj', true, null);
+
+    expect(fetchWithProxy.mock.calls[0][0]).toBe(
+      `${API_ENDPOINTS.SOOP.STATION_API}/soopbj/station`
+    );
+    expect(res).toMatchObject({
+      isLive: true,
+      title: '저녁 합방',
+      owner: '숲 BJ',
+      avatar: 'https://stimg.sooplive.co.kr/LOGO/so/soopbj/soopbj.jpg',
+      cover: `${API_ENDPOINTS.SOOP.THUMBNAIL_BASE}/281234567`,
+      tags: ['합방', '토크'],
+      followers: 152000,
+      heatValue: 3120,
+      startTime: Date.parse('2026-01-01T12:30:00Z'),
+    });
+  });
+
+  it('should use the profile image as cover while offline', async () => {
+    fetchWithProxy.mockResolvedValue(soopOffline);
+
+    const res = await getSoopStatus('soopbj', true, { title: '上次的标题' });
+
+    expect(res).toMatchObject({
+      isLive: false,
+      title: '上次的标题',
+      cover: 'https://stimg.sooplive.co.kr/LOGO/so/soopbj/soopbj.jpg',
+      followers: 152000,
+      heatValue: 0,
+      startTime: null,
+    });
+  });
+
+  it('should flag an unknown station as not found, and return null on network failure', async () => {
+    fetchWithProxy.mockResolvedValue(soopNotFound);
+    expect(await getSoopStatus('nobody', true, null)).toMatchObject({
+      isLive: false,
+      notFound: true,
+      title: '房间不存在',
+    });
+
+    fetchWithProxy.mockResolvedValue(null);
+    expect(await getSoopStatus('nobody', true, null)).toBeNull();
+  });
+});
+
+describe('Sniffers - Twitch (DecAPI)', () => {
+  const decapi = {
+    uptime: '1 hour, 5 minutes, 3 seconds',
+    title: 'Ranked grind',
+    viewers: '1,234',
+    avatar: 'https://static-cdn.jtvnw.net/jtv_user_pictures/streamer-profile_image-300x300.png',
+  };
+
+  beforeEach(() => {
+    vi.stubGlobal(
+      'fetch',
+      vi.fn(async (url) => new Response(decapi[String(url).split('/')[4]] ?? '', { status: 200 }))
+    );
+  });
+
+  afterEach(() => {
+    vi.unstubAllGlobals();
+  });
+
+  it('should return the avatar in the result when one is requested', async () => {
+    const res = await getTwitchStatus('streamer', true, null);
+
+    expect(fetch).toHaveBeenCalledWith(
+      'https://decapi.me/twitch/avatar/streamer',
+      expect.any(Object)
+    );
+    expect(res).toMatchObject({
+      isLive: true,
+      title: 'Ranked grind',
+      heatValue: 1234,
+      avatar: decapi.avatar,
+    });
+  });
+
+  it('should not request the avatar when it is cached or not requested', async () => {
+    await getTwitchStatus('streamer', true, { avatar: 'https://cached/avatar.png' });
+    await getTwitchStatus('streamer', false, null);
+
+    const urls = fetch.mock.calls.map(([url]) => url);
+    expect(urls).not.toContain('https://decapi.me/twitch/avatar/streamer');
+  });
+});
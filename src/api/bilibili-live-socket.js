@@ -0,0 +1,302 @@
+/**
+ * ====================================================================
+ * Bilibili Live WebSocket Client
+ * ====================================================================
+ *
+ * Minimal client for Bilibili's live broadcast WebSocket (one room per connection).
+ *
+ * Packet layout (big-endian):
+ *   0  uint32  packet length (header + body)
+ *   4  uint16  header length (16)
+ *   6  uint16  protocol version (0 JSON, 1 int32, 2 zlib, 3 brotli)
+ *   8  uint32  operation (2 heartbeat, 3 heartbeat reply, 5 message, 7 auth, 8 auth reply)
+ *   12 uint32  sequence (1)
+ *
+ * Compressed bodies (protover 2/3) contain further packets. zlib is requested
+ * because DecompressionStream supports 'deflate' everywhere; brotli bodies are
+ * decoded only where the browser supports it.
+ *
+ * @module api/bilibili-live-socket
+ */
+
+import { APP_CONFIG } from '../config/constants.js';
+
+export const OP = {
+    HEARTBEAT: 2,
+    HEARTBEAT_REPLY: 3,
+    MESSAGE: 5,
+    AUTH: 7,
+    AUTH_REPLY: 8
+};
+
+const PROTO = {
+    JSON: 0,
+    INT32: 1,
+    ZLIB: 2,
+    BROTLI: 3
+};
+
+const HEADER_LEN = 16;
+const textEncoder = new TextEncoder();
+const textDecoder = new TextDecoder();
+
+// ====================================================================
+// Packet Framing
+// ====================================================================
+
+/**
+ * Encode a packet
+ * @param {number} op - Operation code
+ * @param {Object|string} [body] - JSON body
+ * @returns {ArrayBuffer} Encoded packet
+ */
+export function encodePacket(op, body = '') {
+    const payload = textEncoder.encode(typeof body === 'string' ? body : JSON.stringify(body));
+    const buffer = new ArrayBuffer(HEADER_LEN + payload.length);
+    const view = new DataView(buffer);
+
+    view.setUint32(0, buffer.byteLength);
+    view.setUint16(4, HEADER_LEN);
+    view.setUint16(6, 1);
+    view.setUint32(8, op);
+    view.setUint32(12, 1);
+    new Uint8Array(buffer, HEADER_LEN).set(payload);
+
+    return buffer;
+}
+
+/**
+ * Decompress bytes with the native DecompressionStream
+ * @param {Uint8Array} bytes - Compressed bytes
+ * @param {string} format - 'deflate' or 'brotli'
+ * @returns {Promise<Uint8Array>} Decompressed bytes
+ */
+async function decompress(bytes, format) {
+    const stream = new Blob([bytes]).stream().pipeThrough(new DecompressionStream(format));
+    return new Uint8Array(await new Response(stream).arrayBuffer());
+}
+
+/**
+ * Whether the browser can decode a compression format
+ * @param {string} format - Compression format
+ * @returns {boolean} True if supported
+ */
+function supportsFormat(format) {
+    if (typeof DecompressionStream === 'undefined') return false;
+    try {
+        new DecompressionStream(format);
+        return true;
+    } catch {
+        return false;
+    }
+}
+
+/**
+ * Decode all packets in a frame (recursing into compressed bodies)
+ * @param {ArrayBuffer|Uint8Array} data - Raw frame
+ * @returns {Promise<Array<{op: number, body: *}>>} Decoded packets
+ */
+export async function decodePackets(data) {
+    const bytes = data instanceof Uint8Array ? data : new Uint8Array(data);
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    const packets = [];
+    let offset = 0;
+
+    while (offset + HEADER_LEN <= bytes.byteLength) {
+        const packetLen = view.getUint32(offset);
+        const headerLen = view.getUint16(offset + 4);
+        const protover = view.getUint16(offset + 6);
+        const op = view.getUint32(offset + 8);
+        if (packetLen < headerLen || offset + packetLen > bytes.byteLength) break;
+
+        const body = bytes.subarray(offset + headerLen, offset + packetLen);
+        offset += packetLen;
+
+        if (protover === PROTO.ZLIB || protover === PROTO.BROTLI) {
+            const format = protover === PROTO.ZLIB ? 'deflate' : 'brotli';
+            if (!supportsFormat(format)) continue;
+            packets.push(...await decodePackets(await decompress(body, format)));
+            continue;
+        }
+
+        if (op === OP.HEARTBEAT_REPLY) {
+            const popularity = body.byteLength >= 4
+                ? new DataView(body.buffer, body.byteOffset, 4).getUint32(0)
+                : 0;
+            packets.push({ op, body: popularity });
+            continue;
+        }
+
+        try {
+            packets.push({ op, body: JSON.parse(textDecoder.decode(body)) });
+        } catch {
+            // Non-JSON payloads are not used
+        }
+    }
+
+    return packets;
+}
+
+// ====================================================================
+// Connection
+// ====================================================================
+
+/**
+ * One WebSocket subscription to a Bilibili live room
+ */
+export class BilibiliLiveSocket {
+    /**
+     * @param {number} roomId - Real (long) room ID
+     * @param {Object} handlers
+     * @param {Function} handlers.onMessage - (message) => void, for op 5 JSON messages
+     * @param {Function} [handlers.onStateChange] - (state) => void: 'connecting' | 'open' | 'closed'
+     * @param {Function} [handlers.getAuth] - async () => ({ url, key, uid }) connection details
+     */
+    constructor(roomId, { onMessage, onStateChange = () => {}, getAuth = async () => ({}) }) {
+        this.roomId = roomId;
+        this.onMessage = onMessage;
+        this.onStateChange = onStateChange;
+        this.getAuth = getAuth;
+        this.ws = null;
+        this.heartbeatTimer = null;
+        this.reconnectTimer = null;
+        this.reconnectAttempts = 0;
+        this.closed = false;
+    }
+
+    /**
+     * Open the connection (no-op if already open)
+     */
+    async connect() {
+        if (this.closed || this.ws) return;
+        this.onStateChange('connecting');
+
+        let auth = {};
+        try {
+            auth = await this.getAuth();
+        } catch (error) {
+            console.warn(`[BiliWS] Auth lookup failed for room ${this.roomId}:`, error.message);
+        }
+        if (this.closed) return;
+
+        // A malformed URL from getDanmuInfo makes the constructor throw; fall back to the public host
+        let ws = null;
+        for (const url of [auth.url, APP_CONFIG.LIVE_PUSH.BILIBILI_WS_URL]) {
+            if (!url || ws) continue;
+            try {
+                ws = new WebSocket(url);
+            } catch (error) {
+                console.warn(`[BiliWS] Cannot open ${url} for room ${this.roomId}:`, error.message);
+            }
+        }
+        if (!ws) {
+            this.onStateChange('closed');
+            this.scheduleReconnect();
+            return;
+        }
+        ws.binaryType = 'arraybuffer';
+        this.ws = ws;
+
+        ws.onopen = () => {
+            const authBody = {
+                uid: auth.uid || 0,
+                roomid: this.roomId,
+                protover: PROTO.ZLIB,
+                platform: 'web',
+                type: 2
+            };
+            if (auth.key) authBody.key = auth.key;
+            ws.send(encodePacket(OP.AUTH, authBody));
+        };
+
+        ws.onmessage = async event => {
+            try {
+                const packets = await decodePackets(event.data);
+                packets.forEach(packet => this.handlePacket(packet));
+            } catch (error) {
+                // Corrupt or truncated compressed bodies make DecompressionStream reject
+                console.warn(`[BiliWS] Dropped an unreadable frame for room ${this.roomId}:`, error.message);
+            }
+        };
+
+        ws.onerror = () => {
+            // onclose follows and handles reconnection
+        };
+
+        ws.onclose = () => {
+            this.stopHeartbeat();
+            this.ws = null;
+            this.onStateChange('closed');
+            this.scheduleReconnect();
+        };
+    }
+
+    /**
+     * Handle one decoded packet
+     * @param {{op: number, body: *}} packet - Decoded packet
+     */
+    handlePacket({ op, body }) {
+        if (op === OP.AUTH_REPLY) {
+            if (body?.code === 0) {
+                this.reconnectAttempts = 0;
+                this.startHeartbeat();
+                this.onStateChange('open');
+            } else {
+                console.warn(`[BiliWS] Auth rejected for room ${this.roomId}:`, body);
+                this.ws?.close();
+            }
+        } else if (op === OP.MESSAGE && body?.cmd) {
+            this.onMessage(body);
+        }
+    }
+
+    startHeartbeat() {
+        this.stopHeartbeat();
+        const beat = () => {
+            if (this.ws?.readyState === WebSocket.OPEN) this.ws.send(encodePacket(OP.HEARTBEAT));
+        };
+        beat();
+        this.heartbeatTimer = setInterval(beat, APP_CONFIG.LIVE_PUSH.HEARTBEAT_INTERVAL);
+    }
+
+    stopHeartbeat() {
+        if (this.heartbeatTimer) {
+            clearInterval(this.heartbeatTimer);
+            this.heartbeatTimer = null;
+        }
+    }
+
+    /**
+     * Reconnect with exponential backoff and jitter
+     */
+    scheduleReconnect() {
+        if (this.closed || this.reconnectTimer) return;
+
+        const { RECONNECT_BASE_DELAY, RECONNECT_MAX_DELAY } = APP_CONFIG.LIVE_PUSH;
+        const delay = Math.min(RECONNECT_BASE_DELAY * 2 ** this.reconnectAttempts, RECONNECT_MAX_DELAY);
+        this.reconnectAttempts++;
+
+        this.reconnectTimer = setTimeout(() => {
+            this.reconnectTimer = null;
+            this.connect();
+        }, delay + Math.floor(Math.random() * 1000));
+    }
+
+    /**
+     * Close for good (no reconnect)
+     */
+    close() {
+        this.closed = true;
+        this.stopHeartbeat();
+        if (this.reconnectTimer) {
+            clearTimeout(this.reconnectTimer);
+            this.reconnectTimer = null;
+        }
+        if (this.ws) {
+            this.ws.onclose = null;
+            this.ws.close();
+            this.ws = null;
+        }
+        this.onStateChange('closed');
+    }
+}
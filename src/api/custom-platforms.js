@@ -0,0 +1,291 @@
+/**
+ * ====================================================================
+ * Declarative Custom Platforms
+ * ====================================================================
+ *
+ * Builds platform adapters from JSON specs so new sites can be monitored
+ * without a hand-written sniffer. Specs are persisted locally and travel
+ * with import/export files.
+ *
+ * Spec format:
+ * {
+ *   "key": "example",                          // platform id, must not clash with built-ins
+ *   "name": "Example",
+ *   "color": "#888888",                        // optional
+ *   "url": "https://api.example.com/live/{id}",
+ *   "proxy": true,                             // route through proxy pool
+ *   "roomUrl": "https://example.com/{id}",     // optional, card link
+ *   "idPattern": "^[a-z0-9_]+$",               // optional
+ *   "liveValue": 1,                            // optional, isLive must equal this
+ *   "paths": {
+ *     "isLive": "data.live", "title": "data.title", "owner": "data.user.name",
+ *     "cover": "data.cover", "avatar": "data.user.avatar",
+ *     "viewers": "data.online", "startTime": "data.started_at",
+ *     "category": "data.game", "tags": "data.tags",         // optional extras
+ *     "language": "data.lang", "followers": "data.fans"
+ *   }
+ * }
+ *
+ * @module api/custom-platforms
+ */
+
+import { Logger } from '../utils/logger.js';
+import { SafeStorage } from '../utils/safe-storage.js';
+import { PLATFORM_CONFIG } from '../config/constants.js';
+import { PLACEHOLDERS } from '../config/ui-strings.js';
+import { BasePlatformAdapter, AdapterUtils, registerAdapter, unregisterAdapter } from './platform-adapter.js';
+
+const log = Logger.create('CustomPlatforms');
+
+const STORAGE_KEY = 'pro_custom_platforms';
+const KEY_PATTERN = /^[a-z][a-z0-9_-]{1,23}$/;
+const PATH_FIELDS = [
+    'isLive', 'title', 'owner', 'cover', 'avatar', 'viewers', 'startTime',
+    'category', 'tags', 'language', 'followers'
+];
+const DEFAULT_COLOR = '#9CA3AF';
+
+/**
+ * Registered custom specs, keyed by platform id
+ * @type {Map<string, Object>}
+ */
+const customSpecs = new Map();
+
+// ====================================================================
+// Spec Validation
+// ====================================================================
+
+/**
+ * Validate and normalize a platform spec
+ * @param {Object} spec - Raw spec (parsed JSON)
+ * @returns {Object} Normalized spec
+ * @throws {Error} Describes the first invalid field
+ */
+export function normalizePlatformSpec(spec) {
+    if (!spec || typeof spec !== 'object' || Array.isArray(spec)) {
+        throw new Error('平台定义必须是 JSON 对象');
+    }
+
+    const key = typeof spec.key === 'string' ? spec.key.trim().toLowerCase() : '';
+    if (!KEY_PATTERN.test(key)) {
+        throw new Error('key 需为 2-24 位小写字母开头的字母/数字/_/-');
+    }
+    if (Object.hasOwn(PLATFORM_CONFIG, key) && !PLATFORM_CONFIG[key].custom) {
+        throw new Error(`key "${key}" 与内置平台冲突`);
+    }
+
+    if (typeof spec.url !== 'string' || !/^https?:\/\//.test(spec.url) || !spec.url.includes('{id}')) {
+        throw new Error('url 必须是包含 {id} 的 http(s) 地址');
+    }
+    if (spec.roomUrl !== undefined && (typeof spec.roomUrl !== 'string' || !/^https?:\/\//.test(spec.roomUrl))) {
+        throw new Error('roomUrl 必须是 http(s) 地址');
+    }
+
+    const paths = {};
+    PATH_FIELDS.forEach(field => {
+        const value = spec.paths?.[field];
+        if (value === undefined || value === '') return;
+        if (typeof value !== 'string') throw new Error(`paths.${field} 必须是字符串`);
+        paths[field] = value.trim();
+    });
+    if (!paths.isLive) {
+        throw new Error('paths.isLive 为必填项');
+    }
+
+    let idPattern = null;
+    if (spec.idPattern) {
+        try {
+            idPattern = new RegExp(spec.idPattern).source;
+        } catch {
+            throw new Error('idPattern 不是有效的正则表达式');
+        }
+    }
+
+    return {
+        key,
+        name: typeof spec.name === 'string' && spec.name.trim() ? spec.name.trim() : key,
+        color: /^#[0-9a-f]{3,8}$/i.test(spec.color || '') ? spec.color : DEFAULT_COLOR,
+        url: spec.url,
+        proxy: spec.proxy !== false,
+        roomUrl: spec.roomUrl || null,
+        idPattern,
+        liveValue: spec.liveValue ?? null,
+        international: spec.international === true,
+        paths
+    };
+}
+
+// ====================================================================
+// Declarative Adapter
+// ====================================================================
+
+/**
+ * Adapter driven entirely by a platform spec
+ */
+export class DeclarativePlatformAdapter extends BasePlatformAdapter {
+    /**
+     * @param {Object} spec - Normalized platform spec
+     */
+    constructor(spec) {
+        super(spec.key);
+        this.spec = spec;
+        this.idRegex = spec.idPattern ? new RegExp(spec.idPattern) : null;
+    }
+
+    validateId(id) {
+        return super.validateId(id) && (!this.idRegex || this.idRegex.test(id));
+    }
+
+    /**
+     * Read a mapped field from the response
+     * @param {Object} data - Response JSON
+     * @param {string} field - Spec path field name
+     * @returns {*} Value or undefined when unmapped
+     */
+    read(data, field) {
+        const path = this.spec.paths[field];
+        return path ? AdapterUtils.get(data, path) : undefined;
+    }
+
+    async getStatus(id, options = {}, prevData = null) {
+        const url = this.spec.url.replace(/\{id\}/g, encodeURIComponent(id));
+        const data = await AdapterUtils.fetchJSON(url, { useProxy: this.spec.proxy, timeout: options.timeout });
+
+        if (!data) {
+            this.log.warn(`Network error for ${this.spec.key}:${id} - will retry`);
+            return null;
+        }
+
+        const res = this.createDefaultResponse(id, prevData);
+        const liveRaw = this.read(data, 'isLive');
+        res.isLive = this.spec.liveValue !== null
+            ? String(liveRaw) === String(this.spec.liveValue)
+            : !!liveRaw;
+
+        res.title = this.read(data, 'title') || res.title;
+        res.owner = this.read(data, 'owner') || res.owner;
+        res.avatar = this.read(data, 'avatar') || res.avatar;
+        res.cover = this.read(data, 'cover') || res.avatar || res.cover;
+
+        const category = this.read(data, 'category');
+        if (category) res.category = String(category);
+        const tags = this.read(data, 'tags');
+        if (tags) {
+            res.tags = (Array.isArray(tags) ? tags : String(tags).split(','))
+                .map(tag => String(tag).trim())
+                .filter(Boolean);
+        }
+        const language = this.read(data, 'language');
+        if (language) res.language = String(language).toLowerCase();
+        const followers = this.normalizeViewerCount(this.read(data, 'followers'));
+        if (followers > 0) res.followers = followers;
+
+        if (res.isLive) {
+            res.heatValue = this.normalizeViewerCount(this.read(data, 'viewers'));
+            res.startTime = AdapterUtils.parseTimestamp(this.read(data, 'startTime'));
+        }
+
+        return res;
+    }
+}
+
+// ====================================================================
+// Registry & Persistence
+// ====================================================================
+
+/**
+ * Save current specs to storage
+ */
+function persistSpecs() {
+    SafeStorage.setJSON(STORAGE_KEY, Array.from(customSpecs.values()));
+}
+
+/**
+ * Register a custom platform from a spec
+ * @param {Object} rawSpec - Platform spec
+ * @param {Object} [options]
+ * @param {boolean} [options.persist=true] - Save to storage
+ * @returns {Object} Normalized spec
+ * @throws {Error} When the spec is invalid
+ */
+export function registerCustomPlatform(rawSpec, { persist = true } = {}) {
+    const spec = normalizePlatformSpec(rawSpec);
+
+    registerAdapter(spec.key, new DeclarativePlatformAdapter(spec));
+    PLATFORM_CONFIG[spec.key] = {
+        name: spec.name,
+        color: spec.color,
+        icon: '🧩',
+        idPattern: spec.idPattern ? new RegExp(spec.idPattern) : /^.+$/,
+        idPlaceholder: '房间 ID',
+        maxIdLength: 100,
+        international: spec.international,
+        roomUrl: spec.roomUrl,
+        custom: true
+    };
+    PLACEHOLDERS[spec.key] = `输入 ${spec.name} ID...`;
+
+    customSpecs.set(spec.key, spec);
+    if (persist) persistSpecs();
+
+    log.info(`Registered custom platform: ${spec.key}`);
+    return spec;
+}
+
+/**
+ * Remove a custom platform
+ * @param {string} key - Platform id
+ * @returns {boolean} Whether a custom platform was removed
+ */
+export function removeCustomPlatform(key) {
+    if (!customSpecs.has(key)) return false;
+
+    customSpecs.delete(key);
+    unregisterAdapter(key);
+    delete PLATFORM_CONFIG[key];
+    delete PLACEHOLDERS[key];
+    persistSpecs();
+    return true;
+}
+
+/**
+ * Get all registered custom platform specs
+ * @returns {Object[]} Normalized specs
+ */
+export function getCustomPlatformSpecs() {
+    return Array.from(customSpecs.values());
+}
+
+/**
+ * Register a list of specs, skipping invalid ones
+ * @param {Object[]} specs - Raw specs (e.g. from an import file)
+ * @returns {{registered: string[], failed: Array<{key: string, error: string}>}}
+ */
+export function registerCustomPlatforms(specs) {
+    const registered = [];
+    const failed = [];
+
+    (Array.isArray(specs) ? specs : []).forEach(spec => {
+        try {
+            registered.push(registerCustomPlatform(spec, { persist: false }).key);
+        } catch (error) {
+            failed.push({ key: spec?.key || '?', error: error.message });
+        }
+    });
+
+    if (registered.length > 0) persistSpecs();
+    return { registered, failed };
+}
+
+/**
+ * Load persisted custom platforms (once per page load)
+ */
+export function loadCustomPlatforms() {
+    const stored = SafeStorage.getJSON(STORAGE_KEY, []);
+    const { registered, failed } = registerCustomPlatforms(stored);
+
+    failed.forEach(({ key, error }) => log.warn(`Skipped stored platform "${key}": ${error}`));
+    if (registered.length > 0) {
+        log.info(`Loaded ${registered.length} custom platform(s)`);
+    }
+}
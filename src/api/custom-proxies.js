@@ -0,0 +1,227 @@
+/**
+ * ====================================================================
+ * User-Defined Proxy Endpoints
+ * ====================================================================
+ *
+ * Lets users add their own or self-hosted CORS proxies next to the
+ * built-in public ones. Enabled entries are merged into PROXIES, so the
+ * smart proxy order scores them like any other proxy; disabled entries
+ * stay saved but are not used.
+ *
+ * Entry format:
+ * {
+ *   "name": "My Proxy",                              // unique, shown in logs and stats
+ *   "url": "https://proxy.example.com/?url={url}",   // {url} = encoded target, {rawUrl} = as is
+ *   "wrap": false,                                   // response is { contents: "..." }
+ *   "tier": "premium",                               // private (own relay) | premium | standard | fallback
+ *   "region": "mainland",                            // overseas | mainland | global
+ *   "enabled": true
+ * }
+ *
+ * @module api/custom-proxies
+ */
+
+import { Logger } from '../utils/logger.js';
+import { SafeStorage } from '../utils/safe-storage.js';
+import { PROXIES, createRelayProxy } from '../config/proxies.js';
+import { invalidateProxyOrder } from './proxy-manager.js';
+
+const log = Logger.create('CustomProxies');
+
+const STORAGE_KEY = 'pro_custom_proxies';
+const TIERS = ['private', 'premium', 'standard', 'fallback'];
+const REGIONS = ['overseas', 'mainland', 'global'];
+
+// Between the best built-in proxies (50) and the rest: a proxy the user added is
+// expected to work, but still has to prove it through its success rate
+const CUSTOM_PROXY_WEIGHT = 30;
+
+/**
+ * Saved entries, in the order they were added
+ * @type {Object[]}
+ */
+let customEntries = [];
+
+// ====================================================================
+// Validation
+// ====================================================================
+
+/**
+ * Validate and normalize a proxy entry
+ * @param {Object} entry - Raw entry (form values or stored JSON)
+ * @returns {Object} Normalized entry
+ * @throws {Error} Describes the first invalid field
+ */
+export function normalizeProxyEntry(entry) {
+    if (!entry || typeof entry !== 'object') throw new Error('代理配置必须是对象');
+
+    const name = String(entry.name ?? '').trim();
+    if (!name) throw new Error('请填写代理名称');
+    if (name.length > 40) throw new Error('代理名称最多 40 个字符');
+
+    const url = String(entry.url ?? '').trim();
+    if (!/^https?:\/\//i.test(url)) throw new Error('代理地址必须以 http:// 或 https:// 开头');
+    if (!url.includes('{url}') && !url.includes('{rawUrl}')) {
+        throw new Error('代理地址需要包含 {url} 占位符');
+    }
+
+    const tier = entry.tier ?? 'premium';
+    if (!TIERS.includes(tier)) throw new Error(`未知的层级: ${tier}`);
+
+    const region = entry.region ?? 'global';
+    if (!REGIONS.includes(region)) throw new Error(`未知的地区: ${region}`);
+
+    return {
+        name,
+        url,
+        wrap: entry.wrap === true,
+        tier,
+        region,
+        enabled: entry.enabled !== false
+    };
+}
+
+// ====================================================================
+// Proxy List
+// ====================================================================
+
+/**
+ * Build the PROXIES entry for a saved entry
+ * @param {Object} entry - Normalized entry
+ * @returns {Object} Proxy config
+ */
+function toProxyConfig(entry) {
+    const url = target => entry.url
+        .replaceAll('{url}', encodeURIComponent(target))
+        .replaceAll('{rawUrl}', target);
+
+    // The private tier is a LiveRadar relay (server/relay.js)
+    if (entry.tier === 'private') {
+        return { ...createRelayProxy(entry.name, url, entry.region), custom: true };
+    }
+
+    return {
+        name: entry.name,
+        url,
+        wrap: entry.wrap,
+        weight: CUSTOM_PROXY_WEIGHT,
+        region: entry.region,
+        tier: entry.tier,
+        custom: true
+    };
+}
+
+/**
+ * Replace the custom proxies in PROXIES with the enabled entries
+ */
+function syncProxyList() {
+    for (let i = PROXIES.length - 1; i >= 0; i--) {
+        if (PROXIES[i].custom) PROXIES.splice(i, 1);
+    }
+    customEntries
+        .filter(entry => entry.enabled)
+        .forEach(entry => PROXIES.push(toProxyConfig(entry)));
+    invalidateProxyOrder();
+}
+
+/**
+ * Save entries and apply them to the proxy list
+ */
+function commit() {
+    SafeStorage.setJSON(STORAGE_KEY, customEntries);
+    syncProxyList();
+}
+
+/**
+ * Whether a name is taken by a built-in proxy or another entry
+ * @param {string} name - Proxy name
+ * @returns {boolean} True if taken
+ */
+function isNameTaken(name) {
+    return PROXIES.some(proxy => !proxy.custom && proxy.name === name)
+        || customEntries.some(entry => entry.name === name);
+}
+
+// ====================================================================
+// Public API
+// ====================================================================
+
+/**
+ * Saved custom proxy entries
+ * @returns {Object[]} Normalized entries (enabled and disabled)
+ */
+export function getCustomProxies() {
+    return customEntries.map(entry => ({ ...entry }));
+}
+
+/**
+ * Add a proxy entry
+ * @param {Object} rawEntry - Entry fields
+ * @returns {Object} Normalized entry
+ * @throws {Error} When the entry is invalid or the name is taken
+ */
+export function addCustomProxy(rawEntry) {
+    const entry = normalizeProxyEntry(rawEntry);
+    if (isNameTaken(entry.name)) throw new Error(`代理名称已存在: ${entry.name}`);
+
+    customEntries.push(entry);
+    commit();
+    log.info(`Added custom proxy: ${entry.name}`);
+    return entry;
+}
+
+/**
+ * Enable or disable a proxy entry
+ * @param {string} name - Proxy name
+ * @param {boolean} enabled - Whether the proxy is used
+ * @returns {boolean} Whether an entry was changed
+ */
+export function setCustomProxyEnabled(name, enabled) {
+    const entry = customEntries.find(item => item.name === name);
+    if (!entry || entry.enabled === enabled) return false;
+
+    entry.enabled = enabled;
+    commit();
+    return true;
+}
+
+/**
+ * Remove a proxy entry
+ * @param {string} name - Proxy name
+ * @returns {boolean} Whether an entry was removed
+ */
+export function removeCustomProxy(name) {
+    const before = customEntries.length;
+    customEntries = customEntries.filter(entry => entry.name !== name);
+    if (customEntries.length === before) return false;
+
+    commit();
+    return true;
+}
+
+/**
+ * Use the given entries without saving them (workers get the page's entries)
+ * @param {Object[]} entries - Entries from getCustomProxies()
+ */
+export function applyCustomProxies(entries) {
+    customEntries = [];
+    (Array.isArray(entries) ? entries : []).forEach(raw => {
+        try {
+            const entry = normalizeProxyEntry(raw);
+            if (!isNameTaken(entry.name)) customEntries.push(entry);
+        } catch (error) {
+            log.warn(`Skipped proxy "${raw?.name || '?'}": ${error.message}`);
+        }
+    });
+    syncProxyList();
+}
+
+/**
+ * Load saved custom proxies (once per page load)
+ */
+export function loadCustomProxies() {
+    applyCustomProxies(SafeStorage.getJSON(STORAGE_KEY, []));
+    if (customEntries.length > 0) {
+        log.info(`Loaded ${customEntries.length} custom proxy(s)`);
+    }
+}
@@ -0,0 +1,207 @@
+/**
+ * ====================================================================
+ * Kick Pusher WebSocket Client
+ * ====================================================================
+ *
+ * Minimal Pusher protocol (v7) client for Kick's public realtime events.
+ * One connection carries all subscribed topics:
+ * - channel.<channelId>      StreamerIsLive / StopStreamBroadcast
+ * - chatroom_<chatroomId>    room-level events (no chat messages)
+ *
+ * Pusher frames are JSON `{ event, channel, data }` where `data` is itself a
+ * JSON string. The client answers server pings, pings on inactivity, and
+ * reconnects with exponential backoff.
+ *
+ * @module api/kick-pusher-socket
+ */
+
+import { APP_CONFIG, API_ENDPOINTS } from '../config/constants.js';
+
+const DEFAULT_ACTIVITY_TIMEOUT = 120; // seconds, overridden by the server handshake
+
+/**
+ * Shared Pusher connection for Kick topics
+ */
+export class KickPusherSocket {
+    /**
+     * @param {Object} handlers
+     * @param {Function} handlers.onEvent - (channel, event, data) => void for non-protocol events
+     * @param {Function} [handlers.onStateChange] - (state) => void: 'connecting' | 'open' | 'closed'
+     */
+    constructor({ onEvent, onStateChange = () => {} }) {
+        this.onEvent = onEvent;
+        this.onStateChange = onStateChange;
+        this.ws = null;
+        this.topics = new Set();
+        this.isOpen = false;
+        this.pingTimer = null;
+        this.activityTimeout = DEFAULT_ACTIVITY_TIMEOUT;
+        this.reconnectTimer = null;
+        this.reconnectAttempts = 0;
+        this.closed = false;
+    }
+
+    /**
+     * Open the connection (no-op if already open)
+     */
+    connect() {
+        if (this.closed || this.ws) return;
+        this.onStateChange('connecting');
+
+        const ws = new WebSocket(API_ENDPOINTS.KICK.PUSHER_WS);
+        this.ws = ws;
+
+        ws.onmessage = event => {
+            let frame;
+            try {
+                frame = JSON.parse(event.data);
+            } catch {
+                return;
+            }
+            // JSON.parse accepts `null` and other non-frames
+            if (frame && typeof frame === 'object') this.handleFrame(frame);
+        };
+
+        ws.onerror = () => {
+            // onclose follows and handles reconnection
+        };
+
+        ws.onclose = () => {
+            this.ws = null;
+            this.isOpen = false;
+            this.stopPing();
+            this.onStateChange('closed');
+            this.scheduleReconnect();
+        };
+    }
+
+    /**
+     * Handle one Pusher frame
+     * @param {{event: string, channel?: string, data?: string|Object}} frame - Parsed frame
+     */
+    handleFrame({ event, channel, data }) {
+        this.resetPing();
+
+        switch (event) {
+            case 'pusher:connection_established': {
+                let info = data;
+                if (typeof data === 'string') {
+                    try {
+                        info = JSON.parse(data);
+                    } catch {
+                        info = null;
+                    }
+                }
+                this.activityTimeout = info?.activity_timeout || DEFAULT_ACTIVITY_TIMEOUT;
+                this.isOpen = true;
+                this.reconnectAttempts = 0;
+                this.topics.forEach(topic => this.sendSubscribe(topic));
+                this.onStateChange('open');
+                break;
+            }
+            case 'pusher:ping':
+                this.send({ event: 'pusher:pong', data: {} });
+                break;
+            case 'pusher:error':
+                console.warn('[KickPusher] Server error:', data);
+                break;
+            case 'pusher:pong':
+            case 'pusher_internal:subscription_succeeded':
+                break;
+            default: {
+                let payload = data;
+                if (typeof data === 'string') {
+                    try {
+                        payload = JSON.parse(data);
+                    } catch {
+                        payload = null;
+                    }
+                }
+                this.onEvent(channel, event, payload);
+            }
+        }
+    }
+
+    /**
+     * Send a frame if the socket is open
+     * @param {Object} frame - Pusher frame
+     */
+    send(frame) {
+        if (this.ws?.readyState === WebSocket.OPEN) this.ws.send(JSON.stringify(frame));
+    }
+
+    sendSubscribe(topic) {
+        this.send({ event: 'pusher:subscribe', data: { auth: '', channel: topic } });
+    }
+
+    /**
+     * Subscribe to a topic (sent now if connected, otherwise on connect)
+     * @param {string} topic - Pusher channel name
+     */
+    subscribe(topic) {
+        if (this.topics.has(topic)) return;
+        this.topics.add(topic);
+        if (this.isOpen) this.sendSubscribe(topic);
+    }
+
+    /**
+     * Unsubscribe from a topic
+     * @param {string} topic - Pusher channel name
+     */
+    unsubscribe(topic) {
+        if (!this.topics.delete(topic)) return;
+        if (this.isOpen) this.send({ event: 'pusher:unsubscribe', data: { channel: topic } });
+    }
+
+    /**
+     * Ping after a quiet activity_timeout, as the Pusher protocol requires
+     */
+    resetPing() {
+        this.stopPing();
+        this.pingTimer = setTimeout(() => {
+            this.send({ event: 'pusher:ping', data: {} });
+        }, this.activityTimeout * 1000);
+    }
+
+    stopPing() {
+        if (this.pingTimer) {
+            clearTimeout(this.pingTimer);
+            this.pingTimer = null;
+        }
+    }
+
+    /**
+     * Reconnect with exponential backoff and jitter
+     */
+    scheduleReconnect() {
+        if (this.closed || this.reconnectTimer) return;
+
+        const { RECONNECT_BASE_DELAY, RECONNECT_MAX_DELAY } = APP_CONFIG.LIVE_PUSH;
+        const delay = Math.min(RECONNECT_BASE_DELAY * 2 ** this.reconnectAttempts, RECONNECT_MAX_DELAY);
+        this.reconnectAttempts++;
+
+        this.reconnectTimer = setTimeout(() => {
+            this.reconnectTimer = null;
+            this.connect();
+        }, delay + Math.floor(Math.random() * 1000));
+    }
+
+    /**
+     * Close for good (no reconnect)
+     */
+    close() {
+        this.closed = true;
+        this.isOpen = false;
+        this.stopPing();
+        if (this.reconnectTimer) {
+            clearTimeout(this.reconnectTimer);
+            this.reconnectTimer = null;
+        }
+        if (this.ws) {
+            this.ws.onclose = null;
+            this.ws.close();
+            this.ws = null;
+        }
+        this.onStateChange('closed');
+    }
+}
@@ -18,8 +18,8 @@
 import { Logger } from '../utils/logger.js';
 import { ErrorHandler, retry, isRetryableError } from '../utils/error-handler.js';
 import { fetchWithProxy, fetchQuick } from './proxy-manager.js';
-import { APP_CONFIG } from '../config/constants.js';
-import { getDouyuStatus, getBilibiliStatus, getTwitchStatus, getKickStatus } from './platform-sniffers.js';
+import { APP_CONFIG, PLATFORM_CONFIG } from '../config/constants.js';
+import { getDouyuStatus, getBilibiliStatus, getBilibiliStatusBatch, getTwitchStatus, getTwitchStatusGQL, getTwitchStatusBatch, getKickStatus, getHuyaStatus, getYouTubeStatus, getDouyinStatus, getChzzkStatus, getSoopStatus, resolveDouyuRoomId, resolveBilibiliRoomId } from './platform-sniffers.js';
 
 const log = Logger.create('PlatformAdapter');
 
@@ -39,6 +39,13 @@ const log = Logger.create('PlatformAdapter');
  * @property {boolean} isError - Whether an error occurred
  * @property {number|null} startTime - Stream start timestamp (ms)
  * @property {number} [lastTitleUpdate] - Last title update timestamp
+ * @property {boolean} [isUpcoming] - Scheduled stream/premiere (startTime is the planned start)
+ * @property {string} [category] - Game/category name
+ * @property {string[]} [tags] - Stream tags
+ * @property {string} [language] - Broadcast language code (lowercase, e.g. "en")
+ * @property {number} [followers] - Follower/subscriber count
+ * @property {boolean} [notFound] - The platform reported that the room/channel does not exist
+ * @property {string} [canonicalId] - Canonical room ID (the requested ID may be an alias: short ID, vanity name)
  */
 
 /**
@@ -62,6 +69,8 @@ export class BasePlatformAdapter {
     constructor(platform) {
         this.platform = platform;
         this.log = Logger.create(this.constructor.name);
+        /** Max IDs per getStatusBatch call (0 = no multi-room API) */
+        this.maxBatchSize = 0;
     }
 
     /**
@@ -107,6 +116,44 @@ export class BasePlatformAdapter {
         throw new Error('getStatus must be implemented by subclass');
     }
 
+    /**
+     * Fetch status for several rooms at once
+     * Adapters with a multi-room API override this and set maxBatchSize;
+     * the default simply loops over getStatus
+     * @param {string[]} ids - Room/channel IDs
+     * @param {FetchOptions} [options] - Fetch options
+     * @param {Object<string, Object>} [prevDataById] - Previous cached data by ID
+     * @returns {Promise<Map<string, RoomStatus|null>|null>} Results by ID (IDs left out
+     *   were not resolved and should be fetched individually), or null on network failure
+     */
+    async getStatusBatch(ids, options = {}, prevDataById = {}) {
+        const results = new Map();
+        for (const id of ids) {
+            results.set(id, await this.getStatus(id, options, prevDataById[id] || null));
+        }
+        return results;
+    }
+
+    /**
+     * Whether a room can be included in a getStatusBatch call
+     * @param {string} id - Room/channel ID
+     * @param {Object} [prevData] - Previous cached data
+     * @returns {boolean} True if batching is worthwhile for this room
+     */
+    canBatch(_id, _prevData = null) {
+        return this.maxBatchSize > 1;
+    }
+
+    /**
+     * Resolve an alias (short ID, vanity name) to the canonical room ID
+     * Platforms without aliases return the ID unchanged
+     * @param {string} id - Room/channel ID as entered
+     * @returns {Promise<string|null>} Canonical ID, or null if the lookup failed
+     */
+    async resolveCanonicalId(id) {
+        return id;
+    }
+
     /**
      * Validate room/channel ID
      * @param {string} id - ID to validate
@@ -151,6 +198,15 @@ export function registerAdapter(platform, adapter) {
     log.debug(`Registered adapter for platform: ${platform}`);
 }
 
+/**
+ * Remove a platform adapter
+ * @param {string} platform - Platform identifier
+ * @returns {boolean} Whether an adapter was removed
+ */
+export function unregisterAdapter(platform) {
+    return adapterRegistry.delete(platform);
+}
+
 /**
  * Get adapter for a platform
  * @param {string} platform - Platform identifier
@@ -178,22 +234,83 @@ class DouyuAdapter extends BasePlatformAdapter {
         const fetchAvatar = options.fetchAvatar !== false;
         return getDouyuStatus(id, fetchAvatar, prevData);
     }
+    async resolveCanonicalId(id) {
+        return resolveDouyuRoomId(id);
+    }
 }
 
 class BilibiliAdapter extends BasePlatformAdapter {
-    constructor() { super('bilibili'); }
+    constructor() {
+        super('bilibili');
+        this.maxBatchSize = APP_CONFIG.STATUS_BATCH.BILIBILI;
+    }
     async getStatus(id, options = {}, prevData = null) {
         const fetchAvatar = options.fetchAvatar !== false;
         return getBilibiliStatus(id, fetchAvatar, prevData);
     }
+    async getStatusBatch(ids, options = {}, prevDataById = {}) {
+        const fetchAvatar = options.fetchAvatar !== false;
+        return getBilibiliStatusBatch(ids, fetchAvatar, prevDataById);
+    }
+    // The multi-room API is keyed by UID, learned from the first per-room fetch
+    canBatch(id, prevData = null) {
+        return super.canBatch(id, prevData) && !!prevData?.uid;
+    }
+    async resolveCanonicalId(id) {
+        return resolveBilibiliRoomId(id);
+    }
 }
 
+/**
+ * Twitch: GQL (structured JSON) is the primary source, DecAPI the fallback.
+ * After a GQL failure the adapter stays on DecAPI for a cooldown period instead
+ * of paying for a failing request on every channel.
+ */
 class TwitchAdapter extends BasePlatformAdapter {
-    constructor() { super('twitch'); }
+    constructor() {
+        super('twitch');
+        this.maxBatchSize = APP_CONFIG.STATUS_BATCH.TWITCH;
+        this.primaryFailedAt = 0;
+    }
+
+    /**
+     * Whether the GQL source should be tried
+     * @returns {boolean} False while cooling down after a failure
+     */
+    usePrimary() {
+        return Date.now() - this.primaryFailedAt > APP_CONFIG.NETWORK.TWITCH_PRIMARY_COOLDOWN;
+    }
+
+    markPrimaryFailed() {
+        if (this.usePrimary()) this.log.warn('Twitch GQL unavailable, falling back to DecAPI');
+        this.primaryFailedAt = Date.now();
+    }
+
     async getStatus(id, options = {}, prevData = null) {
         const fetchAvatar = options.fetchAvatar !== false;
+
+        if (this.usePrimary()) {
+            const result = await getTwitchStatusGQL(id, fetchAvatar, prevData);
+            if (result) return result;
+            this.markPrimaryFailed();
+        }
+
         return getTwitchStatus(id, fetchAvatar, prevData);
     }
+
+    async getStatusBatch(ids, options = {}, prevDataById = {}) {
+        const fetchAvatar = options.fetchAvatar !== false;
+        const results = await getTwitchStatusBatch(ids, fetchAvatar, prevDataById);
+        if (results) return results;
+
+        // Empty map: every channel is fetched individually (via DecAPI during cooldown)
+        this.markPrimaryFailed();
+        return new Map();
+    }
+
+    canBatch(id, prevData = null) {
+        return super.canBatch(id, prevData) && this.usePrimary();
+    }
 }
 
 class KickAdapter extends BasePlatformAdapter {
@@ -204,6 +321,58 @@ class KickAdapter extends BasePlatformAdapter {
     }
 }
 
+class ChzzkAdapter extends BasePlatformAdapter {
+    constructor() { super('chzzk'); }
+    validateId(id) {
+        return super.validateId(id) && PLATFORM_CONFIG.chzzk.idPattern.test(id);
+    }
+    async getStatus(id, options = {}, prevData = null) {
+        const fetchAvatar = options.fetchAvatar !== false;
+        return getChzzkStatus(id, fetchAvatar, prevData);
+    }
+}
+
+class SoopAdapter extends BasePlatformAdapter {
+    constructor() { super('soop'); }
+    validateId(id) {
+        return super.validateId(id) && PLATFORM_CONFIG.soop.idPattern.test(id);
+    }
+    async getStatus(id, options = {}, prevData = null) {
+        const fetchAvatar = options.fetchAvatar !== false;
+        return getSoopStatus(id, fetchAvatar, prevData);
+    }
+}
+
+class HuyaAdapter extends BasePlatformAdapter {
+    constructor() { super('huya'); }
+    async getStatus(id, options = {}, prevData = null) {
+        const fetchAvatar = options.fetchAvatar !== false;
+        return getHuyaStatus(id, fetchAvatar, prevData);
+    }
+}
+
+class YouTubeAdapter extends BasePlatformAdapter {
+    constructor() { super('youtube'); }
+    validateId(id) {
+        return super.validateId(id) && PLATFORM_CONFIG.youtube.idPattern.test(id);
+    }
+    async getStatus(id, options = {}, prevData = null) {
+        const fetchAvatar = options.fetchAvatar !== false;
+        return getYouTubeStatus(id, fetchAvatar, prevData);
+    }
+}
+
+class DouyinAdapter extends BasePlatformAdapter {
+    constructor() { super('douyin'); }
+    validateId(id) {
+        return super.validateId(id) && PLATFORM_CONFIG.douyin.idPattern.test(id);
+    }
+    async getStatus(id, options = {}, prevData = null) {
+        const fetchAvatar = options.fetchAvatar !== false;
+        return getDouyinStatus(id, fetchAvatar, prevData);
+    }
+}
+
 /**
  * Register default platform adapters (once)
  */
@@ -212,6 +381,11 @@ export function registerDefaultAdapters() {
     if (!getAdapter('bilibili')) registerAdapter('bilibili', new BilibiliAdapter());
     if (!getAdapter('twitch')) registerAdapter('twitch', new TwitchAdapter());
     if (!getAdapter('kick')) registerAdapter('kick', new KickAdapter());
+    if (!getAdapter('chzzk')) registerAdapter('chzzk', new ChzzkAdapter());
+    if (!getAdapter('soop')) registerAdapter('soop', new SoopAdapter());
+    if (!getAdapter('huya')) registerAdapter('huya', new HuyaAdapter());
+    if (!getAdapter('youtube')) registerAdapter('youtube', new YouTubeAdapter());
+    if (!getAdapter('douyin')) registerAdapter('douyin', new DouyinAdapter());
 }
 
 // ====================================================================
@@ -247,6 +421,51 @@ export async function fetchPlatformStatus(platform, id, options = {}, prevData =
     }
 }
 
+/**
+ * Fetch status for several rooms of one platform
+ * @param {string} platform - Platform identifier
+ * @param {string[]} ids - Room/channel IDs
+ * @param {FetchOptions} [options] - Fetch options
+ * @param {Object<string, Object>} [prevDataById] - Previous cached data by ID
+ * @returns {Promise<Map<string, RoomStatus|null>|null>} Results by ID, or null on error
+ */
+export async function fetchPlatformStatusBatch(platform, ids, options = {}, prevDataById = {}) {
+    const adapter = getAdapter(platform);
+
+    if (!adapter) {
+        log.error(`No adapter registered for platform: ${platform}`);
+        return null;
+    }
+
+    const validIds = ids.filter(id => adapter.validateId(id));
+
+    try {
+        return await adapter.getStatusBatch(validIds, options, prevDataById);
+    } catch (error) {
+        ErrorHandler.log(error, `${platform}:batch(${validIds.length})`);
+        return null;
+    }
+}
+
+/**
+ * Resolve a room ID to its canonical form (e.g. Bilibili short ID 6 → 7734200)
+ * Falls back to the ID as entered when the platform has no aliases or the lookup fails
+ * @param {string} platform - Platform identifier
+ * @param {string} id - Room/channel ID as entered
+ * @returns {Promise<string>} Canonical ID
+ */
+export async function resolveCanonicalRoomId(platform, id) {
+    const adapter = getAdapter(platform);
+    if (!adapter || !adapter.validateId(id)) return id;
+
+    try {
+        return (await adapter.resolveCanonicalId(id)) || id;
+    } catch (error) {
+        ErrorHandler.log(error, `${platform}:${id}:canonical`);
+        return id;
+    }
+}
+
 // ====================================================================
 // Shared Utilities for Adapters
 // ====================================================================
@@ -362,8 +581,11 @@ export const AdapterUtils = {
 export default {
     BasePlatformAdapter,
     registerAdapter,
+    unregisterAdapter,
     getAdapter,
     getRegisteredPlatforms,
     fetchPlatformStatus,
+    fetchPlatformStatusBatch,
+    resolveCanonicalRoomId,
     AdapterUtils
 };
@@ -6,23 +6,47 @@
  * Implements API integration for:
  * - Douyu (斗鱼): ratestream API + betard fallback
  * - Bilibili (哔哩哔哩): Room info + Master API for user data
- * - Twitch: DecAPI integration for status and metadata
+ * - Twitch: GQL (structured JSON) with DecAPI text endpoints as fallback
+ * - Kick: API v2 channel endpoint
+ * - CHZZK (치지직): live-detail API
+ * - SOOP (숲, formerly AfreecaTV): station API
+ * - Huya (虎牙): mp.huya.com profileRoom API
+ * - YouTube: channel /live page (live + scheduled premieres)
+ * - Douyin (抖音): webcast room/web/enter API with ttwid cookie bootstrap
  *
  * Features:
  * - Multi-tier API fallback strategies
  * - Parallel request optimization
  * - Live duration tracking
  * - Avatar and metadata fetching
+ * - Category, tags, language and follower count where the platform exposes them
  *
  * @module api/platform-sniffers
  */
 
-import { APP_CONFIG } from '../config/constants.js';
-import { fetchWithProxy, fetchQuick } from './proxy-manager.js';
+import { APP_CONFIG, API_ENDPOINTS } from '../config/constants.js';
+import {
+    fetchWithProxy,
+    fetchQuick,
+    fetchTextWithProxy,
+    setPlatformCookie,
+    getPlatformCookie,
+    clearPlatformCookies
+} from './proxy-manager.js';
+import { SafeStorage } from '../utils/safe-storage.js';
 import { ErrorHandler } from '../utils/error-handler.js';
-import { getRoomDataCache, updateRoomCache } from '../core/state.js';
 import { parseHeatValue } from '../utils/helpers.js';
 
+/**
+ * Normalize a tag list (array or comma-separated string) to trimmed strings
+ * @param {string[]|string|null|undefined} value - Raw tags
+ * @returns {string[]} Tags
+ */
+function splitTags(value) {
+    const list = Array.isArray(value) ? value : String(value || '').split(',');
+    return list.map(tag => String(tag).trim()).filter(Boolean);
+}
+
 /**
  * Initialize sniffer module (no longer needs dependencies)
  * Kept for backward compatibility
@@ -70,6 +94,9 @@ export async function getDouyuStatus(id, fetchAvatar, prevData) {
         res.title = bizAll.room_name || roomInfo.room_name || res.title;
         res.owner = bizAll.nickname || roomInfo.nickname || res.owner;
         res.heatValue = parseHeatValue(bizAll.online || roomInfo.online || 0);
+        res.category = bizAll.second_lvl_name || roomInfo.second_lvl_name || prevData?.category || "";
+        const roomId = roomInfo.room_id || bizAll.room_id;
+        if (roomId) res.canonicalId = String(roomId);
 
         const baseCover = bizAll.room_pic || roomInfo.room_pic;
         // 直播中使用基础封面（时间戳由统一逻辑控制刷新）
@@ -94,6 +121,8 @@ export async function getDouyuStatus(id, fetchAvatar, prevData) {
         res.title = d.room_name || res.title;
         res.owner = d.nickname || res.owner;
         res.heatValue = parseHeatValue(d.online || 0);
+        res.category = d.second_lvl_name || prevData?.category || "";
+        if (d.room_id) res.canonicalId = String(d.room_id);
         // 直播中使用基础封面（时间戳由统一逻辑控制刷新）
         res.cover = d.room_pic || res.cover;
         res.avatar = d.owner_avatar || res.avatar;
@@ -110,6 +139,17 @@ export async function getDouyuStatus(id, fetchAvatar, prevData) {
     return null;
 }
 
+/**
+ * Resolve a Douyu room ID or vanity alias (douyu.com/<alias>) to the numeric room ID
+ * @param {string} id - Room ID as entered
+ * @returns {Promise<string|null>} Canonical room ID, or null if the lookup failed
+ */
+export async function resolveDouyuRoomId(id) {
+    const data = await fetchQuick(`${API_ENDPOINTS.DOUYU.BETARD}/${encodeURIComponent(id)}`);
+    const roomId = data?.room?.room_id;
+    return roomId ? String(roomId) : null;
+}
+
 // ====================================================================
 // Bilibili (哔哩哔哩) Sniffer
 // ====================================================================
@@ -132,7 +172,8 @@ export async function getBilibiliStatus(id, fetchAvatar, prevData) {
         avatar: prevData?.avatar || "",
         heatValue: 0,
         isError: false,
-        startTime: null
+        startTime: null,
+        uid: prevData?.uid || null
     };
 
     // Step 1: Use room_init to determine live status first
@@ -150,15 +191,20 @@ export async function getBilibiliStatus(id, fetchAvatar, prevData) {
         res.isLive = false;
         res.isReplay = false;
         res.title = prevData?.title || "房间信息异常";
+        // room_init rejects unknown room IDs (e.g. 60004 房间不存在)
+        res.notFound = true;
         return res;
     }
 
     const liveStatus = init?.data?.live_status;
     res.isLive = liveStatus === 1;
+    // Short IDs (e.g. 6) resolve to the long room ID
+    if (init.data?.room_id) res.canonicalId = String(init.data.room_id);
     res.isReplay = liveStatus === 2;
 
     // Try to get UID from init first
     const uid = init?.data?.uid || null;
+    if (uid) res.uid = uid;
 
     // Offline: reuse cached info but allow basic profile fetch below
     if (!res.isLive && !res.isReplay) {
@@ -192,7 +238,8 @@ export async function getBilibiliStatus(id, fetchAvatar, prevData) {
         if (masterInfo?.code === 0 && masterInfo?.data?.info) {
             return {
                 avatar: masterInfo.data.info.face || res.avatar,
-                owner: masterInfo.data.info.uname || res.owner
+                owner: masterInfo.data.info.uname || res.owner,
+                followers: masterInfo.data.follower_num
             };
         }
 
@@ -216,6 +263,9 @@ export async function getBilibiliStatus(id, fetchAvatar, prevData) {
     if (info?.code === 0) {
         const d = info.data;
         res.heatValue = parseHeatValue(d.online || 0);
+        res.category = d.area_name || "";
+        res.tags = splitTags(d.tags);
+        if (d.attention > 0) res.followers = d.attention;
 
         // Get live start time (only for live streams)
         if (res.isLive && d.live_time) {
@@ -246,6 +296,7 @@ export async function getBilibiliStatus(id, fetchAvatar, prevData) {
     if (userInfo) {
         res.avatar = userInfo.avatar || res.avatar;
         res.owner = userInfo.owner || res.owner;
+        if (userInfo.followers > 0) res.followers = userInfo.followers;
         res._profileFetched = true;
         console.log(`[Bilibili] ✓ Fetch successful: ${res.owner}, Avatar: ${res.avatar ? 'yes' : 'no'}`);
     }
@@ -259,6 +310,91 @@ export async function getBilibiliStatus(id, fetchAvatar, prevData) {
     return res;
 }
 
+/**
+ * Resolve a Bilibili room ID (short IDs like 6 included) to the long room ID
+ * @param {string} id - Room ID as entered
+ * @returns {Promise<string|null>} Canonical room ID, or null if the lookup failed
+ */
+export async function resolveBilibiliRoomId(id) {
+    const init = await fetchWithProxy(`${API_ENDPOINTS.BILIBILI.ROOM_INIT}?id=${id}`, false, 6000);
+    const roomId = init?.code === 0 ? init.data?.room_id : null;
+    return roomId ? String(roomId) : null;
+}
+
+/**
+ * Fetch status for many Bilibili rooms in one request
+ * The multi-room API is keyed by streamer UID, so only rooms whose UID is already
+ * cached (from a previous getBilibiliStatus) can be batched
+ * @param {string[]} ids - Room IDs
+ * @param {boolean} fetchAvatar - Unused (the API always returns profile data)
+ * @param {Object<string, Object>} prevDataById - Previous cached data by room ID
+ * @returns {Promise<Map<string, Object>|null>} Results by room ID (missing = not resolved), or null on network failure
+ */
+export async function getBilibiliStatusBatch(ids, fetchAvatar, prevDataById = {}) {
+    const uidToId = new Map();
+    ids.forEach(id => {
+        const uid = prevDataById[id]?.uid;
+        if (uid) uidToId.set(String(uid), id);
+    });
+    if (uidToId.size === 0) return new Map();
+
+    const query = Array.from(uidToId.keys(), uid => `uids[]=${uid}`).join('&');
+    const data = await fetchWithProxy(`${API_ENDPOINTS.BILIBILI.STATUS_BY_UIDS}?${query}`, false, 8000);
+
+    if (!data) {
+        console.error(`[Bilibili] ✗ Network error for batch of ${uidToId.size} rooms - will retry`);
+        return null;
+    }
+
+    if (data.code !== 0) {
+        console.warn(`[Bilibili] ⚠ Batch API error code ${data.code} - falling back to per-room requests`);
+        return new Map();
+    }
+
+    const results = new Map();
+    // data is an object keyed by UID (an empty array when nobody matched)
+    Object.entries(data.data || {}).forEach(([uid, d]) => {
+        const id = uidToId.get(String(uid));
+        if (!id || !d) return;
+        const prevData = prevDataById[id];
+
+        const res = {
+            isLive: d.live_status === 1,
+            isReplay: d.live_status === 2,
+            title: d.title || prevData?.title || "",
+            owner: d.uname || prevData?.owner || id,
+            cover: prevData?.cover || "",
+            avatar: d.face || prevData?.avatar || "",
+            heatValue: 0,
+            isError: false,
+            startTime: null,
+            uid: d.uid || prevData?.uid,
+            _profileFetched: !!d.face
+        };
+        if (d.room_id) res.canonicalId = String(d.room_id);
+
+        if (res.isLive || res.isReplay) {
+            res.category = d.area_v2_name || "";
+            res.tags = splitTags(d.tag_name);
+        }
+
+        if (res.isLive) {
+            res.heatValue = parseHeatValue(d.online || 0);
+            if (d.live_time > 0) res.startTime = d.live_time * 1000;
+            // 直播中使用实时截图（keyframe）
+            res.cover = d.keyframe || d.cover_from_user || res.cover;
+        } else if (res.isReplay) {
+            res.heatValue = parseHeatValue(d.online || 0);
+            res.cover = d.cover_from_user || d.keyframe || res.cover;
+        }
+
+        results.set(id, res);
+    });
+
+    console.log(`[Bilibili] ✓ Batch resolved ${results.size}/${ids.length} rooms`);
+    return results;
+}
+
 // ====================================================================
 // Twitch Sniffer
 // ====================================================================
@@ -312,24 +448,20 @@ function parseUptimeToMs(uptime) {
 const TWITCH_OFFLINE_TITLE_REFRESH_MS = 30 * 60 * 1000;
 
 /**
- * Async fetch Twitch avatar and update cache
+ * Fetch a Twitch avatar URL from DecAPI
+ * The URL is returned in the status result (no cache writes here), so it also
+ * reaches the page when the sniffer runs in a worker
  * @param {string} id - Channel ID
+ * @param {number} timeout - Timeout in milliseconds
+ * @returns {Promise<string|null>} Avatar URL or null
  */
-async function fetchTwitchAvatarAsync(id) {
+async function fetchTwitchAvatar(id, timeout) {
     try {
-        const av = await fetchTextWithTimeout(`https://decapi.me/twitch/avatar/${id}`, APP_CONFIG.NETWORK.PROXY_TIMEOUT_TWITCH_META);
-        if (av && !av.includes("No user")) {
-            const cacheKey = `twitch-${id}`;
-            const roomDataCache = getRoomDataCache();
-            if (roomDataCache[cacheKey]) {
-                roomDataCache[cacheKey].avatar = av;
-                roomDataCache[cacheKey].lastAvatarUpdate = Date.now();
-                updateRoomCache(cacheKey, roomDataCache[cacheKey], true);
-                if (window.renderAll) window.renderAll();
-            }
-        }
+        const av = await fetchTextWithTimeout(`https://decapi.me/twitch/avatar/${id}`, timeout);
+        return av && !av.includes("No user") ? av.trim() : null;
     } catch(e) {
         ErrorHandler.silent(e, 'Twitch Avatar');
+        return null;
     }
 }
 
@@ -353,7 +485,12 @@ export async function getTwitchStatus(id, fetchAvatar, prevData) {
         avatar: prevData?.avatar || "",
         heatValue: 0,
         isError: false,
-        startTime: null
+        startTime: null,
+        // DecAPI has no category/tags/language/followers; keep the last GQL values
+        category: prevData?.category || "",
+        tags: prevData?.tags || [],
+        language: prevData?.language || "",
+        followers: prevData?.followers
     };
 
     try {
@@ -363,10 +500,11 @@ export async function getTwitchStatus(id, fetchAvatar, prevData) {
         const metaTimeout = Math.min(APP_CONFIG.NETWORK.PROXY_TIMEOUT_TWITCH, APP_CONFIG.NETWORK.PROXY_TIMEOUT_TWITCH_META);
 
         // 优化：并行发送所有请求，减少30-50%延迟
-        const [uptimeResult, titleResult, viewersResult] = await Promise.allSettled([
+        const [uptimeResult, titleResult, viewersResult, avatarResult] = await Promise.allSettled([
             fetch(`https://decapi.me/twitch/uptime/${id}`, { signal: controller.signal }).then(r => r.text()),
             fetchTextWithTimeout(`https://decapi.me/twitch/title/${id}`, metaTimeout).then(t => t || ""),
-            fetchTextWithTimeout(`https://decapi.me/twitch/viewers/${id}`, metaTimeout).then(t => t || "0")
+            fetchTextWithTimeout(`https://decapi.me/twitch/viewers/${id}`, metaTimeout).then(t => t || "0"),
+            fetchAvatar && !res.avatar ? fetchTwitchAvatar(id, metaTimeout) : Promise.resolve(null)
         ]);
         clearTimeout(timeoutId);
 
@@ -421,9 +559,8 @@ export async function getTwitchStatus(id, fetchAvatar, prevData) {
             }
         }
 
-        // Async avatar fetch
-        if (fetchAvatar && !res.avatar) {
-            fetchTwitchAvatarAsync(id);
+        if (avatarResult.status === 'fulfilled' && avatarResult.value) {
+            res.avatar = avatarResult.value;
         }
 
         return res;
@@ -432,10 +569,137 @@ export async function getTwitchStatus(id, fetchAvatar, prevData) {
     }
 }
 
+const TWITCH_GQL_USER_FIELDS = `
+    login displayName profileImageURL(width: 300)
+    followers { totalCount }
+    broadcastSettings { language }
+    lastBroadcast { title game { displayName } }
+    stream { title viewersCount createdAt game { displayName } freeformTags { name } }
+`;
+
+/**
+ * Query Twitch GQL for several channels (direct first, then header-forwarding proxies)
+ * @param {string[]} logins - Channel logins (plain word characters only)
+ * @returns {Promise<Object|null>} Response `data` keyed by alias u0..uN, or null on failure
+ */
+async function queryTwitchUsers(logins) {
+    const query = `query { ${logins.map((login, i) => `u${i}: user(login: "${login}") { ${TWITCH_GQL_USER_FIELDS} }`).join(' ')} }`;
+    const init = {
+        method: 'POST',
+        headers: { 'Client-Id': API_ENDPOINTS.TWITCH.GQL_CLIENT_ID },
+        body: JSON.stringify({ query })
+    };
+
+    let data = null;
+    try {
+        const controller = new AbortController();
+        const timeoutId = setTimeout(() => controller.abort(), APP_CONFIG.NETWORK.PROXY_TIMEOUT_TWITCH);
+        const response = await fetch(API_ENDPOINTS.TWITCH.GQL, { ...init, signal: controller.signal });
+        clearTimeout(timeoutId);
+        if (response.ok) data = await response.json();
+    } catch (e) {
+        console.log(`[Twitch] GQL direct request failed, trying proxy...`, e.message);
+    }
+
+    if (!data) {
+        data = await fetchWithProxy(API_ENDPOINTS.TWITCH.GQL, false, APP_CONFIG.NETWORK.PROXY_TIMEOUT_TWITCH, init);
+    }
+
+    if (!data?.data) {
+        if (data) console.warn(`[Twitch] ⚠ GQL query rejected:`, data.errors?.[0]?.message || 'no data');
+        return null;
+    }
+    return data.data;
+}
+
+/**
+ * Map a GQL user node to a room status object
+ * @param {string} login - Channel login
+ * @param {Object|null} user - GQL user node (null = channel does not exist)
+ * @param {Object} prevData - Previous cached data
+ * @param {number} now - Fetch timestamp
+ * @returns {Object} Room status object
+ */
+function mapTwitchUser(login, user, prevData, now) {
+    const stream = user?.stream;
+    const res = {
+        isLive: !!stream,
+        isReplay: false,
+        title: stream?.title || user?.lastBroadcast?.title || prevData?.title || "",
+        owner: user?.displayName || prevData?.owner || login,
+        cover: prevData?.cover || "",
+        avatar: user?.profileImageURL || prevData?.avatar || "",
+        heatValue: 0,
+        isError: false,
+        startTime: null,
+        category: stream?.game?.displayName || user?.lastBroadcast?.game?.displayName || "",
+        tags: splitTags((stream?.freeformTags || []).map(tag => tag.name)),
+        language: String(user?.broadcastSettings?.language || prevData?.language || "").toLowerCase(),
+        followers: user?.followers?.totalCount ?? prevData?.followers,
+        lastTitleUpdate: now,
+        _profileFetched: !!user?.profileImageURL
+    };
+    // GQL returns null for logins that do not exist
+    if (!user) res.notFound = true;
+
+    if (stream) {
+        res.heatValue = parseHeatValue(stream.viewersCount || 0);
+        res.startTime = Date.parse(stream.createdAt) || null;
+        // 直播中使用基础封面（时间戳由统一逻辑控制刷新）
+        res.cover = `${API_ENDPOINTS.TWITCH.THUMBNAIL_BASE}/live_user_${login.toLowerCase()}-640x360.jpg`;
+    }
+
+    return res;
+}
+
+/**
+ * Fetch Twitch channel status from GQL (structured JSON: category, tags, viewers, start time, avatar)
+ * Primary Twitch source; DecAPI (getTwitchStatus) is the fallback, chosen by TwitchAdapter
+ * @param {string} id - Channel login
+ * @param {boolean} fetchAvatar - Unused (avatar is part of the query)
+ * @param {Object} prevData - Previous cached data
+ * @returns {Promise<Object|null>} Channel status object or null on failure
+ */
+export async function getTwitchStatusGQL(id, fetchAvatar, prevData) {
+    const results = await getTwitchStatusBatch([id], fetchAvatar, { [id]: prevData });
+    return results?.get(id) || null;
+}
+
+/**
+ * Fetch status for many Twitch channels with one aliased GQL query
+ * @param {string[]} ids - Channel logins
+ * @param {boolean} fetchAvatar - Unused (avatar is part of the query)
+ * @param {Object<string, Object>} prevDataById - Previous cached data by login
+ * @returns {Promise<Map<string, Object>|null>} Results by login (missing = not resolved), or null on failure
+ */
+export async function getTwitchStatusBatch(ids, fetchAvatar, prevDataById = {}) {
+    // Logins are interpolated into the query, so only plain ones are batched
+    const logins = ids.filter(id => /^\w+$/.test(id));
+    if (logins.length === 0) return new Map();
+
+    const data = await queryTwitchUsers(logins);
+    if (!data) {
+        console.error(`[Twitch] ✗ GQL failed for ${logins.length} channel(s)`);
+        return null;
+    }
+
+    const now = Date.now();
+    const results = new Map();
+    logins.forEach((login, i) => {
+        results.set(login, mapTwitchUser(login, data[`u${i}`], prevDataById[login], now));
+    });
+
+    return results;
+}
+
 // ====================================================================
 // Kick Sniffer
 // ====================================================================
 
+// Set once a direct request fails (CORS / region block); later requests go straight to the proxies.
+// Module state rather than sessionStorage, which workers do not have
+let kickNeedsProxy = false;
+
 /**
  * Fetch Kick channel status
  * Uses Kick API v2 for live stream data
@@ -462,11 +726,9 @@ export async function getKickStatus(id, fetchAvatar, prevData) {
         const apiUrl = `https://kick.com/api/v2/channels/${id}`;
         let data = null;
 
-        // 优化：检查环境是否需要代理，避免重复尝试直连（减少8秒等待）
-        const needsProxy = sessionStorage.getItem('kick_needs_proxy');
-
         // Try direct fetch first (only if not marked as needing proxy)
-        if (needsProxy !== 'true') {
+        // 优化：记住环境是否需要代理，避免重复尝试直连（减少8秒等待）
+        if (!kickNeedsProxy) {
             try {
                 const controller = new AbortController();
                 const timeoutId = setTimeout(() => controller.abort(), 8000);
@@ -476,13 +738,12 @@ export async function getKickStatus(id, fetchAvatar, prevData) {
 
                 if (response.ok) {
                     data = await response.json();
-                    sessionStorage.setItem('kick_needs_proxy', 'false'); // 记住直连可用
                     console.log(`[Kick] ✓ Direct connection successful for ${id}`);
                 } else {
                     console.log(`[Kick] Direct connection failed for ${id}, status ${response.status}`);
                 }
             } catch (directError) {
-                sessionStorage.setItem('kick_needs_proxy', 'true'); // 记住需要代理
+                kickNeedsProxy = true; // 记住需要代理
                 console.log(`[Kick] Direct connection failed for ${id}, trying proxy...`, directError.message);
             }
         }
@@ -498,15 +759,23 @@ export async function getKickStatus(id, fetchAvatar, prevData) {
         const livestream = data.livestream;
         const user = data.user;
 
+        // Numeric IDs used by the Pusher realtime subscription (core/live-push.js)
+        res.channelId = data.id || prevData?.channelId || null;
+        res.chatroomId = data.chatroom?.id || prevData?.chatroomId || null;
+
         // Check if channel is live
         res.isLive = livestream?.is_live === true;
         res.owner = user.username || id;
         res.avatar = user.profile_pic || res.avatar;
+        if (data.followers_count > 0) res.followers = data.followers_count;
 
         if (res.isLive && livestream) {
             // Live stream data
             res.title = livestream.session_title || "";
             res.heatValue = parseHeatValue(livestream.viewer_count || 0);
+            res.category = livestream.categories?.[0]?.name || "";
+            res.tags = splitTags(livestream.tags);
+            res.language = String(livestream.language || "").toLowerCase();
 
             // Get live start time
             if (livestream.created_at) {
@@ -542,6 +811,526 @@ export async function getKickStatus(id, fetchAvatar, prevData) {
     }
 }
 
+// ====================================================================
+// CHZZK (치지직) Sniffer
+// ====================================================================
+
+/**
+ * Parse a Korean platform timestamp ("YYYY-MM-DD HH:mm:ss", KST) to milliseconds
+ * @param {string} value - Timestamp string without zone
+ * @returns {number|null} Epoch milliseconds or null
+ */
+function parseKstTimestamp(value) {
+    if (!value || typeof value !== 'string') return null;
+    const date = new Date(`${value.trim().replace(' ', 'T')}+09:00`);
+    return isNaN(date.getTime()) ? null : date.getTime();
+}
+
+/**
+ * Fetch CHZZK channel status
+ * Uses the live-detail API (returns live + channel data in one request)
+ * @param {string} id - 32-char hex channel ID
+ * @param {boolean} fetchAvatar - Whether to fetch avatar
+ * @param {Object} prevData - Previous cached data
+ * @returns {Promise<Object|null>} Room status object or null on failure
+ */
+export async function getChzzkStatus(id, fetchAvatar, prevData) {
+    const res = {
+        isLive: false,
+        isReplay: false,
+        title: prevData?.title || "",
+        owner: prevData?.owner || id,
+        cover: prevData?.cover || "",
+        avatar: prevData?.avatar || "",
+        heatValue: 0,
+        isError: false,
+        startTime: null
+    };
+
+    const data = await fetchWithProxy(`${API_ENDPOINTS.CHZZK.API}/v2/channels/${id}/live-detail`, false, 8000);
+
+    if (!data) {
+        console.error(`[CHZZK] ✗ Network error for channel ${id} - will retry`);
+        return null;
+    }
+
+    if (data.code !== 200) {
+        console.warn(`[CHZZK] ⚠ API code ${data.code} for channel ${id} - treating as offline`);
+        res.title = prevData?.title || "频道信息异常";
+        res.notFound = true;
+        return res;
+    }
+
+    // content is null for channels that have never streamed
+    const live = data.content || {};
+    const channel = live.channel || {};
+
+    res.isLive = live.status === 'OPEN';
+    res.owner = channel.channelName || res.owner;
+    res.avatar = channel.channelImageUrl || res.avatar;
+    res.title = live.liveTitle || res.title;
+
+    if (res.isLive) {
+        res.heatValue = parseHeatValue(live.concurrentUserCount || 0);
+        res.startTime = parseKstTimestamp(live.openDate);
+        res.category = live.liveCategoryValue || "";
+        res.tags = splitTags(live.tags);
+        // 直播中使用基础封面（时间戳由统一逻辑控制刷新）
+        if (live.liveImageUrl) {
+            res.cover = live.liveImageUrl.replace('{type}', '720');
+        }
+    } else {
+        res.cover = res.avatar || res.cover;
+    }
+
+    return res;
+}
+
+// ====================================================================
+// SOOP (숲, formerly AfreecaTV) Sniffer
+// ====================================================================
+
+/**
+ * Fetch SOOP station status
+ * Uses the station API; `broad` is null while the streamer is offline
+ * @param {string} id - Streamer (BJ) ID
+ * @param {boolean} fetchAvatar - Whether to fetch avatar
+ * @param {Object} prevData - Previous cached data
+ * @returns {Promise<Object|null>} Room status object or null on failure
+ */
+export async function getSoopStatus(id, fetchAvatar, prevData) {
+    const res = {
+        isLive: false,
+        isReplay: false,
+        title: prevData?.title || "",
+        owner: prevData?.owner || id,
+        cover: prevData?.cover || "",
+        avatar: prevData?.avatar || "",
+        heatValue: 0,
+        isError: false,
+        startTime: null
+    };
+
+    const data = await fetchWithProxy(`${API_ENDPOINTS.SOOP.STATION_API}/${id}/station`, false, 8000);
+
+    if (!data) {
+        console.error(`[SOOP] ✗ Network error for station ${id} - will retry`);
+        return null;
+    }
+
+    if (!data.station) {
+        console.warn(`[SOOP] ⚠ Station ${id} not found - treating as offline`);
+        res.title = prevData?.title || "房间不存在";
+        res.notFound = true;
+        return res;
+    }
+
+    const broad = data.broad;
+    res.owner = data.station.user_nick || res.owner;
+    if (data.station.upd?.fan_cnt > 0) res.followers = data.station.upd.fan_cnt;
+    if (data.profile_image) {
+        // API returns protocol-relative URLs
+        res.avatar = data.profile_image.startsWith('//') ? `https:${data.profile_image}` : data.profile_image;
+    }
+
+    res.isLive = !!broad?.broad_no;
+
+    if (res.isLive) {
+        res.title = broad.broad_title || res.title;
+        res.heatValue = parseHeatValue(broad.current_sum_viewer || 0);
+        res.startTime = parseKstTimestamp(data.station.broad_start);
+        res.tags = splitTags(broad.hash_tags);
+        // 直播中使用基础封面（时间戳由统一逻辑控制刷新）
+        res.cover = `${API_ENDPOINTS.SOOP.THUMBNAIL_BASE}/${broad.broad_no}`;
+    } else {
+        res.cover = res.avatar || res.cover;
+    }
+
+    return res;
+}
+
+// ====================================================================
+// Huya (虎牙) Sniffer
+// ====================================================================
+
+/**
+ * Fetch Huya room status
+ * Uses the mobile profileRoom API (single request returns live + profile data)
+ * @param {string} id - Room ID (numeric or vanity alias)
+ * @param {boolean} fetchAvatar - Whether to fetch avatar
+ * @param {Object} prevData - Previous cached data
+ * @returns {Promise<Object|null>} Room status object or null on failure
+ */
+export async function getHuyaStatus(id, fetchAvatar, prevData) {
+    const res = {
+        isLive: false,
+        isReplay: false,
+        title: prevData?.title || "",
+        owner: prevData?.owner || id,
+        cover: prevData?.cover || "",
+        avatar: prevData?.avatar || "",
+        heatValue: 0,
+        isError: false,
+        startTime: null
+    };
+
+    const data = await fetchWithProxy(`${API_ENDPOINTS.HUYA.PROFILE_ROOM}&roomid=${encodeURIComponent(id)}`, false, 8000);
+
+    if (!data) {
+        console.error(`[Huya] ✗ Network error for room ${id} - will retry`);
+        return null;
+    }
+
+    if (data.status !== 200 || !data.data) {
+        console.warn(`[Huya] ⚠ API status ${data.status} for room ${id}, message: ${data.message || 'N/A'} - treating as offline`);
+        res.title = prevData?.title || "房间信息异常";
+        return res;
+    }
+
+    const d = data.data;
+    const liveData = d.liveData || {};
+    const profile = d.profileInfo || {};
+
+    // liveStatus: ON = live, REPLAY = rebroadcast loop, OFF = offline
+    res.isReplay = d.liveStatus === 'REPLAY';
+    res.isLive = d.liveStatus === 'ON';
+
+    res.owner = profile.nick || liveData.nick || res.owner;
+    res.avatar = profile.avatar180 || liveData.avatar180 || res.avatar;
+    res.title = liveData.introduction || liveData.roomName || res.title;
+    res.category = liveData.gameFullName || "";
+    const subscribers = profile.activityCount ?? liveData.activityCount;
+    if (subscribers > 0) res.followers = subscribers;
+
+    if (res.isLive || res.isReplay) {
+        res.heatValue = parseHeatValue(liveData.userCount || liveData.totalCount || 0);
+        // 直播中使用基础封面（时间戳由统一逻辑控制刷新）
+        res.cover = liveData.screenshot || res.cover;
+    }
+
+    // Get live start time (seconds)
+    if (res.isLive && liveData.startTime) {
+        res.startTime = liveData.startTime * 1000;
+    }
+
+    return res;
+}
+
+// ====================================================================
+// YouTube Sniffer
+// ====================================================================
+
+/**
+ * Build the channel "/live" page URL for a normalized YouTube ID
+ * @param {string} id - "@handle" or channel ID (UC...)
+ * @returns {string} Channel live URL
+ */
+function getYouTubeLiveUrl(id) {
+    const base = API_ENDPOINTS.YOUTUBE.ROOM_URL;
+    return id.startsWith('@') ? `${base}/${id}/live` : `${base}/channel/${id}/live`;
+}
+
+/**
+ * Extract an embedded JSON object assigned to a global in a YouTube page
+ * @param {string} html - Page HTML
+ * @param {string} name - Variable name (e.g. ytInitialPlayerResponse)
+ * @returns {Object|null} Parsed object or null
+ */
+function extractYouTubeJSON(html, name) {
+    const start = html.indexOf(`${name} = {`);
+    if (start === -1) return null;
+
+    // Walk braces to find the end of the object literal (regex is unreliable on ~1MB pages)
+    const from = html.indexOf('{', start);
+    let depth = 0;
+    let inString = false;
+    for (let i = from; i < html.length; i++) {
+        const ch = html[i];
+        if (inString) {
+            if (ch === '\\') i++;
+            else if (ch === '"') inString = false;
+            continue;
+        }
+        if (ch === '"') inString = true;
+        else if (ch === '{') depth++;
+        else if (ch === '}' && --depth === 0) {
+            try {
+                return JSON.parse(html.slice(from, i + 1));
+            } catch (e) {
+                return null;
+            }
+        }
+    }
+    return null;
+}
+
+/**
+ * Read a <meta property="..."> value from page HTML
+ * @param {string} html - Page HTML
+ * @param {string} property - Meta property name
+ * @returns {string} Meta content or empty string
+ */
+function getMetaContent(html, property) {
+    const match = html.match(new RegExp(`<meta property="${property}" content="([^"]*)"`));
+    return match ? match[1].replace(/&amp;/g, '&') : '';
+}
+
+/**
+ * Fetch YouTube channel live status
+ * Scrapes the channel "/live" page: when live (or a premiere is scheduled) YouTube
+ * serves the watch page with ytInitialPlayerResponse, otherwise the channel page
+ * @param {string} id - "@handle" or channel ID (UC...)
+ * @param {boolean} fetchAvatar - Whether to fetch avatar
+ * @param {Object} prevData - Previous cached data
+ * @returns {Promise<Object|null>} Channel status object or null on failure
+ */
+export async function getYouTubeStatus(id, fetchAvatar, prevData) {
+    const res = {
+        isLive: false,
+        isReplay: false,
+        isUpcoming: false,
+        title: prevData?.title || "",
+        owner: prevData?.owner || id,
+        cover: prevData?.cover || "",
+        avatar: prevData?.avatar || "",
+        heatValue: 0,
+        isError: false,
+        startTime: null
+    };
+
+    const html = await fetchTextWithProxy(getYouTubeLiveUrl(id), 10000);
+    if (!html) {
+        console.error(`[YouTube] ✗ Network error for ${id} - will retry`);
+        return null;
+    }
+
+    const player = extractYouTubeJSON(html, 'ytInitialPlayerResponse');
+    const details = player?.videoDetails;
+
+    // Avatar: watch page exposes owner thumbnail, channel page exposes it as og:image
+    const ownerAvatar = html.match(/"videoOwnerRenderer":\{"thumbnail":\{"thumbnails":\[\{"url":"([^"]+)"/);
+
+    if (!details) {
+        // Channel page - not live and nothing scheduled
+        res.owner = getMetaContent(html, 'og:title') || res.owner;
+        res.avatar = getMetaContent(html, 'og:image') || res.avatar;
+        return res;
+    }
+
+    const microformat = player.microformat?.playerMicroformatRenderer || {};
+    const broadcast = microformat.liveBroadcastDetails || {};
+    res.isLive = details.isLive === true || broadcast.isLiveNow === true;
+    res.isUpcoming = !res.isLive && details.isUpcoming === true;
+    res.owner = details.author || res.owner;
+    res.avatar = ownerAvatar ? ownerAvatar[1] : res.avatar;
+    res.category = microformat.category || "";
+    res.tags = splitTags(details.keywords);
+
+    if (res.isLive) {
+        res.title = details.title || res.title;
+        // For live broadcasts viewCount is the concurrent viewer count
+        res.heatValue = parseHeatValue(details.viewCount || 0);
+        res.startTime = broadcast.startTimestamp ? new Date(broadcast.startTimestamp).getTime() : null;
+        // 直播中使用基础封面（时间戳由统一逻辑控制刷新）
+        res.cover = `${API_ENDPOINTS.YOUTUBE.THUMBNAIL_BASE}/${details.videoId}/hqdefault_live.jpg`;
+    } else if (res.isUpcoming) {
+        res.title = details.title || res.title;
+        const slate = player.playabilityStatus?.liveStreamability?.liveStreamabilityRenderer
+            ?.offlineSlate?.liveStreamOfflineSlateRenderer;
+        const scheduled = Number(slate?.scheduledStartTime);
+        res.startTime = scheduled > 0
+            ? scheduled * 1000
+            : (broadcast.startTimestamp ? new Date(broadcast.startTimestamp).getTime() : null);
+        res.cover = `${API_ENDPOINTS.YOUTUBE.THUMBNAIL_BASE}/${details.videoId}/hqdefault.jpg`;
+    }
+
+    return res;
+}
+
+// ====================================================================
+// Douyin (抖音) Sniffer
+// ====================================================================
+
+const DOUYIN_COOKIE_HOST = 'douyin.com';
+const DOUYIN_TTWID_STORAGE_KEY = 'pro_douyin_ttwid';
+const DOUYIN_TTWID_TTL = 30 * 24 * 60 * 60 * 1000; // ttwid is long-lived, re-register monthly
+const DOUYIN_ROOM_NOT_FOUND = 10011; // status_code for a web_rid that does not exist
+let douyinSessionPromise = null;
+let douyinSessionFailedAt = 0;
+
+/**
+ * Generate a random hex string (used for the __ac_nonce cookie)
+ * @param {number} length - Output length
+ * @returns {string} Hex string
+ */
+function randomHex(length) {
+    let out = '';
+    for (let i = 0; i < length; i++) out += Math.floor(Math.random() * 16).toString(16);
+    return out;
+}
+
+/**
+ * Manually provide a ttwid cookie value (copied from a logged-out douyin.com visit)
+ * @param {string} value - ttwid cookie value
+ */
+export function setDouyinTtwid(value) {
+    if (!value) {
+        SafeStorage.removeItem(DOUYIN_TTWID_STORAGE_KEY);
+        clearPlatformCookies(DOUYIN_COOKIE_HOST);
+        douyinSessionPromise = null;
+        return;
+    }
+    SafeStorage.setJSON(DOUYIN_TTWID_STORAGE_KEY, { value, expires: Date.now() + DOUYIN_TTWID_TTL });
+    setPlatformCookie(DOUYIN_COOKIE_HOST, 'ttwid', value);
+}
+
+/**
+ * Register a fresh ttwid with ByteDance's union endpoint
+ * The value arrives as Set-Cookie, so it is only readable through relays that expose it
+ * (either as a `ttwid` body field or inside `redirect_url`)
+ * @returns {Promise<string|null>} ttwid or null
+ */
+async function registerDouyinTtwid() {
+    const body = JSON.stringify({
+        region: 'cn',
+        aid: 1768,
+        needFid: false,
+        service: 'www.ixigua.com',
+        migrate_info: { ticket: '', source: 'node' },
+        cbUrlProtocol: 'https',
+        union: true
+    });
+    const data = await fetchWithProxy(API_ENDPOINTS.DOUYIN.TTWID_REGISTER, false, 8000, {
+        method: 'POST',
+        body,
+        headers: { 'content-type': 'application/json' }
+    });
+    if (!data) return null;
+    if (typeof data.ttwid === 'string') return data.ttwid;
+    const match = typeof data.redirect_url === 'string' && data.redirect_url.match(/[?&]ttwid=([^&]+)/);
+    return match ? decodeURIComponent(match[1]) : null;
+}
+
+/**
+ * Ensure Douyin session cookies (ttwid + __ac_nonce) are in the proxy cookie jar
+ * Concurrent callers share one bootstrap; after a failed registration the next
+ * attempt waits for DOUYIN_SESSION_COOLDOWN
+ * @returns {Promise<boolean>} Whether a ttwid is available
+ */
+function ensureDouyinSession() {
+    if (getPlatformCookie(DOUYIN_COOKIE_HOST, 'ttwid')) return Promise.resolve(true);
+    if (douyinSessionPromise) return douyinSessionPromise;
+    if (Date.now() - douyinSessionFailedAt < APP_CONFIG.NETWORK.DOUYIN_SESSION_COOLDOWN) return Promise.resolve(false);
+
+    douyinSessionPromise = (async () => {
+        if (!getPlatformCookie(DOUYIN_COOKIE_HOST, '__ac_nonce')) {
+            setPlatformCookie(DOUYIN_COOKIE_HOST, '__ac_nonce', `0${randomHex(20)}`);
+        }
+
+        const stored = SafeStorage.getJSON(DOUYIN_TTWID_STORAGE_KEY, null);
+        if (stored?.value && stored.expires > Date.now()) {
+            setPlatformCookie(DOUYIN_COOKIE_HOST, 'ttwid', stored.value);
+            return true;
+        }
+
+        const ttwid = await registerDouyinTtwid();
+        if (ttwid) {
+            setDouyinTtwid(ttwid);
+            console.log('[Douyin] ✓ ttwid registered');
+            return true;
+        }
+
+        console.warn('[Douyin] ⚠ ttwid bootstrap failed - requests may return empty data');
+        douyinSessionFailedAt = Date.now();
+        return false;
+    })().finally(() => {
+        douyinSessionPromise = null;
+    });
+
+    return douyinSessionPromise;
+}
+
+/**
+ * Fetch Douyin live room status
+ * Uses the web "room/web/enter" API keyed by web_rid (the number in live.douyin.com/<id>)
+ * @param {string} id - Web room ID
+ * @param {boolean} fetchAvatar - Whether to fetch avatar
+ * @param {Object} prevData - Previous cached data
+ * @returns {Promise<Object|null>} Room status object or null on failure
+ */
+export async function getDouyinStatus(id, fetchAvatar, prevData) {
+    const res = {
+        isLive: false,
+        isReplay: false,
+        title: prevData?.title || "",
+        owner: prevData?.owner || id,
+        cover: prevData?.cover || "",
+        avatar: prevData?.avatar || "",
+        heatValue: 0,
+        isError: false,
+        startTime: null
+    };
+
+    await ensureDouyinSession();
+
+    const params = new URLSearchParams({
+        aid: '6383',
+        app_name: 'douyin_web',
+        live_id: '1',
+        device_platform: 'web',
+        language: 'zh-CN',
+        enter_from: 'web_live',
+        cookie_enabled: 'true',
+        browser_language: 'zh-CN',
+        browser_platform: 'Win32',
+        browser_name: 'Chrome',
+        browser_version: '120.0.0.0',
+        web_rid: id
+    });
+    const data = await fetchWithProxy(`${API_ENDPOINTS.DOUYIN.ROOM_ENTER}?${params}`, false, 8000, {
+        headers: { referer: `${API_ENDPOINTS.DOUYIN.ROOM_URL}/${id}` }
+    });
+
+    if (!data) {
+        console.error(`[Douyin] ✗ Network error for room ${id} - will retry`);
+        return null;
+    }
+
+    if (data.status_code === DOUYIN_ROOM_NOT_FOUND) {
+        console.warn(`[Douyin] ⚠ Room ${id} not found - treating as offline`);
+        res.title = prevData?.title || "房间不存在";
+        res.notFound = true;
+        return res;
+    }
+
+    if (data.status_code !== 0 || !data.data) {
+        console.warn(`[Douyin] ⚠ API status ${data.status_code} for room ${id} - treating as offline`);
+        // No data at all means the session was rejected; drop the stored ttwid too so the next bootstrap registers a fresh one
+        if (!data.data) setDouyinTtwid(null);
+        res.title = prevData?.title || "房间信息异常";
+        return res;
+    }
+
+    const room = data.data.data?.[0] || {};
+    const user = data.data.user || room.owner || {};
+
+    // room.status: 2 = live, 4 = ended
+    res.isLive = room.status === 2;
+    res.owner = user.nickname || res.owner;
+    res.avatar = user.avatar_thumb?.url_list?.[0] || res.avatar;
+    res.title = room.title || res.title;
+    res.category = data.data.partition_road_map?.partition?.title || "";
+    if (user.follow_info?.follower_count > 0) res.followers = user.follow_info.follower_count;
+
+    if (res.isLive) {
+        res.heatValue = parseHeatValue(room.room_view_stats?.display_value ?? room.user_count_str ?? 0);
+        // 直播中使用基础封面（时间戳由统一逻辑控制刷新）
+        res.cover = room.cover?.url_list?.[0] || res.cover;
+    }
+
+    return res;
+}
+
 // ====================================================================
 // Exports
 // ====================================================================
@@ -551,10 +1340,21 @@ export {
     getDouyuStatus as sniffDouyu,
     getBilibiliStatus as sniffBilibili,
     getTwitchStatus as sniffTwitch,
+    getTwitchStatusGQL as sniffTwitchGQL,
     getKickStatus as sniffKick,
+    getChzzkStatus as sniffChzzk,
+    getSoopStatus as sniffSoop,
+    getHuyaStatus as sniffHuya,
+    getYouTubeStatus as sniffYouTube,
+    getDouyinStatus as sniffDouyin,
     // Aliases for main.js compatibility
     getDouyuStatus as sniffDouyuRoom,
     getBilibiliStatus as sniffBilibiliRoom,
     getTwitchStatus as sniffTwitchStream,
-    getKickStatus as sniffKickChannel
+    getKickStatus as sniffKickChannel,
+    getChzzkStatus as sniffChzzkChannel,
+    getSoopStatus as sniffSoopStation,
+    getHuyaStatus as sniffHuyaRoom,
+    getYouTubeStatus as sniffYouTubeChannel,
+    getDouyinStatus as sniffDouyinRoom
 };
@@ -4,20 +4,21 @@
  * ====================================================================
  *
  * Features:
- * - Multi-tier proxy failover strategy (premium/standard/fallback)
+ * - Multi-tier proxy failover strategy (private/premium/standard/fallback)
  * - Response time tracking and performance-based selection
  * - Geographic routing optimization
  * - Success rate calculation with time decay
  * - Automatic proxy health monitoring
+ * - Same-origin proxy function detection (Netlify/Pages deployments)
  *
  * @module api/proxy-manager
  */
 
 import { APP_CONFIG } from '../config/constants.js';
-import { PROXIES } from '../config/proxies.js';
+import { PROXIES, createRelayProxy } from '../config/proxies.js';
 import { Signer } from '../config/signer.js';
 import { getState, updateProxyStats } from '../core/state.js';
-import { executeWithProxyControl } from '../utils/proxy-pool-manager.js';
+import { executeWithProxyControl, isProxyQuarantined } from '../utils/proxy-pool-manager.js';
 import { getCircuitBreaker } from '../utils/error-handler.js';
 
 // ====================================================================
@@ -37,6 +38,13 @@ const proxyOrderCache = {
     list: null
 };
 const PROXY_ORDER_CACHE_TTL = 10000; // 优化：从2秒延长到10秒，减少20-30%排序计算
+const DOMESTIC_HOSTS = ['bilibili.com', 'douyu.com', 'huya.com', 'douyin.com'];
+
+/**
+ * Per-host cookie jar for platforms that gate their APIs behind session cookies (Douyin ttwid)
+ * Structure: Map<host, Map<cookieName, value>>
+ */
+const cookieJar = new Map();
 
 // ====================================================================
 // Helper Functions - 提取重复代码
@@ -78,6 +86,49 @@ function createTimeoutController(timeout, externalSignal) {
     };
 }
 
+/**
+ * Check whether a target URL belongs to a mainland China platform
+ * (these endpoints usually allow direct access and favour mainland proxies)
+ * @param {string} targetUrl - Target URL
+ * @returns {boolean} True for Douyu/Bilibili/Huya endpoints
+ */
+function isDomesticUrl(targetUrl) {
+    return !!targetUrl && DOMESTIC_HOSTS.some(host => targetUrl.includes(host));
+}
+
+/**
+ * Get the Cookie header value stored for a target URL's host
+ * @param {string} targetUrl - Target URL
+ * @returns {string} Cookie header value or empty string
+ */
+function getCookieHeader(targetUrl) {
+    for (const [host, cookies] of cookieJar) {
+        if (targetUrl.includes(host) && cookies.size > 0) {
+            return Array.from(cookies, ([name, value]) => `${name}=${value}`).join('; ');
+        }
+    }
+    return '';
+}
+
+/**
+ * Build fetch init for a proxy request
+ * Upstream headers (Cookie etc.) can only be relayed by proxies that declare forwardHeaders
+ * @param {Object} proxy - Proxy config
+ * @param {Object} upstreamHeaders - Headers intended for the target server
+ * @param {Object} init - Extra fetch init ({ method, body })
+ * @param {AbortSignal} signal - Abort signal
+ * @returns {RequestInit} Fetch init
+ */
+function buildProxyInit(proxy, upstreamHeaders, init, signal) {
+    const requestInit = { signal };
+    if (init.method) requestInit.method = init.method;
+    if (init.body !== undefined) requestInit.body = init.body;
+    if (Object.keys(upstreamHeaders).length > 0 && typeof proxy.forwardHeaders === 'function') {
+        requestInit.headers = proxy.forwardHeaders(upstreamHeaders);
+    }
+    return requestInit;
+}
+
 /**
  * Resolve on first fulfilled promise (Promise.any fallback).
  * @param {Promise[]} promises - Promises to race
@@ -125,7 +176,7 @@ function promiseAny(promises) {
  */
 export function getSmartProxyOrder(targetUrl = '') {
     const userIsMainland = APP_CONFIG.REGION.IS_MAINLAND_CHINA === true;
-    const isDomesticTarget = targetUrl && (targetUrl.includes('bilibili.com') || targetUrl.includes('douyu.com'));
+    const isDomesticTarget = isDomesticUrl(targetUrl);
     const now = Date.now();
     const cacheKey = `${userIsMainland ? 'CN' : 'INTL'}|${isDomesticTarget ? 'dom' : 'intl'}`;
 
@@ -155,7 +206,20 @@ export function getSmartProxyOrder(targetUrl = '') {
     const speedThreshold = APP_CONFIG.PROXY_SCORING.SPEED_THRESHOLD_MS;
     const indexMap = new Map(PROXIES.map((proxy, index) => [proxy.name, index]));
 
-    const ordered = [...PROXIES].sort((a, b) => {
+    // Exclusive relay mode: the room list never goes to public proxies
+    const privateProxies = PROXIES.filter(p => p.tier === 'private');
+    const candidates = APP_CONFIG.RELAY.EXCLUSIVE && privateProxies.length > 0 ? privateProxies : PROXIES;
+
+    // Skip proxies quarantined by the health probes (unless that would leave none)
+    const healthy = candidates.filter(p => !isProxyQuarantined(p.name, now));
+    const available = healthy.length > 0 ? healthy : candidates;
+
+    const ordered = [...available].sort((a, b) => {
+        // 0. Self-hosted relays always come before public proxies
+        const privateA = a.tier === 'private';
+        const privateB = b.tier === 'private';
+        if (privateA !== privateB) return privateA ? -1 : 1;
+
         // 1. Get statistics data
         const statsA = proxyStats[a.name] || { success: 0, fail: 0, lastSuccessTime: 0, avgResponseTime: 0 };
         const statsB = proxyStats[b.name] || { success: 0, fail: 0, lastSuccessTime: 0, avgResponseTime: 0 };
@@ -226,6 +290,71 @@ export function getSmartProxyOrder(targetUrl = '') {
     return ordered.slice();
 }
 
+/**
+ * Drop the cached proxy order (after proxies were added, removed or toggled)
+ */
+export function invalidateProxyOrder() {
+    proxyOrderCache.list = null;
+}
+
+// ====================================================================
+// Same-Origin Proxy Detection
+// ====================================================================
+
+const SAME_ORIGIN_PROXY_NAME = 'Same-Origin';
+
+/** @type {Promise<boolean>|null} */
+let sameOriginDetection = null;
+
+/**
+ * Probe the deployment for the same-origin proxy function and add it to PROXIES
+ * (Netlify/Pages function in production, the Vite middleware under `npm run dev`).
+ * Static hosts without the function answer with index.html (SPA fallback) or 404.
+ * @returns {Promise<boolean>} Whether the function is available
+ */
+async function probeSameOriginProxy() {
+    const { SAME_ORIGIN_PATH, DETECT_TIMEOUT } = APP_CONFIG.RELAY;
+    const location = globalThis.location;
+    if (!SAME_ORIGIN_PATH || (location?.protocol !== 'http:' && location?.protocol !== 'https:')) {
+        return false;
+    }
+
+    const endpoint = new URL(SAME_ORIGIN_PATH, location.origin);
+    const probeUrl = new URL(endpoint);
+    probeUrl.searchParams.set('health', '1');
+
+    try {
+        const timeoutCtrl = createTimeoutController(DETECT_TIMEOUT);
+        const res = await fetch(probeUrl.href, { cache: 'no-store', signal: timeoutCtrl.signal });
+        const body = res.ok ? await res.text() : '';
+        timeoutCtrl.clear();
+        if (body.trim() !== 'ok') return false;
+    } catch (e) {
+        return false;
+    }
+
+    if (!PROXIES.some(p => p.name === SAME_ORIGIN_PROXY_NAME)) {
+        PROXIES.unshift(createRelayProxy(SAME_ORIGIN_PROXY_NAME, u => {
+            const url = new URL(endpoint);
+            url.searchParams.set('url', u);
+            return url.href;
+        }));
+        invalidateProxyOrder();
+    }
+    console.log(`[Proxy] Same-origin proxy detected at ${endpoint.pathname}`);
+    return true;
+}
+
+/**
+ * Detect the same-origin proxy (once per page/worker; later calls share the result)
+ * The fetch functions await this, so the first request already uses the function.
+ * @returns {Promise<boolean>} Whether the function is available
+ */
+export function detectSameOriginProxy() {
+    if (!sameOriginDetection) sameOriginDetection = probeSameOriginProxy();
+    return sameOriginDetection;
+}
+
 /**
  * Record proxy request result
  * @param {string} proxyName - Proxy name
@@ -274,6 +403,39 @@ export function recordProxyResult(proxyName, success, responseTime = null) {
     updateProxyStats(proxyStats);
 }
 
+// ====================================================================
+// Platform Cookie Jar
+// ====================================================================
+
+/**
+ * Store a cookie for a platform host (attached to proxied requests for that host)
+ * @param {string} host - Host suffix (e.g. 'douyin.com')
+ * @param {string} name - Cookie name
+ * @param {string} value - Cookie value
+ */
+export function setPlatformCookie(host, name, value) {
+    if (!cookieJar.has(host)) cookieJar.set(host, new Map());
+    cookieJar.get(host).set(name, value);
+}
+
+/**
+ * Get a stored cookie value for a platform host
+ * @param {string} host - Host suffix
+ * @param {string} name - Cookie name
+ * @returns {string|null} Cookie value or null
+ */
+export function getPlatformCookie(host, name) {
+    return cookieJar.get(host)?.get(name) ?? null;
+}
+
+/**
+ * Remove all cookies stored for a platform host
+ * @param {string} host - Host suffix
+ */
+export function clearPlatformCookies(host) {
+    cookieJar.delete(host);
+}
+
 // ====================================================================
 // Proxy Fetching Functions
 // ====================================================================
@@ -283,21 +445,40 @@ export function recordProxyResult(proxyName, success, responseTime = null) {
  * @param {string} targetUrl - Target URL to fetch
  * @param {boolean} isBinary - Whether to expect binary data
  * @param {number} timeout - Timeout in milliseconds
+ * @param {Object} [init] - Optional request overrides
+ * @param {string} [init.method] - HTTP method (default GET)
+ * @param {*} [init.body] - Request body
+ * @param {Object} [init.headers] - Upstream headers (only relayed by header-forwarding proxies)
  * @returns {Promise<Object|Blob|null>} Fetched data or null on failure
  */
-export async function fetchWithProxy(targetUrl, isBinary = false, timeout = APP_CONFIG.NETWORK.PROXY_TIMEOUT) {
+export async function fetchWithProxy(targetUrl, isBinary = false, timeout = APP_CONFIG.NETWORK.PROXY_TIMEOUT, init = {}) {
     const finalUrl = buildAuthenticatedUrl(targetUrl);
 
+    // Upstream headers: explicit headers + cookies stored for this host
+    const upstreamHeaders = { ...(init.headers || {}) };
+    const cookie = getCookieHeader(targetUrl);
+    if (cookie) upstreamHeaders.cookie = cookie;
+    const needsHeaderForwarding = Object.keys(upstreamHeaders).length > 0;
+
+    // Same-origin proxy (Netlify/Pages function, Vite dev server) makes the direct attempt pointless
+    const hasSameOriginProxy = await detectSameOriginProxy();
+
     // Smart direct connection: Try direct connection first under http/https (skip file:// protocol)
-    const isDomesticPlatform = targetUrl.includes('bilibili.com') || targetUrl.includes('douyu.com');
-    const canTryDirect = (window.location.protocol === 'http:' || window.location.protocol === 'https:') && isDomesticPlatform;
+    // Cookie-gated requests skip it: browsers never send Cookie headers cross-origin
+    const isDomesticPlatform = isDomesticUrl(targetUrl);
+    // (read from globalThis: this also runs in the Service Worker, which has no window)
+    const protocol = globalThis.location?.protocol;
+    const canTryDirect = (protocol === 'http:' || protocol === 'https:')
+        && isDomesticPlatform
+        && !needsHeaderForwarding
+        && !hasSameOriginProxy;
 
     if (canTryDirect) {
         try {
             console.log('[Proxy Strategy] http/https mode, trying direct connection...');
             const timeoutCtrl = createTimeoutController(APP_CONFIG.NETWORK.PROXY_TIMEOUT_DIRECT);
 
-            const directRes = await fetch(finalUrl, { signal: timeoutCtrl.signal });
+            const directRes = await fetch(finalUrl, buildProxyInit({}, {}, init, timeoutCtrl.signal));
             timeoutCtrl.clear();
 
             if (directRes.ok) {
@@ -318,9 +499,18 @@ export async function fetchWithProxy(targetUrl, isBinary = false, timeout = APP_
 
     console.log('[Proxy Strategy] Using smart proxy pool with concurrency control...');
 
-    const smartProxies = getSmartProxyOrder(targetUrl);
+    let smartProxies = getSmartProxyOrder(targetUrl);
     if (smartProxies.length === 0) return null;
 
+    // Prefer proxies able to relay upstream headers (stable partition keeps score order,
+    // private relays forward headers, so they stay first)
+    if (needsHeaderForwarding) {
+        smartProxies = [
+            ...smartProxies.filter(p => typeof p.forwardHeaders === 'function'),
+            ...smartProxies.filter(p => typeof p.forwardHeaders !== 'function')
+        ];
+    }
+
     const attemptProxy = (proxy, abortSignal) => executeWithProxyControl(
         async (assignedProxyName) => {
             const startTime = Date.now();
@@ -332,9 +522,10 @@ export async function fetchWithProxy(targetUrl, isBinary = false, timeout = APP_
             const timeoutCtrl = createTimeoutController(timeout, abortSignal);
 
             try {
-                const res = await fetch(assignedProxy.url(finalUrl), {
-                    signal: timeoutCtrl.signal
-                });
+                const res = await fetch(
+                    assignedProxy.url(finalUrl),
+                    buildProxyInit(assignedProxy, upstreamHeaders, init, timeoutCtrl.signal)
+                );
                 timeoutCtrl.clear();
 
                 const responseTime = Date.now() - startTime;
@@ -375,7 +566,9 @@ export async function fetchWithProxy(targetUrl, isBinary = false, timeout = APP_
         targetUrl
     );
 
-    const hedgeEnabled = APP_CONFIG.NETWORK.HEDGE_REQUESTS_ENABLED && smartProxies.length > 1;
+    // Never hedge a private relay with a public proxy: that would send every request to both
+    const hedgeEnabled = APP_CONFIG.NETWORK.HEDGE_REQUESTS_ENABLED && smartProxies.length > 1
+        && (smartProxies[0].tier !== 'private' || smartProxies[1].tier === 'private');
     let startIndex = 0;
 
     if (hedgeEnabled) {
@@ -464,6 +657,7 @@ export async function fetchWithProxy(targetUrl, isBinary = false, timeout = APP_
  */
 export async function fetchQuick(targetUrl, timeout = APP_CONFIG.NETWORK.PROXY_TIMEOUT_QUICK) {
     const finalUrl = buildAuthenticatedUrl(targetUrl);
+    await detectSameOriginProxy();
     const smartProxies = getSmartProxyOrder(targetUrl);
     if (smartProxies.length === 0) return null;
     const bestProxy = smartProxies[0]; // Only use best proxy
@@ -509,6 +703,7 @@ export async function fetchQuick(targetUrl, timeout = APP_CONFIG.NETWORK.PROXY_T
  */
 export async function fetchTextWithProxy(targetUrl, timeout = APP_CONFIG.NETWORK.PROXY_TIMEOUT) {
     const finalUrl = buildAuthenticatedUrl(targetUrl);
+    await detectSameOriginProxy();
     const smartProxies = getSmartProxyOrder(targetUrl);
 
     for (const proxy of smartProxies) {
@@ -567,5 +762,8 @@ export const ProxyManager = {
     fetchWithProxy,
     fetchQuick,
     fetchTextWithProxy,
+    setPlatformCookie,
+    getPlatformCookie,
+    clearPlatformCookies,
     getStats: () => proxyStats
 };
@@ -48,6 +48,7 @@ export const API_ENDPOINTS = {
   DOUYU: {
     RATE_STREAM: 'https://m.douyu.com/api/room/ratestream',
     BETARD: 'https://www.douyu.com/betard',
+    OPEN_API: 'https://open.douyucdn.cn/api/RoomApi/room',
     ROOM_URL: 'https://www.douyu.com',
   },
   BILIBILI: {
@@ -55,17 +56,44 @@ export const API_ENDPOINTS = {
     ROOM_INFO: 'https://api.live.bilibili.com/room/v1/Room/get_info',
     MASTER_INFO: 'https://api.live.bilibili.com/live_user/v1/Master/info',
     USER_INFO: 'https://api.bilibili.com/x/space/acc/info',
+    STATUS_BY_UIDS: 'https://api.live.bilibili.com/room/v1/Room/get_status_info_by_uids',
+    DANMU_INFO: 'https://api.live.bilibili.com/xlive/web-room/v1/index/getDanmuInfo',
     ROOM_URL: 'https://live.bilibili.com',
   },
   TWITCH: {
     DECAPI_BASE: 'https://decapi.me/twitch',
     THUMBNAIL_BASE: 'https://static-cdn.jtvnw.net/previews-ttv',
+    GQL: 'https://gql.twitch.tv/gql',
+    GQL_CLIENT_ID: 'kimne78kx3ncx6brgo4mv6wki5h1ko', // public web client id
     ROOM_URL: 'https://www.twitch.tv',
   },
   KICK: {
     API_V2: 'https://kick.com/api/v2/channels',
+    PUSHER_WS: 'wss://ws-us2.pusher.com/app/32cbd69e4b950bf97679?protocol=7&client=js&version=8.4.0&flash=false',
     ROOM_URL: 'https://kick.com',
   },
+  CHZZK: {
+    API: 'https://api.chzzk.naver.com/service',
+    ROOM_URL: 'https://chzzk.naver.com/live',
+  },
+  SOOP: {
+    STATION_API: 'https://chapi.sooplive.co.kr/api',
+    THUMBNAIL_BASE: 'https://liveimg.sooplive.co.kr/m',
+    ROOM_URL: 'https://play.sooplive.co.kr',
+  },
+  DOUYIN: {
+    ROOM_ENTER: 'https://live.douyin.com/webcast/room/web/enter/',
+    TTWID_REGISTER: 'https://ttwid.bytedance.com/ttwid/union/register/',
+    ROOM_URL: 'https://live.douyin.com',
+  },
+  YOUTUBE: {
+    ROOM_URL: 'https://www.youtube.com',
+    THUMBNAIL_BASE: 'https://i.ytimg.com/vi',
+  },
+  HUYA: {
+    PROFILE_ROOM: 'https://mp.huya.com/cache.php?m=Live&do=profileRoom',
+    ROOM_URL: 'https://www.huya.com',
+  },
 };
 
 // ====================================================================
@@ -80,9 +108,14 @@ export const PLATFORM_CONFIG = {
     name: '斗鱼',
     color: '#FF5D23',
     icon: '🐟',
-    idPattern: /^\d+$/,
-    idPlaceholder: '房间号 (纯数字)',
-    maxIdLength: 10,
+    idPattern: /^(?:\d+|[a-z][a-z0-9]*)$/i, // numeric room IDs and vanity aliases (douyu.com/<alias>)
+    idPlaceholder: '房间号或个性地址',
+    maxIdLength: 20,
+    // The first path segment is a room only when it is numeric or alias-shaped and not a site section (g_LOL, search, ...)
+    urlPatterns: [
+      /douyu\.com\/.*[?&]rid=(\d+)/i,
+      /douyu\.com\/(?:beta\/)?(?!(?:topic|directory|search|member|special|creator|download|cate)(?=[/?#\s]|$))(\d+|[a-z][a-z0-9]*)(?=[/?#\s]|$)/i,
+    ],
   },
   bilibili: {
     name: 'B站',
@@ -91,6 +124,9 @@ export const PLATFORM_CONFIG = {
     idPattern: /^\d+$/,
     idPlaceholder: '房间号 (纯数字)',
     maxIdLength: 15,
+    // Desktop, /h5/ mobile and /blanc/ player URLs
+    urlPatterns: [/live\.bilibili\.com\/(?:h5\/|blanc\/)?(\d+)/i],
+    shortLinkHosts: ['b23.tv'],
   },
   twitch: {
     name: 'Twitch',
@@ -99,6 +135,8 @@ export const PLATFORM_CONFIG = {
     idPattern: /^[a-zA-Z0-9_]+$/,
     idPlaceholder: '频道名 (英文/数字)',
     maxIdLength: 25,
+    urlPatterns: [/twitch\.tv\/(?:popout\/)?(?!directory\b|videos\/)(\w+)/i],
+    international: true,
   },
   kick: {
     name: 'Kick',
@@ -107,6 +145,59 @@ export const PLATFORM_CONFIG = {
     idPattern: /^[a-zA-Z0-9_]+$/,
     idPlaceholder: '频道名 (英文/数字)',
     maxIdLength: 25,
+    urlPatterns: [/kick\.com\/(?:popout\/)?(?!categories\b)(\w+)/i],
+    international: true,
+  },
+  chzzk: {
+    name: 'CHZZK',
+    color: '#00FFA3',
+    icon: '💚',
+    idPattern: /^[0-9a-f]{32}$/,
+    idPlaceholder: '频道 ID (32位)',
+    maxIdLength: 32,
+    urlPatterns: [/chzzk\.naver\.com\/(?:live\/)?([0-9a-f]{32})/i],
+    international: true,
+  },
+  soop: {
+    name: 'SOOP',
+    color: '#5C8DFF',
+    icon: '🌲',
+    idPattern: /^[a-z0-9_]+$/,
+    idPlaceholder: '主播 ID (英文/数字)',
+    maxIdLength: 30,
+    // play./ch./bj. hosts on sooplive.co.kr and the legacy afreecatv.com, plus the mobile player
+    urlPatterns: [/(?:sooplive\.co\.kr|afreecatv\.com)\/(?:#\/player\/|station\/)?(\w+)/i],
+    international: true,
+  },
+  huya: {
+    name: '虎牙',
+    color: '#FFA200',
+    icon: '🐯',
+    idPattern: /^[a-zA-Z0-9_]+$/,
+    idPlaceholder: '房间号 (数字/英文)',
+    maxIdLength: 20,
+    urlPatterns: [/huya\.com\/(?!g\/)(\w+)/i],
+  },
+  douyin: {
+    name: '抖音',
+    color: '#FE2C55',
+    icon: '🎵',
+    idPattern: /^\d+$/,
+    idPlaceholder: '直播间号 (纯数字)',
+    maxIdLength: 20,
+    // live.douyin.com/<web_rid>; share/reflow pages carry web_rid in the query or page data
+    urlPatterns: [/live\.douyin\.com\/(\d+)/i, /web_rid["'=:\s]+(\d+)/i],
+    shortLinkHosts: ['v.douyin.com'],
+  },
+  youtube: {
+    name: 'YouTube',
+    color: '#FF0033',
+    icon: '▶️',
+    idPattern: /^(@[\w.-]+|UC[\w-]{22})$/,
+    idPlaceholder: '@handle 或频道 ID',
+    maxIdLength: 100,
+    urlPatterns: [/youtube\.com\/(@[\w.-]+)/i, /youtube\.com\/channel\/(UC[\w-]{22})/],
+    international: true,
   },
 };
 
@@ -159,6 +250,8 @@ export const APP_CONFIG = {
     PROXY_TIMEOUT_QUICK: 4000,
     PROXY_TIMEOUT_TWITCH: 6000,
     PROXY_TIMEOUT_TWITCH_META: 3000,
+    TWITCH_PRIMARY_COOLDOWN: 5 * 60 * 1000, // Stay on DecAPI this long after a GQL failure
+    DOUYIN_SESSION_COOLDOWN: 5 * 60 * 1000, // Wait this long before re-registering a ttwid after a failure
     PROXY_TIMEOUT_DIRECT: 4000,  // Direct connection timeout
     REFRESH_COOLDOWN: 5000,
     MAX_PROXY_STATS: 100,
@@ -167,9 +260,20 @@ export const APP_CONFIG = {
     HEDGE_DELAY_MS: 150, // 优化：从250ms降到150ms，减少100ms等待时间
   },
 
+  // Self-hosted relay (server/relay.js), set at build time: VITE_RELAY_URL=https://relay.example.com/
+  RELAY: {
+    URL: import.meta.env?.VITE_RELAY_URL || '',
+    EXCLUSIVE: import.meta.env?.VITE_RELAY_EXCLUSIVE === 'true', // never fall back to public proxies
+    MAX_CONCURRENT: 8,
+    // Same-origin proxy function on Netlify/Pages deployments (detected at runtime)
+    SAME_ORIGIN_PATH: '/api/proxy',
+    DETECT_TIMEOUT: 3000,
+  },
+
   // Proxy scoring configuration
   PROXY_SCORING: {
     TIER_PRIORITY: {
+      private: 2000,  // self-hosted relays (always ordered before public proxies)
       premium: 1000,
       standard: 500,
       fallback: 100,
@@ -210,6 +314,16 @@ export const APP_CONFIG = {
     DROPDOWN_RIGHT_GAP: 8,    // Gap between dropdown and add button (px)
   },
 
+  // Bulk add / import lookups (short links, canonical room IDs)
+  BULK_ADD: {
+    LOOKUP_CONCURRENCY: 4,    // Lookups in flight at once
+  },
+
+  // Live lookup preview under the add input
+  ADD_PREVIEW: {
+    DEBOUNCE: 600,            // Wait after the last keystroke before looking up (ms)
+  },
+
   // Concurrency control (优化：提升并发数以加快刷新速度)
   CONCURRENCY: {
     DEFAULT: 4,        // 恢复到4，提升50-100%刷新速度
@@ -226,12 +340,78 @@ export const APP_CONFIG = {
     THRESHOLD: 10,
   },
 
+  // Multi-room status lookups (rooms per request)
+  STATUS_BATCH: {
+    BILIBILI: 50,
+    TWITCH: 20,
+  },
+
+  // Push-based live status (WebSocket), polling stays as fallback
+  LIVE_PUSH: {
+    ENABLED: true,
+    BILIBILI_WS_URL: 'wss://broadcastlv.chat.bilibili.com/sub',
+    BILIBILI_MAX_CONNECTIONS: 20, // one socket per room, favourites first
+    HEARTBEAT_INTERVAL: 30000,
+    RECONNECT_BASE_DELAY: 2000,
+    RECONNECT_MAX_DELAY: 60000,
+    // While the Kick socket is down its rooms are polled, backing off from base to max
+    KICK_FALLBACK_POLL_BASE: 30000,
+    KICK_FALLBACK_POLL_MAX: 600000,
+  },
+
+  // Fetch/merge/diff in a Web Worker during refreshes (main thread on file:// or when workers fail)
+  STATUS_WORKER: {
+    ENABLED: true,
+    TASK_TIMEOUT: 60000, // a task still pending after this is fetched on the main thread instead
+  },
+
+  // Service Worker background checks (periodic background sync where the browser grants it)
+  BACKGROUND_MONITOR: {
+    ENABLED: true,
+    SYNC_TAG: 'liveradar-status',
+    MIN_INTERVAL: 15 * 60 * 1000,  // requested periodic sync interval (the browser may stretch it)
+    CONCURRENCY: 3,
+  },
+
+  // Cross-tab coordination: one leader tab polls and notifies, the others follow its cache updates
+  TAB_SYNC: {
+    CHANNEL_NAME: 'liveradar-tabs',
+    HEARTBEAT_INTERVAL: 3000,  // leader renews its lease / followers check it
+    LEADER_TTL: 10000,         // lease expires after this long without a heartbeat
+    BROADCAST_DELAY: 200,      // cache updates are batched for this long
+  },
+
   // Auto-refresh (优化：增加抖动延迟以分散请求，减少突发流量)
   AUTO_REFRESH: {
     INTERVAL: 600, // seconds
     JITTER_MAX_INITIAL: 3000,  // 优化：从2000ms增加到3000ms
   },
 
+  // Per-room auto-refresh schedule (seconds); a room polls at the shortest interval that applies
+  POLL_SCHEDULE: {
+    LIVE_INTERVAL: 120,
+    FAVORITE_INTERVAL: 180,
+    PREDICTED_INTERVAL: 180,  // offline room around the time it usually goes live
+    OFFLINE_INTERVAL: 600,
+    // Rooms not seen live for a while back off further
+    OFFLINE_BACKOFF: [
+      { AFTER: 86400, INTERVAL: 1800 },   // 1 day
+      { AFTER: 604800, INTERVAL: 3600 },  // 7 days
+    ],
+    // Go-live prediction from recent stream start times (time of day)
+    PREDICT_LEAD_MINUTES: 30,   // start polling often this long before a usual start
+    PREDICT_LAG_MINUTES: 60,    // ...and keep going this long after it
+    PREDICT_MIN_STARTS: 2,      // starts needed in that window
+    HISTORY_SIZE: 20,           // stream starts remembered per room
+  },
+
+  // User refresh settings (see core/refresh-settings); defaults come from POLL_SCHEDULE / CONCURRENCY
+  REFRESH_SETTINGS: {
+    MIN_INTERVAL: 30,     // seconds
+    MAX_INTERVAL: 3600,
+    MAX_CONCURRENCY: 12,
+  },
+
   // Snow effect
   SNOW: {
     ENABLED:
@@ -270,6 +450,10 @@ export const APP_CONFIG = {
       'viewers',
       'heatValue',
       'startTime',
+      'category',
+      'tags',
+      'language',
+      'followers',
     ],
     LOG_CHANGES: true,
   },
@@ -4,6 +4,7 @@
  * ============================================================
  *
  * Proxy Tiers:
+ * - 'private': Self-hosted LiveRadar relay (server/relay.js), always tried before public proxies
  * - 'premium': Premium tier (first choice, high priority)
  * - 'standard': Standard tier (second choice)
  * - 'fallback': Fallback tier (last resort)
@@ -15,10 +16,41 @@
  *
  * Notes:
  * - wrap: true indicates data needs to be extracted from response.contents
+ * - forwardHeaders: optional (headers) => proxyRequestHeaders for proxies that can
+ *   relay browser-forbidden upstream headers (Cookie/Referer), used by cookie-gated platforms
+ * - maxConcurrent: optional per-proxy concurrency limit (default: proxy pool setting)
+ * - custom: true marks user-defined entries (api/custom-proxies.js)
  * - Under file:// protocol, only CodeTabs is available
  * - Under http:// protocol, other proxies can serve as fallbacks
  */
 
+import { APP_CONFIG } from './constants.js';
+
+/**
+ * Request header carrying upstream headers (JSON) to the LiveRadar relay
+ */
+export const RELAY_HEADERS_HEADER = 'x-relay-headers';
+
+/**
+ * Proxy entry for a self-hosted LiveRadar relay
+ * @param {string} name - Proxy name
+ * @param {Function} url - (targetUrl) => relay request URL
+ * @param {string} [region] - Region of the relay host
+ * @returns {Object} Proxy config in the 'private' tier
+ */
+export function createRelayProxy(name, url, region = 'global') {
+    return {
+        name,
+        url,
+        wrap: false,
+        forwardHeaders: headers => ({ [RELAY_HEADERS_HEADER]: JSON.stringify(headers) }),
+        weight: 100,
+        region,
+        tier: 'private',
+        maxConcurrent: APP_CONFIG.RELAY.MAX_CONCURRENT
+    };
+}
+
 /**
  * Available CORS proxy services
  * Each proxy has: name, url function, wrap flag, weight, region, and tier
@@ -99,6 +131,7 @@ export const PROXIES = [
         name: "Proxy.CORS",
         url: u => `https://proxy.cors.sh/${u}`,
         wrap: false,
+        forwardHeaders: headers => ({ 'x-cors-headers': JSON.stringify(headers) }),
         weight: 3,
         region: 'overseas',
         tier: 'fallback'
@@ -112,10 +145,20 @@ export const PROXIES = [
         tier: 'fallback'
     }
 
-    // TODO: Add mainland China proxies if discovered:
-    // { name: "国内代理1", url: u => `...`, wrap: false, weight: 60, region: 'mainland', tier: 'premium' },
+    // Mainland and self-hosted proxies are added by users in the proxy settings panel
+    // (api/custom-proxies.js appends them here with custom: true)
 ];
 
+// Relay configured at build time goes first
+if (APP_CONFIG.RELAY.URL) {
+    const relayBase = APP_CONFIG.RELAY.URL;
+    PROXIES.unshift(createRelayProxy('Private Relay', u => {
+        const relayUrl = new URL(relayBase, globalThis.location?.href);
+        relayUrl.searchParams.set('url', u);
+        return relayUrl.href;
+    }));
+}
+
 /**
  * Proxy configuration object
  */
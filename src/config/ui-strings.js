@@ -7,8 +7,13 @@
  * Input placeholder texts for different platforms
  */
 export const PLACEHOLDERS = {
-    twitch: "输入 ID (如 xqc)...",
-    douyu: "输入房间号...",
-    bilibili: "输入房间号...",
-    kick: "输入 ID (如 xqc)..."
+    twitch: "输入 ID 或链接 (如 xqc)...",
+    douyu: "输入房间号或粘贴链接...",
+    bilibili: "输入房间号或粘贴链接...",
+    kick: "输入 ID 或链接 (如 xqc)...",
+    huya: "输入房间号或粘贴链接...",
+    douyin: "输入直播间号或粘贴链接...",
+    chzzk: "输入频道 ID 或链接...",
+    soop: "输入主播 ID...",
+    youtube: "输入 @handle 或频道链接..."
 };
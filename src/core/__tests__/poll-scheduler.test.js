@@ -0,0 +1,110 @@
+/**
+ * Poll Scheduler Tests
+ * Testing per-room intervals, go-live prediction and due room selection
+ */
+
+import { describe, it, expect, afterEach } from 'vitest';
+import {
+  getPollInterval,
+  isNearUsualStart,
+  getDueRooms,
+  markDispatched,
+} from '../poll-scheduler.js';
+import { APP_CONFIG } from '../../config/constants.js';
+import {
+  updateRefreshSettings,
+  resetRefreshSettings,
+  normalizeRefreshSettings,
+} from '../refresh-settings.js';
+
+const { LIVE_INTERVAL, FAVORITE_INTERVAL, PREDICTED_INTERVAL, OFFLINE_INTERVAL } =
+  APP_CONFIG.POLL_SCHEDULE;
+const DAY = 24 * 60 * 60 * 1000;
+const now = new Date(2026, 0, 10, 20, 0).getTime();
+
+describe('Poll Scheduler - intervals', () => {
+  it('should poll live rooms and favourites more often than offline rooms', () => {
+    expect(getPollInterval({ isFav: false }, { isLive: true }, null, now)).toBe(LIVE_INTERVAL);
+    expect(getPollInterval({ isFav: true }, { isLive: false }, null, now)).toBe(FAVORITE_INTERVAL);
+    expect(getPollInterval({ isFav: false }, { isLive: false }, null, now)).toBe(OFFLINE_INTERVAL);
+  });
+
+  it('should back off for rooms not seen live for days', () => {
+    const history = { since: now - 30 * DAY, lastLiveAt: now - 10 * DAY, starts: [] };
+    const interval = getPollInterval({ isFav: false }, { isLive: false }, history, now);
+
+    expect(interval).toBeGreaterThan(OFFLINE_INTERVAL);
+  });
+
+  it('should poll often around the usual start time', () => {
+    // Went live at 20:10 on the previous two days
+    const starts = [now - 2 * DAY + 10 * 60000, now - DAY + 10 * 60000];
+    const history = { since: now - 30 * DAY, lastLiveAt: now - 10 * DAY, starts };
+
+    expect(isNearUsualStart(history, now)).toBe(true);
+    expect(isNearUsualStart(history, now + 6 * 60 * 60000)).toBe(false);
+    expect(getPollInterval({ isFav: false }, { isLive: false }, history, now)).toBe(
+      PREDICTED_INTERVAL
+    );
+  });
+});
+
+describe('Poll Scheduler - user settings', () => {
+  afterEach(() => {
+    resetRefreshSettings();
+  });
+
+  it('should use the configured global and favourite intervals', () => {
+    updateRefreshSettings({ interval: 300, favoriteInterval: 60 });
+
+    expect(getPollInterval({ isFav: false }, { isLive: false }, null, now)).toBe(300);
+    expect(getPollInterval({ isFav: true }, { isLive: false }, null, now)).toBe(60);
+  });
+
+  it('should not poll live rooms less often than the global interval', () => {
+    updateRefreshSettings({ interval: 60 });
+
+    expect(getPollInterval({ isFav: false }, { isLive: true }, null, now)).toBe(60);
+  });
+
+  it('should clamp invalid settings to the allowed range', () => {
+    const settings = normalizeRefreshSettings({
+      interval: 1,
+      favoriteInterval: 'x',
+      concurrency: 99,
+    });
+
+    expect(settings.interval).toBe(APP_CONFIG.REFRESH_SETTINGS.MIN_INTERVAL);
+    expect(settings.favoriteInterval).toBe(FAVORITE_INTERVAL);
+    expect(settings.concurrency).toBe(APP_CONFIG.REFRESH_SETTINGS.MAX_CONCURRENCY);
+    expect(settings.pauseWhenHidden).toBe(false);
+  });
+});
+
+describe('Poll Scheduler - due rooms', () => {
+  it('should return rooms whose interval has passed since their last fetch', () => {
+    const rooms = [
+      { id: 'a', platform: 'twitch', isFav: false },
+      { id: 'b', platform: 'twitch', isFav: false },
+    ];
+    const cache = {
+      'twitch-a': { isLive: true, lastFetchedAt: now - (LIVE_INTERVAL + 1) * 1000 },
+      'twitch-b': { isLive: false, lastFetchedAt: now - 1000 },
+    };
+
+    const { due, nextDueIn } = getDueRooms(rooms, cache, now);
+
+    expect(due.map((room) => room.id)).toEqual(['a']);
+    expect(nextDueIn).toBe(0);
+  });
+
+  it('should wait a full interval after dispatching a room whose fetch failed', () => {
+    const rooms = [{ id: 'c', platform: 'kick', isFav: false }];
+    markDispatched(rooms, now);
+
+    const { due, nextDueIn } = getDueRooms(rooms, {}, now + 1000);
+
+    expect(due).toHaveLength(0);
+    expect(nextDueIn).toBe(OFFLINE_INTERVAL * 1000 - 1000);
+  });
+});
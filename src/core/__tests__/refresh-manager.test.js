@@ -0,0 +1,99 @@
+/**
+ * Refresh Manager Tests
+ * Testing how rooms are grouped into batch / per-room refresh tasks
+ */
+
+import { describe, it, expect, vi, beforeAll, beforeEach } from 'vitest';
+
+vi.mock('../status-fetcher.js', () => ({
+  fetchRoomStatus: vi.fn(() => Promise.resolve()),
+  fetchRoomStatusBatch: vi.fn(() => Promise.resolve()),
+}));
+
+import { fetchRoomStatus, fetchRoomStatusBatch } from '../status-fetcher.js';
+import { promisePool, groupRoomsForRefresh, runRefreshTask } from '../refresh-manager.js';
+import { registerDefaultAdapters, getAdapter } from '../../api/platform-adapter.js';
+import { getState, updateRoomCache, updateRefreshStats } from '../state.js';
+import { getRoomCacheKey } from '../../utils/helpers.js';
+
+const bilibiliRoom = (id, uid) => {
+  if (uid) updateRoomCache(getRoomCacheKey('bilibili', id), { uid });
+  return { platform: 'bilibili', id };
+};
+
+beforeAll(() => {
+  registerDefaultAdapters();
+});
+
+beforeEach(() => {
+  vi.clearAllMocks();
+});
+
+describe('Refresh Manager - grouping', () => {
+  it('should pack batchable rooms per platform at the position of the first room', () => {
+    const b1 = bilibiliRoom('1001', 11);
+    const douyu = { platform: 'douyu', id: '9999' };
+    const b2 = bilibiliRoom('1002', 12);
+    const t1 = { platform: 'twitch', id: 'alpha' };
+    const t2 = { platform: 'twitch', id: 'beta' };
+
+    expect(groupRoomsForRefresh([b1, douyu, t1, b2, t2])).toEqual([[b1, b2], douyu, [t1, t2]]);
+  });
+
+  it('should keep Bilibili rooms without a cached uid on the per-room path', () => {
+    const withUid = bilibiliRoom('2001', 21);
+    const noUid = bilibiliRoom('2002', null);
+    const alsoWithUid = bilibiliRoom('2003', 23);
+
+    expect(groupRoomsForRefresh([withUid, noUid, alsoWithUid])).toEqual([
+      [withUid, alsoWithUid],
+      noUid,
+    ]);
+  });
+
+  it('should split batches at the adapter maxBatchSize and unwrap a batch of one', () => {
+    const { maxBatchSize } = getAdapter('bilibili');
+    const rooms = Array.from({ length: maxBatchSize * 2 + 1 }, (_, i) =>
+      bilibiliRoom(String(3000 + i), 30000 + i)
+    );
+
+    const tasks = groupRoomsForRefresh(rooms);
+
+    expect(tasks).toHaveLength(3);
+    expect(tasks[0]).toEqual(rooms.slice(0, maxBatchSize));
+    expect(tasks[1]).toEqual(rooms.slice(maxBatchSize, maxBatchSize * 2));
+    expect(tasks[2]).toBe(rooms[maxBatchSize * 2]);
+  });
+});
+
+describe('Refresh Manager - tasks', () => {
+  it('should send batches to the batch fetcher and single rooms to the per-room fetcher', async () => {
+    const room = { platform: 'douyu', id: '9999' };
+    const batch = [bilibiliRoom('1001', 11), bilibiliRoom('1002', 12)];
+
+    await runRefreshTask(room, 0);
+    await runRefreshTask(batch, 0);
+
+    expect(fetchRoomStatus).toHaveBeenCalledWith(room, 0);
+    expect(fetchRoomStatusBatch).toHaveBeenCalledWith(batch, 0);
+  });
+
+  it('should count rooms rather than tasks in the progress', async () => {
+    const completed = [];
+    const taskFn = vi.fn(async () => {
+      completed.push(getState().refreshStats.completed);
+    });
+    const rooms = [
+      { platform: 'bilibili', id: '1' },
+      { platform: 'bilibili', id: '2' },
+      { platform: 'bilibili', id: '3' },
+    ];
+    updateRefreshStats({ completed: 0 });
+
+    await promisePool([rooms, { platform: 'douyu', id: '4' }], 1, taskFn);
+
+    expect(taskFn).toHaveBeenCalledTimes(2);
+    expect(completed).toEqual([0, 3]);
+    expect(getState().refreshStats.completed).toBe(4);
+  });
+});
@@ -0,0 +1,93 @@
+/**
+ * Status Fetcher Tests
+ * Testing the batched fetch path and its per-room fallback
+ */
+
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+
+vi.mock('../../api/platform-adapter.js', async (importOriginal) => ({
+  ...(await importOriginal()),
+  fetchPlatformStatus: vi.fn(),
+  fetchPlatformStatusBatch: vi.fn(),
+}));
+
+import { fetchPlatformStatus, fetchPlatformStatusBatch } from '../../api/platform-adapter.js';
+import { fetchRoomStatus, fetchRoomStatusBatch } from '../status-fetcher.js';
+import { getRoomDataCache, updateRoomCache } from '../state.js';
+import { getRoomCacheKey } from '../../utils/helpers.js';
+
+const liveStatus = (title) => ({ isLive: true, title, owner: 'up', heatValue: 100 });
+
+const rooms = ['4001', '4002', '4003'].map((id) => ({ platform: 'bilibili', id }));
+
+beforeEach(() => {
+  vi.clearAllMocks();
+});
+
+describe('Status Fetcher - batch', () => {
+  it('should apply every room of a complete batch without per-room requests', async () => {
+    fetchPlatformStatusBatch.mockResolvedValue(
+      new Map(rooms.map((room) => [room.id, liveStatus(`batch ${room.id}`)]))
+    );
+
+    await fetchRoomStatusBatch(rooms);
+
+    expect(fetchPlatformStatusBatch).toHaveBeenCalledWith(
+      'bilibili',
+      ['4001', '4002', '4003'],
+      expect.any(Object),
+      expect.any(Object)
+    );
+    expect(fetchPlatformStatus).not.toHaveBeenCalled();
+    expect(getRoomDataCache()[getRoomCacheKey('bilibili', '4003')].title).toBe('batch 4003');
+  });
+
+  it('should fetch rooms missing from a partial batch response individually', async () => {
+    fetchPlatformStatusBatch.mockResolvedValue(
+      new Map([
+        ['4001', liveStatus('batch 4001')],
+        ['4003', liveStatus('batch 4003')],
+      ])
+    );
+    fetchPlatformStatus.mockResolvedValue(liveStatus('single 4002'));
+
+    await fetchRoomStatusBatch(rooms);
+
+    expect(fetchPlatformStatus).toHaveBeenCalledTimes(1);
+    expect(fetchPlatformStatus.mock.calls[0].slice(0, 2)).toEqual(['bilibili', '4002']);
+    expect(getRoomDataCache()[getRoomCacheKey('bilibili', '4002')].title).toBe('single 4002');
+    expect(getRoomDataCache()[getRoomCacheKey('bilibili', '4001')].title).toBe('batch 4001');
+  });
+
+  it('should mark all rooms as failed, without retrying them one by one, when the batch fails', async () => {
+    fetchPlatformStatusBatch.mockResolvedValue(null);
+
+    await fetchRoomStatusBatch(rooms);
+
+    expect(fetchPlatformStatus).not.toHaveBeenCalled();
+    expect(getRoomDataCache()[getRoomCacheKey('bilibili', '4001')]._stale).toBe(true);
+  });
+});
+
+describe('Status Fetcher - offline results', () => {
+  it('should keep the last category, tags and language while offline', async () => {
+    const room = { platform: 'bilibili', id: '5001' };
+    updateRoomCache(getRoomCacheKey('bilibili', '5001'), {
+      isLive: true,
+      title: 'live',
+      category: '单机游戏',
+      tags: ['主机', '剧情'],
+      language: 'zh',
+    });
+    fetchPlatformStatus.mockResolvedValue({ isLive: false, title: '', tags: [] });
+
+    await fetchRoomStatus(room);
+
+    expect(getRoomDataCache()[getRoomCacheKey('bilibili', '5001')]).toMatchObject({
+      isLive: false,
+      category: '单机游戏',
+      tags: ['主机', '剧情'],
+      language: 'zh',
+    });
+  });
+});
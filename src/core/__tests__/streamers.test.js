@@ -0,0 +1,112 @@
+/**
+ * Streamers Tests
+ * Testing cross-platform grouping and merged card status
+ */
+
+import { describe, it, expect } from 'vitest';
+import { groupRoomsByStreamer, getStreamerStatus, pruneStreamerGroups } from '../streamers.js';
+import {
+  getRooms,
+  getStreamers,
+  migrateCanonicalRoomIds,
+  updateRoomDataCache,
+  updateRooms,
+  updateStreamers,
+} from '../state.js';
+
+const streamers = [{ id: 's1', name: 'Alice' }];
+const rooms = [
+  { id: 'alice', platform: 'twitch', isFav: false, streamerId: 's1' },
+  { id: '123', platform: 'douyu', isFav: false, alias: 'lpl' },
+  { id: 'alice', platform: 'kick', isFav: true, streamerId: 's1' },
+];
+
+describe('Streamers - grouping', () => {
+  it('should merge linked rooms at the position of the first one', () => {
+    const units = groupRoomsByStreamer(rooms, streamers);
+
+    expect(units).toHaveLength(2);
+    expect(units[0].streamer.name).toBe('Alice');
+    expect(units[0].rooms.map((room) => room.platform)).toEqual(['twitch', 'kick']);
+    expect(units[1].room.platform).toBe('douyu');
+  });
+
+  it('should show a group with one remaining room as a normal card', () => {
+    const units = groupRoomsByStreamer(rooms.slice(0, 2), streamers);
+
+    expect(units.map((unit) => unit.room?.platform)).toEqual(['twitch', 'douyu']);
+  });
+});
+
+describe('Streamers - merged status', () => {
+  it('should sum live viewers and use the busiest live room as primary', () => {
+    const cache = {
+      'twitch-alice': {
+        isLive: true,
+        heatValue: 1200,
+        title: 'Twitch title',
+        viewers: '在线 1.2K人',
+      },
+      'kick-alice': { isLive: true, heatValue: 3000, title: 'Kick title', viewers: '在线 3.0K人' },
+    };
+
+    const { data, primaryRoom, badges } = getStreamerStatus(
+      streamers[0],
+      [rooms[0], rooms[2]],
+      cache
+    );
+
+    expect(primaryRoom.platform).toBe('kick');
+    expect(data).toMatchObject({
+      isLive: true,
+      owner: 'Alice',
+      title: 'Kick title',
+      heatValue: 4200,
+    });
+    expect(data.viewers).toBe('在线 4.2K人');
+    expect(badges.map((badge) => badge.state)).toEqual(['live', 'live']);
+  });
+
+  it('should stay offline and loading-aware when no linked room is live', () => {
+    const cache = { 'twitch-alice': { isLive: false, title: 'Offline', viewers: '离线' } };
+
+    const { data, badges } = getStreamerStatus(streamers[0], [rooms[0], rooms[2]], cache);
+
+    expect(data.isLive).toBe(false);
+    expect(data.loading).toBe(false);
+    expect(badges.map((badge) => badge.state)).toEqual(['offline', 'loading']);
+  });
+});
+
+describe('Streamers - canonical ID merge', () => {
+  it('should keep the group of a merged alias room and prune groups left with one room', () => {
+    updateStreamers([
+      { id: 's1', name: 'Alice' },
+      { id: 's2', name: 'Bob' },
+    ]);
+    updateRooms(
+      [
+        { id: '7734200', platform: 'bilibili', isFav: false },
+        { id: '6', platform: 'bilibili', isFav: true, streamerId: 's1' },
+        { id: 'alice', platform: 'twitch', isFav: false, streamerId: 's1' },
+        { id: '123', platform: 'douyu', isFav: false, streamerId: 's2' },
+        { id: 'lpl', platform: 'douyu', isFav: false, streamerId: 's2' },
+      ],
+      true
+    );
+    updateRoomDataCache(
+      { 'bilibili-6': { canonicalId: '7734200' }, 'douyu-lpl': { canonicalId: '123' } },
+      true
+    );
+
+    expect(migrateCanonicalRoomIds()).toBe(true);
+    pruneStreamerGroups();
+
+    expect(getRooms()).toEqual([
+      { id: '7734200', platform: 'bilibili', isFav: true, alias: '6', streamerId: 's1' },
+      { id: 'alice', platform: 'twitch', isFav: false, streamerId: 's1' },
+      { id: '123', platform: 'douyu', isFav: false, alias: 'lpl' },
+    ]);
+    expect(getStreamers().map((streamer) => streamer.id)).toEqual(['s1']);
+  });
+});
@@ -0,0 +1,47 @@
+/**
+ * Tab Coordinator Tests
+ * Testing the leader lease between tabs
+ */
+
+import { describe, it, expect, afterEach } from 'vitest';
+import { initTabCoordinator, stopTabCoordinator, isLeaderTab } from '../tab-coordinator.js';
+
+const LEADER_KEY = 'pro_tab_leader';
+
+describe('Tab Coordinator - leader election', () => {
+  afterEach(() => {
+    stopTabCoordinator();
+    localStorage.removeItem(LEADER_KEY);
+  });
+
+  it('should take the lease when no other tab holds it', () => {
+    initTabCoordinator();
+
+    expect(isLeaderTab()).toBe(true);
+    expect(JSON.parse(localStorage.getItem(LEADER_KEY)).expires).toBeGreaterThan(Date.now());
+  });
+
+  it('should follow while another tab holds a live lease', () => {
+    localStorage.setItem(
+      LEADER_KEY,
+      JSON.stringify({ id: 'other-tab', expires: Date.now() + 60000 })
+    );
+    initTabCoordinator();
+
+    expect(isLeaderTab()).toBe(false);
+  });
+
+  it('should take over an expired lease', () => {
+    localStorage.setItem(LEADER_KEY, JSON.stringify({ id: 'other-tab', expires: Date.now() - 1 }));
+    initTabCoordinator();
+
+    expect(isLeaderTab()).toBe(true);
+  });
+
+  it('should release the lease when stopped', () => {
+    initTabCoordinator();
+    stopTabCoordinator();
+
+    expect(localStorage.getItem(LEADER_KEY)).toBeNull();
+  });
+});
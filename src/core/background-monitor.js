@@ -0,0 +1,154 @@
+/**
+ * ====================================================================
+ * Background Monitor - Service Worker Registration & Sync
+ * ====================================================================
+ *
+ * Registers the Service Worker (src/service-worker.js) that keeps
+ * checking rooms and notifying while no LiveRadar tab is open or visible,
+ * and keeps it supplied with the monitored rooms, their live states and
+ * the notification switch.
+ *
+ * Background checks run on periodic background sync, which browsers only
+ * grant in some cases (e.g. Chromium for an installed app). Notifications
+ * from the page also go through the worker registration, so they can be
+ * shown without a focused tab, share tags with the worker's (no
+ * duplicates) and get the same click handling (focus or open the app).
+ *
+ * @module core/background-monitor
+ */
+
+import { APP_CONFIG } from '../config/constants.js';
+import { getCustomPlatformSpecs } from '../api/custom-platforms.js';
+import { getCustomProxies } from '../api/custom-proxies.js';
+import { getRoomCacheKey, debounce } from '../utils/helpers.js';
+import {
+    subscribeToState,
+    getRooms,
+    getStreamers,
+    getRoomDataCache,
+    isNotificationsEnabled
+} from './state.js';
+
+let registration = null;
+
+/**
+ * Page the notifications open (without query/hash)
+ * @returns {string} App URL
+ */
+function getAppUrl() {
+    return `${location.origin}${location.pathname}`;
+}
+
+/**
+ * Notification key of a room: linked rooms of one streamer share one
+ * @param {Object} room - Room
+ * @returns {string} Key (also the notification tag)
+ */
+export function getNotifyKey(room) {
+    return room.streamerId ? `streamer-${room.streamerId}` : getRoomCacheKey(room.platform, room.id);
+}
+
+/**
+ * State the worker needs for a background check
+ * @returns {Object} Monitor state
+ */
+function buildMonitorState() {
+    const rooms = getRooms();
+    const cache = getRoomDataCache();
+    const live = {};
+    rooms.forEach(room => {
+        const key = getNotifyKey(room);
+        live[key] = live[key] || cache[getRoomCacheKey(room.platform, room.id)]?.isLive === true;
+    });
+
+    return {
+        rooms: rooms.map(({ id, platform, isFav, streamerId }) => ({ id, platform, isFav, streamerId })),
+        streamers: getStreamers(),
+        customPlatforms: getCustomPlatformSpecs(),
+        customProxies: getCustomProxies(),
+        live,
+        notificationsEnabled: isNotificationsEnabled() && 'Notification' in window && Notification.permission === 'granted',
+        appUrl: getAppUrl()
+    };
+}
+
+/**
+ * Send a message to the worker (active, or still installing on first visit)
+ * @param {Object} message - Message
+ */
+function postToWorker(message) {
+    const worker = registration?.active || registration?.waiting || registration?.installing;
+    worker?.postMessage(message);
+}
+
+/**
+ * Send the current rooms and live states to the worker
+ */
+const syncMonitorState = debounce(() => {
+    postToWorker({ type: 'sync-state', state: buildMonitorState() });
+}, 1000);
+
+/**
+ * Ask for periodic background sync (silently unavailable in most browsers)
+ * @returns {Promise<boolean>} Whether background checks were scheduled
+ */
+async function registerPeriodicSync() {
+    if (!registration?.periodicSync) return false;
+
+    try {
+        const permission = await navigator.permissions?.query({ name: 'periodic-background-sync' });
+        if (permission && permission.state !== 'granted') return false;
+
+        const { SYNC_TAG, MIN_INTERVAL } = APP_CONFIG.BACKGROUND_MONITOR;
+        await registration.periodicSync.register(SYNC_TAG, { minInterval: MIN_INTERVAL });
+        console.log('[BackgroundMonitor] 已开启后台定期检查');
+        return true;
+    } catch (error) {
+        console.warn('[BackgroundMonitor] Periodic sync unavailable:', error.message);
+        return false;
+    }
+}
+
+/**
+ * Show a notification through the worker registration (falls back to a page notification)
+ * @param {string} title - Title
+ * @param {Object} [options] - Notification options; `tag` collapses repeats of the same room
+ */
+export function showLiveNotification(title, options = {}) {
+    if (registration?.showNotification) {
+        registration.showNotification(title, { ...options, data: { url: getAppUrl() } })
+            .catch(() => new Notification(title, options));
+        return;
+    }
+    new Notification(title, options);
+}
+
+/**
+ * Register the Service Worker and start syncing state to it
+ * Needs a secure context (https or localhost); file:// pages keep page-only monitoring.
+ * @returns {Promise<boolean>} Whether the worker was registered
+ */
+export async function initBackgroundMonitor() {
+    if (!APP_CONFIG.BACKGROUND_MONITOR.ENABLED || !('serviceWorker' in navigator) || !window.isSecureContext) {
+        return false;
+    }
+
+    try {
+        // Dev serves the source as a module worker; the build bundles it into ./sw.js (vite.config.js)
+        registration = import.meta.env?.DEV
+            ? await navigator.serviceWorker.register('/src/service-worker.js', { type: 'module' })
+            : await navigator.serviceWorker.register('./sw.js');
+    } catch (error) {
+        console.warn('[BackgroundMonitor] Service Worker registration failed:', error.message);
+        return false;
+    }
+
+    syncMonitorState();
+    ['rooms', 'streamers', 'notificationsEnabled'].forEach(key => subscribeToState(key, syncMonitorState));
+    subscribeToState('isRefreshing', isRefreshing => {
+        if (!isRefreshing) syncMonitorState();
+    });
+
+    await registerPeriodicSync();
+    return true;
+}
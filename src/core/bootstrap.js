@@ -14,15 +14,21 @@
  * 5. Hide loader
  * ==================================================================== */
 
-import { debounce, formatHeat } from '../utils/helpers.js';
+import { debounce, formatHeat, getRoomCacheKey } from '../utils/helpers.js';
 import { APP_CONFIG, MIN_LOADER_DISPLAY_TIME } from '../config/constants.js';
 import { initDOMCache } from '../utils/dom-cache.js';
 
 // Core modules
 import { initState, getState, getRooms, getRoomDataCache, flushPendingStorageWrites } from './state.js';
 import { initSniffers } from '../api/platform-sniffers.js';
+import { startProxyHealthChecks } from '../utils/proxy-pool-manager.js';
 import { initStatusFetcher } from './status-fetcher.js';
+import { initStatusWorker } from './status-worker-client.js';
+import { initLivePush, stopLivePush } from './live-push.js';
+import { initTabCoordinator, isLeaderTab, onLeadershipChange } from './tab-coordinator.js';
+import { initBackgroundMonitor } from './background-monitor.js';
 import { initRefreshManager, refreshAll } from './refresh-manager.js';
+import { pruneStreamerGroups } from './streamers.js';
 import { initRenderer, renderAll } from './renderer.js';
 import { init, initAppDependencies } from './init.js';
 import { fetchStatus } from './status-fetcher.js';
@@ -31,6 +37,7 @@ import { initVisibilityRecovery } from './renderer/image-handler.js';
 // Feature modules
 import { initSnow } from '../features/enhancements/snow-effect.js';
 import { initAutoRefresh } from '../features/core/auto-refresh.js';
+import { initCustomPlatformsPanel } from '../features/core/custom-platforms-panel.js';
 import { initNotifications, checkNotifications } from '../features/core/notifications.js';
 import { initRegionDetection } from '../features/enhancements/region-detector.js';
 import { initStatusTicker, updateTicker } from '../features/core/status-ticker.js';
@@ -55,6 +62,8 @@ export async function initializeApp(loaderStartTime) {
     try {
         // === Step 1: Initialize State ===
         initState();
+        // Alias migration in initState can leave a streamer group with a single room
+        pruneStreamerGroups();
         const rooms = getRooms();
         const roomDataCache = getRoomDataCache();
         const state = getState();
@@ -95,6 +104,38 @@ export async function initializeApp(loaderStartTime) {
             }
         });
 
+        // Fetch and diff in a Web Worker (file:// keeps the main-thread path)
+        initStatusWorker();
+
+        // Elect the tab that polls and notifies; followers render the leader's cache updates
+        initTabCoordinator({
+            onRemoteCache: keys => {
+                const cache = getRoomDataCache();
+                const received = new Set(keys);
+                getRooms().forEach(room => {
+                    const key = getRoomCacheKey(room.platform, room.id);
+                    // Records the live state only (followers don't notify)
+                    if (received.has(key) && cache[key]) {
+                        checkNotifications(room, { isLive: cache[key].isLive, owner: cache[key].owner });
+                    }
+                });
+                updateTicker(getRooms(), cache);
+            }
+        });
+
+        // Initialize push subscriptions (Bilibili WebSocket); polling stays as fallback
+        // Only the leader tab holds the connections
+        const livePushDeps = {
+            checkAndNotify: (room, isLive, owner) => {
+                checkNotifications(room, { isLive, owner });
+            }
+        };
+        if (isLeaderTab()) initLivePush(livePushDeps);
+        onLeadershipChange(isLeader => (isLeader ? initLivePush(livePushDeps) : stopLivePush()));
+
+        // Probe proxies in the background and quarantine failing ones (the leader polls, so it probes)
+        startProxyHealthChecks({ shouldRun: isLeaderTab });
+
         // Initialize refresh manager (only callbacks needed)
         initRefreshManager({
             detectStatusChanges: () => updateTicker(getRooms(), getRoomDataCache())
@@ -114,6 +155,9 @@ export async function initializeApp(loaderStartTime) {
         initAudioManager();
         initAutoRefresh();
         initRegionDetection();
+        initCustomPlatformsPanel();
+        // Service Worker for checks/notifications while no tab is visible (not awaited)
+        initBackgroundMonitor();
 
         // Pass notifyAudio to init dependencies (must be called after initNotificationAudio)
         initAppDependencies({
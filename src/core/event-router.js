@@ -34,6 +34,39 @@ import { toggleAutoRefresh } from '../features/core/auto-refresh.js';
 import { toggleKeepAlive, unlockAllAudio } from '../features/audio/audio-manager.js';
 import { toggleRegionMode } from '../features/enhancements/region-detector.js';
 import { exportRooms, importRooms } from '../features/core/import-export.js';
+import {
+    openCustomPlatformsDialog,
+    closeCustomPlatformsDialog,
+    saveCustomPlatformFromDialog,
+    loadCustomPlatformFile,
+    removeCustomPlatformEntry
+} from '../features/core/custom-platforms-panel.js';
+import {
+    openBulkAddDialog,
+    closeBulkAddDialog,
+    confirmBulkAdd,
+    scheduleBulkAddPreview
+} from '../features/core/bulk-add-panel.js';
+import {
+    openStreamerDialog,
+    closeStreamerDialog,
+    saveStreamerFromDialog,
+    unlinkStreamerFromDialog
+} from '../features/core/streamer-panel.js';
+import {
+    openRefreshSettingsDialog,
+    closeRefreshSettingsDialog,
+    saveRefreshSettingsFromDialog,
+    resetRefreshSettingsFromDialog
+} from '../features/core/refresh-settings-panel.js';
+import {
+    openProxySettingsDialog,
+    closeProxySettingsDialog,
+    saveCustomProxyFromDialog,
+    toggleCustomProxyEntry,
+    removeCustomProxyEntry
+} from '../features/core/proxy-settings-panel.js';
+import { toggleStreamerFavorite } from './streamers.js';
 import { refreshAll } from './refresh-manager.js';
 import { dismissFileWarning, dismissFileWarningPermanently, showDeploymentGuide } from './file-protocol-warning.js';
 import { playNotificationSound } from '../features/audio/notification-audio.js';
@@ -66,10 +99,31 @@ const actionHandlers = {
     'toggle-favorite': (element, event) => {
         event.preventDefault();
         event.stopPropagation();
-        const { id, platform } = element.dataset;
+        const { id, platform, streamerId } = element.dataset;
+        if (streamerId) {
+            toggleStreamerFavorite(streamerId);
+            window.renderAll?.();
+            return;
+        }
         window.toggleFavorite?.(id, platform);
     },
 
+    // Streamer groups (rooms linked across platforms)
+    'open-streamer-dialog': (element, event) => {
+        event.preventDefault();
+        event.stopPropagation();
+        const { id, platform, streamerId } = element.dataset;
+        openStreamerDialog({ id, platform, streamerId });
+    },
+    'close-streamer-dialog': () => closeStreamerDialog(),
+    'save-streamer': () => saveStreamerFromDialog(),
+    'unlink-streamer': () => unlinkStreamerFromDialog(),
+
+    // Bulk add
+    'open-bulk-add': () => openBulkAddDialog(),
+    'close-bulk-add': () => closeBulkAddDialog(),
+    'confirm-bulk-add': () => confirmBulkAdd(),
+
     // Search history
     'apply-history': (element) => {
         const value = element.dataset.value;
@@ -93,8 +147,28 @@ const actionHandlers = {
         document.getElementById('import-file-input')?.click();
     },
 
+    // Custom platforms
+    'open-custom-platforms': () => openCustomPlatformsDialog(),
+    'close-custom-platforms': () => closeCustomPlatformsDialog(),
+    'save-custom-platform': () => saveCustomPlatformFromDialog(),
+    'load-custom-platform-file': () => {
+        document.getElementById('custom-platform-file-input')?.click();
+    },
+    'remove-custom-platform': (element) => removeCustomPlatformEntry(element.dataset.platform),
+
+    // Custom proxies
+    'open-proxy-settings': () => openProxySettingsDialog(),
+    'close-proxy-settings': () => closeProxySettingsDialog(),
+    'save-custom-proxy': () => saveCustomProxyFromDialog(),
+    'toggle-custom-proxy': (element) => toggleCustomProxyEntry(element.dataset.proxy),
+    'remove-custom-proxy': (element) => removeCustomProxyEntry(element.dataset.proxy),
+
     // Refresh
     'refresh-all': () => refreshAll(),
+    'open-refresh-settings': () => openRefreshSettingsDialog(),
+    'close-refresh-settings': () => closeRefreshSettingsDialog(),
+    'save-refresh-settings': () => saveRefreshSettingsFromDialog(),
+    'reset-refresh-settings': () => resetRefreshSettingsFromDialog(),
 
     // File protocol warning
     'dismiss-file-warning': () => dismissFileWarning(),
@@ -130,13 +204,15 @@ function handleClick(event) {
 }
 
 /**
- * Handle input events for room search
+ * Handle input events for room search and the bulk add preview
  * @param {Event} event - Input event
  */
 function handleInputEvent(event) {
     // Only handle room-id-input
     if (event.target.id === 'room-id-input') {
         handleInput(event);
+    } else if (event.target.id === 'bulk-add-input') {
+        scheduleBulkAddPreview();
     }
 }
 
@@ -170,6 +246,8 @@ function handleChange(event) {
     // Handle file import
     if (event.target.id === 'import-file-input') {
         importRooms(event);
+    } else if (event.target.id === 'custom-platform-file-input') {
+        loadCustomPlatformFile(event);
     }
 }
 
@@ -20,6 +20,7 @@ import { ResourceManager } from '../utils/resource-manager.js';
 import { getDOMCache, getElement } from '../utils/dom-cache.js';
 import { PLACEHOLDERS } from '../config/ui-strings.js';
 import { updateRoomDataCache, isNotificationsEnabled } from './state.js';
+import { isLeaderTab } from './tab-coordinator.js';
 import { unlockAllAudio as unlockAllAudioManager } from '../features/audio/audio-manager.js';
 import { playNotificationSound as playNotificationSoundManager } from '../features/audio/notification-audio.js';
 import { getRoomCacheKey } from '../utils/helpers.js';
@@ -236,8 +237,8 @@ export function init() {
         if (window.renderAll) window.renderAll();
     }
 
-    // Start initial refresh (silent if no cache)
-    if (window.refreshAll) window.refreshAll(!hasCache);
+    // Start initial refresh (silent if no cache); other tabs' leader keeps a follower's cache current
+    if (window.refreshAll && isLeaderTab()) window.refreshAll(!hasCache);
 
     // Note: initAutoRefresh(), initAudioManager(), and initRegionDetection()
     // are now called in main.js before init() to ensure proper initialization
@@ -0,0 +1,400 @@
+/**
+ * ====================================================================
+ * Live Push - Realtime Status Subscriptions
+ * ====================================================================
+ *
+ * Keeps push connections open for monitored rooms on platforms that offer
+ * them, and applies their events to the room cache immediately:
+ * - Bilibili: live broadcast WebSocket (LIVE / PREPARING / ROOM_CHANGE)
+ * - Kick: Pusher channel events (StreamerIsLive / StopStreamBroadcast); while
+ *   that socket is down, Kick rooms are polled with exponential backoff
+ *
+ * Polling (refresh-manager) is unchanged and remains the fallback; a push
+ * event additionally schedules a normal fetch to fill in title/cover/viewers.
+ *
+ * @module core/live-push
+ */
+
+import { APP_CONFIG, API_ENDPOINTS } from '../config/constants.js';
+import { BilibiliLiveSocket } from '../api/bilibili-live-socket.js';
+import { KickPusherSocket } from '../api/kick-pusher-socket.js';
+import { fetchWithProxy } from '../api/proxy-manager.js';
+import { DataDiffer } from '../utils/data-differ.js';
+import { getRoomCacheKey } from '../utils/helpers.js';
+import { getRooms, getRoomDataCache, updateRoomCache, subscribeToState } from './state.js';
+import { fetchRoomStatus } from './status-fetcher.js';
+
+// External dependencies (only notification check needs injection)
+let checkAndNotify = null;
+
+/** @type {Map<string, BilibiliLiveSocket>} Room ID -> socket */
+const bilibiliSockets = new Map();
+
+/** @type {Map<string, number>} Room ID (possibly short) -> real room ID */
+const bilibiliRealIds = new Map();
+
+/** @type {KickPusherSocket|null} Shared Kick connection */
+let kickSocket = null;
+
+/** @type {Map<string, {room: Object, topics: string[]}>} Room ID -> subscribed Kick room */
+const kickRooms = new Map();
+
+let kickFallbackTimer = null;
+let kickFallbackDelay = 0;
+
+let unsubscribeRooms = null;
+let unsubscribeRefresh = null;
+
+// ====================================================================
+// Cache Updates
+// ====================================================================
+
+/**
+ * Apply a push event to the room cache and notify immediately
+ * @param {Object} room - Room object { id, platform, isFav }
+ * @param {Object} patch - Fields to merge into cached data
+ * @param {Object} [options]
+ * @param {boolean} [options.statusChanged=false] - Run notification check and a follow-up fetch
+ */
+function applyPushUpdate(room, patch, { statusChanged = false } = {}) {
+    const cacheKey = getRoomCacheKey(room.platform, room.id);
+    const prevData = getRoomDataCache()[cacheKey];
+    const nextData = {
+        ...(prevData || {}),
+        ...patch,
+        platform: room.platform,
+        id: room.id,
+        loading: false,
+        isError: false,
+        _stale: false
+    };
+
+    const diffResult = DataDiffer.compare(prevData, nextData);
+    nextData._hasChanges = diffResult.changed;
+    nextData._changes = diffResult.changes;
+    updateRoomCache(cacheKey, nextData, true);
+
+    if (statusChanged) {
+        if (checkAndNotify) checkAndNotify(room, nextData.isLive, nextData.owner || room.id);
+        // Fill in title/cover/viewers through the regular polling path
+        fetchRoomStatus(room).then(() => window.renderAll?.());
+    }
+
+    window.renderAll?.();
+}
+
+// ====================================================================
+// Bilibili
+// ====================================================================
+
+/**
+ * Resolve a (possibly short) room ID to the real room ID the WebSocket expects
+ * @param {string} id - Room ID as stored
+ * @returns {Promise<number|null>} Real room ID
+ */
+async function resolveBilibiliRoomId(id) {
+    if (bilibiliRealIds.has(id)) return bilibiliRealIds.get(id);
+
+    const init = await fetchWithProxy(`${API_ENDPOINTS.BILIBILI.ROOM_INIT}?id=${id}`, false, 6000);
+    const realId = init?.code === 0 ? init.data?.room_id : null;
+    if (realId) bilibiliRealIds.set(id, realId);
+    return realId || null;
+}
+
+/**
+ * Look up the WebSocket host and token for a room (best effort; anonymous auth works without)
+ * @param {number} realId - Real room ID
+ * @returns {Promise<{url?: string, key?: string}>} Connection details
+ */
+async function getBilibiliAuth(realId) {
+    const info = await fetchWithProxy(`${API_ENDPOINTS.BILIBILI.DANMU_INFO}?id=${realId}&type=0`, false, 6000);
+    if (info?.code !== 0 || !info.data) return {};
+
+    const host = info.data.host_list?.[0];
+    return {
+        url: host ? `wss://${host.host}:${host.wss_port}/sub` : undefined,
+        key: info.data.token
+    };
+}
+
+/**
+ * Handle a Bilibili broadcast message
+ * @param {Object} room - Room object
+ * @param {Object} message - Decoded JSON message
+ */
+function handleBilibiliMessage(room, message) {
+    // Some commands carry a suffix, e.g. "DANMU_MSG:4:0:2:2:2:0"
+    const cmd = String(message.cmd).split(':')[0];
+    const prevData = getRoomDataCache()[getRoomCacheKey(room.platform, room.id)];
+
+    switch (cmd) {
+        case 'LIVE': {
+            // LIVE is often sent twice; only the first one is a status change
+            const liveTime = Number(message.live_time) || 0;
+            const statusChanged = !prevData?.isLive;
+            applyPushUpdate(room, {
+                isLive: true,
+                isReplay: false,
+                viewers: prevData?.isLive ? prevData.viewers : '在线',
+                startTime: liveTime > 0 ? liveTime * 1000 : (prevData?.isLive ? prevData.startTime : Date.now())
+            }, { statusChanged });
+            if (statusChanged) console.log(`[LivePush] 🔴 bilibili-${room.id} went live`);
+            break;
+        }
+        case 'PREPARING': {
+            if (!prevData?.isLive && !prevData?.isReplay) break;
+            applyPushUpdate(room, {
+                isLive: false,
+                viewers: '离线',
+                heatValue: 0,
+                startTime: null
+            }, { statusChanged: true });
+            console.log(`[LivePush] ⚫ bilibili-${room.id} went offline`);
+            break;
+        }
+        case 'ROOM_CHANGE': {
+            const patch = {};
+            const { title, area_name: category } = message.data || {};
+            if (title && title !== prevData?.title) patch.title = title;
+            if (category && category !== prevData?.category) patch.category = category;
+            if (Object.keys(patch).length > 0) applyPushUpdate(room, patch);
+            break;
+        }
+        default:
+            break;
+    }
+}
+
+/**
+ * Open a socket for a Bilibili room
+ * @param {Object} room - Room object
+ */
+async function subscribeBilibili(room) {
+    const realId = await resolveBilibiliRoomId(room.id);
+    // Room may have been removed while resolving
+    if (!realId || bilibiliSockets.has(room.id) || !isRoomMonitored(room)) return;
+
+    const socket = new BilibiliLiveSocket(realId, {
+        onMessage: message => handleBilibiliMessage(room, message),
+        getAuth: () => getBilibiliAuth(realId)
+    });
+    bilibiliSockets.set(room.id, socket);
+    socket.connect();
+}
+
+/**
+ * Whether a room is still in the monitored list
+ * @param {Object} room - Room object
+ * @returns {boolean} True if monitored
+ */
+function isRoomMonitored(room) {
+    return getRooms().some(r => r.platform === room.platform && r.id === room.id);
+}
+
+/**
+ * Open/close Bilibili sockets to match the monitored list (favourites first, capped)
+ */
+function syncBilibiliSubscriptions() {
+    const bilibiliRooms = getRooms().filter(room => room.platform === 'bilibili');
+    const wanted = [
+        ...bilibiliRooms.filter(room => room.isFav),
+        ...bilibiliRooms.filter(room => !room.isFav)
+    ].slice(0, APP_CONFIG.LIVE_PUSH.BILIBILI_MAX_CONNECTIONS);
+    const wantedIds = new Set(wanted.map(room => room.id));
+
+    bilibiliSockets.forEach((socket, id) => {
+        if (!wantedIds.has(id)) {
+            socket.close();
+            bilibiliSockets.delete(id);
+        }
+    });
+
+    wanted.forEach(room => {
+        if (!bilibiliSockets.has(room.id)) subscribeBilibili(room);
+    });
+}
+
+// ====================================================================
+// Kick
+// ====================================================================
+
+/**
+ * Handle a Kick Pusher event
+ * @param {string} topic - Pusher channel the event arrived on
+ * @param {string} event - Event name, e.g. "App\\Events\\StreamerIsLive"
+ * @param {Object|null} data - Parsed event payload
+ */
+function handleKickEvent(topic, event, data) {
+    const entry = Array.from(kickRooms.values()).find(({ topics }) => topics.includes(topic));
+    if (!entry) return;
+
+    const { room } = entry;
+    const prevData = getRoomDataCache()[getRoomCacheKey(room.platform, room.id)];
+    const name = String(event).split('\\').pop();
+
+    if (name === 'StreamerIsLive') {
+        const livestream = data?.livestream || {};
+        const statusChanged = !prevData?.isLive;
+        applyPushUpdate(room, {
+            isLive: true,
+            isReplay: false,
+            title: livestream.session_title || prevData?.title || '',
+            viewers: prevData?.isLive ? prevData.viewers : '在线',
+            startTime: livestream.created_at ? new Date(livestream.created_at).getTime() : Date.now()
+        }, { statusChanged });
+        if (statusChanged) console.log(`[LivePush] 🔴 kick-${room.id} went live`);
+    } else if (name === 'StopStreamBroadcast') {
+        if (!prevData?.isLive) return;
+        applyPushUpdate(room, {
+            isLive: false,
+            viewers: '离线',
+            heatValue: 0,
+            startTime: null
+        }, { statusChanged: true });
+        console.log(`[LivePush] ⚫ kick-${room.id} went offline`);
+    }
+}
+
+/**
+ * Poll subscribed Kick rooms while the socket is down, doubling the delay each round
+ */
+function scheduleKickFallbackPoll() {
+    const { KICK_FALLBACK_POLL_BASE, KICK_FALLBACK_POLL_MAX } = APP_CONFIG.LIVE_PUSH;
+    kickFallbackDelay = kickFallbackDelay
+        ? Math.min(kickFallbackDelay * 2, KICK_FALLBACK_POLL_MAX)
+        : KICK_FALLBACK_POLL_BASE;
+
+    kickFallbackTimer = setTimeout(async () => {
+        for (const { room } of kickRooms.values()) {
+            await fetchRoomStatus(room);
+        }
+        window.renderAll?.();
+        // Stopped (socket back) while polling
+        if (kickFallbackTimer) scheduleKickFallbackPoll();
+    }, kickFallbackDelay);
+}
+
+function stopKickFallbackPoll() {
+    if (kickFallbackTimer) {
+        clearTimeout(kickFallbackTimer);
+        kickFallbackTimer = null;
+    }
+    kickFallbackDelay = 0;
+}
+
+/**
+ * React to Kick socket state changes
+ * @param {string} state - 'connecting' | 'open' | 'closed'
+ */
+function handleKickSocketState(state) {
+    if (state === 'open') {
+        stopKickFallbackPoll();
+    } else if (state === 'closed' && !kickFallbackTimer && kickRooms.size > 0) {
+        console.warn('[LivePush] Kick socket down, polling with backoff');
+        scheduleKickFallbackPoll();
+    }
+}
+
+/**
+ * Subscribe/unsubscribe Kick topics to match the monitored list
+ * Rooms without cached channel IDs join after their first poll
+ */
+function syncKickSubscriptions() {
+    const roomDataCache = getRoomDataCache();
+    const wanted = new Map();
+    getRooms()
+        .filter(room => room.platform === 'kick')
+        .forEach(room => {
+            const data = roomDataCache[getRoomCacheKey(room.platform, room.id)];
+            if (!data?.channelId) return;
+            const topics = [`channel.${data.channelId}`];
+            if (data.chatroomId) topics.push(`chatroom_${data.chatroomId}`);
+            wanted.set(room.id, { room, topics });
+        });
+
+    kickRooms.forEach((entry, id) => {
+        if (!wanted.has(id)) {
+            entry.topics.forEach(topic => kickSocket?.unsubscribe(topic));
+            kickRooms.delete(id);
+        }
+    });
+
+    if (wanted.size === 0) {
+        stopKickFallbackPoll();
+        return;
+    }
+
+    if (!kickSocket) {
+        kickSocket = new KickPusherSocket({
+            onEvent: handleKickEvent,
+            onStateChange: handleKickSocketState
+        });
+        kickSocket.connect();
+    }
+
+    wanted.forEach((entry, id) => {
+        kickRooms.set(id, entry);
+        entry.topics.forEach(topic => kickSocket.subscribe(topic));
+    });
+}
+
+// ====================================================================
+// Lifecycle
+// ====================================================================
+
+/**
+ * Sync all push subscriptions with the monitored list
+ */
+function syncSubscriptions() {
+    syncBilibiliSubscriptions();
+    syncKickSubscriptions();
+}
+
+/**
+ * Initialize live push subscriptions
+ * @param {Object} deps - Dependencies object
+ * @param {Function} deps.checkAndNotify - (room, isLive, owner) => void
+ */
+export function initLivePush(deps = {}) {
+    if (deps.checkAndNotify) checkAndNotify = deps.checkAndNotify;
+
+    if (!APP_CONFIG.LIVE_PUSH.ENABLED || typeof WebSocket === 'undefined') {
+        console.log('[LivePush] Disabled, relying on polling');
+        return;
+    }
+
+    syncSubscriptions();
+    if (!unsubscribeRooms) unsubscribeRooms = subscribeToState('rooms', syncSubscriptions);
+    // Polls fill in IDs some platforms need before subscribing (e.g. Kick channel IDs)
+    if (!unsubscribeRefresh) {
+        unsubscribeRefresh = subscribeToState('isRefreshing', isRefreshing => {
+            if (!isRefreshing) syncSubscriptions();
+        });
+    }
+    console.log('[LivePush] ✓ Initialized');
+}
+
+/**
+ * Close all push connections
+ */
+export function stopLivePush() {
+    if (unsubscribeRooms) {
+        unsubscribeRooms();
+        unsubscribeRooms = null;
+    }
+    if (unsubscribeRefresh) {
+        unsubscribeRefresh();
+        unsubscribeRefresh = null;
+    }
+    bilibiliSockets.forEach(socket => socket.close());
+    bilibiliSockets.clear();
+    kickRooms.clear();
+    kickSocket?.close();
+    kickSocket = null;
+    stopKickFallbackPoll();
+}
+
+export default {
+    initLivePush,
+    stopLivePush
+};
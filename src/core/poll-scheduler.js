@@ -0,0 +1,187 @@
+/**
+ * ====================================================================
+ * Poll Scheduler - Per-Room Adaptive Refresh Intervals
+ * ====================================================================
+ *
+ * Decides when each room is due for its next status fetch instead of
+ * polling every room on one global clock:
+ * - Live rooms and favourites poll often
+ * - Offline rooms poll at the user's interval (core/refresh-settings),
+ *   backing off further when they have not been seen live for days
+ * - Offline rooms around the time of day they usually go live (from
+ *   their recent stream starts) poll often again
+ *
+ * A room is due when its interval has passed since its last fetch (any
+ * fetch counts: manual refresh, push follow-up) or since the scheduler
+ * last dispatched it, so failing rooms are retried at their interval
+ * rather than on every tick.
+ *
+ * @module core/poll-scheduler
+ */
+
+import { APP_CONFIG } from '../config/constants.js';
+import { SafeStorage } from '../utils/safe-storage.js';
+import { getRoomCacheKey } from '../utils/helpers.js';
+import { getRefreshSettings } from './refresh-settings.js';
+
+const HISTORY_STORAGE_KEY = 'pro_poll_history';
+const DAY_MINUTES = 24 * 60;
+
+/**
+ * Live history by cache key: { since, lastLiveAt, wasLive, starts: number[] }
+ * @type {Object<string, Object>}
+ */
+let liveHistory = SafeStorage.getJSON(HISTORY_STORAGE_KEY, {});
+
+/** @type {Map<string, number>} Cache key -> last time the scheduler dispatched the room */
+const lastDispatchedAt = new Map();
+
+/**
+ * Minutes since local midnight
+ * @param {number} timestamp - Timestamp (ms)
+ * @returns {number} Minute of day
+ */
+function minuteOfDay(timestamp) {
+    const date = new Date(timestamp);
+    return date.getHours() * 60 + date.getMinutes();
+}
+
+/**
+ * Whether an offline room is around the time it usually goes live
+ * @param {Object} [history] - Room live history
+ * @param {number} now - Current timestamp (ms)
+ * @returns {boolean} True when enough recent starts fall in the window around now
+ */
+export function isNearUsualStart(history, now) {
+    const { PREDICT_LEAD_MINUTES, PREDICT_LAG_MINUTES, PREDICT_MIN_STARTS } = APP_CONFIG.POLL_SCHEDULE;
+    const starts = history?.starts || [];
+    if (starts.length < PREDICT_MIN_STARTS) return false;
+
+    const nowMinute = minuteOfDay(now);
+    const matches = starts.filter(start => {
+        // Minutes until this start's time of day (wraps around midnight)
+        const until = (minuteOfDay(start) - nowMinute + DAY_MINUTES) % DAY_MINUTES;
+        return until <= PREDICT_LEAD_MINUTES || until >= DAY_MINUTES - PREDICT_LAG_MINUTES;
+    });
+    return matches.length >= PREDICT_MIN_STARTS;
+}
+
+/**
+ * Poll interval for a room
+ * @param {Object} room - Room ({ isFav })
+ * @param {Object} [data] - Cached room data
+ * @param {Object} [history] - Room live history
+ * @param {number} [now] - Current timestamp (ms)
+ * @returns {number} Interval in seconds
+ */
+export function getPollInterval(room, data, history, now = Date.now()) {
+    const schedule = APP_CONFIG.POLL_SCHEDULE;
+    const settings = getRefreshSettings();
+    if (data?.isLive) return Math.min(schedule.LIVE_INTERVAL, settings.interval);
+
+    // Offline: the user's interval, longer for rooms not seen live for days
+    const offlineSince = history?.lastLiveAt || history?.since || now;
+    const offlineFor = (now - offlineSince) / 1000;
+    let interval = settings.interval;
+    schedule.OFFLINE_BACKOFF.forEach(step => {
+        if (offlineFor >= step.AFTER) interval = Math.max(interval, step.INTERVAL);
+    });
+
+    if (room.isFav) interval = Math.min(interval, settings.favoriteInterval);
+    if (isNearUsualStart(history, now)) interval = Math.min(interval, schedule.PREDICTED_INTERVAL, settings.interval);
+    return interval;
+}
+
+/**
+ * Record what the latest cached data says about each room's live status
+ * Stream starts come from the platform's startTime when available, otherwise
+ * from an offline → live transition seen here.
+ * @param {Array} rooms - Monitored rooms
+ * @param {Object} cache - Room data cache
+ * @param {number} [now] - Current timestamp (ms)
+ */
+export function recordLiveHistory(rooms, cache, now = Date.now()) {
+    const { HISTORY_SIZE } = APP_CONFIG.POLL_SCHEDULE;
+    const next = {};
+    let changed = false;
+
+    rooms.forEach(room => {
+        const key = getRoomCacheKey(room.platform, room.id);
+        const data = cache[key];
+        const entry = liveHistory[key] ? { ...liveHistory[key] } : { since: now, starts: [] };
+        if (!liveHistory[key]) changed = true;
+
+        if (data && !data.loading && !data.isError && !data._stale) {
+            const isLive = data.isLive === true;
+            if (isLive) {
+                // New session: a startTime not recorded yet, or (without one) an offline → live change
+                const start = data.startTime || (entry.wasLive ? null : now);
+                const lastStart = entry.starts[entry.starts.length - 1];
+                if (start && (!lastStart || Math.abs(start - lastStart) > 60000)) {
+                    entry.starts = [...entry.starts, start].slice(-HISTORY_SIZE);
+                    changed = true;
+                }
+                // Only persist lastLiveAt when it moves noticeably (it mostly feeds the day-scale backoff)
+                if (!entry.lastLiveAt || now - entry.lastLiveAt > 60000) {
+                    entry.lastLiveAt = now;
+                    changed = true;
+                }
+            }
+            if (entry.wasLive !== isLive) {
+                entry.wasLive = isLive;
+                changed = true;
+            }
+        }
+
+        next[key] = entry;
+    });
+
+    // Rooms removed from the list drop out of the history
+    if (Object.keys(liveHistory).length !== Object.keys(next).length) changed = true;
+
+    liveHistory = next;
+    if (changed) SafeStorage.setJSON(HISTORY_STORAGE_KEY, liveHistory);
+}
+
+/**
+ * Time until a room is next due
+ * @param {Object} room - Room
+ * @param {Object} cache - Room data cache
+ * @param {number} now - Current timestamp (ms)
+ * @returns {number} Milliseconds (0 or less = due)
+ */
+function getTimeUntilDue(room, cache, now) {
+    const key = getRoomCacheKey(room.platform, room.id);
+    const data = cache[key];
+    const lastPoll = Math.max(data?.lastFetchedAt || 0, lastDispatchedAt.get(key) || 0);
+    return lastPoll + getPollInterval(room, data, liveHistory[key], now) * 1000 - now;
+}
+
+/**
+ * Rooms whose interval has passed, and the wait until the next one
+ * @param {Array} rooms - Monitored rooms
+ * @param {Object} cache - Room data cache
+ * @param {number} [now] - Current timestamp (ms)
+ * @returns {{due: Array, nextDueIn: number}} Due rooms, and ms until the next room is due (Infinity if none)
+ */
+export function getDueRooms(rooms, cache, now = Date.now()) {
+    const due = [];
+    let nextDueIn = Infinity;
+
+    rooms.forEach(room => {
+        const wait = getTimeUntilDue(room, cache, now);
+        if (wait <= 0) due.push(room);
+        else nextDueIn = Math.min(nextDueIn, wait);
+    });
+
+    return { due, nextDueIn: due.length > 0 ? 0 : nextDueIn };
+}
+
+/**
+ * Remember that rooms were handed to a refresh (failed fetches wait a full interval)
+ * @param {Array} rooms - Dispatched rooms
+ * @param {number} [now] - Current timestamp (ms)
+ */
+export function markDispatched(rooms, now = Date.now()) {
+    rooms.forEach(room => lastDispatchedAt.set(getRoomCacheKey(room.platform, room.id), now));
+}
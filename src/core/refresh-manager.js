@@ -16,11 +16,15 @@
 
 import { APP_CONFIG } from '../config/constants.js';
 import { ResourceManager } from '../utils/resource-manager.js';
-import { fetchRoomStatus } from './status-fetcher.js';
-import { getState, getRooms, getRoomDataCache, updateRefreshStatus, updateRefreshStats } from './state.js';
+import { fetchRoomStatus, fetchRoomStatusBatch } from './status-fetcher.js';
+import { getAdapter } from '../api/platform-adapter.js';
+import { getState, getRooms, getRoomDataCache, updateRefreshStatus, updateRefreshStats, migrateCanonicalRoomIds } from './state.js';
 import { getDOMCache } from '../utils/dom-cache.js';
 import { viewportTracker } from '../utils/viewport-tracker.js';
-import { getCardId } from '../utils/helpers.js';
+import { getCardId, getRoomCacheKey } from '../utils/helpers.js';
+import { getRefreshSettings } from './refresh-settings.js';
+import { pruneStreamerGroups } from './streamers.js';
+import { isLeaderTab, requestLeaderRefresh } from './tab-coordinator.js';
 
 // ====================================================================
 // Constants
@@ -49,6 +53,7 @@ export function initRefreshManager(deps = {}) {
 
 /**
  * Execute tasks with controlled concurrency
+ * Items may be single rooms or arrays of rooms (batches); progress counts rooms
  * @param {Array} items - Items to process
  * @param {number} concurrentLimit - Maximum concurrent tasks
  * @param {Function} taskFn - Task function (item, jitter) => Promise
@@ -59,6 +64,7 @@ export function initRefreshManager(deps = {}) {
 async function promisePool(items, concurrentLimit, taskFn, notifyBatchSize = RENDER_BATCH_SIZE, isInitial = false) {
     const pool = new Set();
     let finishedCount = 0;
+    const totalCount = items.reduce((sum, item) => sum + (Array.isArray(item) ? item.length : 1), 0);
     const state = getState();
     let renderScheduled = false; // Flag to prevent duplicate render schedules
 
@@ -83,14 +89,16 @@ async function promisePool(items, concurrentLimit, taskFn, notifyBatchSize = REN
             })
             .finally(() => {
                 pool.delete(task);
-                finishedCount++;
+                const prevCount = finishedCount;
+                finishedCount += Array.isArray(item) ? item.length : 1;
 
                 // Update progress
                 updateRefreshStats({ completed: finishedCount });
                 updateRefreshStatsDisplay();
 
                 // Batch rendering with requestAnimationFrame for smoother updates
-                if (finishedCount % notifyBatchSize === 0 || finishedCount === items.length) {
+                const crossedBatch = Math.floor(finishedCount / notifyBatchSize) > Math.floor(prevCount / notifyBatchSize);
+                if (crossedBatch || finishedCount === totalCount) {
                     scheduleRender();
                 }
             });
@@ -165,6 +173,10 @@ function updateRefreshStatsDisplay() {
  * - Concurrency 12: ~7 seconds (no gain, just more overhead)
  */
 function getConcurrency(roomCount) {
+    // User limit from the refresh settings replaces the tiers
+    const { concurrency } = getRefreshSettings();
+    if (concurrency > 0) return concurrency;
+
     const { THRESHOLD_HIGH, THRESHOLD_MEDIUM, HIGH, MEDIUM, DEFAULT } = APP_CONFIG.CONCURRENCY;
 
     if (roomCount > THRESHOLD_HIGH) return HIGH;      // 8 for 21+ rooms
@@ -172,6 +184,54 @@ function getConcurrency(roomCount) {
     return DEFAULT;                                   // 4 for 1-10 rooms
 }
 
+// ====================================================================
+// Batch Grouping
+// ====================================================================
+
+/**
+ * Group rooms into refresh tasks
+ * Rooms whose adapter has a multi-room API are packed into per-platform batches
+ * (up to adapter.maxBatchSize); a batch takes the position of its first room,
+ * so favourites/visible rooms still go first
+ * @param {Array} rooms - Sorted rooms
+ * @returns {Array} Tasks: a room object or an array of rooms
+ */
+function groupRoomsForRefresh(rooms) {
+    const roomDataCache = getRoomDataCache();
+    const openBatches = new Map();
+    const tasks = [];
+
+    rooms.forEach(room => {
+        const adapter = getAdapter(room.platform);
+        const prevData = roomDataCache[getRoomCacheKey(room.platform, room.id)];
+        if (!adapter?.canBatch(room.id, prevData)) {
+            tasks.push(room);
+            return;
+        }
+
+        let batch = openBatches.get(room.platform);
+        if (!batch || batch.length >= adapter.maxBatchSize) {
+            batch = [];
+            openBatches.set(room.platform, batch);
+            tasks.push(batch);
+        }
+        batch.push(room);
+    });
+
+    // A batch of one gains nothing over the regular path
+    return tasks.map(task => (Array.isArray(task) && task.length === 1 ? task[0] : task));
+}
+
+/**
+ * Refresh task: a single room or a same-platform batch
+ * @param {Object|Array} task - Room or array of rooms
+ * @param {number} jitter - Random delay in milliseconds
+ * @returns {Promise<void>}
+ */
+function runRefreshTask(task, jitter) {
+    return Array.isArray(task) ? fetchRoomStatusBatch(task, jitter) : fetchRoomStatus(task, jitter);
+}
+
 // ====================================================================
 // Main Refresh Function
 // ====================================================================
@@ -193,6 +253,15 @@ export async function refreshAll(sl = false, isAutoRefresh = false, options = {}
     const rooms = getRooms();
     const roomsToRefresh = Array.isArray(options.rooms) ? options.rooms : rooms;
 
+    // Only the leader tab polls; other tabs hand manual refreshes over to it
+    if (!isLeaderTab()) {
+        if (!isAutoRefresh) {
+            requestLeaderRefresh(Array.isArray(options.rooms) ? options.rooms : null);
+            if (!sl && window.showToast) window.showToast("已交由其他标签页刷新", "info");
+        }
+        return;
+    }
+
     // Debounce: Prevent duplicate refresh
     if (!sl && state.isRefreshing) {
         if (window.showToast) window.showToast("目前正在刷新", "info");
@@ -224,9 +293,12 @@ export async function refreshAll(sl = false, isAutoRefresh = false, options = {}
     // O(1) map lookup vs O(n) DOM queries + forced reflow
     const sequential = options.sequential === true;
     const preserveOrder = options.preserveOrder === true || (sequential && options.preserveOrder !== false);
+    // Linked rooms are shown on their streamer's merged card
+    const isRoomInView = room => viewportTracker.isInViewport(getCardId(room.platform, room.id))
+        || (!!room.streamerId && viewportTracker.isInViewport(getCardId('streamer', room.streamerId)));
     const sortByViewport = (a, b) => {
-        const aInView = viewportTracker.isInViewport(getCardId(a.platform, a.id));
-        const bInView = viewportTracker.isInViewport(getCardId(b.platform, b.id));
+        const aInView = isRoomInView(a);
+        const bInView = isRoomInView(b);
 
         if (aInView !== bInView) return bInView ? 1 : -1;
 
@@ -278,7 +350,15 @@ export async function refreshAll(sl = false, isAutoRefresh = false, options = {}
 
     try {
         const applyInitialJitter = sl === true && options.disableJitter !== true;
-        await promisePool(sortedRooms, concurrency, fetchRoomStatus, batchSize, applyInitialJitter);
+        const tasks = groupRoomsForRefresh(sortedRooms);
+        await promisePool(tasks, concurrency, runRefreshTask, batchSize, applyInitialJitter);
+
+        // Rooms added by short ID / vanity alias move to the canonical ID the fetch reported;
+        // a merge can leave a streamer group with a single room
+        if (migrateCanonicalRoomIds()) {
+            pruneStreamerGroups();
+            if (window.renderAll) window.renderAll();
+        }
 
         // Incremental update: Count data changes
         const roomDataCache = getRoomDataCache();
@@ -321,6 +401,6 @@ export async function refreshAll(sl = false, isAutoRefresh = false, options = {}
 // Exports
 // ====================================================================
 
-export { promisePool };
+export { promisePool, groupRoomsForRefresh, runRefreshTask };
 
 export default refreshAll;
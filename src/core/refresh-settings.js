@@ -0,0 +1,117 @@
+/**
+ * ====================================================================
+ * Refresh Settings - User-Configurable Refresh Policies
+ * ====================================================================
+ *
+ * Persisted through SafeStorage and read live by the poll scheduler,
+ * auto-refresh and refresh manager, so changes apply on the next tick
+ * without a reload:
+ * - interval: base auto-refresh interval for offline rooms (seconds)
+ * - favoriteInterval: interval for favourite rooms (seconds)
+ * - pauseWhenHidden: skip auto-refresh while the tab is in the background
+ * - concurrency: max concurrent requests (0 = automatic by room count)
+ *
+ * @module core/refresh-settings
+ */
+
+import { APP_CONFIG } from '../config/constants.js';
+import { SafeStorage } from '../utils/safe-storage.js';
+
+const STORAGE_KEY = 'pro_refresh_settings';
+
+/**
+ * Default settings (the built-in schedule)
+ * @returns {Object} Settings
+ */
+function getDefaults() {
+    return {
+        interval: APP_CONFIG.POLL_SCHEDULE.OFFLINE_INTERVAL,
+        favoriteInterval: APP_CONFIG.POLL_SCHEDULE.FAVORITE_INTERVAL,
+        pauseWhenHidden: false,
+        concurrency: 0
+    };
+}
+
+/**
+ * Clamp an interval to the allowed range
+ * @param {*} value - Raw value
+ * @param {number} fallback - Value used when not a number
+ * @returns {number} Seconds
+ */
+function clampInterval(value, fallback) {
+    const { MIN_INTERVAL, MAX_INTERVAL } = APP_CONFIG.REFRESH_SETTINGS;
+    const seconds = Math.round(Number(value));
+    if (!Number.isFinite(seconds)) return fallback;
+    return Math.min(MAX_INTERVAL, Math.max(MIN_INTERVAL, seconds));
+}
+
+/**
+ * Validate settings, filling missing or invalid fields from the defaults
+ * @param {Object} [raw] - Stored or user-entered settings
+ * @returns {Object} Valid settings
+ */
+export function normalizeRefreshSettings(raw) {
+    const defaults = getDefaults();
+    const source = raw && typeof raw === 'object' ? raw : {};
+    const concurrency = Math.floor(Number(source.concurrency));
+
+    return {
+        interval: clampInterval(source.interval, defaults.interval),
+        favoriteInterval: clampInterval(source.favoriteInterval, defaults.favoriteInterval),
+        pauseWhenHidden: typeof source.pauseWhenHidden === 'boolean' ? source.pauseWhenHidden : defaults.pauseWhenHidden,
+        concurrency: Number.isFinite(concurrency)
+            ? Math.min(APP_CONFIG.REFRESH_SETTINGS.MAX_CONCURRENCY, Math.max(0, concurrency))
+            : defaults.concurrency
+    };
+}
+
+let settings = normalizeRefreshSettings(SafeStorage.getJSON(STORAGE_KEY, null));
+
+/**
+ * Current refresh settings
+ * @returns {Object} Settings (do not mutate; use updateRefreshSettings)
+ */
+export function getRefreshSettings() {
+    return settings;
+}
+
+/**
+ * Re-read the stored settings (after another tab changed them)
+ * @returns {Object} Settings
+ */
+export function reloadRefreshSettings() {
+    settings = normalizeRefreshSettings(SafeStorage.getJSON(STORAGE_KEY, null));
+    return settings;
+}
+
+/**
+ * Change and persist refresh settings
+ * @param {Object} changes - Fields to change
+ * @returns {Object} New settings
+ */
+export function updateRefreshSettings(changes) {
+    settings = normalizeRefreshSettings({ ...settings, ...changes });
+    SafeStorage.setJSON(STORAGE_KEY, settings);
+    return settings;
+}
+
+/**
+ * Restore the built-in defaults
+ * @returns {Object} Default settings
+ */
+export function resetRefreshSettings() {
+    settings = getDefaults();
+    SafeStorage.removeItem(STORAGE_KEY);
+    return settings;
+}
+
+/**
+ * Human-readable interval for labels and toasts
+ * @param {number} seconds - Interval
+ * @returns {string} e.g. "30 秒", "10 分钟", "1 小时"
+ */
+export function formatInterval(seconds) {
+    if (seconds < 60) return `${seconds} 秒`;
+    if (seconds < 3600 || seconds % 3600 !== 0) return `${Math.round(seconds / 60)} 分钟`;
+    return `${seconds / 3600} 小时`;
+}
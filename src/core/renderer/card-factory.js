@@ -9,6 +9,28 @@
  */
 
 import { viewportTracker } from '../../utils/viewport-tracker.js';
+import { PLATFORM_CONFIG } from '../../config/constants.js';
+
+/**
+ * Room page URL for a card link
+ * @param {Object} roomInfo - Room information ({ platform, id })
+ * @returns {string} URL ('#' when the platform has no room URL)
+ */
+export function getRoomUrl(roomInfo) {
+    return {
+        douyu: `https://www.douyu.com/${roomInfo.id}`,
+        bilibili: `https://live.bilibili.com/${roomInfo.id}`,
+        twitch: `https://www.twitch.tv/${roomInfo.id}`,
+        kick: `https://kick.com/${roomInfo.id}`,
+        huya: `https://www.huya.com/${roomInfo.id}`,
+        douyin: `https://live.douyin.com/${roomInfo.id}`,
+        chzzk: `https://chzzk.naver.com/live/${roomInfo.id}`,
+        soop: `https://play.sooplive.co.kr/${roomInfo.id}`,
+        youtube: roomInfo.id.startsWith('@')
+            ? `https://www.youtube.com/${roomInfo.id}/live`
+            : `https://www.youtube.com/channel/${roomInfo.id}/live`,
+    }[roomInfo.platform] || PLATFORM_CONFIG[roomInfo.platform]?.roomUrl?.replace(/\{id\}/g, encodeURIComponent(roomInfo.id)) || '#';
+}
 
 /**
  * Create a new room card from template
@@ -30,12 +52,7 @@ export function createCard(cardId, roomInfo, data, cardState, updateCard) {
     // Uses IntersectionObserver instead of getBoundingClientRect
     viewportTracker.observe(card);
 
-    card.href = {
-        douyu: `https://www.douyu.com/${roomInfo.id}`,
-        bilibili: `https://live.bilibili.com/${roomInfo.id}`,
-        twitch: `https://www.twitch.tv/${roomInfo.id}`,
-        kick: `https://kick.com/${roomInfo.id}`,
-    }[roomInfo.platform];
+    card.href = getRoomUrl(roomInfo);
 
     const favBtn = card.querySelector('.fav-btn');
     favBtn.dataset.id = roomInfo.id;
@@ -45,12 +62,26 @@ export function createCard(cardId, roomInfo, data, cardState, updateCard) {
     delBtn.dataset.id = roomInfo.id;
     delBtn.dataset.platform = roomInfo.platform;
 
+    const linkBtn = card.querySelector('.link-btn');
+    linkBtn.dataset.id = roomInfo.id;
+    linkBtn.dataset.platform = roomInfo.platform;
+
+    // Merged streamer card: favourite/link act on the whole group; rooms are removed from the group editor
+    if (roomInfo.streamer) {
+        card.dataset.streamerId = roomInfo.streamer.id;
+        favBtn.dataset.streamerId = roomInfo.streamer.id;
+        linkBtn.dataset.streamerId = roomInfo.streamer.id;
+        delBtn.remove();
+    }
+
     // Performance optimization: Cache DOM references to card object, avoid repeated queries
     card._domRefs = {
         thumb: card.querySelector('.card-thumbnail'),
         chip: card.querySelector('.status-chip'),
         chipText: card.querySelector('.status-text'),
         titleEl: card.querySelector('.room-title'),
+        metaEl: card.querySelector('.room-meta'),
+        badgesEl: card.querySelector('.streamer-badges'),
         ownerEl: card.querySelector('.room-owner'),
         viewerPill: card.querySelector('.viewer-pill'),
         viewerIcon: card.querySelector('.viewer-icon'),
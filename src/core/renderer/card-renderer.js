@@ -8,11 +8,17 @@
  * - State management (live/offline/loop/loading/error/retrying)
  * - Favorite status synchronization
  * - Duration display formatting
+ * - Category / tags / language / followers line
+ * - Platform badges on merged streamer cards
  *
  * @module core/renderer/card-renderer
  */
 
 import { setImageSource, getSmartImageUrl } from './image-handler.js';
+import { formatHeat, isInternationalPlatform } from '../../utils/helpers.js';
+import { PLATFORM_CONFIG } from '../../config/constants.js';
+import { getPlatformName } from '../streamers.js';
+import { getRoomUrl } from './card-factory.js';
 
 // ====================================================================
 // Helper Functions
@@ -26,7 +32,7 @@ import { setImageSource, getSmartImageUrl } from './image-handler.js';
  * @returns {string} Display title
  */
 function getDisplayTitle(data, roomInfo, cardState) {
-    const isInternational = roomInfo.platform === 'twitch' || roomInfo.platform === 'kick';
+    const isInternational = isInternationalPlatform(roomInfo.platform);
     const hasConnectionIssue = data.isError || data._stale;
 
     // Connection error for international platforms
@@ -51,6 +57,42 @@ function getDisplayTitle(data, roomInfo, cardState) {
     }
 }
 
+/**
+ * Build the category line: category · LANGUAGE · followers · #tags
+ * @param {Object} data - Room data
+ * @returns {string} Meta text (empty when the platform provides none)
+ */
+function getMetaText(data) {
+    const parts = [];
+    if (data.category) parts.push(data.category);
+    if (data.language) parts.push(data.language.toUpperCase());
+    if (data.followers > 0) parts.push(`${formatHeat(data.followers)} 关注`);
+    if (data.tags?.length) parts.push(data.tags.slice(0, 3).map(tag => `#${tag}`).join(' '));
+    return parts.join(' · ');
+}
+
+/**
+ * Render one badge per linked platform on a merged streamer card
+ * @param {HTMLElement} el - Badge container
+ * @param {Array<{platform: string, id: string, state: string, viewers: string}>} badges - Badges
+ */
+function renderStreamerBadges(el, badges) {
+    const signature = badges.map(b => `${b.platform}:${b.id}:${b.state}:${b.viewers}`).join('|');
+    if (el.dataset.signature === signature) return;
+    el.dataset.signature = signature;
+    el.textContent = '';
+
+    badges.forEach(({ platform, id, state, viewers }) => {
+        const badge = document.createElement('span');
+        const name = getPlatformName(platform);
+        badge.className = `streamer-badge is-${state}`;
+        badge.style.setProperty('--badge-color', PLATFORM_CONFIG[platform]?.color || '#6b7280');
+        badge.textContent = viewers ? `${name} ${viewers}` : name;
+        badge.title = `${name} · ${id}`;
+        el.appendChild(badge);
+    });
+}
+
 /**
  * Format live duration from start time
  * @param {number} startTime - Stream start timestamp in milliseconds
@@ -73,6 +115,20 @@ function formatDuration(startTime) {
     }
 }
 
+/**
+ * Format a scheduled start time for upcoming streams
+ * @param {number} startTime - Scheduled start timestamp in milliseconds
+ * @returns {string|null} e.g. "预定 12/24 20:00" or null
+ */
+function formatScheduledTime(startTime) {
+    if (!startTime) return null;
+    const date = new Date(startTime);
+    if (isNaN(date.getTime())) return null;
+
+    const pad = (n) => String(n).padStart(2, '0');
+    return `预定 ${date.getMonth() + 1}/${date.getDate()} ${pad(date.getHours())}:${pad(date.getMinutes())}`;
+}
+
 // ====================================================================
 // Card Update Function
 // ====================================================================
@@ -97,6 +153,8 @@ export function updateCard(card, roomInfo, data, cardState) {
             chip: card.querySelector('.status-chip'),
             chipText: card.querySelector('.status-text'),
             titleEl: card.querySelector('.room-title'),
+            metaEl: card.querySelector('.room-meta'),
+            badgesEl: card.querySelector('.streamer-badges'),
             ownerEl: card.querySelector('.room-owner'),
             viewerPill: card.querySelector('.viewer-pill'),
             viewerIcon: card.querySelector('.viewer-icon'),
@@ -108,11 +166,11 @@ export function updateCard(card, roomInfo, data, cardState) {
         };
     }
 
-    const { thumb, chip, chipText, titleEl, ownerEl, viewerPill, viewerIcon, viewerNum, avatar: avt, favBtn, loader, durationEl } = refs;
+    const { thumb, chip, chipText, titleEl, metaEl, badgesEl, ownerEl, viewerPill, viewerIcon, viewerNum, avatar: avt, favBtn, loader, durationEl } = refs;
 
-    const cols = { douyu: '#ff5d23', bilibili: '#fb7299', twitch: '#9146ff', kick: '#53fc18' };
-    card.style.setProperty('--brand-color', cols[roomInfo.platform]);
-    viewerIcon.textContent = (roomInfo.platform === 'twitch' || roomInfo.platform === 'kick') ? '👤' : '🔥';
+    const cols = { douyu: '#ff5d23', bilibili: '#fb7299', twitch: '#9146ff', kick: '#53fc18', huya: '#ffa200', youtube: '#ff0033', douyin: '#fe2c55', chzzk: '#00ffa3', soop: '#5c8dff' };
+    card.style.setProperty('--brand-color', cols[roomInfo.platform] || PLATFORM_CONFIG[roomInfo.platform]?.color);
+    viewerIcon.textContent = isInternationalPlatform(roomInfo.platform) ? '👤' : '🔥';
 
     // Favorite status: Always sync to ensure consistency
     const isFav = !!roomInfo.isFav;  // Ensure boolean
@@ -145,7 +203,29 @@ export function updateCard(card, roomInfo, data, cardState) {
 
     // Get display title using unified helper (eliminates code duplication)
     const displayTitle = getDisplayTitle(data, roomInfo, cardState);
-    const ownerText = `${data.owner || roomInfo.id} - ${roomInfo.id}`;
+    const ownerText = roomInfo.streamer
+        ? `${roomInfo.streamer.name} · ${roomInfo.badges.length} 个平台`
+        : `${data.owner || roomInfo.id} - ${roomInfo.id}`;
+
+    // Merged streamer card: link follows the primary (busiest live) room
+    if (roomInfo.streamer) {
+        const url = getRoomUrl(roomInfo);
+        if (card.getAttribute('href') !== url) card.href = url;
+    }
+    if (badgesEl) {
+        if (roomInfo.badges) renderStreamerBadges(badgesEl, roomInfo.badges);
+        badgesEl.classList.toggle('hidden', !roomInfo.badges);
+    }
+
+    // Category line only for states backed by fetched data
+    const metaText = ['live', 'loop', 'offline'].includes(cardState) ? getMetaText(data) : '';
+    if (metaEl) {
+        if (metaEl.textContent !== metaText) {
+            metaEl.textContent = metaText;
+            metaEl.title = data.tags?.length ? data.tags.map(tag => `#${tag}`).join(' ') : '';
+        }
+        metaEl.classList.toggle('hidden', !metaText);
+    }
 
     switch (cardState) {
         case 'live':
@@ -178,15 +258,20 @@ export function updateCard(card, roomInfo, data, cardState) {
             durationEl.classList.toggle('hidden', true);
             break;
 
-        case 'offline':
+        case 'offline': {
+            // Scheduled stream (YouTube premiere): show planned start instead of "offline"
+            const upcomingText = data.isUpcoming ? formatScheduledTime(data.startTime) : null;
+            const offlineChip = upcomingText ? '待开播' : '离线';
+            const offlineViewers = upcomingText || '离线';
             chip.className = 'status-chip chip-off';
-            if (chipText.textContent !== '离线') chipText.textContent = '离线';
+            if (chipText.textContent !== offlineChip) chipText.textContent = offlineChip;
             if (titleEl.textContent !== displayTitle) titleEl.textContent = displayTitle;
             if (ownerEl.textContent !== ownerText) ownerEl.textContent = ownerText;
-            if (viewerNum.textContent !== '离线') viewerNum.textContent = '离线';
-            newThumbSrc = data.avatar || data.cover;
+            if (viewerNum.textContent !== offlineViewers) viewerNum.textContent = offlineViewers;
+            newThumbSrc = upcomingText ? (data.cover || data.avatar) : (data.avatar || data.cover);
             durationEl.classList.toggle('hidden', true);
             break;
+        }
 
         case 'error':
             chip.className = 'status-chip chip-error';
@@ -9,6 +9,7 @@
  * - Card positioning and movement between grids
  * - Batch DOM operations with DocumentFragment
  * - Card tracking for efficient removal
+ * - Merged cards for streamer groups (rooms linked across platforms)
  * - Debounced render function
  *
  * @module core/renderer/grid-manager
@@ -16,8 +17,9 @@
 
 import { APP_CONFIG } from '../../config/constants.js';
 import { getDOMCache } from '../../utils/dom-cache.js';
-import { getRooms, getRoomDataCache, subscribeToState } from '../state.js';
-import { debounce, getRoomCacheKey, getCardId } from '../../utils/helpers.js';
+import { getRooms, getRoomDataCache, getStreamers, subscribeToState } from '../state.js';
+import { groupRoomsByStreamer, getStreamerStatus } from '../streamers.js';
+import { debounce, getRoomCacheKey, getCardId, isInternationalPlatform } from '../../utils/helpers.js';
 import { viewportTracker } from '../../utils/viewport-tracker.js';
 import { createCard } from './card-factory.js';
 import { updateCard } from './card-renderer.js';
@@ -46,6 +48,7 @@ export function initRenderer(deps = {}) {
         console.log('[Renderer] Rooms changed, auto-rendering...');
         debouncedRenderAll();
     });
+    subscribeToState('streamers', () => debouncedRenderAll());
 
     console.log('[Renderer] Initialized with state subscriptions');
 }
@@ -83,9 +86,32 @@ function renderAllImmediate() {
     }
     cache.emptyState?.classList.add('hidden');
 
+    // Display units: single rooms, or one merged card per streamer group
+    const units = groupRoomsByStreamer(rooms, getStreamers()).map(unit => {
+        if (unit.room) {
+            return {
+                roomInfo: unit.room,
+                cardId: getCardId(unit.room.platform, unit.room.id),
+                data: roomDataCache[getRoomCacheKey(unit.room.platform, unit.room.id)] || { loading: true }
+            };
+        }
+
+        const { data, primaryRoom, badges } = getStreamerStatus(unit.streamer, unit.rooms, roomDataCache);
+        return {
+            roomInfo: {
+                ...primaryRoom,
+                isFav: unit.rooms.some(room => room.isFav),
+                streamer: unit.streamer,
+                badges
+            },
+            cardId: getCardId('streamer', unit.streamer.id),
+            data
+        };
+    });
+
     const favorites = [];
     const others = [];
-    rooms.forEach(room => (room.isFav ? favorites : others).push(room));
+    units.forEach(unit => (unit.roomInfo.isFav ? favorites : others).push(unit));
     const sortedRooms = favorites.concat(others);
 
     const presentCardIds = new Set();
@@ -107,10 +133,8 @@ function renderAllImmediate() {
         loop: []
     };
 
-    sortedRooms.forEach(roomInfo => {
-        const cardId = getCardId(roomInfo.platform, roomInfo.id);
+    sortedRooms.forEach(({ roomInfo, cardId, data }) => {
         presentCardIds.add(cardId);
-        const data = roomDataCache[getRoomCacheKey(roomInfo.platform, roomInfo.id)] || { loading: true };
 
         let card = document.getElementById(cardId);
 
@@ -211,7 +235,7 @@ function renderAllImmediate() {
 
             if (APP_CONFIG.INCREMENTAL.ENABLED) {
                 // Incremental mode: Update if data changed OR favorite status changed OR live thumbnail needs refresh
-                const isLiveThumbnail = cardState === 'live' && (roomInfo.platform === 'twitch' || roomInfo.platform === 'kick');
+                const isLiveThumbnail = cardState === 'live' && isInternationalPlatform(roomInfo.platform);
                 // 🔥 BUG FIX: 添加 _stale 检查，确保陈旧数据/错误恢复时强制更新
                 const shouldUpdate = data._hasChanges !== false
                     || data._stale === true
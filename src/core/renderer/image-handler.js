@@ -12,6 +12,8 @@
  * @module core/renderer/image-handler
  */
 
+import { isInternationalPlatform } from '../../utils/helpers.js';
+
 // ====================================================================
 // Image Event Handler Management (Memory Leak Prevention)
 // ====================================================================
@@ -74,7 +76,7 @@ export function getSmartImageUrl(baseUrl, platform, isLive) {
         return baseUrl;
     }
 
-    const isInternational = platform === 'twitch' || platform === 'kick';
+    const isInternational = isInternationalPlatform(platform);
 
     // 🔥 Smart caching buckets
     if (isInternational) {
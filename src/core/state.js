@@ -193,6 +193,9 @@ export const state = {
         { id: "xqc", platform: "twitch", isFav: false }
     ]),
 
+    // Streamer groups linking rooms of one person across platforms (rooms carry streamerId)
+    streamers: SafeStorage.getJSON('pro_streamers', []),
+
     // Search history
     searchHistory: SafeStorage.getJSON('pro_search_history', ["6979222", "545318", "xqc"]),
 
@@ -238,23 +241,6 @@ export const state = {
     tickerTimer: null // Scroll timer
 };
 
-// Remove deprecated YouTube entries from persisted data
-const filteredRooms = state.rooms.filter(room => room.platform !== 'youtube');
-if (filteredRooms.length !== state.rooms.length) {
-    state.rooms.length = 0;
-    state.rooms.push(...filteredRooms);
-    SafeStorage.setJSON('pro_monitored_rooms', state.rooms);
-}
-
-const cacheKeys = Object.keys(state.roomDataCache || {});
-const hasYouTubeCache = cacheKeys.some(key => key.startsWith('youtube-'));
-if (hasYouTubeCache) {
-    cacheKeys.forEach(key => {
-        if (key.startsWith('youtube-')) delete state.roomDataCache[key];
-    });
-    SafeStorage.setJSON('pro_room_cache', state.roomDataCache);
-}
-
 // Initialize did if not already saved
 if (!SafeStorage.getItem('pro_did')) {
     SafeStorage.setItem('pro_did', state.did);
@@ -283,6 +269,17 @@ export function updateRooms(newRooms, immediate = false) {
     notifyListeners('rooms', state.rooms, oldRooms);
 }
 
+/**
+ * Update streamer groups
+ * @param {Array} newStreamers - New streamers array ({ id, name })
+ */
+export function updateStreamers(newStreamers) {
+    const oldStreamers = state.streamers;
+    state.streamers = newStreamers;
+    debouncedStorageWrite('pro_streamers', newStreamers, true);
+    notifyListeners('streamers', newStreamers, oldStreamers);
+}
+
 /**
  * Update search history
  * @param {Array} newHistory - New search history array
@@ -329,6 +326,9 @@ export function updateRoomCache(key, data, immediate = false) {
     state.roomDataCache[key] = data;
     // 优化：使用防抖写入，刷新时会调用数百次，防抖可大幅减少写入
     debouncedStorageWrite('pro_room_cache', state.roomDataCache, immediate);
+
+    // Per-entry notification (other tabs receive fetched entries through core/tab-coordinator)
+    notifyListeners('roomCacheEntry', { key, data });
 }
 
 /**
@@ -463,6 +463,70 @@ export function toggleRoomFavorite(id, platform) {
     }
 }
 
+/**
+ * Move rooms to the canonical ID reported by their last fetch
+ * Bilibili short IDs and Douyu vanity aliases resolve to a long numeric room ID
+ * (RoomStatus.canonicalId); the entered ID is kept as `alias`. Rooms that end
+ * up on the same ID are merged, keeping the favourite flag and streamer group;
+ * callers prune groups afterwards since a merge can leave one with a single room.
+ * @returns {boolean} Whether the room list changed
+ */
+export function migrateCanonicalRoomIds() {
+    const cache = state.roomDataCache;
+    const migratedRooms = [];
+    const seen = new Map();
+    let changed = false;
+
+    state.rooms.forEach(room => {
+        const oldKey = getRoomCacheKey(room.platform, room.id);
+        const canonicalId = cache[oldKey]?.canonicalId;
+        let nextRoom = room;
+
+        if (canonicalId && canonicalId !== room.id) {
+            nextRoom = { ...room, id: canonicalId, alias: room.alias || room.id };
+            const newKey = getRoomCacheKey(room.platform, canonicalId);
+            if (!cache[newKey]) cache[newKey] = { ...cache[oldKey], id: canonicalId };
+            delete cache[oldKey];
+            if (oldKey in state.previousLiveStatus) {
+                if (!(newKey in state.previousLiveStatus)) {
+                    state.previousLiveStatus[newKey] = state.previousLiveStatus[oldKey];
+                }
+                delete state.previousLiveStatus[oldKey];
+            }
+            changed = true;
+        }
+
+        const key = getRoomCacheKey(nextRoom.platform, nextRoom.id);
+        const existing = seen.get(key);
+        if (existing) {
+            const index = migratedRooms.indexOf(existing);
+            const mergedRoom = {
+                ...existing,
+                isFav: existing.isFav || nextRoom.isFav,
+                alias: existing.alias || nextRoom.alias,
+                streamerId: existing.streamerId || nextRoom.streamerId
+            };
+            if (!mergedRoom.alias) delete mergedRoom.alias;
+            if (!mergedRoom.streamerId) delete mergedRoom.streamerId;
+            migratedRooms[index] = mergedRoom;
+            seen.set(key, mergedRoom);
+            changed = true;
+            return;
+        }
+
+        seen.set(key, nextRoom);
+        migratedRooms.push(nextRoom);
+    });
+
+    if (!changed) return false;
+
+    updateRooms(migratedRooms, true);
+    updateRoomDataCache(cache, true);
+    updatePreviousLiveStatus(state.previousLiveStatus);
+    console.log('[State] Migrated room aliases to canonical IDs');
+    return true;
+}
+
 /**
  * Save current configuration to storage
  * Legacy function for backward compatibility
@@ -493,6 +557,14 @@ export function getRooms() {
     return state.rooms;
 }
 
+/**
+ * Get streamer groups
+ * @returns {Array} Array of streamer objects ({ id, name })
+ */
+export function getStreamers() {
+    return state.streamers;
+}
+
 /**
  * Get room data cache
  * @returns {Object} Room data cache object
@@ -593,6 +665,8 @@ export function initState() {
         updateRoomDataCache({}, true);
         console.log('[State] Normalized room IDs for international platforms');
     }
+
+    migrateCanonicalRoomIds();
 }
 
 /**
@@ -11,39 +11,21 @@
  * - Heat value persistence
  * - Change detection
  *
+ * Fetching, merging and diffing run in the status worker when it is
+ * available (core/status-worker-client); this module then only applies
+ * the returned patches and checks notifications.
+ *
  * @module core/status-fetcher
  */
 
-import { APP_CONFIG } from '../config/constants.js';
-import { registerDefaultAdapters, fetchPlatformStatus } from '../api/platform-adapter.js';
-import { fetchQuick } from '../api/proxy-manager.js';
+import { registerDefaultAdapters, fetchPlatformStatus, fetchPlatformStatusBatch } from '../api/platform-adapter.js';
+import { loadCustomPlatforms } from '../api/custom-platforms.js';
+import { loadCustomProxies } from '../api/custom-proxies.js';
 import { DataDiffer } from '../utils/data-differ.js';
 import { getRoomDataCache, updateRoomCache } from './state.js';
-import { formatHeat, getRoomCacheKey } from '../utils/helpers.js';
-
-// ====================================================================
-// Cover Timestamp Helpers
-// ====================================================================
-
-function stripTimestampParam(url) {
-    if (!url) return '';
-    return url
-        .replace(/([?&])t=\d+(&)?/, (match, sep, trailing) => {
-            if (sep === '?' && trailing) return '?';
-            if (sep === '&' && trailing) return '&';
-            return '';
-        })
-        .replace(/[?&]$/, '');
-}
-
-function applyTimestampParam(url, timestamp) {
-    if (!url) return '';
-    if (/([?&])t=\d+/.test(url)) {
-        return url.replace(/([?&])t=\d+/, `$1t=${timestamp}`);
-    }
-    const separator = url.includes('?') ? '&' : '?';
-    return `${url}${separator}t=${timestamp}`;
-}
+import { getRoomCacheKey } from '../utils/helpers.js';
+import { needsProfileUpdate, mergeRoomStatus, fetchDouyuAvatarFallback } from './status-merge.js';
+import { isStatusWorkerReady, runInStatusWorker } from './status-worker-client.js';
 
 // External dependencies (only notification check needs injection)
 let checkAndNotify = null;
@@ -55,6 +37,8 @@ let checkAndNotify = null;
 export function initStatusFetcher(deps) {
     if (deps.checkAndNotify) checkAndNotify = deps.checkAndNotify;
     registerDefaultAdapters();
+    loadCustomPlatforms();
+    loadCustomProxies();
 }
 
 /**
@@ -65,18 +49,11 @@ export function initStatusFetcher(deps) {
  */
 export async function fetchRoomStatus(room, jitter = 0) {
     if (jitter > 0) await new Promise(r => setTimeout(r, jitter));
+    if (await fetchInWorker([room], false)) return;
 
-    const cacheKey = getRoomCacheKey(room.platform, room.id);
-    const roomDataCache = getRoomDataCache();
-    const prevData = roomDataCache[cacheKey];
+    const prevData = getRoomDataCache()[getRoomCacheKey(room.platform, room.id)];
     const now = Date.now();
-    const ownerNeedsRefresh = (room.platform === 'douyu' || room.platform === 'bilibili')
-        && prevData?.owner
-        && (prevData.owner === room.id || prevData.owner === String(room.id));
-    const needProfileUpdate = !prevData?.avatar
-        || !prevData?.lastAvatarUpdate
-        || (now - prevData.lastAvatarUpdate > APP_CONFIG.CACHE.AVATAR_UPDATE_INTERVAL)
-        || ownerNeedsRefresh;
+    const needProfileUpdate = needsProfileUpdate(room, prevData, now);
 
     let result = null;
 
@@ -92,149 +69,109 @@ export async function fetchRoomStatus(room, jitter = 0) {
         result = null;
     }
 
-    if (result) {
-        const finalIsLive = result.isLive && !result.isReplay;
-        let heatValue = result.heatValue || 0;
-
-        // Persist previous heat value if current is 0
-        if (heatValue <= 0 && prevData && prevData.heatValue > 0) {
-            heatValue = prevData.heatValue;
-        }
-
-        let viewers = "离线";
-        if (finalIsLive) {
-            // Priority: Display heat value, add "人" suffix for Twitch
-            if (heatValue > 0) {
-                viewers = "在线 " + (formatHeat ? formatHeat(heatValue) : heatValue);
-                if (room.platform === 'twitch' || room.platform === 'kick') viewers += "人";
-            } else {
-                // Display online status when no heat data
-                viewers = "在线";
-            }
-        }
-
-        // Preserve previous data when offline
-        if (!finalIsLive && !result.isReplay && prevData) {
-            if (!result.title) result.title = prevData.title;
-            if (!result.owner) result.owner = prevData.owner;
-            if (prevData.cover) result.cover = prevData.cover;
-            if (!result.avatar) result.avatar = prevData.avatar;
-        }
-
-        // Douyu avatar fallback fetch
-        if (room.platform === 'douyu' && !result.avatar && !result.isError && needProfileUpdate) {
-            fetchQuick(`https://open.douyucdn.cn/api/RoomApi/room/${room.id}`)
-                .then(o => {
-                    const cache = getRoomDataCache();
-                    if (o?.data?.avatar && cache[cacheKey]) {
-                        cache[cacheKey].avatar = o.data.avatar;
-                        updateRoomCache(cacheKey, cache[cacheKey], true);
-                        if (window.renderAll) window.renderAll();
-                    }
-                });
-        }
+    applyRoomStatus(room, result, prevData, needProfileUpdate, now);
+}
 
-        // Trigger notification check
-        if (checkAndNotify) {
-            checkAndNotify(room, finalIsLive, result.owner || room.id);
-        }
+/**
+ * Fetch status for several rooms of the same platform with one batched request
+ * Each result still goes through the same cache/diff/notify path as fetchRoomStatus;
+ * rooms the batch could not resolve are fetched individually
+ * @param {Object[]} rooms - Rooms sharing one platform
+ * @param {number} jitter - Random delay in milliseconds (for load distribution)
+ * @returns {Promise<void>}
+ */
+export async function fetchRoomStatusBatch(rooms, jitter = 0) {
+    if (rooms.length === 0) return;
+    if (jitter > 0) await new Promise(r => setTimeout(r, jitter));
+    if (await fetchInWorker(rooms, true)) return;
 
-        const prevCover = prevData?.cover || '';
-        const prevCoverBase = stripTimestampParam(prevCover);
-        const nextCoverBase = stripTimestampParam(result.cover || '');
-        const lastCoverUpdate = prevData?.lastCoverUpdate || 0;
-        const coverRefreshDue = now - lastCoverUpdate > APP_CONFIG.CACHE.IMAGE_TIMESTAMP_INTERVAL;
-        const coverBaseChanged = !!nextCoverBase && !!prevCoverBase && nextCoverBase !== prevCoverBase;
-
-        let finalCover = result.cover || '';
-        if (finalIsLive) {
-            if (!nextCoverBase) {
-                finalCover = prevCover;
-            } else if (!coverBaseChanged && !coverRefreshDue) {
-                finalCover = prevCover;
-            } else {
-                finalCover = applyTimestampParam(nextCoverBase, now);
-            }
-        } else if (!result.isReplay && prevCover) {
-            finalCover = prevCover;
+    const platform = rooms[0].platform;
+    const roomDataCache = getRoomDataCache();
+    const now = Date.now();
+    const prevDataById = {};
+    let fetchAvatar = false;
+
+    rooms.forEach(room => {
+        const prevData = roomDataCache[getRoomCacheKey(platform, room.id)];
+        prevDataById[room.id] = prevData;
+        if (needsProfileUpdate(room, prevData, now)) fetchAvatar = true;
+    });
+
+    const results = await fetchPlatformStatusBatch(
+        platform,
+        rooms.map(room => room.id),
+        { fetchAvatar },
+        prevDataById
+    );
+
+    const unresolved = [];
+    rooms.forEach(room => {
+        const prevData = prevDataById[room.id];
+        if (results && !results.has(room.id)) {
+            unresolved.push(room);
+            return;
         }
+        applyRoomStatus(room, results ? results.get(room.id) : null, prevData, needsProfileUpdate(room, prevData, now), now);
+    });
 
-        const shouldUpdateCoverTimestamp = finalIsLive
-            && nextCoverBase
-            && (coverBaseChanged || coverRefreshDue || !lastCoverUpdate);
-
-        const updateData = {
-            ...result,
-            isLive: finalIsLive,
-            viewers,
-            avatar: result.avatar || prevData?.avatar || "",
-            cover: finalCover,
-            platform: room.platform,
-            id: room.id,
-            loading: false,
-            heatValue,
-            isError: false,
-            _stale: false
-        };
-
-        if (!needProfileUpdate) {
-            if (prevData?.avatar) updateData.avatar = prevData.avatar;
-            if (prevData?.owner) updateData.owner = prevData.owner;
-        }
+    for (const room of unresolved) {
+        await fetchRoomStatus(room);
+    }
+}
 
-        // Handle profile update timestamp (avatar + owner)
-        const profileFetched = result._profileFetched === true;
-        delete updateData._profileFetched;
-        const avatarChanged = updateData.avatar && updateData.avatar !== prevData?.avatar;
-        const ownerChanged = updateData.owner && updateData.owner !== prevData?.owner;
-        const shouldUpdateProfileTimestamp = profileFetched || avatarChanged || ownerChanged;
-        if (shouldUpdateProfileTimestamp) {
-            updateData.lastAvatarUpdate = now;
-        } else {
-            updateData.lastAvatarUpdate = prevData?.lastAvatarUpdate || 0;
-        }
+/**
+ * Fetch rooms in the status worker and apply the returned patches
+ * @param {Object[]} rooms - One room, or rooms of one platform
+ * @param {boolean} batch - Use the platform's multi-room request
+ * @returns {Promise<boolean>} False when the worker is not running or failed (fetch on the main thread)
+ */
+async function fetchInWorker(rooms, batch) {
+    if (!isStatusWorkerReady()) return false;
 
-        updateData.lastCoverUpdate = shouldUpdateCoverTimestamp ? now : (prevData?.lastCoverUpdate || 0);
+    let changes;
+    try {
+        changes = await runInStatusWorker(rooms, batch);
+    } catch (error) {
+        console.warn('[fetchStatus] Worker task failed, fetching on main thread:', error.message);
+        return false;
+    }
 
-        // Incremental update: Compare old and new data, detect changes
-        const diffResult = DataDiffer.compare(prevData, updateData);
+    const roomsById = new Map(rooms.map(room => [room.id, room]));
+    changes.forEach(({ roomId, patch, isLive, owner }) => {
+        const room = roomsById.get(roomId);
+        if (!room) return;
 
-        // 🔥 优化：检测从错误/陈旧状态恢复的情况，强制标记为已变更
-        const wasStaleOrError = prevData?._stale === true || prevData?.isError === true;
-        const isNowValid = !updateData.isError && !updateData._stale;
-        const recoveredFromError = wasStaleOrError && isNowValid;
+        const cacheKey = getRoomCacheKey(room.platform, room.id);
+        if (isLive !== null && checkAndNotify) checkAndNotify(room, isLive, owner);
+        updateRoomCache(cacheKey, DataDiffer.applyPatch(getRoomDataCache()[cacheKey], patch), false);
+    });
+    return true;
+}
 
-        updateData._hasChanges = diffResult.changed || recoveredFromError;
-        updateData._changes = recoveredFromError
-            ? [...(diffResult.changes || []), '从错误状态恢复']
-            : diffResult.changes;
+/**
+ * Merge a fetched status into the room cache (diff, notify, cover/profile bookkeeping)
+ * @param {Object} room - Room object { id, platform, isFav }
+ * @param {Object|null} result - Adapter result (null = fetch failed)
+ * @param {Object} prevData - Previous cached data
+ * @param {boolean} needProfileUpdate - Whether profile data was requested
+ * @param {number} now - Fetch timestamp
+ */
+function applyRoomStatus(room, result, prevData, needProfileUpdate, now) {
+    const { data, isLive, owner, needsAvatarFallback } = mergeRoomStatus(room, result, prevData, needProfileUpdate, now);
 
-        // Debug logging: Record changes
-        if (APP_CONFIG.INCREMENTAL.LOG_CHANGES && diffResult.changed) {
-            const summary = DataDiffer.summarize(prevData, updateData, diffResult.changes);
-            console.log(`[Incremental Update] ${room.platform}-${room.id}: ${summary}`);
-        }
+    if (needsAvatarFallback) {
+        fetchDouyuAvatarFallback(room).then(updated => {
+            if (updated && window.renderAll) window.renderAll();
+        });
+    }
 
-        // Update cache with debounced write (handled by state.js)
-        updateRoomCache(cacheKey, updateData, false);
-    } else {
-        // Update failed but have previous data
-        // 🔥 BUG FIX: 清除 _hasChanges 标志，确保下次渲染时强制更新
-        // 原因：继承旧数据的 _hasChanges: false 会导致增量更新跳过渲染
-        const errorData = prevData
-            ? (() => {
-                const { _hasChanges, _changes, ...rest } = prevData;
-                return {
-                    ...rest,
-                    isError: false,
-                    loading: false,
-                    _stale: true,
-                    _hasChanges: undefined  // 强制下次更新（双重保险）
-                };
-              })()
-            : { loading: false, isError: true };
-        updateRoomCache(cacheKey, errorData, false);
+    // Trigger notification check
+    if (isLive !== null && checkAndNotify) {
+        checkAndNotify(room, isLive, owner);
     }
+
+    // Update cache with debounced write (handled by state.js)
+    updateRoomCache(getRoomCacheKey(room.platform, room.id), data, false);
 }
 
 // Alias for main.js compatibility
@@ -0,0 +1,233 @@
+/**
+ * ====================================================================
+ * Status Merge - Adapter Result → Room Cache Entry
+ * ====================================================================
+ *
+ * Turns a fetched adapter result into the cache entry for a room:
+ * - Viewer label and heat value persistence
+ * - Keeping title/cover/avatar while offline
+ * - Cover timestamp and profile update bookkeeping
+ * - Change detection (DataDiffer)
+ *
+ * Has no DOM or notification side effects, so it runs both on the main
+ * thread (core/status-fetcher) and in the status worker (status-worker.js).
+ *
+ * @module core/status-merge
+ */
+
+import { APP_CONFIG, API_ENDPOINTS } from '../config/constants.js';
+import { fetchQuick } from '../api/proxy-manager.js';
+import { DataDiffer } from '../utils/data-differ.js';
+import { getRoomDataCache, updateRoomCache } from './state.js';
+import { formatHeat, getRoomCacheKey, isInternationalPlatform } from '../utils/helpers.js';
+
+// ====================================================================
+// Cover Timestamp Helpers
+// ====================================================================
+
+function stripTimestampParam(url) {
+    if (!url) return '';
+    return url
+        .replace(/([?&])t=\d+(&)?/, (match, sep, trailing) => {
+            if (sep === '?' && trailing) return '?';
+            if (sep === '&' && trailing) return '&';
+            return '';
+        })
+        .replace(/[?&]$/, '');
+}
+
+function applyTimestampParam(url, timestamp) {
+    if (!url) return '';
+    if (/([?&])t=\d+/.test(url)) {
+        return url.replace(/([?&])t=\d+/, `$1t=${timestamp}`);
+    }
+    const separator = url.includes('?') ? '&' : '?';
+    return `${url}${separator}t=${timestamp}`;
+}
+
+// ====================================================================
+// Merge
+// ====================================================================
+
+/**
+ * Whether avatar/owner should be re-fetched for a room
+ * @param {Object} room - Room object
+ * @param {Object} prevData - Previous cached data
+ * @param {number} now - Current timestamp
+ * @returns {boolean} True if profile data is missing or outdated
+ */
+export function needsProfileUpdate(room, prevData, now) {
+    const ownerNeedsRefresh = (room.platform === 'douyu' || room.platform === 'bilibili')
+        && prevData?.owner
+        && (prevData.owner === room.id || prevData.owner === String(room.id));
+    return !prevData?.avatar
+        || !prevData?.lastAvatarUpdate
+        || (now - prevData.lastAvatarUpdate > APP_CONFIG.CACHE.AVATAR_UPDATE_INTERVAL)
+        || ownerNeedsRefresh;
+}
+
+/**
+ * Build the cache entry for a fetched status
+ * @param {Object} room - Room object { id, platform, isFav }
+ * @param {Object|null} result - Adapter result (null = fetch failed)
+ * @param {Object} prevData - Previous cached data
+ * @param {boolean} needProfileUpdate - Whether profile data was requested
+ * @param {number} now - Fetch timestamp
+ * @returns {{data: Object, isLive: boolean|null, owner: string|null, needsAvatarFallback: boolean}}
+ *          isLive is null when the fetch failed (nothing to notify)
+ */
+export function mergeRoomStatus(room, result, prevData, needProfileUpdate, now) {
+    if (!result) {
+        // Update failed but have previous data
+        // 🔥 BUG FIX: 清除 _hasChanges 标志，确保下次渲染时强制更新
+        // 原因：继承旧数据的 _hasChanges: false 会导致增量更新跳过渲染
+        const errorData = prevData
+            ? (() => {
+                const { _hasChanges, _changes, ...rest } = prevData;
+                return {
+                    ...rest,
+                    isError: false,
+                    loading: false,
+                    _stale: true,
+                    _hasChanges: undefined  // 强制下次更新（双重保险）
+                };
+              })()
+            : { loading: false, isError: true };
+        return { data: errorData, isLive: null, owner: null, needsAvatarFallback: false };
+    }
+
+    const finalIsLive = result.isLive && !result.isReplay;
+    let heatValue = result.heatValue || 0;
+
+    // Persist previous heat value if current is 0
+    if (heatValue <= 0 && prevData && prevData.heatValue > 0) {
+        heatValue = prevData.heatValue;
+    }
+
+    let viewers = "离线";
+    if (finalIsLive) {
+        // Priority: Display heat value, add "人" suffix for international platforms
+        if (heatValue > 0) {
+            viewers = "在线 " + (formatHeat ? formatHeat(heatValue) : heatValue);
+            if (isInternationalPlatform(room.platform)) viewers += "人";
+        } else {
+            // Display online status when no heat data
+            viewers = "在线";
+        }
+    }
+
+    // Preserve previous data when offline (scheduled streams bring their own thumbnail)
+    if (!finalIsLive && !result.isReplay && prevData) {
+        if (!result.title) result.title = prevData.title;
+        if (!result.owner) result.owner = prevData.owner;
+        if (prevData.cover && !result.isUpcoming) result.cover = prevData.cover;
+        if (!result.avatar) result.avatar = prevData.avatar;
+        // Offline sources often leave out category/tags/language; keep them stable between fetches
+        if (!result.category) result.category = prevData.category;
+        if (!result.tags?.length && prevData.tags) result.tags = prevData.tags;
+        if (!result.language) result.language = prevData.language;
+    }
+
+    // Not every source returns followers on every request
+    if (result.followers == null && prevData?.followers != null) {
+        result.followers = prevData.followers;
+    }
+
+    const needsAvatarFallback = room.platform === 'douyu' && !result.avatar && !result.isError && needProfileUpdate;
+
+    const prevCover = prevData?.cover || '';
+    const prevCoverBase = stripTimestampParam(prevCover);
+    const nextCoverBase = stripTimestampParam(result.cover || '');
+    const lastCoverUpdate = prevData?.lastCoverUpdate || 0;
+    const coverRefreshDue = now - lastCoverUpdate > APP_CONFIG.CACHE.IMAGE_TIMESTAMP_INTERVAL;
+    const coverBaseChanged = !!nextCoverBase && !!prevCoverBase && nextCoverBase !== prevCoverBase;
+
+    let finalCover = result.cover || '';
+    if (finalIsLive) {
+        if (!nextCoverBase) {
+            finalCover = prevCover;
+        } else if (!coverBaseChanged && !coverRefreshDue) {
+            finalCover = prevCover;
+        } else {
+            finalCover = applyTimestampParam(nextCoverBase, now);
+        }
+    } else if (!result.isReplay && !result.isUpcoming && prevCover) {
+        finalCover = prevCover;
+    }
+
+    const shouldUpdateCoverTimestamp = finalIsLive
+        && nextCoverBase
+        && (coverBaseChanged || coverRefreshDue || !lastCoverUpdate);
+
+    const updateData = {
+        ...result,
+        isLive: finalIsLive,
+        viewers,
+        avatar: result.avatar || prevData?.avatar || "",
+        cover: finalCover,
+        platform: room.platform,
+        id: room.id,
+        loading: false,
+        heatValue,
+        isError: false,
+        _stale: false,
+        lastFetchedAt: now
+    };
+
+    if (!needProfileUpdate) {
+        if (prevData?.avatar) updateData.avatar = prevData.avatar;
+        if (prevData?.owner) updateData.owner = prevData.owner;
+    }
+
+    // Handle profile update timestamp (avatar + owner)
+    const profileFetched = result._profileFetched === true;
+    delete updateData._profileFetched;
+    const avatarChanged = updateData.avatar && updateData.avatar !== prevData?.avatar;
+    const ownerChanged = updateData.owner && updateData.owner !== prevData?.owner;
+    const shouldUpdateProfileTimestamp = profileFetched || avatarChanged || ownerChanged;
+    if (shouldUpdateProfileTimestamp) {
+        updateData.lastAvatarUpdate = now;
+    } else {
+        updateData.lastAvatarUpdate = prevData?.lastAvatarUpdate || 0;
+    }
+
+    updateData.lastCoverUpdate = shouldUpdateCoverTimestamp ? now : (prevData?.lastCoverUpdate || 0);
+
+    // Incremental update: Compare old and new data, detect changes
+    const diffResult = DataDiffer.compare(prevData, updateData);
+
+    // 🔥 优化：检测从错误/陈旧状态恢复的情况，强制标记为已变更
+    const wasStaleOrError = prevData?._stale === true || prevData?.isError === true;
+    const isNowValid = !updateData.isError && !updateData._stale;
+    const recoveredFromError = wasStaleOrError && isNowValid;
+
+    updateData._hasChanges = diffResult.changed || recoveredFromError;
+    updateData._changes = recoveredFromError
+        ? [...(diffResult.changes || []), '从错误状态恢复']
+        : diffResult.changes;
+
+    // Debug logging: Record changes
+    if (APP_CONFIG.INCREMENTAL.LOG_CHANGES && diffResult.changed) {
+        const summary = DataDiffer.summarize(prevData, updateData, diffResult.changes);
+        console.log(`[Incremental Update] ${room.platform}-${room.id}: ${summary}`);
+    }
+
+    return { data: updateData, isLive: finalIsLive, owner: result.owner || room.id, needsAvatarFallback };
+}
+
+/**
+ * Douyu avatar fallback: fill a missing avatar from the open room API
+ * @param {Object} room - Douyu room
+ * @returns {Promise<boolean>} Whether the cached entry was updated
+ */
+export async function fetchDouyuAvatarFallback(room) {
+    const cacheKey = getRoomCacheKey(room.platform, room.id);
+    const o = await fetchQuick(`${API_ENDPOINTS.DOUYU.OPEN_API}/${room.id}`);
+    const cache = getRoomDataCache();
+    if (o?.data?.avatar && cache[cacheKey]) {
+        cache[cacheKey].avatar = o.data.avatar;
+        updateRoomCache(cacheKey, cache[cacheKey], true);
+        return true;
+    }
+    return false;
+}
@@ -0,0 +1,172 @@
+/**
+ * ====================================================================
+ * Status Worker Client - Refresh Tasks in a Web Worker
+ * ====================================================================
+ *
+ * Starts the status worker (src/status-worker.js) and sends it refresh
+ * tasks with the cached entries of their rooms. The worker fetches,
+ * parses, merges and diffs, and answers with compact patches; applying
+ * them, notifications and rendering stay on the main thread
+ * (core/status-fetcher).
+ *
+ * The worker is not used on file:// pages (module workers are blocked
+ * there), where Worker is unavailable, or after it fails; refreshes
+ * then run on the main thread as before.
+ *
+ * @module core/status-worker-client
+ */
+
+import { APP_CONFIG } from '../config/constants.js';
+import { getCustomPlatformSpecs } from '../api/custom-platforms.js';
+import { getCustomProxies } from '../api/custom-proxies.js';
+import { ProxyManager } from '../api/proxy-manager.js';
+import { getProxyQuarantine } from '../utils/proxy-pool-manager.js';
+import { getRoomCacheKey } from '../utils/helpers.js';
+import { getRoomDataCache, updateRoomCache, updateProxyStats } from './state.js';
+
+let worker = null;
+let nextTaskId = 1;
+const pendingTasks = new Map();
+
+// Last config sent, so it is only resent when it changes
+let sentConfig = '';
+
+/**
+ * Stop using the worker and hand pending tasks back to the main thread
+ * @param {string} reason - Why the worker was dropped
+ */
+function dropWorker(reason) {
+    if (!worker) return;
+    console.warn(`[StatusWorker] 已改为主线程刷新: ${reason}`);
+    worker.terminate();
+    worker = null;
+    pendingTasks.forEach(({ reject, timer }) => {
+        clearTimeout(timer);
+        reject(new Error(reason));
+    });
+    pendingTasks.clear();
+    sentConfig = '';
+}
+
+/**
+ * Handle a message from the worker
+ * @param {MessageEvent} event - Message event
+ */
+function handleWorkerMessage(event) {
+    const message = event.data || {};
+
+    if (message.type === 'cache') {
+        Object.entries(message.entries || {}).forEach(([key, data]) => updateRoomCache(key, data, true));
+        window.renderAll?.();
+        return;
+    }
+
+    const task = pendingTasks.get(message.id);
+    if (!task) return;
+    pendingTasks.delete(message.id);
+    clearTimeout(task.timer);
+
+    if (message.type === 'result') {
+        if (message.proxyStats) updateProxyStats(Object.assign(ProxyManager.getStats(), message.proxyStats));
+        task.resolve(message.changes || []);
+    } else {
+        task.reject(new Error(message.error || 'Worker task failed'));
+    }
+}
+
+/**
+ * Send custom platforms, custom proxies, proxy quarantines and region to the worker when they changed
+ * @param {Object} [extra] - Fields sent once (e.g. initial proxy stats)
+ */
+function syncConfig(extra = {}) {
+    const config = {
+        customPlatforms: getCustomPlatformSpecs(),
+        customProxies: getCustomProxies(),
+        quarantine: getProxyQuarantine(),
+        isMainland: APP_CONFIG.REGION.IS_MAINLAND_CHINA === true
+    };
+    const serialized = JSON.stringify(config);
+    if (serialized === sentConfig && Object.keys(extra).length === 0) return;
+
+    sentConfig = serialized;
+    worker.postMessage({ type: 'config', config: { ...config, ...extra } });
+}
+
+/**
+ * Whether refresh tasks go to the worker
+ * @returns {boolean} True while the worker is running
+ */
+export function isStatusWorkerReady() {
+    return worker !== null;
+}
+
+/**
+ * Fetch rooms in the worker
+ * @param {Object[]} rooms - One room, or rooms of one platform
+ * @param {boolean} batch - Use the platform's multi-room request
+ * @returns {Promise<Object[]>} Changes: { roomId, patch, isLive, owner } (rejects when the worker fails)
+ */
+export function runInStatusWorker(rooms, batch) {
+    if (!worker) return Promise.reject(new Error('Status worker not running'));
+
+    syncConfig();
+
+    const cache = getRoomDataCache();
+    const prevData = {};
+    rooms.forEach(room => {
+        const entry = cache[getRoomCacheKey(room.platform, room.id)];
+        if (entry) prevData[room.id] = entry;
+    });
+
+    const id = nextTaskId++;
+    return new Promise((resolve, reject) => {
+        const timer = setTimeout(() => {
+            pendingTasks.delete(id);
+            reject(new Error('Worker task timed out'));
+        }, APP_CONFIG.STATUS_WORKER.TASK_TIMEOUT);
+
+        pendingTasks.set(id, { resolve, reject, timer });
+        worker.postMessage({
+            type: 'fetch',
+            id,
+            batch,
+            rooms: rooms.map(({ id: roomId, platform, isFav, streamerId }) => ({ id: roomId, platform, isFav, streamerId })),
+            prevData
+        });
+    });
+}
+
+/**
+ * Start the status worker
+ * @returns {boolean} Whether the worker was started
+ */
+export function initStatusWorker() {
+    if (worker) return true;
+    if (!APP_CONFIG.STATUS_WORKER.ENABLED || typeof Worker === 'undefined' || location.protocol === 'file:') {
+        return false;
+    }
+
+    try {
+        worker = new Worker(new URL('../status-worker.js', import.meta.url), { type: 'module' });
+    } catch (error) {
+        console.warn('[StatusWorker] Worker unavailable:', error.message);
+        worker = null;
+        return false;
+    }
+
+    worker.addEventListener('message', handleWorkerMessage);
+    worker.addEventListener('error', event => {
+        event.preventDefault?.();
+        dropWorker(event.message || 'worker error');
+    });
+
+    syncConfig({ proxyStats: ProxyManager.getStats() });
+    return true;
+}
+
+/**
+ * Stop the status worker (refreshes continue on the main thread)
+ */
+export function stopStatusWorker() {
+    dropWorker('stopped');
+}
@@ -0,0 +1,246 @@
+/**
+ * ====================================================================
+ * Streamers - Cross-Platform Room Groups
+ * ====================================================================
+ *
+ * A streamer links rooms of one person on several platforms (simulcasts on
+ * Twitch + Kick, Douyu + Bilibili, ...). Rooms point at their group through
+ * `room.streamerId`; the group itself only carries a display name.
+ *
+ * Linked rooms are still fetched individually. This module combines their
+ * cached status into the data for one merged card:
+ * - Live if any linked room is live; the busiest live room is the primary
+ *   (its title, cover and link are shown)
+ * - Viewers are summed across live rooms
+ * - One badge per platform with its own state
+ *
+ * @module core/streamers
+ */
+
+import { PLATFORM_CONFIG } from '../config/constants.js';
+import { getRooms, getStreamers, updateRooms, updateStreamers } from './state.js';
+import { formatHeat, getRoomCacheKey, isInternationalPlatform } from '../utils/helpers.js';
+
+/**
+ * Find a streamer group by ID
+ * @param {string} streamerId - Group ID
+ * @param {Array} [streamers] - Groups to search (default: getStreamers())
+ * @returns {Object|null} Streamer or null
+ */
+export function getStreamer(streamerId, streamers = getStreamers()) {
+    return streamers.find(streamer => streamer.id === streamerId) || null;
+}
+
+/**
+ * Rooms linked to a streamer group, in list order
+ * @param {string} streamerId - Group ID
+ * @param {Array} [rooms] - Rooms to search (default: getRooms())
+ * @returns {Array} Linked rooms
+ */
+export function getLinkedRooms(streamerId, rooms = getRooms()) {
+    return streamerId ? rooms.filter(room => room.streamerId === streamerId) : [];
+}
+
+/**
+ * Group rooms into display units
+ * A streamer with two or more monitored rooms becomes one unit at the position of its
+ * first room; everything else stays a single room.
+ * @param {Array} rooms - Monitored rooms
+ * @param {Array} streamers - Streamer groups
+ * @returns {Array<{room: Object}|{streamer: Object, rooms: Array}>} Display units in list order
+ */
+export function groupRoomsByStreamer(rooms, streamers) {
+    const units = [];
+    const groups = new Map();
+
+    rooms.forEach(room => {
+        const streamer = room.streamerId ? getStreamer(room.streamerId, streamers) : null;
+        if (!streamer) {
+            units.push({ room });
+            return;
+        }
+
+        let group = groups.get(streamer.id);
+        if (!group) {
+            group = { streamer, rooms: [] };
+            groups.set(streamer.id, group);
+            units.push(group);
+        }
+        group.rooms.push(room);
+    });
+
+    // A group left with one room (the others were removed) renders as that room
+    return units.map(unit => (unit.rooms?.length === 1 ? { room: unit.rooms[0] } : unit));
+}
+
+/**
+ * Combine the cached status of linked rooms into the data for one merged card
+ * @param {Object} streamer - Streamer group
+ * @param {Array} rooms - Linked rooms
+ * @param {Object} cache - Room data cache
+ * @returns {{data: Object, primaryRoom: Object, badges: Array<{platform: string, id: string, state: string, viewers: string}>}}
+ *   Card data, the room whose link/title/cover are shown, and one badge per room
+ */
+export function getStreamerStatus(streamer, rooms, cache) {
+    const entries = rooms.map(room => ({
+        room,
+        data: cache[getRoomCacheKey(room.platform, room.id)] || { loading: true }
+    }));
+    const loaded = entries.filter(({ data }) => !data.loading);
+    const live = loaded.filter(({ data }) => data.isLive);
+
+    // Busiest live room > replay > any healthy room > anything loaded > first room
+    const primary = [...live].sort((a, b) => (b.data.heatValue || 0) - (a.data.heatValue || 0))[0]
+        || loaded.find(({ data }) => data.isReplay)
+        || loaded.find(({ data }) => !data.isError && !data._retryFailed)
+        || loaded[0]
+        || entries[0];
+
+    const heatValue = live.reduce((sum, { data }) => sum + (data.heatValue || 0), 0);
+    let viewers = primary.data.viewers;
+    if (live.length > 1) {
+        viewers = heatValue > 0 ? `在线 ${formatHeat(heatValue)}` : '在线';
+        if (heatValue > 0 && live.every(({ room }) => isInternationalPlatform(room.platform))) viewers += '人';
+    }
+
+    const data = {
+        ...primary.data,
+        owner: streamer.name,
+        avatar: primary.data.avatar || entries.find(({ data }) => data.avatar)?.data.avatar || '',
+        heatValue,
+        viewers,
+        loading: loaded.length === 0,
+        isLive: live.length > 0,
+        // Any linked room changing (including badge-only changes) updates the merged card
+        _hasChanges: entries.some(({ data }) => data._hasChanges !== false),
+        _stale: entries.some(({ data }) => data._stale === true)
+    };
+
+    const badges = entries.map(({ room, data: roomData }) => {
+        let state = 'offline';
+        if (roomData.loading) state = 'loading';
+        else if (roomData.isError || roomData._retryFailed) state = 'error';
+        else if (roomData.isLive) state = 'live';
+        else if (roomData.isReplay) state = 'loop';
+
+        return {
+            platform: room.platform,
+            id: room.id,
+            state,
+            viewers: state === 'live' && roomData.heatValue > 0 ? formatHeat(roomData.heatValue) : ''
+        };
+    });
+
+    return { data, primaryRoom: primary.room, badges };
+}
+
+/**
+ * Copy of a room without its group link
+ * @param {Object} room - Room
+ * @returns {Object} Unlinked room
+ */
+function withoutStreamer(room) {
+    const unlinked = { ...room };
+    delete unlinked.streamerId;
+    return unlinked;
+}
+
+/**
+ * Drop groups with fewer than two linked rooms and unlink their last room
+ * @param {Array} rooms - Rooms
+ * @param {Array} streamers - Streamer groups
+ * @returns {{rooms: Array, streamers: Array}} Cleaned lists (same arrays when nothing changed)
+ */
+function pruneGroups(rooms, streamers) {
+    const counts = new Map();
+    rooms.forEach(room => {
+        if (room.streamerId) counts.set(room.streamerId, (counts.get(room.streamerId) || 0) + 1);
+    });
+
+    const keep = new Set(streamers.filter(streamer => (counts.get(streamer.id) || 0) >= 2).map(s => s.id));
+    if (keep.size === streamers.length && rooms.every(room => !room.streamerId || keep.has(room.streamerId))) {
+        return { rooms, streamers };
+    }
+
+    return {
+        rooms: rooms.map(room => (!room.streamerId || keep.has(room.streamerId) ? room : withoutStreamer(room))),
+        streamers: streamers.filter(streamer => keep.has(streamer.id))
+    };
+}
+
+/**
+ * Remove groups that no longer link two monitored rooms (e.g. after a room was deleted)
+ */
+export function pruneStreamerGroups() {
+    const rooms = getRooms();
+    const streamers = getStreamers();
+    const pruned = pruneGroups(rooms, streamers);
+    if (pruned.streamers !== streamers) updateStreamers(pruned.streamers);
+    if (pruned.rooms !== rooms) updateRooms(pruned.rooms, true);
+}
+
+/**
+ * Create or update a streamer group
+ * Selected rooms move into the group (leaving any other group); rooms of this group
+ * that are no longer selected are unlinked.
+ * @param {string|null} streamerId - Existing group ID, or null to create one
+ * @param {string} name - Display name
+ * @param {string[]} roomKeys - Cache keys (platform-id) of the rooms to link
+ * @returns {{id: string}|{error: string}} Group ID or error message
+ */
+export function saveStreamer(streamerId, name, roomKeys) {
+    const displayName = String(name || '').trim();
+    if (!displayName) return { error: '请输入主播名称' };
+
+    const selected = new Set(roomKeys);
+    if (selected.size < 2) return { error: '至少选择两个房间' };
+
+    const id = streamerId || `s${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`;
+    const rooms = getRooms().map(room => {
+        const isSelected = selected.has(getRoomCacheKey(room.platform, room.id));
+        if (isSelected && room.streamerId !== id) return { ...room, streamerId: id };
+        if (!isSelected && room.streamerId === id) return withoutStreamer(room);
+        return room;
+    });
+
+    const existing = getStreamers();
+    const streamers = getStreamer(id, existing)
+        ? existing.map(streamer => (streamer.id === id ? { ...streamer, name: displayName } : streamer))
+        : [...existing, { id, name: displayName }];
+
+    const pruned = pruneGroups(rooms, streamers);
+    updateStreamers(pruned.streamers);
+    updateRooms(pruned.rooms, true);
+    return { id };
+}
+
+/**
+ * Dissolve a streamer group (its rooms become separate cards again)
+ * @param {string} streamerId - Group ID
+ */
+export function unlinkStreamer(streamerId) {
+    const rooms = getRooms().map(room => (room.streamerId === streamerId ? withoutStreamer(room) : room));
+    updateStreamers(getStreamers().filter(streamer => streamer.id !== streamerId));
+    updateRooms(rooms, true);
+}
+
+/**
+ * Toggle favourite for every room of a group (all favourite unless they already are)
+ * @param {string} streamerId - Group ID
+ */
+export function toggleStreamerFavorite(streamerId) {
+    const linked = getLinkedRooms(streamerId);
+    if (linked.length === 0) return;
+
+    const isFav = !linked.every(room => room.isFav);
+    updateRooms(getRooms().map(room => (room.streamerId === streamerId ? { ...room, isFav } : room)), true);
+}
+
+/**
+ * Platform display name for badges and notifications
+ * @param {string} platform - Platform key
+ * @returns {string} Name
+ */
+export function getPlatformName(platform) {
+    return PLATFORM_CONFIG[platform]?.name || platform;
+}
@@ -0,0 +1,366 @@
+/**
+ * ====================================================================
+ * Tab Coordinator - Cross-Tab Leader Election
+ * ====================================================================
+ *
+ * With LiveRadar open in several tabs only one of them (the leader) polls,
+ * holds push connections and sends desktop notifications. The others
+ * (followers) render from the cache updates the leader broadcasts.
+ *
+ * Election uses a lease in localStorage: the leader renews it every
+ * heartbeat; a follower takes over when it expires or when the leader
+ * resigns on close. Messages go through BroadcastChannel, or through
+ * `storage` events where BroadcastChannel is unavailable.
+ *
+ * Messages:
+ * - leader / resign: leadership changes
+ * - cache: room cache entries fetched by a tab
+ * - rooms: monitored rooms / streamer groups changed in a tab
+ * - refresh: a follower asks the leader to refresh (all rooms or some)
+ *
+ * @module core/tab-coordinator
+ */
+
+import { APP_CONFIG } from '../config/constants.js';
+import { SafeStorage } from '../utils/safe-storage.js';
+import { ResourceManager } from '../utils/resource-manager.js';
+import { getRoomCacheKey } from '../utils/helpers.js';
+import {
+    subscribeToState,
+    getRooms,
+    getStreamers,
+    updateRooms,
+    updateStreamers,
+    updateRoomCache,
+    isCurrentlyRefreshing
+} from './state.js';
+
+const LEADER_KEY = 'pro_tab_leader';
+const MESSAGE_KEY = 'pro_tab_message';
+
+const tabId = `${Date.now().toString(36)}${Math.random().toString(36).slice(2, 8)}`;
+
+let isLeader = false;
+let channel = null;
+let heartbeatTimer = null;
+let unsubscribers = [];
+const leadershipListeners = new Set();
+const sharedSettingWatchers = new Map();
+
+// Cache entries waiting to be broadcast
+let pendingEntries = {};
+let broadcastTimer = null;
+
+// Set while applying another tab's update, so it is not broadcast back
+let applyingRemote = false;
+
+// External dependencies
+let onRemoteCache = null;
+
+// ====================================================================
+// Transport
+// ====================================================================
+
+/**
+ * Open the message channel (BroadcastChannel, or storage events as fallback)
+ * @param {Function} onMessage - (message) => void
+ * @returns {{post: Function, close: Function}} Channel
+ */
+function openChannel(onMessage) {
+    if (typeof BroadcastChannel !== 'undefined') {
+        const broadcast = new BroadcastChannel(APP_CONFIG.TAB_SYNC.CHANNEL_NAME);
+        broadcast.onmessage = event => onMessage(event.data);
+        return {
+            post: message => broadcast.postMessage(message),
+            close: () => broadcast.close()
+        };
+    }
+
+    // Other tabs get a storage event for every write; the key is cleared right away
+    return {
+        post: message => {
+            SafeStorage.setJSON(MESSAGE_KEY, { message, nonce: Math.random() });
+            SafeStorage.removeItem(MESSAGE_KEY);
+        },
+        close: () => {}
+    };
+}
+
+/**
+ * Send a message to the other tabs
+ * @param {Object} message - Message with a `type`
+ */
+function post(message) {
+    try {
+        channel?.post({ ...message, from: tabId });
+    } catch (error) {
+        console.warn('[TabSync] Broadcast failed:', error.message);
+    }
+}
+
+/**
+ * Handle storage events: fallback messages, leader changes and watched settings
+ * @param {StorageEvent} event - Storage event from another tab
+ */
+function handleStorageEvent(event) {
+    if (event.key === MESSAGE_KEY && event.newValue) {
+        try {
+            handleMessage(JSON.parse(event.newValue).message);
+        } catch {
+            // Ignore malformed messages
+        }
+        return;
+    }
+
+    if (event.key === LEADER_KEY && event.newValue === null) {
+        checkLeadership();
+        return;
+    }
+
+    sharedSettingWatchers.get(event.key)?.forEach(callback => callback(event.newValue));
+}
+
+// ====================================================================
+// Leader Election
+// ====================================================================
+
+/**
+ * Update leadership and tell listeners when it changes
+ * @param {boolean} value - Whether this tab leads
+ */
+function setLeader(value) {
+    if (isLeader === value) return;
+    isLeader = value;
+    console.log(`[TabSync] ${value ? '成为主标签页，负责刷新和通知' : '其他标签页负责刷新，本页跟随更新'}`);
+
+    if (value) post({ type: 'leader' });
+    leadershipListeners.forEach(callback => {
+        try {
+            callback(value);
+        } catch (error) {
+            console.error('[TabSync] Leadership listener error:', error);
+        }
+    });
+}
+
+/**
+ * Claim or renew the lease when it is free, expired or ours
+ * Two tabs claiming at once both write; the later write wins at the next heartbeat.
+ */
+function checkLeadership() {
+    // Without localStorage there is nothing to share: every tab is on its own
+    if (SafeStorage.isUsingMemoryFallback()) {
+        setLeader(true);
+        return;
+    }
+
+    const lease = SafeStorage.getJSON(LEADER_KEY, null);
+    const now = Date.now();
+    if (!lease || lease.id === tabId || lease.expires <= now) {
+        SafeStorage.setJSON(LEADER_KEY, { id: tabId, expires: now + APP_CONFIG.TAB_SYNC.LEADER_TTL });
+        setLeader(SafeStorage.getJSON(LEADER_KEY, null)?.id === tabId);
+    } else {
+        setLeader(false);
+    }
+}
+
+/**
+ * Give up leadership when the tab closes so a follower takes over right away
+ */
+function resign() {
+    if (!isLeader) return;
+    isLeader = false;
+    SafeStorage.removeItem(LEADER_KEY);
+    post({ type: 'resign' });
+}
+
+// ====================================================================
+// Sync
+// ====================================================================
+
+/**
+ * Broadcast the batched cache entries
+ */
+function flushPendingEntries() {
+    broadcastTimer = null;
+    if (Object.keys(pendingEntries).length === 0) return;
+
+    post({ type: 'cache', entries: pendingEntries });
+    pendingEntries = {};
+}
+
+/**
+ * Queue a locally written cache entry for broadcast
+ * @param {{key: string, data: Object}} entry - Cache entry
+ */
+function queueCacheEntry({ key, data }) {
+    if (applyingRemote) return;
+
+    pendingEntries[key] = data;
+    if (!broadcastTimer) {
+        broadcastTimer = setTimeout(flushPendingEntries, APP_CONFIG.TAB_SYNC.BROADCAST_DELAY);
+    }
+}
+
+/**
+ * Broadcast the monitored list after a local change
+ */
+function broadcastRooms() {
+    if (applyingRemote) return;
+    post({ type: 'rooms', rooms: getRooms(), streamers: getStreamers() });
+}
+
+/**
+ * Run an update from another tab without broadcasting it back
+ * @param {Function} apply - Update function
+ */
+function applyRemote(apply) {
+    applyingRemote = true;
+    try {
+        apply();
+    } finally {
+        applyingRemote = false;
+    }
+}
+
+/**
+ * Handle a message from another tab
+ * @param {Object} message - Message
+ */
+function handleMessage(message) {
+    if (!message || message.from === tabId) return;
+
+    switch (message.type) {
+        case 'leader':
+            // Another tab claimed the lease; re-read it (resolves simultaneous claims)
+            if (isLeader) checkLeadership();
+            break;
+
+        case 'resign':
+            checkLeadership();
+            break;
+
+        case 'cache': {
+            const keys = Object.keys(message.entries || {});
+            applyRemote(() => keys.forEach(key => updateRoomCache(key, message.entries[key])));
+            onRemoteCache?.(keys);
+            window.renderAll?.();
+            break;
+        }
+
+        case 'rooms':
+            applyRemote(() => {
+                updateStreamers(message.streamers || []);
+                updateRooms(message.rooms || [], true);
+            });
+            window.renderAll?.();
+            break;
+
+        case 'refresh': {
+            if (!isLeader) break;
+            if (!message.keys) {
+                // A full refresh is already covered by one in progress
+                if (!isCurrentlyRefreshing()) window.refreshAll?.(true, false, { disableJitter: true });
+                break;
+            }
+            const keys = new Set(message.keys);
+            const rooms = getRooms().filter(room => keys.has(getRoomCacheKey(room.platform, room.id)));
+            if (rooms.length > 0) window.refreshAll?.(true, false, { rooms, disableJitter: true });
+            break;
+        }
+
+        default:
+            break;
+    }
+}
+
+// ====================================================================
+// Public API
+// ====================================================================
+
+/**
+ * Whether this tab polls and notifies
+ * @returns {boolean} True for the leader tab (or when coordination is not running)
+ */
+export function isLeaderTab() {
+    return isLeader || !channel;
+}
+
+/**
+ * Listen for leadership changes
+ * @param {Function} callback - (isLeader) => void
+ * @returns {Function} Unsubscribe function
+ */
+export function onLeadershipChange(callback) {
+    leadershipListeners.add(callback);
+    return () => leadershipListeners.delete(callback);
+}
+
+/**
+ * Ask the leader tab to refresh
+ * @param {Array|null} [rooms] - Rooms to refresh (null = all)
+ */
+export function requestLeaderRefresh(rooms = null) {
+    post({
+        type: 'refresh',
+        keys: rooms ? rooms.map(room => getRoomCacheKey(room.platform, room.id)) : null
+    });
+}
+
+/**
+ * Call back when another tab changes a stored setting (e.g. auto-refresh toggled there)
+ * @param {string} key - Storage key
+ * @param {Function} callback - (newValue) => void
+ */
+export function watchSharedSetting(key, callback) {
+    if (!sharedSettingWatchers.has(key)) sharedSettingWatchers.set(key, new Set());
+    sharedSettingWatchers.get(key).add(callback);
+}
+
+/**
+ * Start leader election and cross-tab sync
+ * Leadership is decided synchronously, so isLeaderTab() is valid right after this returns.
+ * @param {Object} deps - Dependencies object
+ * @param {Function} deps.onRemoteCache - (keys) => void, after another tab's cache entries were applied
+ */
+export function initTabCoordinator(deps = {}) {
+    if (channel) return;
+    if (deps.onRemoteCache) onRemoteCache = deps.onRemoteCache;
+
+    channel = openChannel(handleMessage);
+    window.addEventListener('storage', handleStorageEvent);
+    window.addEventListener('pagehide', resign);
+
+    unsubscribers = [
+        subscribeToState('roomCacheEntry', queueCacheEntry),
+        subscribeToState('rooms', broadcastRooms),
+        subscribeToState('streamers', broadcastRooms)
+    ];
+
+    checkLeadership();
+    heartbeatTimer = ResourceManager.addInterval(
+        setInterval(checkLeadership, APP_CONFIG.TAB_SYNC.HEARTBEAT_INTERVAL)
+    );
+}
+
+/**
+ * Stop coordination (resigns leadership)
+ */
+export function stopTabCoordinator() {
+    resign();
+    if (heartbeatTimer) {
+        ResourceManager.clearInterval(heartbeatTimer);
+        heartbeatTimer = null;
+    }
+    if (broadcastTimer) {
+        clearTimeout(broadcastTimer);
+        broadcastTimer = null;
+    }
+    pendingEntries = {};
+    unsubscribers.forEach(unsubscribe => unsubscribe());
+    unsubscribers = [];
+    window.removeEventListener('storage', handleStorageEvent);
+    window.removeEventListener('pagehide', resign);
+    channel?.close();
+    channel = null;
+}
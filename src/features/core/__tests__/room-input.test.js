@@ -0,0 +1,167 @@
+/**
+ * Room Input Tests
+ * Testing multi-room detection and bulk parsing
+ */
+
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import {
+  isBulkInput,
+  parseBulkInput,
+  resolveCanonicalRooms,
+  resolveRoomInputSync,
+  splitRoomTokens,
+} from '../room-input.js';
+import { resolveCanonicalRoomId } from '../../../api/platform-adapter.js';
+import { fetchTextWithProxy } from '../../../api/proxy-manager.js';
+
+vi.mock('../../../api/platform-adapter.js', async (importOriginal) => ({
+  ...(await importOriginal()),
+  resolveCanonicalRoomId: vi.fn(),
+}));
+
+vi.mock('../../../api/proxy-manager.js', async (importOriginal) => ({
+  ...(await importOriginal()),
+  fetchTextWithProxy: vi.fn(),
+}));
+
+const CANONICAL_IDS = { 'bilibili:6': '7734200', 'douyu:lpl': '288016' };
+
+beforeEach(() => {
+  vi.clearAllMocks();
+  resolveCanonicalRoomId.mockImplementation(
+    async (platform, id) => CANONICAL_IDS[`${platform}:${id}`] || id
+  );
+});
+
+describe('Room Input - bulk detection', () => {
+  it('should split on newlines, commas and spaces', () => {
+    expect(splitRoomTokens('123\n456, 789，abc  def')).toEqual(['123', '456', '789', 'abc', 'def']);
+  });
+
+  it('should treat share text with one link as a single room', () => {
+    expect(isBulkInput('【主播的直播间】 https://live.bilibili.com/123')).toBe(false);
+    expect(isBulkInput('https://www.twitch.tv/a https://kick.com/b')).toBe(true);
+    expect(isBulkInput('123 456')).toBe(true);
+    expect(isBulkInput('123')).toBe(false);
+  });
+});
+
+describe('Room Input - resolveRoomInputSync', () => {
+  it('should resolve URLs and valid bare IDs without network lookups', () => {
+    expect(resolveRoomInputSync('https://kick.com/XQC', 'douyu')).toEqual({
+      platform: 'kick',
+      id: 'xqc',
+    });
+    expect(resolveRoomInputSync('21452505', 'bilibili')).toEqual({
+      platform: 'bilibili',
+      id: '21452505',
+    });
+    expect(resolveRoomInputSync('abc', 'bilibili')).toBeNull();
+    expect(resolveRoomInputSync('https://b23.tv/AbC123', 'bilibili')).toBeNull();
+  });
+});
+
+describe('Room Input - parseBulkInput', () => {
+  it('should classify valid, duplicate and invalid entries', async () => {
+    const existing = [{ id: '288016', platform: 'douyu', isFav: false }];
+    const text = [
+      'https://www.douyu.com/288016',
+      'https://live.bilibili.com/21452505',
+      'live.bilibili.com/21452505',
+      'https://example.com/x',
+      '9999',
+    ].join('\n');
+
+    const entries = await parseBulkInput(text, 'douyu', existing);
+
+    expect(entries.map((entry) => entry.status)).toEqual([
+      'duplicate',
+      'valid',
+      'duplicate',
+      'invalid',
+      'valid',
+    ]);
+    expect(entries[1]).toMatchObject({ platform: 'bilibili', id: '21452505' });
+    expect(entries[4]).toMatchObject({ platform: 'douyu', id: '9999' });
+  });
+
+  it('should look up each short link once while the lookup cache is reused', async () => {
+    fetchTextWithProxy.mockResolvedValue('<a href="https://live.bilibili.com/21452505">');
+    const lookups = new Map();
+
+    await parseBulkInput('https://b23.tv/AbC123 9999', 'douyu', [], lookups);
+    const entries = await parseBulkInput('https://b23.tv/AbC123 9999 8888', 'douyu', [], lookups);
+
+    expect(fetchTextWithProxy).toHaveBeenCalledTimes(1);
+    expect(entries[0]).toMatchObject({ status: 'valid', platform: 'bilibili', id: '21452505' });
+  });
+
+  it('should retry a short link whose lookup failed', async () => {
+    fetchTextWithProxy.mockResolvedValueOnce(null);
+    fetchTextWithProxy.mockResolvedValueOnce('https://live.bilibili.com/21452505');
+    const lookups = new Map();
+
+    const failed = await parseBulkInput('https://b23.tv/AbC123 9999', 'douyu', [], lookups);
+    const retried = await parseBulkInput('https://b23.tv/AbC123 9999', 'douyu', [], lookups);
+
+    expect(failed[0].status).toBe('invalid');
+    expect(retried[0]).toMatchObject({ status: 'valid', id: '21452505' });
+  });
+
+  it('should limit short link lookups in flight and keep input order', async () => {
+    let active = 0;
+    let maxActive = 0;
+    fetchTextWithProxy.mockImplementation(async (url) => {
+      active++;
+      maxActive = Math.max(maxActive, active);
+      await new Promise((resolve) => setTimeout(resolve, 5));
+      active--;
+      return `https://live.bilibili.com/${url.slice(-1)}000`;
+    });
+    const links = Array.from({ length: 9 }, (_, i) => `https://b23.tv/Ab${i + 1}`);
+
+    const entries = await parseBulkInput(links.join(' '), 'douyu', []);
+
+    expect(maxActive).toBe(4);
+    expect(entries.map((entry) => entry.id)).toEqual(links.map((link) => `${link.slice(-1)}000`));
+  });
+
+  it('should treat a room added under its alias as a duplicate', async () => {
+    const existing = [{ id: '7734200', platform: 'bilibili', isFav: false, alias: '6' }];
+
+    const entries = await parseBulkInput(
+      'live.bilibili.com/6 live.bilibili.com/7734200',
+      'douyu',
+      existing
+    );
+
+    expect(entries.map((entry) => entry.status)).toEqual(['duplicate', 'duplicate']);
+  });
+
+  it('should resolve aliases so rooms monitored under the canonical ID are duplicates', async () => {
+    const existing = [{ id: '7734200', platform: 'bilibili', isFav: false }];
+
+    const entries = await parseBulkInput('live.bilibili.com/6 lpl', 'douyu', existing);
+
+    expect(entries[0]).toMatchObject({ status: 'duplicate', id: '7734200', alias: '6' });
+    expect(entries[1]).toMatchObject({
+      status: 'valid',
+      platform: 'douyu',
+      id: '288016',
+      alias: 'lpl',
+    });
+  });
+});
+
+describe('Room Input - resolveCanonicalRooms', () => {
+  it('should not look up rooms already monitored under the entered ID', async () => {
+    const existing = [{ id: '7734200', platform: 'bilibili', isFav: false, alias: '6' }];
+
+    const resolved = await resolveCanonicalRooms([{ platform: 'bilibili', id: '6' }], {
+      existingRooms: existing,
+    });
+
+    expect(resolved).toEqual([{ platform: 'bilibili', id: '6' }]);
+    expect(resolveCanonicalRoomId).not.toHaveBeenCalled();
+  });
+});
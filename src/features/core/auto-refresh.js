@@ -1,6 +1,9 @@
 /**
  * Auto Refresh Module
- * Automatic room status refresh with countdown timer
+ * Automatic room status refresh on a per-room schedule (see core/poll-scheduler)
+ *
+ * A one-second tick hands the rooms that are due to refreshAll (which runs them
+ * through promisePool); the button shows the time until the next room is due.
  *
  * Uses ResourceManager for proper timer lifecycle management
  * to prevent memory leaks.
@@ -10,12 +13,23 @@ import { SafeStorage } from '../../utils/safe-storage.js';
 import { APP_CONFIG } from '../../config/constants.js';
 import { getElement } from '../../utils/dom-cache.js';
 import { ResourceManager } from '../../utils/resource-manager.js';
-import { updateAutoRefreshEnabled } from '../../core/state.js';
+import { updateAutoRefreshEnabled, getRooms, getRoomDataCache, isCurrentlyRefreshing } from '../../core/state.js';
+import { getDueRooms, markDispatched, recordLiveHistory } from '../../core/poll-scheduler.js';
+import { getRefreshSettings, updateRefreshSettings, reloadRefreshSettings, formatInterval } from '../../core/refresh-settings.js';
+import { isLeaderTab, watchSharedSetting } from '../../core/tab-coordinator.js';
 
 // State
 let autoRefreshEnabled = SafeStorage.getItem('pro_auto_refresh', 'false') === 'true';
 let autoRefreshTimer = null;
-let autoRefreshCountdown = APP_CONFIG.AUTO_REFRESH.INTERVAL;
+let autoRefreshCountdown = APP_CONFIG.AUTO_REFRESH.INTERVAL; // seconds until the next room is due
+
+/**
+ * Whether auto-refresh is held back because the tab is hidden
+ * @returns {boolean} True while paused
+ */
+function isPausedWhileHidden() {
+    return getRefreshSettings().pauseWhenHidden && document.hidden;
+}
 
 /**
  * Format countdown in MM:SS format
@@ -38,23 +52,63 @@ function updateAutoRefreshBtn() {
 
     if (autoRefreshEnabled) {
         btn.classList.remove('off');
-        label.textContent = `自动: ${formatCountdown(autoRefreshCountdown)}`;
+        if (isPausedWhileHidden()) {
+            label.textContent = '自动: 暂停';
+            return;
+        }
+        label.textContent = Number.isFinite(autoRefreshCountdown)
+            ? `自动: ${formatCountdown(autoRefreshCountdown)}`
+            : '自动: 开';
     } else {
         btn.classList.add('off');
         label.textContent = '自动: 关';
     }
 }
 
+/**
+ * Recompute the countdown to the next due room
+ */
+function updateCountdown() {
+    const { nextDueIn } = getDueRooms(getRooms(), getRoomDataCache());
+    autoRefreshCountdown = Number.isFinite(nextDueIn) ? Math.ceil(nextDueIn / 1000) : Infinity;
+    updateAutoRefreshBtn();
+}
+
 /**
  * Reset auto-refresh countdown (used by manual refresh)
+ * Fetched rooms restart their own intervals, so this only refreshes the display
  */
 export function resetAutoRefreshCountdown() {
-    autoRefreshCountdown = APP_CONFIG.AUTO_REFRESH.INTERVAL;
-    updateAutoRefreshBtn();
+    updateCountdown();
+}
+
+/**
+ * One scheduler tick: refresh the rooms that are due
+ */
+function runSchedulerTick() {
+    const rooms = getRooms();
+    const cache = getRoomDataCache();
+    recordLiveHistory(rooms, cache);
+
+    // Due rooms wait for a running refresh (manual or previous tick) to finish,
+    // or for the tab to be shown again when paused in the background.
+    // Follower tabs only keep the countdown; the leader tab polls and broadcasts the results.
+    if (isLeaderTab() && !isCurrentlyRefreshing() && !isPausedWhileHidden()) {
+        const { due } = getDueRooms(rooms, cache);
+        if (due.length > 0) {
+            console.log(`[自动刷新] ${due.length} 个房间到期，开始刷新`);
+            markDispatched(due);
+            // Silent: no toasts for the small, frequent batches
+            window.refreshAll?.(true, true, { rooms: due, disableJitter: true });
+        }
+    }
+
+    updateCountdown();
 }
 
 /**
  * Start auto-refresh timer
+ * Intervals and the hidden-tab pause are read from the refresh settings on every tick.
  * Uses ResourceManager for proper lifecycle management
  */
 export function startAutoRefresh() {
@@ -63,18 +117,9 @@ export function startAutoRefresh() {
         ResourceManager.clearInterval(autoRefreshTimer);
         autoRefreshTimer = null;
     }
-    autoRefreshCountdown = APP_CONFIG.AUTO_REFRESH.INTERVAL;
+    updateCountdown();
 
-    const timerId = setInterval(() => {
-        autoRefreshCountdown--;
-        updateAutoRefreshBtn();
-
-        if (autoRefreshCountdown <= 0) {
-            console.log('[自动刷新] 触发刷新');
-            autoRefreshCountdown = APP_CONFIG.AUTO_REFRESH.INTERVAL;
-            window.refreshAll?.(false, true); // Second parameter indicates auto-refresh
-        }
-    }, 1000);
+    const timerId = setInterval(runSchedulerTick, 1000);
 
     // Track with ResourceManager for proper cleanup
     autoRefreshTimer = ResourceManager.addInterval(timerId);
@@ -101,7 +146,8 @@ export function toggleAutoRefresh() {
 
     if (autoRefreshEnabled) {
         startAutoRefresh();
-        window.showToast?.("自动刷新已开启 (每10分钟)");
+        const { interval } = getRefreshSettings();
+        window.showToast?.(`自动刷新已开启 (每 ${formatInterval(interval)}，直播中/收藏的房间更频繁)`);
     } else {
         stopAutoRefresh();
         window.showToast?.("自动刷新已关闭");
@@ -109,6 +155,15 @@ export function toggleAutoRefresh() {
     updateAutoRefreshBtn();
 }
 
+/**
+ * Change the base auto-refresh interval (applies from the next tick)
+ * @param {number} seconds - Interval in seconds
+ */
+export function setAutoRefreshInterval(seconds) {
+    updateRefreshSettings({ interval: seconds });
+    updateCountdown();
+}
+
 /**
  * Initialize auto-refresh on page load
  */
@@ -117,6 +172,21 @@ export function initAutoRefresh() {
         startAutoRefresh();
     }
     updateAutoRefreshBtn();
+
+    // Toggled or reconfigured in another tab (the leader tab may not be the one the user is in)
+    watchSharedSetting('pro_auto_refresh', value => {
+        const enabled = value === 'true';
+        if (enabled === autoRefreshEnabled) return;
+        autoRefreshEnabled = enabled;
+        updateAutoRefreshEnabled(enabled);
+        if (enabled) startAutoRefresh();
+        else stopAutoRefresh();
+        updateAutoRefreshBtn();
+    });
+    watchSharedSetting('pro_refresh_settings', () => {
+        reloadRefreshSettings();
+        if (autoRefreshEnabled) updateCountdown();
+    });
 }
 
 // Make globally accessible for cross-module usage
@@ -0,0 +1,184 @@
+/**
+ * Bulk Add Panel
+ * Dialog for pasting many room IDs/links at once, with a preview before adding
+ */
+
+import { getElement } from '../../utils/dom-cache.js';
+import { debounce } from '../../utils/helpers.js';
+import { PLATFORM_CONFIG } from '../../config/constants.js';
+import { getRooms, updateRooms } from '../../core/state.js';
+import { parseBulkInput } from './room-input.js';
+
+const DIALOG_ID = 'bulk-add-dialog';
+
+const STATUS_LABELS = {
+    valid: { text: '可添加', color: '#10b981' },
+    duplicate: { text: '重复', color: '#f59e0b' },
+    invalid: { text: '无效', color: '#ef4444' }
+};
+
+// Latest preview; a sequence number drops results of superseded parses
+let previewEntries = [];
+let previewSeq = 0;
+
+// Short link and canonical ID lookups, kept while the dialog is open so edits only look up new tokens
+let lookups = new Map();
+
+/**
+ * Current platform for bare IDs (the add box selector)
+ * @returns {string} Platform key
+ */
+function getFallbackPlatform() {
+    return getElement('platform-select')?.value || 'douyu';
+}
+
+/**
+ * Render the preview table and summary
+ * @param {Array} entries - Parsed entries from parseBulkInput
+ */
+function renderPreview(entries) {
+    const container = document.getElementById('bulk-add-preview');
+    const confirmBtn = document.getElementById('bulk-add-confirm');
+    if (!container) return;
+
+    container.textContent = '';
+    const counts = { valid: 0, duplicate: 0, invalid: 0 };
+    entries.forEach(entry => counts[entry.status]++);
+
+    if (confirmBtn) {
+        confirmBtn.disabled = counts.valid === 0;
+        confirmBtn.style.opacity = counts.valid === 0 ? '0.5' : '1';
+        confirmBtn.textContent = `➕ 添加 ${counts.valid} 个`;
+    }
+
+    if (entries.length === 0) return;
+
+    const summary = document.createElement('div');
+    summary.style.cssText = 'color: #9ca3af; font-size: 12px; margin-bottom: 8px;';
+    summary.textContent = `可添加 ${counts.valid} · 重复 ${counts.duplicate} · 无效 ${counts.invalid}`;
+    container.appendChild(summary);
+
+    const table = document.createElement('table');
+    table.style.cssText = 'width: 100%; border-collapse: collapse; font-size: 12px;';
+
+    entries.forEach(entry => {
+        const row = document.createElement('tr');
+        row.style.borderTop = '1px solid #262626';
+
+        const label = STATUS_LABELS[entry.status];
+        const config = PLATFORM_CONFIG[entry.platform];
+        const cells = [
+            { text: entry.token, style: 'color: #6b7280; max-width: 180px; overflow: hidden; text-overflow: ellipsis; white-space: nowrap;' },
+            { text: config?.name || '-', style: `color: ${config?.color || '#6b7280'}; font-weight: 600;` },
+            { text: entry.id || '-', style: 'color: #e5e7eb; font-family: monospace;' },
+            { text: entry.error ? `${label.text}: ${entry.error}` : label.text, style: `color: ${label.color};` }
+        ];
+
+        cells.forEach(({ text, style }) => {
+            const cell = document.createElement('td');
+            cell.style.cssText = `padding: 6px 8px; ${style}`;
+            cell.textContent = text;
+            cell.title = text;
+            row.appendChild(cell);
+        });
+
+        table.appendChild(row);
+    });
+
+    container.appendChild(table);
+}
+
+/**
+ * Parse the textarea and refresh the preview
+ * @returns {Promise<Array>} Parsed entries (stale parses resolve to the latest preview)
+ */
+export async function previewBulkAdd() {
+    const textarea = document.getElementById('bulk-add-input');
+    if (!textarea) return [];
+
+    const seq = ++previewSeq;
+    const entries = await parseBulkInput(textarea.value, getFallbackPlatform(), getRooms(), lookups);
+    if (seq !== previewSeq) return previewEntries;
+
+    previewEntries = entries;
+    renderPreview(entries);
+    return entries;
+}
+
+/**
+ * Debounced preview for textarea input events
+ */
+export const scheduleBulkAddPreview = debounce(previewBulkAdd, 400);
+
+/**
+ * Open bulk add dialog
+ * @param {string} [prefill] - Text to start with (e.g. a multi-room paste into the add box)
+ */
+export function openBulkAddDialog(prefill = '') {
+    if (!document.getElementById(DIALOG_ID)) {
+        const dialogHTML = `
+            <div id="${DIALOG_ID}" style="position: fixed; top: 0; left: 0; right: 0; bottom: 0; background: rgba(0,0,0,0.8); z-index: 9999; display: flex; align-items: center; justify-content: center;">
+                <div style="background: #1a1a1a; border-radius: 16px; padding: 32px; max-width: 640px; width: 90%; max-height: 90vh; overflow-y: auto; border: 1px solid #333;">
+                    <h3 style="color: #fff; font-size: 20px; font-weight: bold; margin: 0 0 8px 0;">批量添加</h3>
+                    <p style="color: #6b7280; font-size: 12px; margin: 0 0 12px 0;">粘贴房间号或直播间链接，用换行、逗号或空格分隔；纯房间号按当前选择的平台识别</p>
+                    <textarea id="bulk-add-input" spellcheck="false" style="width: 100%; height: 160px; background: #111; color: #e5e7eb; border: 1px solid #333; border-radius: 10px; padding: 12px; font-family: monospace; font-size: 12px; box-sizing: border-box;"></textarea>
+                    <div id="bulk-add-preview" style="margin-top: 12px;"></div>
+                    <div style="display: flex; gap: 12px; margin-top: 16px;">
+                        <button id="bulk-add-confirm" data-action="confirm-bulk-add" disabled
+                                style="flex: 1; padding: 12px 20px; background: linear-gradient(135deg, #10b981 0%, #059669 100%); color: white; border: none; border-radius: 10px; font-weight: 600; cursor: pointer; opacity: 0.5;">
+                            ➕ 添加 0 个
+                        </button>
+                        <button data-action="close-bulk-add"
+                                style="flex: 1; padding: 12px 20px; background: rgba(255,255,255,0.1); color: #9ca3af; border: 1px solid #333; border-radius: 10px; font-weight: 600; cursor: pointer;">
+                            取消
+                        </button>
+                    </div>
+                </div>
+            </div>
+        `;
+
+        const dialogContainer = document.createElement('div');
+        dialogContainer.innerHTML = dialogHTML;
+        document.body.appendChild(dialogContainer.firstElementChild);
+    }
+
+    const textarea = document.getElementById('bulk-add-input');
+    if (prefill) textarea.value = prefill;
+    textarea.focus();
+    previewBulkAdd();
+}
+
+/**
+ * Close bulk add dialog
+ */
+export function closeBulkAddDialog() {
+    previewSeq++;
+    previewEntries = [];
+    lookups = new Map();
+    document.getElementById(DIALOG_ID)?.remove();
+}
+
+/**
+ * Add every valid entry and fetch them with a single refresh
+ */
+export async function confirmBulkAdd() {
+    // Re-parse so the list reflects the textarea and the monitored list right now
+    const entries = await previewBulkAdd();
+    const newRooms = entries
+        .filter(entry => entry.status === 'valid')
+        .map(({ id, platform, alias }) => ({ id, platform, isFav: false, ...(alias ? { alias } : {}) }));
+
+    if (newRooms.length === 0) {
+        window.showToast?.('没有可添加的主播', 'error');
+        return;
+    }
+
+    updateRooms([...getRooms(), ...newRooms], true);
+    closeBulkAddDialog();
+    window.renderAll?.();
+    window.showToast?.(`✅ 已添加 ${newRooms.length} 个主播`, 'success');
+
+    // Silent refresh of just the new rooms (also runs while another refresh is in progress);
+    // an alias whose lookup failed still moves to its canonical ID when it completes
+    await window.refreshAll?.(true, false, { rooms: newRooms });
+}
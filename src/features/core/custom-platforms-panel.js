@@ -0,0 +1,246 @@
+/**
+ * Custom Platforms Panel
+ * Dialog for adding/removing declarative platforms and keeping the platform selector in sync
+ */
+
+import { getElement } from '../../utils/dom-cache.js';
+import { getRooms } from '../../core/state.js';
+import {
+    registerCustomPlatform,
+    registerCustomPlatforms,
+    removeCustomPlatform,
+    getCustomPlatformSpecs
+} from '../../api/custom-platforms.js';
+
+const DIALOG_ID = 'custom-platforms-dialog';
+
+const SPEC_EXAMPLE = `{
+  "key": "example",
+  "name": "Example",
+  "color": "#22d3ee",
+  "url": "https://api.example.com/live/{id}",
+  "proxy": true,
+  "roomUrl": "https://example.com/{id}",
+  "paths": {
+    "isLive": "data.is_live",
+    "title": "data.title",
+    "owner": "data.user.name",
+    "cover": "data.cover",
+    "viewers": "data.online",
+    "startTime": "data.started_at"
+  }
+}`;
+
+/**
+ * Sync custom platform entries in the platform selector dropdown
+ */
+export function renderCustomPlatformMenu() {
+    const menu = getElement('selector-menu');
+    if (!menu) return;
+
+    menu.querySelectorAll('[data-custom-platform]').forEach(el => el.remove());
+
+    getCustomPlatformSpecs().forEach(spec => {
+        const item = document.createElement('div');
+        item.dataset.action = 'select-platform';
+        item.dataset.platform = spec.key;
+        item.dataset.color = spec.color;
+        item.dataset.label = spec.name;
+        item.dataset.customPlatform = 'true';
+        item.className = 'cursor-pointer px-5 py-3 hover:bg-[#262626] transition-colors border-b border-white/5 flex items-center justify-between group';
+
+        const label = document.createElement('span');
+        label.className = 'font-bold text-sm';
+        label.style.color = spec.color;
+        label.textContent = spec.name;
+        item.appendChild(label);
+
+        menu.appendChild(item);
+    });
+}
+
+/**
+ * Render the list of registered custom platforms inside the dialog
+ */
+function renderDialogList() {
+    const list = document.getElementById('custom-platforms-list');
+    if (!list) return;
+
+    list.replaceChildren();
+    const specs = getCustomPlatformSpecs();
+
+    if (specs.length === 0) {
+        const empty = document.createElement('p');
+        empty.style.cssText = 'color: #6b7280; margin: 0; font-size: 13px;';
+        empty.textContent = '暂无自定义平台';
+        list.appendChild(empty);
+        return;
+    }
+
+    specs.forEach(spec => {
+        const row = document.createElement('div');
+        row.style.cssText = 'display: flex; align-items: center; justify-content: space-between; gap: 8px; padding: 6px 0;';
+
+        const name = document.createElement('span');
+        name.style.cssText = `color: ${spec.color}; font-weight: 600; font-size: 14px;`;
+        name.textContent = `${spec.name} (${spec.key})`;
+
+        const remove = document.createElement('button');
+        remove.dataset.action = 'remove-custom-platform';
+        remove.dataset.platform = spec.key;
+        remove.style.cssText = 'padding: 4px 10px; background: rgba(239,68,68,0.15); color: #f87171; border: 1px solid rgba(239,68,68,0.3); border-radius: 8px; font-size: 12px; cursor: pointer;';
+        remove.textContent = '删除';
+
+        row.append(name, remove);
+        list.appendChild(row);
+    });
+}
+
+/**
+ * Register specs parsed from text (single object or array) and report the result
+ * @param {string} text - JSON text
+ * @returns {boolean} Whether at least one platform was registered
+ */
+function registerFromText(text) {
+    let parsed;
+    try {
+        parsed = JSON.parse(text);
+    } catch {
+        window.showToast?.('JSON 格式错误', 'error');
+        return false;
+    }
+
+    const { registered, failed } = Array.isArray(parsed)
+        ? registerCustomPlatforms(parsed)
+        : tryRegisterOne(parsed);
+
+    failed.forEach(({ key, error }) => console.warn(`[自定义平台] ${key}: ${error}`));
+
+    if (registered.length === 0) {
+        window.showToast?.(failed[0]?.error || '没有有效的平台定义', 'error');
+        return false;
+    }
+
+    renderCustomPlatformMenu();
+    renderDialogList();
+    window.showToast?.(`✅ 已添加平台: ${registered.join(', ')}`, 'success');
+    return true;
+}
+
+/**
+ * Register a single spec, shaped like registerCustomPlatforms' result
+ * @param {Object} spec - Raw spec
+ * @returns {{registered: string[], failed: Array<{key: string, error: string}>}}
+ */
+function tryRegisterOne(spec) {
+    try {
+        return { registered: [registerCustomPlatform(spec).key], failed: [] };
+    } catch (error) {
+        return { registered: [], failed: [{ key: spec?.key || '?', error: error.message }] };
+    }
+}
+
+/**
+ * Open custom platforms dialog
+ */
+export function openCustomPlatformsDialog() {
+    if (document.getElementById(DIALOG_ID)) return;
+
+    const dialogHTML = `
+        <div id="${DIALOG_ID}" style="position: fixed; top: 0; left: 0; right: 0; bottom: 0; background: rgba(0,0,0,0.8); z-index: 9999; display: flex; align-items: center; justify-content: center;">
+            <div style="background: #1a1a1a; border-radius: 16px; padding: 32px; max-width: 560px; width: 90%; max-height: 90vh; overflow-y: auto; border: 1px solid #333;">
+                <h3 style="color: #fff; font-size: 20px; font-weight: bold; margin: 0 0 16px 0;">自定义平台</h3>
+                <div id="custom-platforms-list" style="margin: 0 0 16px 0;"></div>
+                <textarea id="custom-platform-spec" spellcheck="false" style="width: 100%; height: 220px; background: #111; color: #e5e7eb; border: 1px solid #333; border-radius: 10px; padding: 12px; font-family: monospace; font-size: 12px; box-sizing: border-box;"></textarea>
+                <div style="display: flex; gap: 12px; margin-top: 16px;">
+                    <button data-action="save-custom-platform"
+                            style="flex: 1; padding: 12px 20px; background: linear-gradient(135deg, #10b981 0%, #059669 100%); color: white; border: none; border-radius: 10px; font-weight: 600; cursor: pointer;">
+                        ➕ 添加
+                    </button>
+                    <button data-action="load-custom-platform-file"
+                            style="flex: 1; padding: 12px 20px; background: rgba(59,130,246,0.15); color: #93c5fd; border: 1px solid rgba(147,197,253,0.3); border-radius: 10px; font-weight: 600; cursor: pointer;">
+                        📂 从文件加载
+                    </button>
+                    <button data-action="close-custom-platforms"
+                            style="flex: 1; padding: 12px 20px; background: rgba(255,255,255,0.1); color: #9ca3af; border: 1px solid #333; border-radius: 10px; font-weight: 600; cursor: pointer;">
+                        关闭
+                    </button>
+                </div>
+                <input type="file" id="custom-platform-file-input" accept=".json" style="display: none" />
+            </div>
+        </div>
+    `;
+
+    const dialogContainer = document.createElement('div');
+    dialogContainer.innerHTML = dialogHTML;
+    document.body.appendChild(dialogContainer.firstElementChild);
+
+    document.getElementById('custom-platform-spec').value = SPEC_EXAMPLE;
+    renderDialogList();
+}
+
+/**
+ * Close custom platforms dialog
+ */
+export function closeCustomPlatformsDialog() {
+    document.getElementById(DIALOG_ID)?.remove();
+}
+
+/**
+ * Add the spec currently in the dialog textarea
+ */
+export function saveCustomPlatformFromDialog() {
+    const textarea = document.getElementById('custom-platform-spec');
+    if (!textarea) return;
+    registerFromText(textarea.value);
+}
+
+/**
+ * Load platform specs from a JSON file
+ * @param {Event} event - File input change event
+ */
+export function loadCustomPlatformFile(event) {
+    const file = event.target.files[0];
+    if (!file) return;
+
+    const reader = new FileReader();
+    reader.onload = e => {
+        registerFromText(e.target.result);
+        event.target.value = '';
+    };
+    reader.onerror = () => {
+        window.showToast?.('文件读取失败', 'error');
+        event.target.value = '';
+    };
+    reader.readAsText(file);
+}
+
+/**
+ * Remove a custom platform (refused while rooms still use it)
+ * @param {string} key - Platform id
+ */
+export function removeCustomPlatformEntry(key) {
+    const inUse = getRooms().filter(room => room.platform === key).length;
+    if (inUse > 0) {
+        window.showToast?.(`仍有 ${inUse} 个主播使用该平台，请先删除`, 'error');
+        return;
+    }
+
+    if (removeCustomPlatform(key)) {
+        const select = getElement('platform-select');
+        if (select?.value === key) {
+            const fallback = getElement('selector-menu')?.querySelector('[data-action="select-platform"]');
+            fallback?.click();
+        }
+        renderCustomPlatformMenu();
+        renderDialogList();
+        window.showToast?.('已删除平台', 'success');
+    }
+}
+
+/**
+ * Initialize custom platforms panel
+ */
+export function initCustomPlatformsPanel() {
+    renderCustomPlatformMenu();
+}
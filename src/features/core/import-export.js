@@ -3,8 +3,19 @@
  * JSON-based room list import and export functionality
  */
 
-import { getRooms, getRoomDataCache, updateRooms, updateRoomDataCache } from '../../core/state.js';
+import { getRooms, getRoomDataCache, getStreamers, updateRooms, updateRoomDataCache, updateStreamers } from '../../core/state.js';
+import { pruneStreamerGroups } from '../../core/streamers.js';
 import { getRoomCacheKey, normalizeRoomId } from '../../utils/helpers.js';
+import { PLATFORM_CONFIG } from '../../config/constants.js';
+import { getCustomPlatformSpecs, registerCustomPlatforms } from '../../api/custom-platforms.js';
+import { renderCustomPlatformMenu } from './custom-platforms-panel.js';
+import { findMonitoredRoom, resolveCanonicalRooms } from './room-input.js';
+
+// Custom platform definitions from the file being imported (registered on confirm)
+let pendingPlatforms = [];
+
+// Streamer groups from the file being imported (applied on confirm)
+let pendingStreamers = [];
 
 /**
  * Export rooms to JSON file
@@ -19,8 +30,13 @@ export function exportRooms(rooms) {
             rooms: rooms.map(room => ({
                 id: room.id,
                 platform: room.platform,
-                isFav: room.isFav || false
-            }))
+                isFav: room.isFav || false,
+                ...(room.alias ? { alias: room.alias } : {}),
+                ...(room.streamerId ? { streamerId: room.streamerId } : {})
+            })),
+            streamers: getStreamers(),
+            // Declarative platform definitions, so shared lists work on other machines
+            platforms: getCustomPlatformSpecs()
         };
 
         // Convert to JSON string
@@ -60,7 +76,7 @@ export function importRooms(event) {
     if (!file) return;
 
     const reader = new FileReader();
-    reader.onload = function(e) {
+    reader.onload = async function(e) {
         try {
             // Parse JSON
             const importData = JSON.parse(e.target.result);
@@ -70,22 +86,40 @@ export function importRooms(event) {
                 throw new Error('无效的文件格式');
             }
 
+            pendingPlatforms = Array.isArray(importData.platforms) ? importData.platforms : [];
+            pendingStreamers = Array.isArray(importData.streamers)
+                ? importData.streamers
+                    .filter(s => typeof s?.id === 'string' && typeof s?.name === 'string')
+                    .map(({ id, name }) => ({ id, name }))
+                : [];
+            const streamerIds = new Set(pendingStreamers.map(s => s.id));
+            const importedKeys = new Set(
+                pendingPlatforms.map(spec => typeof spec?.key === 'string' ? spec.key.toLowerCase() : '')
+            );
+
             // Normalize and validate each room data
             const normalizedRooms = importData.rooms
                 .map(room => {
                     const platform = typeof room.platform === 'string' ? room.platform.toLowerCase() : '';
                     const id = normalizeRoomId(platform, room.id);
+                    const alias = room.alias ? normalizeRoomId(platform, room.alias) : '';
                     return {
                         id,
                         platform,
-                        isFav: !!room.isFav
+                        isFav: !!room.isFav,
+                        ...(alias && alias !== id ? { alias } : {}),
+                        ...(streamerIds.has(room.streamerId) ? { streamerId: room.streamerId } : {})
                     };
                 })
-                .filter(room => room.id && ['douyu', 'bilibili', 'twitch', 'kick'].includes(room.platform));
+                .filter(room => room.id && (Object.hasOwn(PLATFORM_CONFIG, room.platform) || importedKeys.has(room.platform)));
+
+            // Rooms listed by alias (Bilibili short ID, Douyu vanity name) get their canonical ID now,
+            // so merging finds rooms already monitored under the other ID
+            const canonicalRooms = await resolveCanonicalRooms(normalizedRooms);
 
             const uniqueRooms = [];
             const seen = new Map();
-            normalizedRooms.forEach(room => {
+            canonicalRooms.forEach(room => {
                 const key = getRoomCacheKey(room.platform, room.id);
                 const existing = seen.get(key);
                 if (existing) {
@@ -136,6 +170,7 @@ function showImportDialog(importRooms, version) {
                 <p style="color: #9ca3af; margin: 0 0 24px 0;">
                     检测到 <strong style="color: #60a5fa;">${importRooms.length}</strong> 个主播<br>
                     当前列表有 <strong style="color: #60a5fa;">${rooms.length}</strong> 个主播
+                    ${pendingPlatforms.length > 0 ? `<br>包含 <strong style="color: #60a5fa;">${pendingPlatforms.length}</strong> 个自定义平台定义` : ''}
                 </p>
                 <div style="display: flex; flex-direction: column; gap: 12px;">
                     <button onclick="window.doImport('replace', ${JSON.stringify(importRooms).replace(/"/g, '&quot;')})"
@@ -168,6 +203,15 @@ function showImportDialog(importRooms, version) {
  */
 window.doImport = function(mode, importRooms) {
     try {
+        // Register shipped platform definitions first so their rooms have adapters
+        if (pendingPlatforms.length > 0) {
+            const { failed } = registerCustomPlatforms(pendingPlatforms);
+            failed.forEach(({ key, error }) => console.warn(`[导入] 跳过平台定义 ${key}: ${error}`));
+            importRooms = importRooms.filter(r => Object.hasOwn(PLATFORM_CONFIG, r.platform));
+            renderCustomPlatformMenu();
+            pendingPlatforms = [];
+        }
+
         const rooms = getRooms();
         let newRooms = [];
         let message = '';
@@ -178,9 +222,9 @@ window.doImport = function(mode, importRooms) {
             message = `正在加载 ${newRooms.length} 个主播...`;
             window.showToast?.(message, 'info');
         } else if (mode === 'merge') {
-            // Merge mode: merge after deduplication
-            const existingKeys = new Set(rooms.map(r => getRoomCacheKey(r.platform, r.id)));
-            const toAdd = importRooms.filter(r => !existingKeys.has(getRoomCacheKey(r.platform, r.id)));
+            // Merge mode: merge after deduplication (a room may be listed under its alias)
+            const toAdd = importRooms.filter(r => !findMonitoredRoom(r.platform, r.id, rooms)
+                && !(r.alias && findMonitoredRoom(r.platform, r.alias, rooms)));
             newRooms = [...rooms, ...toAdd];
 
             if (toAdd.length === 0) {
@@ -193,8 +237,15 @@ window.doImport = function(mode, importRooms) {
             window.showToast?.(message, 'info');
         }
 
+        // Streamer groups: replace takes the file's groups, merge adds the ones not known yet
+        const knownStreamers = mode === 'replace' ? [] : getStreamers();
+        const knownIds = new Set(knownStreamers.map(s => s.id));
+        updateStreamers([...knownStreamers, ...pendingStreamers.filter(s => !knownIds.has(s.id))]);
+        pendingStreamers = [];
+
         // Update rooms in place to keep references stable
         updateRooms(newRooms, true);
+        pruneStreamerGroups();
 
         // Clear cache (force re-fetch)
         const roomDataCache = getRoomDataCache();
@@ -219,6 +270,8 @@ window.doImport = function(mode, importRooms) {
  * Close import dialog
  */
 window.closeImportDialog = function() {
+    pendingPlatforms = [];
+    pendingStreamers = [];
     const dialog = document.getElementById('import-dialog');
     if (dialog) {
         dialog.remove();
@@ -5,6 +5,12 @@
 
 export { initAutoRefresh, setAutoRefreshInterval } from './auto-refresh.js';
 export { exportRooms, importRooms } from './import-export.js';
+export { initCustomPlatformsPanel, openCustomPlatformsDialog } from './custom-platforms-panel.js';
+export { openBulkAddDialog } from './bulk-add-panel.js';
+export { openStreamerDialog } from './streamer-panel.js';
+export { openRefreshSettingsDialog } from './refresh-settings-panel.js';
+export { openProxySettingsDialog } from './proxy-settings-panel.js';
+export { resolveRoomInput, parseBulkInput } from './room-input.js';
 export { initNotifications, checkNotifications, requestNotificationPermission } from './notifications.js';
 export * from './room-management.js';
 export { initStatusTicker, updateTicker } from './status-ticker.js';
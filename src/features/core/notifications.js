@@ -3,7 +3,11 @@
  * Browser notification system with permission management
  */
 
-import { isNotificationsEnabled, updateNotificationsEnabled } from '../../core/state.js';
+import { isNotificationsEnabled, updateNotificationsEnabled, getRooms, getRoomDataCache } from '../../core/state.js';
+import { getStreamer, getLinkedRooms, getPlatformName } from '../../core/streamers.js';
+import { isLeaderTab, watchSharedSetting } from '../../core/tab-coordinator.js';
+import { showLiveNotification } from '../../core/background-monitor.js';
+import { getRoomCacheKey } from '../../utils/helpers.js';
 import { getElement } from '../../utils/dom-cache.js';
 import { DeviceDetector } from '../../utils/device-detector.js';
 import { playNotificationSound } from '../audio/notification-audio.js';
@@ -80,6 +84,28 @@ export function requestNotificationPermission() {
  * @returns {boolean} Whether to send notification
  */
 export function checkNotifications(room, data) {
+    // Rooms linked to one streamer share a notification state, so a simulcast notifies once
+    const current = getRooms().find(r => r.id === room.id && r.platform === room.platform);
+    const streamer = current?.streamerId ? getStreamer(current.streamerId) : null;
+    const notifyKey = streamer ? `streamer-${streamer.id}` : getRoomCacheKey(room.platform, room.id);
+    const cacheKey = `${notifyKey}_notify_state`;
+
+    // Going offline re-arms the notification, so a second go-live in the same session notifies again
+    // (for a streamer only once none of the other linked rooms is still live)
+    if (data && !data.isLive) {
+        const cache = getRoomDataCache();
+        const otherLive = streamer && getLinkedRooms(streamer.id).some(r =>
+            r !== current && cache[getRoomCacheKey(r.platform, r.id)]?.isLive
+        );
+        if (!otherLive) sessionStorage.setItem(cacheKey, 'false');
+    }
+
+    // Only the leader tab notifies; other tabs track the state so they don't repeat it after taking over
+    if (!isLeaderTab()) {
+        if (data?.isLive) sessionStorage.setItem(cacheKey, 'true');
+        return false;
+    }
+
     // Check if notifications are enabled
     if (!isNotificationsEnabled() || !data || !data.isLive) {
         return false;
@@ -90,7 +116,6 @@ export function checkNotifications(room, data) {
     }
 
     // Check if state changed from offline to online
-    const cacheKey = `${room.platform}-${room.id}_notify_state`;
     const lastState = sessionStorage.getItem(cacheKey);
     const shouldNotify = lastState !== 'true' && data.isLive;
 
@@ -104,11 +129,13 @@ export function checkNotifications(room, data) {
             playNotificationSound();
         }
 
-        // Send notification
-        const ownerName = data.owner || room.id;
-        new Notification(`🔴 ${ownerName} 开播了!`, {
-            body: `关注的主播正在直播中`,
-            icon: 'https://cdn-icons-png.flaticon.com/512/1162/1162232.png'
+        // Send notification (through the Service Worker when registered: shown without a focused tab,
+        // tagged so a background check of the same room doesn't repeat it)
+        const ownerName = streamer?.name || data.owner || room.id;
+        showLiveNotification(`🔴 ${ownerName} 开播了!`, {
+            body: streamer ? `正在 ${getPlatformName(room.platform)} 直播` : `关注的主播正在直播中`,
+            icon: 'https://cdn-icons-png.flaticon.com/512/1162/1162232.png',
+            tag: notifyKey
         });
 
         return true;
@@ -126,6 +153,12 @@ export function initNotifications() {
     // Expose updateNotifyBtn for init.js (toggleNotifications handled by globals.js)
     window.updateNotifyBtn = updateNotifyBtn;
 
+    // Toggled in another tab: the leader tab sends the notifications
+    watchSharedSetting('pro_notify_enabled', value => {
+        updateNotificationsEnabled(value === 'true');
+        updateNotifyBtn();
+    });
+
     return {
         enabled: isNotificationsEnabled(),
         supported: "Notification" in window && !DeviceDetector.isiOS()
@@ -0,0 +1,190 @@
+/**
+ * Proxy Settings Panel
+ * Dialog for adding, enabling/disabling and removing user-defined proxy endpoints
+ */
+
+import {
+    addCustomProxy,
+    getCustomProxies,
+    setCustomProxyEnabled,
+    removeCustomProxy
+} from '../../api/custom-proxies.js';
+
+const DIALOG_ID = 'proxy-settings-dialog';
+
+const TIER_LABELS = { premium: '优先', standard: '标准', fallback: '备用', private: '私有（自建中继）' };
+const REGION_LABELS = { global: '全球', mainland: '国内', overseas: '海外' };
+
+const INPUT_STYLE = 'width: 100%; background: #111; color: #e5e7eb; border: 1px solid #333; border-radius: 10px; padding: 10px 12px; font-size: 14px; box-sizing: border-box;';
+const LABEL_STYLE = 'display: block; color: #9ca3af; font-size: 13px; margin: 12px 0 6px 0;';
+const SMALL_BUTTON_STYLE = 'padding: 4px 10px; border-radius: 8px; font-size: 12px; cursor: pointer;';
+
+/**
+ * Option tags for a label map
+ * @param {Object} labels - value -> label
+ * @returns {string} HTML
+ */
+function renderOptions(labels) {
+    return Object.entries(labels)
+        .map(([value, label]) => `<option value="${value}">${label}</option>`)
+        .join('');
+}
+
+/**
+ * Render the saved proxies inside the dialog
+ */
+function renderDialogList() {
+    const list = document.getElementById('custom-proxies-list');
+    if (!list) return;
+
+    list.replaceChildren();
+    const entries = getCustomProxies();
+
+    if (entries.length === 0) {
+        const empty = document.createElement('p');
+        empty.style.cssText = 'color: #6b7280; margin: 0; font-size: 13px;';
+        empty.textContent = '暂无自定义代理';
+        list.appendChild(empty);
+        return;
+    }
+
+    entries.forEach(entry => {
+        const row = document.createElement('div');
+        row.style.cssText = 'display: flex; align-items: center; justify-content: space-between; gap: 8px; padding: 6px 0;';
+
+        const info = document.createElement('div');
+        info.style.cssText = `min-width: 0; opacity: ${entry.enabled ? 1 : 0.5};`;
+
+        const name = document.createElement('div');
+        name.style.cssText = 'color: #e5e7eb; font-weight: 600; font-size: 14px;';
+        name.textContent = `${entry.name} · ${TIER_LABELS[entry.tier]} · ${REGION_LABELS[entry.region]}${entry.wrap ? ' · 包装' : ''}`;
+
+        const url = document.createElement('div');
+        url.style.cssText = 'color: #6b7280; font-size: 12px; font-family: monospace; overflow: hidden; text-overflow: ellipsis; white-space: nowrap;';
+        url.textContent = entry.url;
+        url.title = entry.url;
+
+        info.append(name, url);
+
+        const toggle = document.createElement('button');
+        toggle.dataset.action = 'toggle-custom-proxy';
+        toggle.dataset.proxy = entry.name;
+        toggle.style.cssText = `${SMALL_BUTTON_STYLE} background: rgba(255,255,255,0.05); color: #9ca3af; border: 1px solid #333; flex-shrink: 0;`;
+        toggle.textContent = entry.enabled ? '停用' : '启用';
+
+        const remove = document.createElement('button');
+        remove.dataset.action = 'remove-custom-proxy';
+        remove.dataset.proxy = entry.name;
+        remove.style.cssText = `${SMALL_BUTTON_STYLE} background: rgba(239,68,68,0.15); color: #f87171; border: 1px solid rgba(239,68,68,0.3); flex-shrink: 0;`;
+        remove.textContent = '删除';
+
+        row.append(info, toggle, remove);
+        list.appendChild(row);
+    });
+}
+
+/**
+ * Open proxy settings dialog
+ */
+export function openProxySettingsDialog() {
+    if (document.getElementById(DIALOG_ID)) return;
+
+    const dialogHTML = `
+        <div id="${DIALOG_ID}" style="position: fixed; top: 0; left: 0; right: 0; bottom: 0; background: rgba(0,0,0,0.8); z-index: 9999; display: flex; align-items: center; justify-content: center;">
+            <div style="background: #1a1a1a; border-radius: 16px; padding: 32px; max-width: 560px; width: 90%; max-height: 90vh; overflow-y: auto; border: 1px solid #333;">
+                <h3 style="color: #fff; font-size: 20px; font-weight: bold; margin: 0 0 8px 0;">自定义代理</h3>
+                <p style="color: #6b7280; font-size: 12px; margin: 0 0 16px 0;">添加自建或私有的 CORS 代理，与内置代理一起按成功率和速度排序使用。地址中的 {url} 会替换为编码后的目标地址，{rawUrl} 为原始地址。自建中继（server/relay.js）请选择"私有"层级，它会先于公共代理使用</p>
+                <div id="custom-proxies-list" style="margin: 0 0 8px 0;"></div>
+                <label for="custom-proxy-name" style="${LABEL_STYLE}">名称</label>
+                <input id="custom-proxy-name" type="text" maxlength="40" placeholder="我的代理" style="${INPUT_STYLE}">
+                <label for="custom-proxy-url" style="${LABEL_STYLE}">地址模板</label>
+                <input id="custom-proxy-url" type="text" spellcheck="false" placeholder="https://proxy.example.com/?url={url}" style="${INPUT_STYLE} font-family: monospace;">
+                <div style="display: flex; gap: 12px;">
+                    <div style="flex: 1;">
+                        <label for="custom-proxy-tier" style="${LABEL_STYLE}">层级</label>
+                        <select id="custom-proxy-tier" style="${INPUT_STYLE}">${renderOptions(TIER_LABELS)}</select>
+                    </div>
+                    <div style="flex: 1;">
+                        <label for="custom-proxy-region" style="${LABEL_STYLE}">地区</label>
+                        <select id="custom-proxy-region" style="${INPUT_STYLE}">${renderOptions(REGION_LABELS)}</select>
+                    </div>
+                </div>
+                <label style="display: flex; align-items: center; gap: 10px; color: #e5e7eb; font-size: 14px; margin-top: 16px; cursor: pointer;">
+                    <input id="custom-proxy-wrap" type="checkbox">
+                    响应包装在 contents 字段中（AllOrigins 格式）
+                </label>
+                <div style="display: flex; gap: 12px; margin-top: 24px;">
+                    <button data-action="save-custom-proxy"
+                            style="flex: 1; padding: 12px 20px; background: linear-gradient(135deg, #10b981 0%, #059669 100%); color: white; border: none; border-radius: 10px; font-weight: 600; cursor: pointer;">
+                        ➕ 添加
+                    </button>
+                    <button data-action="close-proxy-settings"
+                            style="flex: 1; padding: 12px 20px; background: rgba(255,255,255,0.1); color: #9ca3af; border: 1px solid #333; border-radius: 10px; font-weight: 600; cursor: pointer;">
+                        关闭
+                    </button>
+                </div>
+            </div>
+        </div>
+    `;
+
+    const dialogContainer = document.createElement('div');
+    dialogContainer.innerHTML = dialogHTML;
+    document.body.appendChild(dialogContainer.firstElementChild);
+
+    renderDialogList();
+}
+
+/**
+ * Close proxy settings dialog
+ */
+export function closeProxySettingsDialog() {
+    document.getElementById(DIALOG_ID)?.remove();
+}
+
+/**
+ * Add the proxy described by the dialog fields
+ */
+export function saveCustomProxyFromDialog() {
+    const value = id => document.getElementById(id)?.value ?? '';
+
+    try {
+        const entry = addCustomProxy({
+            name: value('custom-proxy-name'),
+            url: value('custom-proxy-url'),
+            tier: value('custom-proxy-tier'),
+            region: value('custom-proxy-region'),
+            wrap: document.getElementById('custom-proxy-wrap')?.checked === true
+        });
+
+        document.getElementById('custom-proxy-name').value = '';
+        document.getElementById('custom-proxy-url').value = '';
+        renderDialogList();
+        window.showToast?.(`✅ 已添加代理: ${entry.name}`, 'success');
+    } catch (error) {
+        window.showToast?.(error.message, 'error');
+    }
+}
+
+/**
+ * Enable or disable a saved proxy
+ * @param {string} name - Proxy name
+ */
+export function toggleCustomProxyEntry(name) {
+    const entry = getCustomProxies().find(item => item.name === name);
+    if (!entry) return;
+
+    setCustomProxyEnabled(name, !entry.enabled);
+    renderDialogList();
+    window.showToast?.(`${entry.enabled ? '已停用' : '已启用'}代理: ${name}`, 'success');
+}
+
+/**
+ * Remove a saved proxy
+ * @param {string} name - Proxy name
+ */
+export function removeCustomProxyEntry(name) {
+    if (removeCustomProxy(name)) {
+        renderDialogList();
+        window.showToast?.('已删除代理', 'success');
+    }
+}
@@ -0,0 +1,136 @@
+/**
+ * Refresh Settings Panel
+ * Dialog for the auto-refresh intervals, hidden-tab pause and request concurrency
+ */
+
+import {
+    getRefreshSettings,
+    updateRefreshSettings,
+    resetRefreshSettings,
+    formatInterval
+} from '../../core/refresh-settings.js';
+
+const DIALOG_ID = 'refresh-settings-dialog';
+
+const INTERVAL_OPTIONS = [60, 120, 300, 600, 900, 1800, 3600];
+const FAVORITE_INTERVAL_OPTIONS = [30, 60, 120, 180, 300, 600];
+const CONCURRENCY_OPTIONS = [0, 1, 2, 3, 4, 6, 8, 10, 12];
+
+const SELECT_STYLE = 'width: 100%; background: #111; color: #e5e7eb; border: 1px solid #333; border-radius: 10px; padding: 10px 12px; font-size: 14px; box-sizing: border-box;';
+const LABEL_STYLE = 'display: block; color: #9ca3af; font-size: 13px; margin: 16px 0 6px 0;';
+
+/**
+ * Fill a select with options, keeping a current value that is not in the list
+ * @param {HTMLSelectElement} select - Select element
+ * @param {number[]} values - Option values
+ * @param {number} current - Selected value
+ * @param {Function} formatLabel - Value -> label text
+ */
+function fillSelect(select, values, current, formatLabel) {
+    const all = values.includes(current) ? values : [...values, current].sort((a, b) => a - b);
+    all.forEach(value => {
+        const option = document.createElement('option');
+        option.value = String(value);
+        option.textContent = formatLabel(value);
+        option.selected = value === current;
+        select.appendChild(option);
+    });
+}
+
+/**
+ * Show the given settings in the dialog fields
+ * @param {Object} settings - Refresh settings
+ */
+function renderFields(settings) {
+    const interval = document.getElementById('refresh-interval-select');
+    const favorite = document.getElementById('refresh-favorite-select');
+    const concurrency = document.getElementById('refresh-concurrency-select');
+    const pause = document.getElementById('refresh-pause-hidden');
+    if (!interval || !favorite || !concurrency || !pause) return;
+
+    [interval, favorite, concurrency].forEach(select => select.replaceChildren());
+    fillSelect(interval, INTERVAL_OPTIONS, settings.interval, formatInterval);
+    fillSelect(favorite, FAVORITE_INTERVAL_OPTIONS, settings.favoriteInterval, formatInterval);
+    fillSelect(concurrency, CONCURRENCY_OPTIONS, settings.concurrency, value => (value === 0 ? '自动 (按房间数)' : `${value} 个`));
+    pause.checked = settings.pauseWhenHidden;
+}
+
+/**
+ * Open refresh settings dialog
+ */
+export function openRefreshSettingsDialog() {
+    if (document.getElementById(DIALOG_ID)) return;
+
+    const dialogHTML = `
+        <div id="${DIALOG_ID}" style="position: fixed; top: 0; left: 0; right: 0; bottom: 0; background: rgba(0,0,0,0.8); z-index: 9999; display: flex; align-items: center; justify-content: center;">
+            <div style="background: #1a1a1a; border-radius: 16px; padding: 32px; max-width: 480px; width: 90%; max-height: 90vh; overflow-y: auto; border: 1px solid #333;">
+                <h3 style="color: #fff; font-size: 20px; font-weight: bold; margin: 0 0 8px 0;">刷新设置</h3>
+                <p style="color: #6b7280; font-size: 12px; margin: 0;">直播中的房间和临近常用开播时间的房间仍会更频繁地刷新；长期未开播的房间会自动放缓</p>
+                <label for="refresh-interval-select" style="${LABEL_STYLE}">自动刷新间隔</label>
+                <select id="refresh-interval-select" style="${SELECT_STYLE}"></select>
+                <label for="refresh-favorite-select" style="${LABEL_STYLE}">收藏房间刷新间隔</label>
+                <select id="refresh-favorite-select" style="${SELECT_STYLE}"></select>
+                <label for="refresh-concurrency-select" style="${LABEL_STYLE}">同时请求数上限</label>
+                <select id="refresh-concurrency-select" style="${SELECT_STYLE}"></select>
+                <label style="display: flex; align-items: center; gap: 10px; color: #e5e7eb; font-size: 14px; margin-top: 16px; cursor: pointer;">
+                    <input id="refresh-pause-hidden" type="checkbox">
+                    标签页在后台时暂停自动刷新
+                </label>
+                <div style="display: flex; gap: 12px; margin-top: 24px;">
+                    <button data-action="save-refresh-settings"
+                            style="flex: 1; padding: 12px 20px; background: linear-gradient(135deg, #3b82f6 0%, #2563eb 100%); color: white; border: none; border-radius: 10px; font-weight: 600; cursor: pointer;">
+                        保存
+                    </button>
+                    <button data-action="reset-refresh-settings"
+                            style="flex: 1; padding: 12px 20px; background: rgba(255,255,255,0.05); color: #9ca3af; border: 1px solid #333; border-radius: 10px; font-weight: 600; cursor: pointer;">
+                        恢复默认
+                    </button>
+                    <button data-action="close-refresh-settings"
+                            style="flex: 1; padding: 12px 20px; background: rgba(255,255,255,0.1); color: #9ca3af; border: 1px solid #333; border-radius: 10px; font-weight: 600; cursor: pointer;">
+                        取消
+                    </button>
+                </div>
+            </div>
+        </div>
+    `;
+
+    const dialogContainer = document.createElement('div');
+    dialogContainer.innerHTML = dialogHTML;
+    document.body.appendChild(dialogContainer.firstElementChild);
+
+    renderFields(getRefreshSettings());
+}
+
+/**
+ * Close refresh settings dialog
+ */
+export function closeRefreshSettingsDialog() {
+    document.getElementById(DIALOG_ID)?.remove();
+}
+
+/**
+ * Save the dialog fields (auto-refresh picks them up on its next tick)
+ */
+export function saveRefreshSettingsFromDialog() {
+    const value = id => Number(document.getElementById(id)?.value);
+
+    updateRefreshSettings({
+        interval: value('refresh-interval-select'),
+        favoriteInterval: value('refresh-favorite-select'),
+        concurrency: value('refresh-concurrency-select'),
+        pauseWhenHidden: document.getElementById('refresh-pause-hidden')?.checked === true
+    });
+
+    closeRefreshSettingsDialog();
+    window.resetAutoRefreshCountdown?.();
+    window.showToast?.('✅ 刷新设置已保存', 'success');
+}
+
+/**
+ * Put the default settings back (saved immediately)
+ */
+export function resetRefreshSettingsFromDialog() {
+    renderFields(resetRefreshSettings());
+    window.resetAutoRefreshCountdown?.();
+    window.showToast?.('已恢复默认刷新设置', 'success');
+}
@@ -0,0 +1,196 @@
+/**
+ * Room Input Module
+ * Turns typed/pasted text (IDs, URLs, share text, short links) into rooms
+ */
+
+import { APP_CONFIG, PLATFORM_CONFIG } from '../../config/constants.js';
+import { getRooms } from '../../core/state.js';
+import {
+    normalizeRoomId,
+    isValidRoomId,
+    detectPlatformFromInput,
+    findShortLink,
+    looksLikeUrl
+} from '../../utils/helpers.js';
+import { fetchTextWithProxy } from '../../api/proxy-manager.js';
+import { resolveCanonicalRoomId } from '../../api/platform-adapter.js';
+
+/**
+ * Resolve input to a room without network lookups (short links resolve to null)
+ * @param {string} text - Raw input
+ * @param {string} fallbackPlatform - Platform for bare IDs
+ * @returns {{platform: string, id: string}|null} Room or null if unrecognised
+ */
+export function resolveRoomInputSync(text, fallbackPlatform) {
+    const value = String(text || '').trim();
+    if (!value) return null;
+
+    const detected = detectPlatformFromInput(value);
+    if (detected) return detected;
+    if (looksLikeUrl(value) || findShortLink(value)) return null;
+
+    const id = normalizeRoomId(fallbackPlatform, value);
+    return isValidRoomId(fallbackPlatform, id) ? { platform: fallbackPlatform, id } : null;
+}
+
+/**
+ * Resolve user input (room ID, URL, share text or short link) to a room
+ * Bare IDs use the selected platform; anything URL-like must match a known platform.
+ * @param {string} text - Raw input
+ * @param {string} fallbackPlatform - Platform for bare IDs
+ * @returns {Promise<{platform: string, id: string}|{error: string}>} Room or error message
+ */
+export async function resolveRoomInput(text, fallbackPlatform) {
+    const value = String(text || '').trim();
+    if (!value) return { error: '请输入房间号或链接' };
+
+    const detected = detectPlatformFromInput(value);
+    if (detected) return detected;
+
+    // Short links only redirect; scan the landing page for the room URL
+    const shortLink = findShortLink(value);
+    if (shortLink) {
+        const page = await fetchTextWithProxy(shortLink.url, 8000);
+        return (page && detectPlatformFromInput(page, [shortLink.platform]))
+            || { error: '短链接解析失败，请粘贴完整直播间链接' };
+    }
+
+    if (looksLikeUrl(value)) return { error: '无法识别的链接，请检查平台是否支持' };
+
+    const id = normalizeRoomId(fallbackPlatform, value);
+    if (isValidRoomId(fallbackPlatform, id)) return { platform: fallbackPlatform, id };
+
+    const config = PLATFORM_CONFIG[fallbackPlatform];
+    return { error: config ? `${config.name}需要${config.idPlaceholder || '有效 ID'}` : '无效ID' };
+}
+
+/**
+ * Split a block of text into room tokens (newlines, commas, semicolons or spaces)
+ * @param {string} text - Pasted text
+ * @returns {string[]} Non-empty tokens
+ */
+export function splitRoomTokens(text) {
+    return String(text || '').split(/[\s,，;；、]+/).filter(Boolean);
+}
+
+/**
+ * Whether input holds several rooms rather than one ID/link
+ * A share text with a single link inside ("【xx的直播间】 https://...") is one room.
+ * @param {string} text - Input text
+ * @returns {boolean} True for multi-room input
+ */
+export function isBulkInput(text) {
+    const tokens = splitRoomTokens(text);
+    if (tokens.length < 2) return false;
+    const linkCount = tokens.filter(looksLikeUrl).length;
+    return linkCount !== 1;
+}
+
+/**
+ * Find a monitored room by its ID or the alias it was added under
+ * (Bilibili short ID, Douyu vanity name)
+ * @param {string} platform - Platform key
+ * @param {string} id - Room ID or alias
+ * @param {Array} [rooms] - Rooms to search (default: getRooms())
+ * @returns {Object|null} Matching room
+ */
+export function findMonitoredRoom(platform, id, rooms = getRooms()) {
+    return rooms.find(room => room.platform === platform && (room.id === id || room.alias === id)) || null;
+}
+
+/**
+ * Run async lookups with a concurrency limit (same pool pattern as core/refresh-manager)
+ * @param {Array} items - Items to look up
+ * @param {function(*): Promise} taskFn - Lookup for one item
+ * @param {number} [limit] - Maximum lookups in flight
+ * @returns {Promise<Array>} Results in input order
+ */
+async function mapWithLimit(items, taskFn, limit = APP_CONFIG.BULK_ADD.LOOKUP_CONCURRENCY) {
+    const results = new Array(items.length);
+    const pool = new Set();
+
+    for (let i = 0; i < items.length; i++) {
+        if (pool.size >= limit) await Promise.race(pool);
+        const task = taskFn(items[i])
+            .then(result => {
+                results[i] = result;
+            })
+            .finally(() => pool.delete(task));
+        pool.add(task);
+    }
+    await Promise.all(pool);
+    return results;
+}
+
+/**
+ * Reuse a lookup from the cache, or start it
+ * Failed lookups are dropped from the cache so an edit retries them.
+ * @param {Map} lookups - Cache (key → Promise)
+ * @param {string} key - Cache key
+ * @param {function(): Promise} lookupFn - Lookup
+ * @returns {Promise} Lookup result
+ */
+function cachedLookup(lookups, key, lookupFn) {
+    if (!lookups.has(key)) {
+        const lookup = lookupFn();
+        lookups.set(key, lookup);
+        lookup.then(result => {
+            if (!result || result.error) lookups.delete(key);
+        }, () => lookups.delete(key));
+    }
+    return lookups.get(key);
+}
+
+/**
+ * Resolve rooms entered by alias (Bilibili short ID, Douyu vanity name) to their canonical IDs
+ * Same lookup as window.addRoom; rooms already monitored under the entered ID are not looked up.
+ * @param {Array<{platform: string, id: string}>} rooms - Rooms as entered
+ * @param {Object} [options]
+ * @param {Array} [options.existingRooms] - Monitored rooms (default: getRooms())
+ * @param {Map} [options.lookups] - Cache shared between calls (e.g. for the life of a dialog)
+ * @returns {Promise<Array>} Rooms with the canonical `id`, plus `alias` when it differs from the entered ID
+ */
+export async function resolveCanonicalRooms(rooms, { existingRooms = getRooms(), lookups = new Map() } = {}) {
+    return mapWithLimit(rooms, async room => {
+        if (room.alias || findMonitoredRoom(room.platform, room.id, existingRooms)) return room;
+
+        const canonicalId = await cachedLookup(lookups, `canonical:${room.platform}:${room.id}`,
+            () => resolveCanonicalRoomId(room.platform, room.id));
+        return canonicalId && canonicalId !== room.id ? { ...room, id: canonicalId, alias: room.id } : room;
+    });
+}
+
+/**
+ * Resolve every token of a pasted block and classify it against the monitored list
+ * Aliases are resolved to canonical IDs, so a room already monitored under its other ID counts as duplicate.
+ * @param {string} text - Pasted text
+ * @param {string} fallbackPlatform - Platform for bare IDs
+ * @param {Array} [existingRooms] - Rooms to check duplicates against (default: getRooms())
+ * @param {Map} [lookups] - Lookup cache; pass the same Map while the text is edited so short links
+ *   and canonical IDs are only fetched once
+ * @returns {Promise<Array<{token: string, status: 'valid'|'duplicate'|'invalid', platform?: string, id?: string, alias?: string, error?: string}>>}
+ *   Entries in input order; `error` explains duplicate/invalid ones
+ */
+export async function parseBulkInput(text, fallbackPlatform, existingRooms = getRooms(), lookups = new Map()) {
+    const tokens = splitRoomTokens(text);
+    const resolved = await mapWithLimit(tokens, async token => {
+        const result = await cachedLookup(lookups, `input:${fallbackPlatform}:${token}`,
+            () => resolveRoomInput(token, fallbackPlatform));
+        if (result.error) return result;
+        const [room] = await resolveCanonicalRooms([result], { existingRooms, lookups });
+        return room;
+    });
+
+    const seen = new Set();
+    return tokens.map((token, i) => {
+        const result = resolved[i];
+        if (result.error) return { token, status: 'invalid', error: result.error };
+
+        const key = `${result.platform}:${result.id}`;
+        if (findMonitoredRoom(result.platform, result.id, existingRooms)) return { token, status: 'duplicate', ...result, error: '已在监控列表' };
+        if (seen.has(key)) return { token, status: 'duplicate', ...result, error: '重复输入' };
+
+        seen.add(key);
+        return { token, status: 'valid', ...result };
+    });
+}
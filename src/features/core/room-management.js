@@ -1,21 +1,29 @@
 /**
  * Room Management Module
- * Add/remove rooms, platform selector, search history
+ * Add/remove rooms, platform selector, search history, live lookup preview
  */
 
 import { SafeStorage } from '../../utils/safe-storage.js';
 import { getElement } from '../../utils/dom-cache.js';
 import { DeviceDetector } from '../../utils/device-detector.js';
 import { PLACEHOLDERS } from '../../config/ui-strings.js';
-import { APP_CONFIG } from '../../config/constants.js';
-import { getRooms, getRoomDataCache, updateRoomDataCache, addRoom as addRoomToState, removeRoom as removeRoomFromState, toggleRoomFavorite } from '../../core/state.js';
-import { getRoomCacheKey, normalizeRoomId } from '../../utils/helpers.js';
+import { APP_CONFIG, PLATFORM_CONFIG } from '../../config/constants.js';
+import { getRoomDataCache, updateRoomDataCache, addRoom as addRoomToState, removeRoom as removeRoomFromState, toggleRoomFavorite } from '../../core/state.js';
+import { getRoomCacheKey, normalizeRoomId, detectPlatformFromInput, findShortLink, debounce } from '../../utils/helpers.js';
+import { fetchPlatformStatus, resolveCanonicalRoomId } from '../../api/platform-adapter.js';
+import { pruneStreamerGroups } from '../../core/streamers.js';
+import { resolveRoomInput, resolveRoomInputSync, isBulkInput, findMonitoredRoom } from './room-input.js';
+import { openBulkAddDialog } from './bulk-add-panel.js';
 
 // State
 let searchHistory = SafeStorage.getJSON('pro_search_history', []);
 let historyEventsBound = false;
 let historyPositionBound = false;
 
+// Live lookup preview: sequence drops superseded lookups, lastLookup remembers dead rooms
+let lookupSeq = 0;
+let lastLookup = null;
+
 /**
  * Toggle platform selector dropdown
  * @param {Event} e - Click event
@@ -69,6 +77,37 @@ export function selectPlatform(value, color, label) {
 
     updatePlaceholder();
     closeDropdown();
+
+    // A bare ID means something else on the new platform
+    if (getElement('room-id-input')?.value.trim()) {
+        hideLookupPreview();
+        scheduleLookupPreview();
+    }
+}
+
+/**
+ * Switch the platform selector programmatically (e.g. after URL detection)
+ * @param {string} platform - Platform key
+ */
+function switchPlatform(platform) {
+    const item = getElement('selector-menu')?.querySelector(`[data-platform="${platform}"]`);
+    const config = PLATFORM_CONFIG[platform] || {};
+    selectPlatform(platform, item?.dataset.color || config.color, item?.dataset.label || config.name || platform);
+}
+
+/**
+ * Show or clear the inline message under the add input
+ * @param {string} [message] - Message text (empty clears)
+ * @param {string} [type='error'] - 'error' or 'info'
+ */
+function setAddInputMessage(message = '', type = 'error') {
+    const el = getElement('add-input-message');
+    if (!el) return;
+
+    el.textContent = message;
+    el.classList.toggle('hidden', !message);
+    el.classList.toggle('is-error', type === 'error');
+    if (message) hideLookupPreview();
 }
 
 /**
@@ -117,11 +156,116 @@ export function hideHistory(e) {
     }
 }
 
+// ====================================================================
+// Live Lookup Preview
+// ====================================================================
+
+/**
+ * Hide the lookup preview and cancel any lookup in flight
+ */
+function hideLookupPreview() {
+    lookupSeq++;
+    const el = getElement('add-lookup-preview');
+    if (!el) return;
+    el.classList.add('hidden');
+    el.textContent = '';
+}
+
+/**
+ * Render the lookup preview card
+ * @param {{platform: string, id: string}} target - Room being looked up
+ * @param {Object|null|undefined} result - Status (undefined = loading, null = lookup failed)
+ */
+function renderLookupPreview(target, result) {
+    const el = getElement('add-lookup-preview');
+    if (!el) return;
+
+    const config = PLATFORM_CONFIG[target.platform] || {};
+    const exists = !!findMonitoredRoom(target.platform, target.id)
+        || (!!result?.canonicalId && !!findMonitoredRoom(target.platform, result.canonicalId));
+
+    let state;
+    if (result === undefined) state = { text: '查询中...', cls: 'is-loading' };
+    else if (result === null) state = { text: '查询失败', cls: 'is-unknown' };
+    else if (result.notFound) state = { text: '房间不存在', cls: 'is-missing' };
+    else if (result.isLive) state = { text: '直播中', cls: 'is-live' };
+    else if (result.isReplay) state = { text: '轮播', cls: 'is-loop' };
+    else state = { text: '未开播', cls: 'is-offline' };
+
+    el.textContent = '';
+    el.className = `lookup-preview ${state.cls}`;
+
+    if (result?.avatar && !result.notFound) {
+        const avatar = document.createElement('img');
+        avatar.className = 'lookup-avatar';
+        avatar.src = result.avatar;
+        avatar.alt = '';
+        avatar.referrerPolicy = 'no-referrer';
+        avatar.onerror = () => avatar.remove();
+        el.appendChild(avatar);
+    }
+
+    const text = document.createElement('div');
+    text.className = 'lookup-text';
+
+    const owner = document.createElement('span');
+    owner.className = 'lookup-owner';
+    owner.textContent = result && !result.notFound && result.owner && result.owner !== target.id
+        ? result.owner
+        : target.id;
+    owner.style.color = config.color || '';
+    text.appendChild(owner);
+
+    const meta = document.createElement('span');
+    meta.className = 'lookup-meta';
+    meta.textContent = [config.name || target.platform, target.id, exists ? '已在监控列表' : '']
+        .filter(Boolean)
+        .join(' · ');
+    text.appendChild(meta);
+    el.appendChild(text);
+
+    const chip = document.createElement('span');
+    chip.className = 'lookup-state';
+    chip.textContent = state.text;
+    el.appendChild(chip);
+}
+
+/**
+ * Look up the room currently typed in the add input
+ */
+async function runLookupPreview() {
+    const value = getElement('room-id-input')?.value || '';
+    const platformSelect = getElement('platform-select');
+    const target = !isBulkInput(value) && resolveRoomInputSync(value, platformSelect?.value);
+    if (!target) {
+        hideLookupPreview();
+        return;
+    }
+
+    const seq = ++lookupSeq;
+    hideHistory();
+    getElement('add-lookup-preview')?.classList.remove('hidden');
+    renderLookupPreview(target, undefined);
+
+    const prevData = getRoomDataCache()[getRoomCacheKey(target.platform, target.id)] || null;
+    const result = await fetchPlatformStatus(target.platform, target.id, { fetchAvatar: true }, prevData);
+    if (seq !== lookupSeq) return;
+
+    lastLookup = { key: getRoomCacheKey(target.platform, target.id), notFound: !!result?.notFound };
+    renderLookupPreview(target, result);
+}
+
+const scheduleLookupPreview = debounce(runLookupPreview, APP_CONFIG.ADD_PREVIEW.DEBOUNCE);
+
 /**
  * Handle input change in room ID field
  * @param {Event} e - Input event
  */
 export function handleInput(e) {
+    setAddInputMessage();
+    hideLookupPreview();
+    scheduleLookupPreview();
+
     // 在移动端禁用历史记录功能
     if (DeviceDetector.isMobile()) return;
 
@@ -139,18 +283,54 @@ export function handleInput(e) {
 
 /**
  * Handle add room button click
+ * Detects the platform from pasted URLs and switches the selector to it;
+ * multi-room input opens the bulk add dialog instead
  */
-export function handleAddInput() {
+export async function handleAddInput() {
     const input = getElement('room-id-input');
     const platformSelect = getElement('platform-select');
     if (!input || !platformSelect) return;
 
     const value = input.value.trim();
-    const platform = platformSelect.value;
-
     if (!value) return;
+
+    // Several IDs/links pasted at once: review them in the bulk add dialog
+    if (isBulkInput(value)) {
+        setAddInputMessage();
+        hideLookupPreview();
+        hideHistory();
+        openBulkAddDialog(value);
+        input.value = '';
+        return;
+    }
+
+    if (findShortLink(value) && !detectPlatformFromInput(value)) {
+        setAddInputMessage('正在解析短链接...', 'info');
+    }
+
+    const result = await resolveRoomInput(value, platformSelect.value);
+    // Input changed while a short link was resolving
+    if (input.value.trim() !== value) return;
+
+    if (result.error) {
+        setAddInputMessage(result.error);
+        hideHistory();
+        return;
+    }
+
+    // The live lookup already saw the platform reject this room
+    if (lastLookup?.notFound && lastLookup.key === getRoomCacheKey(result.platform, result.id)) {
+        setAddInputMessage('房间不存在，请检查房间号');
+        hideHistory();
+        return;
+    }
+
+    setAddInputMessage();
+    hideLookupPreview();
+    if (result.platform !== platformSelect.value) switchPlatform(result.platform);
+
     saveSearchHistory(value);
-    window.addRoom?.(value, platform);
+    window.addRoom?.(result.id, result.platform);
     input.value = '';
     input.focus();
     showHistory();
@@ -158,25 +338,33 @@ export function handleAddInput() {
 
 /**
  * Add a room to monitored list
+ * Aliases (Bilibili short IDs, Douyu vanity names) are stored under the canonical
+ * room ID, with the entered ID kept as `alias`
  * @param {string} id - Room ID
  * @param {string} platform - Platform (twitch/douyu/bilibili)
  */
 window.addRoom = async function(id, platform) {
     if (!id) return;
 
-    const rooms = getRooms();
     const roomId = normalizeRoomId(platform, id);
     if (!roomId) {
         window.showToast?.('无效ID', 'error');
         return;
     }
 
-    if (rooms.some(r => r.id === roomId && r.platform === platform)) {
+    if (findMonitoredRoom(platform, roomId)) {
+        window.showToast?.('已存在', 'error');
+        return;
+    }
+
+    const canonicalId = await resolveCanonicalRoomId(platform, roomId);
+    if (canonicalId !== roomId && findMonitoredRoom(platform, canonicalId)) {
         window.showToast?.('已存在', 'error');
         return;
     }
 
-    const newRoom = { id: roomId, platform: platform, isFav: false };
+    const newRoom = { id: canonicalId, platform: platform, isFav: false };
+    if (canonicalId !== roomId) newRoom.alias = roomId;
     addRoomToState(newRoom);
     window.renderAll?.();
 
@@ -198,6 +386,9 @@ export function removeRoom(id, platform) {
     delete roomDataCache[getRoomCacheKey(platform, id)];
     updateRoomDataCache(roomDataCache, true);
 
+    // A streamer group left with one room goes back to a normal card
+    pruneStreamerGroups();
+
     window.renderAll?.();
 }
 
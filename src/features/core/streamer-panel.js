@@ -0,0 +1,158 @@
+/**
+ * Streamer Panel
+ * Dialog for linking rooms of one streamer across platforms into a merged card
+ */
+
+import { PLATFORM_CONFIG } from '../../config/constants.js';
+import { getRooms, getRoomDataCache } from '../../core/state.js';
+import { getStreamer, getLinkedRooms, saveStreamer, unlinkStreamer } from '../../core/streamers.js';
+import { getRoomCacheKey } from '../../utils/helpers.js';
+
+const DIALOG_ID = 'streamer-dialog';
+
+// Group being edited (null while creating one)
+let editingStreamerId = null;
+
+/**
+ * Render one checkbox row per monitored room
+ * @param {HTMLElement} container - List container
+ * @param {Set<string>} checkedKeys - Cache keys of rooms to pre-check
+ */
+function renderRoomList(container, checkedKeys) {
+    const cache = getRoomDataCache();
+    container.textContent = '';
+
+    getRooms().forEach(room => {
+        const key = getRoomCacheKey(room.platform, room.id);
+        const config = PLATFORM_CONFIG[room.platform];
+        const otherGroup = room.streamerId && room.streamerId !== editingStreamerId
+            ? getStreamer(room.streamerId)
+            : null;
+
+        const label = document.createElement('label');
+        label.style.cssText = 'display: flex; align-items: center; gap: 10px; padding: 6px 8px; border-top: 1px solid #262626; cursor: pointer; font-size: 13px;';
+
+        const checkbox = document.createElement('input');
+        checkbox.type = 'checkbox';
+        checkbox.value = key;
+        checkbox.checked = checkedKeys.has(key);
+
+        const platform = document.createElement('span');
+        platform.style.cssText = `color: ${config?.color || '#6b7280'}; font-weight: 600; min-width: 56px;`;
+        platform.textContent = config?.name || room.platform;
+
+        const owner = document.createElement('span');
+        owner.style.cssText = 'color: #e5e7eb; flex: 1; overflow: hidden; text-overflow: ellipsis; white-space: nowrap;';
+        owner.textContent = `${cache[key]?.owner || room.id} - ${room.id}`;
+
+        label.append(checkbox, platform, owner);
+
+        if (otherGroup) {
+            const note = document.createElement('span');
+            note.style.cssText = 'color: #f59e0b; font-size: 11px;';
+            note.textContent = `已在「${otherGroup.name}」`;
+            label.appendChild(note);
+        }
+
+        container.appendChild(label);
+    });
+}
+
+/**
+ * Open the group editor
+ * From a single room card the room starts checked; from a merged card the group is edited.
+ * @param {Object} target - Card the dialog was opened from
+ * @param {string} [target.streamerId] - Group of a merged card
+ * @param {string} [target.id] - Room ID of a single card
+ * @param {string} [target.platform] - Platform of a single card
+ */
+export function openStreamerDialog({ streamerId, id, platform } = {}) {
+    closeStreamerDialog();
+
+    const streamer = streamerId ? getStreamer(streamerId) : null;
+    editingStreamerId = streamer?.id || null;
+
+    const checkedKeys = new Set(
+        streamer
+            ? getLinkedRooms(streamer.id).map(room => getRoomCacheKey(room.platform, room.id))
+            : [getRoomCacheKey(platform, id)]
+    );
+    const defaultName = streamer?.name || getRoomDataCache()[getRoomCacheKey(platform, id)]?.owner || id || '';
+
+    const dialogHTML = `
+        <div id="${DIALOG_ID}" style="position: fixed; top: 0; left: 0; right: 0; bottom: 0; background: rgba(0,0,0,0.8); z-index: 9999; display: flex; align-items: center; justify-content: center;">
+            <div style="background: #1a1a1a; border-radius: 16px; padding: 32px; max-width: 520px; width: 90%; max-height: 90vh; overflow-y: auto; border: 1px solid #333;">
+                <h3 style="color: #fff; font-size: 20px; font-weight: bold; margin: 0 0 8px 0;">${streamer ? '编辑主播分组' : '关联其他平台'}</h3>
+                <p style="color: #6b7280; font-size: 12px; margin: 0 0 12px 0;">勾选同一主播在各平台的房间，合并为一张卡片显示，开播时只推送一次</p>
+                <input id="streamer-name-input" type="text" placeholder="主播名称" spellcheck="false"
+                       style="width: 100%; background: #111; color: #e5e7eb; border: 1px solid #333; border-radius: 10px; padding: 10px 12px; font-size: 14px; box-sizing: border-box;">
+                <div id="streamer-room-list" style="margin-top: 12px; max-height: 320px; overflow-y: auto;"></div>
+                <div style="display: flex; gap: 12px; margin-top: 16px;">
+                    <button data-action="save-streamer"
+                            style="flex: 1; padding: 12px 20px; background: linear-gradient(135deg, #3b82f6 0%, #2563eb 100%); color: white; border: none; border-radius: 10px; font-weight: 600; cursor: pointer;">
+                        保存
+                    </button>
+                    ${streamer ? `
+                    <button data-action="unlink-streamer"
+                            style="flex: 1; padding: 12px 20px; background: rgba(239,68,68,0.15); color: #ef4444; border: 1px solid #ef4444; border-radius: 10px; font-weight: 600; cursor: pointer;">
+                        解散分组
+                    </button>` : ''}
+                    <button data-action="close-streamer-dialog"
+                            style="flex: 1; padding: 12px 20px; background: rgba(255,255,255,0.1); color: #9ca3af; border: 1px solid #333; border-radius: 10px; font-weight: 600; cursor: pointer;">
+                        取消
+                    </button>
+                </div>
+            </div>
+        </div>
+    `;
+
+    const dialogContainer = document.createElement('div');
+    dialogContainer.innerHTML = dialogHTML;
+    document.body.appendChild(dialogContainer.firstElementChild);
+
+    const nameInput = document.getElementById('streamer-name-input');
+    nameInput.value = defaultName;
+    renderRoomList(document.getElementById('streamer-room-list'), checkedKeys);
+    nameInput.focus();
+}
+
+/**
+ * Close the group editor
+ */
+export function closeStreamerDialog() {
+    editingStreamerId = null;
+    document.getElementById(DIALOG_ID)?.remove();
+}
+
+/**
+ * Save the checked rooms as one streamer group
+ */
+export function saveStreamerFromDialog() {
+    const name = document.getElementById('streamer-name-input')?.value || '';
+    const roomKeys = Array.from(
+        document.querySelectorAll(`#${DIALOG_ID} #streamer-room-list input:checked`),
+        checkbox => checkbox.value
+    );
+
+    const result = saveStreamer(editingStreamerId, name, roomKeys);
+    if (result.error) {
+        window.showToast?.(result.error, 'error');
+        return;
+    }
+
+    window.showToast?.(`✅ 已关联 ${roomKeys.length} 个房间`, 'success');
+    closeStreamerDialog();
+    window.renderAll?.();
+}
+
+/**
+ * Dissolve the group being edited
+ */
+export function unlinkStreamerFromDialog() {
+    if (!editingStreamerId) return;
+
+    unlinkStreamer(editingStreamerId);
+    window.showToast?.('已解散分组', 'success');
+    closeStreamerDialog();
+    window.renderAll?.();
+}
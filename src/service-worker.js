@@ -0,0 +1,177 @@
+/**
+ * ====================================================================
+ * LiveRadar Service Worker - Background Monitoring
+ * ====================================================================
+ *
+ * Checks the monitored rooms with the same platform adapters as the page
+ * when the browser wakes the worker (periodic background sync, or a
+ * 'check' message), and shows go-live notifications even when no tab is
+ * open or focused. Clicking a notification focuses the app or opens it.
+ *
+ * The page sends its monitored rooms, their live states and the
+ * notification switch (core/background-monitor); they are kept in Cache
+ * Storage because the worker's globals don't survive between wake-ups.
+ * While a tab is visible the page does the polling and the worker skips.
+ *
+ * Bundled on its own into sw.js at the app root (see vite.config.js).
+ * ==================================================================== */
+
+import { APP_CONFIG, PLATFORM_CONFIG } from './config/constants.js';
+import { registerDefaultAdapters, fetchPlatformStatus } from './api/platform-adapter.js';
+import { registerCustomPlatforms } from './api/custom-platforms.js';
+import { applyCustomProxies } from './api/custom-proxies.js';
+import { getNotifyKey } from './core/background-monitor.js';
+
+const STATE_CACHE = 'liveradar-sw-state';
+const STATE_URL = 'monitor-state.json';
+const NOTIFICATION_ICON = 'https://cdn-icons-png.flaticon.com/512/1162/1162232.png';
+
+// ====================================================================
+// Persisted State
+// ====================================================================
+
+/**
+ * Read the state the page last sent
+ * @returns {Promise<Object|null>} { rooms, streamers, customPlatforms, customProxies, live, notificationsEnabled, appUrl }
+ */
+async function readState() {
+    try {
+        const cache = await caches.open(STATE_CACHE);
+        const response = await cache.match(STATE_URL);
+        return response ? await response.json() : null;
+    } catch (error) {
+        console.warn('[SW] State read failed:', error.message);
+        return null;
+    }
+}
+
+/**
+ * Persist state
+ * @param {Object} state - Monitor state
+ */
+async function writeState(state) {
+    const cache = await caches.open(STATE_CACHE);
+    await cache.put(STATE_URL, new Response(JSON.stringify(state), {
+        headers: { 'Content-Type': 'application/json' }
+    }));
+}
+
+// ====================================================================
+// Background Check
+// ====================================================================
+
+/**
+ * Whether a LiveRadar tab is visible (it polls and notifies itself)
+ * @returns {Promise<boolean>} True if a window client is visible
+ */
+async function hasVisibleClient() {
+    const windows = await self.clients.matchAll({ type: 'window', includeUncontrolled: true });
+    return windows.some(client => client.visibilityState === 'visible');
+}
+
+/**
+ * Show a go-live notification
+ * @param {Object} room - Room that went live
+ * @param {Object} result - Adapter result
+ * @param {Object} [streamer] - Streamer group of the room
+ * @param {string} appUrl - Page to open on click
+ */
+function notifyLive(room, result, streamer, appUrl) {
+    const ownerName = streamer?.name || result.owner || room.id;
+    const platformName = PLATFORM_CONFIG[room.platform]?.name || room.platform;
+
+    return self.registration.showNotification(`🔴 ${ownerName} 开播了!`, {
+        body: streamer ? `正在 ${platformName} 直播` : (result.title || '关注的主播正在直播中'),
+        icon: NOTIFICATION_ICON,
+        tag: getNotifyKey(room),
+        data: { url: appUrl }
+    });
+}
+
+/**
+ * Check every monitored room once and notify rooms that went live
+ */
+async function runBackgroundCheck() {
+    const state = await readState();
+    if (!state?.rooms?.length) return;
+    if (await hasVisibleClient()) return;
+
+    registerDefaultAdapters();
+    registerCustomPlatforms(state.customPlatforms || []);
+    applyCustomProxies(state.customProxies || []);
+
+    const live = { ...(state.live || {}) };
+    const queue = [...state.rooms].sort((a, b) => Number(!!b.isFav) - Number(!!a.isFav));
+    const results = new Map();
+
+    // Small pool: the worker gets limited time per wake-up
+    const worker = async () => {
+        while (queue.length > 0) {
+            const room = queue.shift();
+            const result = await fetchPlatformStatus(room.platform, room.id, { fetchAvatar: false });
+            if (result && !result.isError) results.set(room, result);
+        }
+    };
+    await Promise.all(Array.from({ length: APP_CONFIG.BACKGROUND_MONITOR.CONCURRENCY }, worker));
+
+    // A notify key is live when any of its rooms is; a failed fetch keeps the last known state
+    const nowLive = new Map();
+    results.forEach((result, room) => {
+        const key = getNotifyKey(room);
+        if (result.isLive && !result.isReplay) nowLive.set(key, { room, result });
+        else if (!nowLive.has(key)) nowLive.set(key, null);
+    });
+
+    const notifications = [];
+    nowLive.forEach((entry, key) => {
+        if (entry && !live[key] && state.notificationsEnabled) {
+            const streamer = (state.streamers || []).find(s => s.id === entry.room.streamerId);
+            notifications.push(notifyLive(entry.room, entry.result, streamer, state.appUrl || self.registration.scope));
+        }
+        live[key] = !!entry;
+    });
+
+    await Promise.all(notifications);
+    await writeState({ ...state, live, checkedAt: Date.now() });
+    console.log(`[SW] 后台检查完成: ${results.size}/${state.rooms.length} 个房间, ${notifications.length} 条通知`);
+}
+
+// ====================================================================
+// Events
+// ====================================================================
+
+self.addEventListener('install', () => {
+    self.skipWaiting();
+});
+
+self.addEventListener('activate', event => {
+    event.waitUntil(self.clients.claim());
+});
+
+self.addEventListener('periodicsync', event => {
+    if (event.tag === APP_CONFIG.BACKGROUND_MONITOR.SYNC_TAG) {
+        event.waitUntil(runBackgroundCheck());
+    }
+});
+
+self.addEventListener('message', event => {
+    const message = event.data || {};
+
+    if (message.type === 'sync-state') {
+        event.waitUntil(readState().then(previous => writeState({ ...previous, ...message.state })));
+    } else if (message.type === 'check') {
+        event.waitUntil(runBackgroundCheck());
+    }
+});
+
+self.addEventListener('notificationclick', event => {
+    event.notification.close();
+    const appUrl = event.notification.data?.url || self.registration.scope;
+
+    event.waitUntil((async () => {
+        const windows = await self.clients.matchAll({ type: 'window', includeUncontrolled: true });
+        const appWindow = windows.find(client => client.url.split(/[?#]/)[0] === appUrl);
+        if (appWindow) return appWindow.focus();
+        return self.clients.openWindow(appUrl);
+    })());
+});
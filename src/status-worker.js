@@ -0,0 +1,165 @@
+/**
+ * ====================================================================
+ * LiveRadar Status Worker - Off-Main-Thread Fetch & Diff
+ * ====================================================================
+ *
+ * Runs the refresh pipeline for the page (core/status-worker-client):
+ * platform adapters, proxy fetching and response parsing, merging into
+ * the cached entry and change detection. Each room comes back as a
+ * compact patch against the entry the page sent, so the main thread only
+ * applies patches, checks notifications and renders.
+ *
+ * Messages from the page:
+ * - config: custom platforms, custom proxies, region, proxy stats
+ * - fetch: { id, rooms, batch, prevData } - one refresh task
+ *
+ * Messages to the page:
+ * - result: { id, changes, proxyStats } - per room { roomId, patch, isLive, owner }
+ * - error: { id, error } - the task failed, the page fetches it itself
+ * - cache: { entries } - later updates from adapters (e.g. avatars fetched after the status)
+ *
+ * Created by core/status-worker-client with new URL(), which Vite bundles
+ * as a worker in both dev and build.
+ * ==================================================================== */
+
+import { APP_CONFIG } from './config/constants.js';
+import { registerDefaultAdapters, fetchPlatformStatus, fetchPlatformStatusBatch } from './api/platform-adapter.js';
+import { registerCustomPlatforms, getCustomPlatformSpecs, removeCustomPlatform } from './api/custom-platforms.js';
+import { applyCustomProxies } from './api/custom-proxies.js';
+import { ProxyManager } from './api/proxy-manager.js';
+import { applyProxyQuarantine } from './utils/proxy-pool-manager.js';
+import { DataDiffer } from './utils/data-differ.js';
+import { getRoomCacheKey } from './utils/helpers.js';
+import { subscribeToState, updateRoomCache } from './core/state.js';
+import { needsProfileUpdate, mergeRoomStatus, fetchDouyuAvatarFallback } from './core/status-merge.js';
+
+// Set while mirroring entries the page already has, so they are not posted back
+let mirroring = false;
+
+/**
+ * Keep a copy of a page cache entry (adapters read and update the cache)
+ * @param {string} key - Cache key
+ * @param {Object} data - Entry
+ */
+function mirrorEntry(key, data) {
+    mirroring = true;
+    try {
+        updateRoomCache(key, data);
+    } finally {
+        mirroring = false;
+    }
+}
+
+/**
+ * Apply settings from the page
+ * @param {Object} config - { customPlatforms, customProxies, quarantine, isMainland, proxyStats }
+ */
+function applyConfig(config) {
+    if (typeof config.isMainland === 'boolean') {
+        APP_CONFIG.REGION.IS_MAINLAND_CHINA = config.isMainland;
+    }
+    if (config.proxyStats) {
+        Object.assign(ProxyManager.getStats(), config.proxyStats);
+    }
+    if (Array.isArray(config.customPlatforms)) {
+        const keys = new Set(config.customPlatforms.map(spec => spec.key));
+        getCustomPlatformSpecs().forEach(spec => {
+            if (!keys.has(spec.key)) removeCustomPlatform(spec.key);
+        });
+        registerCustomPlatforms(config.customPlatforms);
+    }
+    if (Array.isArray(config.customProxies)) {
+        applyCustomProxies(config.customProxies);
+    }
+    if (config.quarantine) {
+        applyProxyQuarantine(config.quarantine);
+    }
+}
+
+/**
+ * Merge a fetched status and describe it as a patch for the page
+ * @param {Object} room - Room
+ * @param {Object|null} result - Adapter result
+ * @param {Object} prevData - Entry the page sent
+ * @param {boolean} needProfileUpdate - Whether profile data was requested
+ * @param {number} now - Fetch timestamp
+ * @returns {Object} { roomId, patch, isLive, owner }
+ */
+function buildChange(room, result, prevData, needProfileUpdate, now) {
+    const { data, isLive, owner, needsAvatarFallback } = mergeRoomStatus(room, result, prevData, needProfileUpdate, now);
+    mirrorEntry(getRoomCacheKey(room.platform, room.id), data);
+
+    // Reaches the page as a 'cache' message once the avatar arrives
+    if (needsAvatarFallback) fetchDouyuAvatarFallback(room).catch(() => {});
+
+    return { roomId: room.id, patch: DataDiffer.createPatch(prevData, data), isLive, owner };
+}
+
+/**
+ * Fetch one refresh task (a room, or a same-platform batch)
+ * Rooms a batch could not resolve are fetched individually, as on the main thread.
+ * @param {Object} task - { rooms, batch, prevData }
+ * @returns {Promise<Object[]>} Changes
+ */
+async function runTask({ rooms, batch, prevData = {} }) {
+    rooms.forEach(room => {
+        if (prevData[room.id]) mirrorEntry(getRoomCacheKey(room.platform, room.id), prevData[room.id]);
+    });
+
+    const changes = [];
+    let singles = rooms;
+
+    if (batch) {
+        const now = Date.now();
+        const fetchAvatar = rooms.some(room => needsProfileUpdate(room, prevData[room.id], now));
+        const results = await fetchPlatformStatusBatch(rooms[0].platform, rooms.map(room => room.id), { fetchAvatar }, prevData);
+
+        singles = [];
+        rooms.forEach(room => {
+            if (results && !results.has(room.id)) {
+                singles.push(room);
+                return;
+            }
+            const needProfileUpdate = needsProfileUpdate(room, prevData[room.id], now);
+            changes.push(buildChange(room, results ? results.get(room.id) : null, prevData[room.id], needProfileUpdate, now));
+        });
+    }
+
+    for (const room of singles) {
+        const now = Date.now();
+        const needProfileUpdate = needsProfileUpdate(room, prevData[room.id], now);
+        let result = null;
+        try {
+            result = await fetchPlatformStatus(room.platform, room.id, { fetchAvatar: needProfileUpdate }, prevData[room.id]);
+        } catch (error) {
+            console.error(`[StatusWorker] ${room.platform}-${room.id} fetch failed:`, error.message);
+        }
+        changes.push(buildChange(room, result, prevData[room.id], needProfileUpdate, now));
+    }
+
+    return changes;
+}
+
+registerDefaultAdapters();
+
+subscribeToState('roomCacheEntry', ({ key, data }) => {
+    if (!mirroring) self.postMessage({ type: 'cache', entries: { [key]: data } });
+});
+
+self.addEventListener('message', async event => {
+    const message = event.data || {};
+
+    if (message.type === 'config') {
+        applyConfig(message.config || {});
+        return;
+    }
+
+    if (message.type === 'fetch') {
+        try {
+            const changes = await runTask(message);
+            self.postMessage({ type: 'result', id: message.id, changes, proxyStats: ProxyManager.getStats() });
+        } catch (error) {
+            self.postMessage({ type: 'error', id: message.id, error: error.message });
+        }
+    }
+});
@@ -22,15 +22,24 @@
 
 /**
  * Platform identifiers
- * @typedef {'douyu' | 'bilibili' | 'twitch' | 'kick'} Platform
+ * @typedef {'douyu' | 'bilibili' | 'twitch' | 'kick' | 'huya' | 'youtube' | 'douyin' | 'chzzk' | 'soop'} Platform
  */
 
 /**
  * Room configuration stored in state
  * @typedef {Object} Room
- * @property {string} id - Room/channel ID
+ * @property {string} id - Canonical room/channel ID
  * @property {Platform} platform - Platform identifier
  * @property {boolean} isFav - Whether room is favorited
+ * @property {string} [alias] - ID as the user entered it when it differs from id (Bilibili short ID, Douyu vanity name)
+ * @property {string} [streamerId] - Streamer group this room belongs to
+ */
+
+/**
+ * Streamer group linking rooms of one person across platforms
+ * @typedef {Object} Streamer
+ * @property {string} id - Group identifier
+ * @property {string} name - Display name
  */
 
 /**
@@ -46,6 +55,13 @@
  * @property {boolean} isError - Whether an error occurred fetching status
  * @property {number|null} startTime - Stream start timestamp (milliseconds)
  * @property {number} [lastTitleUpdate] - Last title update timestamp (Twitch)
+ * @property {boolean} [isUpcoming] - Scheduled stream/premiere, startTime is the planned start (YouTube)
+ * @property {string} [category] - Game/category name (Douyu, Bilibili, Twitch, Kick, CHZZK, Huya, YouTube, Douyin)
+ * @property {string[]} [tags] - Stream tags (Bilibili, Twitch, Kick, CHZZK, SOOP, YouTube)
+ * @property {string} [language] - Broadcast language code, lowercase (Twitch, Kick)
+ * @property {number} [followers] - Follower/subscriber count (Bilibili, Twitch, Kick, SOOP, Huya, Douyin)
+ * @property {boolean} [notFound] - Room/channel does not exist (Bilibili, Twitch GQL, CHZZK, SOOP)
+ * @property {string} [canonicalId] - Canonical room ID the requested ID resolved to (Douyu, Bilibili)
  */
 
 /**
@@ -0,0 +1,49 @@
+/**
+ * Data Differ Tests
+ * Testing the compact patches posted by the status worker
+ */
+
+import { describe, it, expect } from 'vitest';
+import { DataDiffer } from '../data-differ.js';
+
+describe('DataDiffer - Patches', () => {
+  const prev = {
+    id: '123',
+    isLive: false,
+    title: 'Old title',
+    tags: ['a', 'b'],
+    _stale: true,
+  };
+
+  it('should only carry changed and removed fields', () => {
+    const next = { id: '123', isLive: true, title: 'Old title', tags: ['a', 'b'], viewers: '在线' };
+    const patch = DataDiffer.createPatch(prev, next);
+
+    expect(patch.set).toEqual({ isLive: true, viewers: '在线' });
+    expect(patch.unset).toEqual(['_stale']);
+    expect(DataDiffer.applyPatch(prev, patch)).toEqual(next);
+  });
+
+  it('should send the whole entry when there is no previous data', () => {
+    const next = { id: '123', isLive: true };
+    const patch = DataDiffer.createPatch(undefined, next);
+
+    expect(patch).toEqual({ set: next, unset: [] });
+    expect(DataDiffer.applyPatch(undefined, patch)).toEqual(next);
+  });
+
+  it('should keep fields explicitly set to undefined', () => {
+    const next = { ...prev, _hasChanges: undefined };
+    const patched = DataDiffer.applyPatch(prev, DataDiffer.createPatch(prev, next));
+
+    expect('_hasChanges' in patched).toBe(true);
+    expect(patched._hasChanges).toBeUndefined();
+  });
+
+  it('should not modify the original entry', () => {
+    const copy = { ...prev };
+    DataDiffer.applyPatch(prev, DataDiffer.createPatch(prev, { id: '123' }));
+
+    expect(prev).toEqual(copy);
+  });
+});
@@ -4,7 +4,16 @@
  */
 
 import { describe, it, expect } from 'vitest';
-import { formatHeat, parseHeatValue, debounce, getRoomCacheKey, getCardId } from '../helpers.js';
+import {
+  formatHeat,
+  parseHeatValue,
+  debounce,
+  getRoomCacheKey,
+  getCardId,
+  normalizeRoomId,
+  detectPlatformFromInput,
+  findShortLink,
+} from '../helpers.js';
 
 describe('Utility Helpers - Number Formatting', () => {
   describe('formatHeat', () => {
@@ -110,6 +119,98 @@ describe('Utility Helpers - ID Generation', () => {
       expect(getCardId('twitch', 'ninja')).toBe('card-twitch-ninja');
     });
   });
+
+  describe('normalizeRoomId', () => {
+    it('should extract Huya room ids from URLs', () => {
+      expect(normalizeRoomId('huya', 'https://www.huya.com/660000')).toBe('660000');
+      expect(normalizeRoomId('huya', 'huya.com/kaerlol?from=search')).toBe('kaerlol');
+      expect(normalizeRoomId('huya', ' 660000 ')).toBe('660000');
+    });
+
+    it('should extract CHZZK channel ids and SOOP station ids from URLs', () => {
+      const chzzkId = 'a1b2c3d4e5f60718293a4b5c6d7e8f90';
+      expect(normalizeRoomId('chzzk', `https://chzzk.naver.com/live/${chzzkId}`)).toBe(chzzkId);
+      expect(normalizeRoomId('chzzk', `chzzk.naver.com/${chzzkId.toUpperCase()}`)).toBe(chzzkId);
+      expect(normalizeRoomId('soop', 'https://play.sooplive.co.kr/SomeBJ/281234567')).toBe(
+        'somebj'
+      );
+      expect(normalizeRoomId('soop', 'bj.afreecatv.com/somebj')).toBe('somebj');
+    });
+
+    it('should extract Douyin web room ids from URLs', () => {
+      expect(normalizeRoomId('douyin', 'https://live.douyin.com/123456789?enter_from=web')).toBe(
+        '123456789'
+      );
+      expect(normalizeRoomId('douyin', '123456789')).toBe('123456789');
+    });
+
+    it('should normalize YouTube handles, channel ids and live URLs', () => {
+      const channelId = 'UCSJ4gkVC6NrvII8umztf0Ow';
+      expect(normalizeRoomId('youtube', '@LofiGirl')).toBe('@lofigirl');
+      expect(normalizeRoomId('youtube', 'https://www.youtube.com/@LofiGirl/live')).toBe(
+        '@lofigirl'
+      );
+      expect(normalizeRoomId('youtube', channelId)).toBe(channelId);
+      expect(normalizeRoomId('youtube', `https://youtube.com/channel/${channelId}/live`)).toBe(
+        channelId
+      );
+      expect(normalizeRoomId('youtube', 'https://www.youtube.com/watch?v=abc')).toBe('');
+    });
+  });
+
+  describe('detectPlatformFromInput', () => {
+    it('should detect platform and id from desktop and mobile URLs', () => {
+      expect(detectPlatformFromInput('https://www.douyu.com/9999?dyshid=abc')).toEqual({
+        platform: 'douyu',
+        id: '9999',
+      });
+      expect(detectPlatformFromInput('https://www.douyu.com/topic/s13?rid=288016')).toEqual({
+        platform: 'douyu',
+        id: '288016',
+      });
+      expect(detectPlatformFromInput('https://live.bilibili.com/h5/21452505?from=share')).toEqual({
+        platform: 'bilibili',
+        id: '21452505',
+      });
+      expect(detectPlatformFromInput('https://m.twitch.tv/XQC')).toEqual({
+        platform: 'twitch',
+        id: 'xqc',
+      });
+      expect(detectPlatformFromInput('https://www.douyu.com/lpl?from=share')).toEqual({
+        platform: 'douyu',
+        id: 'lpl',
+      });
+      expect(detectPlatformFromInput('https://m.huya.com/660000')).toEqual({
+        platform: 'huya',
+        id: '660000',
+      });
+    });
+
+    it('should find the URL inside share text', () => {
+      expect(
+        detectPlatformFromInput(
+          '【某主播的直播间】正在直播 https://live.douyin.com/123456789 快来看'
+        )
+      ).toEqual({ platform: 'douyin', id: '123456789' });
+    });
+
+    it('should return null for bare ids and unsupported URLs', () => {
+      expect(detectPlatformFromInput('123456')).toBeNull();
+      expect(detectPlatformFromInput('https://example.com/123')).toBeNull();
+      expect(detectPlatformFromInput('https://www.twitch.tv/directory')).toBeNull();
+      expect(detectPlatformFromInput('https://www.douyu.com/g_LOL')).toBeNull();
+      expect(detectPlatformFromInput('https://www.douyu.com/search?kw=abc')).toBeNull();
+      expect(detectPlatformFromInput('https://www.douyu.com/directory/all')).toBeNull();
+    });
+
+    it('should recognise short links that need resolving', () => {
+      expect(findShortLink('看直播 b23.tv/AbC123')).toEqual({
+        platform: 'bilibili',
+        url: 'https://b23.tv/AbC123',
+      });
+      expect(findShortLink('https://live.bilibili.com/123')).toBeNull();
+    });
+  });
 });
 
 describe('Utility Helpers - Debounce', () => {
@@ -0,0 +1,65 @@
+/**
+ * Proxy Pool Manager Tests
+ * Testing health probes and the escalating quarantine
+ */
+
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import {
+  runProxyHealthChecks,
+  getProxyQuarantine,
+  isProxyQuarantined,
+} from '../proxy-pool-manager.js';
+import { getSmartProxyOrder } from '../../api/proxy-manager.js';
+
+const MINUTE = 60 * 1000;
+
+describe('ProxyPool - health checks', () => {
+  let failing = true;
+
+  beforeEach(() => {
+    vi.useFakeTimers({ toFake: ['Date'] });
+    vi.setSystemTime(new Date('2026-01-01T00:00:00Z'));
+    vi.stubGlobal('requestIdleCallback', undefined);
+    // CodeTabs is down, every other proxy answers (wrapped or not)
+    vi.stubGlobal(
+      'fetch',
+      vi.fn(async (url) =>
+        failing && url.includes('codetabs.com')
+          ? new Response('Bad Gateway', { status: 502 })
+          : Response.json({ code: 0, contents: '{"code":0}' })
+      )
+    );
+  });
+
+  afterEach(() => {
+    vi.useRealTimers();
+    vi.unstubAllGlobals();
+  });
+
+  it('should quarantine failing proxies for longer each time and skip them', async () => {
+    failing = true;
+    await runProxyHealthChecks();
+    expect(getProxyQuarantine()).toEqual({ CodeTabs: Date.now() + 2 * MINUTE });
+    expect(getSmartProxyOrder('https://api.example.com/').some((p) => p.name === 'CodeTabs')).toBe(
+      false
+    );
+
+    // Skipped while quarantined, probed again (and quarantined twice as long) afterwards
+    await runProxyHealthChecks();
+    expect(getProxyQuarantine().CodeTabs).toBe(Date.now() + 2 * MINUTE);
+    vi.setSystemTime(Date.now() + 2 * MINUTE + 1);
+    await runProxyHealthChecks();
+    expect(getProxyQuarantine().CodeTabs).toBe(Date.now() + 4 * MINUTE);
+  });
+
+  it('should lift the quarantine once the proxy answers again', async () => {
+    vi.setSystemTime(Date.now() + 60 * MINUTE);
+    failing = false;
+    await runProxyHealthChecks();
+
+    expect(isProxyQuarantined('CodeTabs')).toBe(false);
+    expect(getSmartProxyOrder('https://api.example.com/').some((p) => p.name === 'CodeTabs')).toBe(
+      true
+    );
+  });
+});
@@ -144,6 +144,44 @@ export const DataDiffer = {
         }
     },
 
+    /**
+     * Compact patch turning one cache entry into another (top-level fields only)
+     * Used to post refresh results from the status worker without resending whole entries
+     * @param {Object} oldData - Old data (may be missing)
+     * @param {Object} newData - New data
+     * @returns {Object} { set: Object, unset: Array<string> }
+     */
+    createPatch(oldData, newData) {
+        if (!oldData) return { set: { ...newData }, unset: [] };
+
+        const set = {};
+        Object.keys(newData).forEach(key => {
+            const oldValue = oldData[key];
+            const newValue = newData[key];
+            if (oldValue === newValue && key in oldData) return;
+            if (typeof newValue === 'object' && newValue !== null && typeof oldValue === 'object' && oldValue !== null
+                && JSON.stringify(oldValue) === JSON.stringify(newValue)) return;
+            set[key] = newValue;
+        });
+
+        return {
+            set,
+            unset: Object.keys(oldData).filter(key => !(key in newData))
+        };
+    },
+
+    /**
+     * Apply a patch from createPatch
+     * @param {Object} oldData - Data to patch (not modified)
+     * @param {Object} patch - { set, unset }
+     * @returns {Object} Patched copy
+     */
+    applyPatch(oldData, patch) {
+        const next = { ...(oldData || {}), ...patch.set };
+        patch.unset.forEach(key => delete next[key]);
+        return next;
+    },
+
     /**
      * Generate change summary (for logging)
      * @param {Object} oldData - Old data
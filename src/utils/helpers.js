@@ -11,7 +11,7 @@
  * - Toast notifications
  */
 
-import { APP_CONFIG } from '../config/constants.js';
+import { APP_CONFIG, PLATFORM_CONFIG } from '../config/constants.js';
 
 // ====================================================================
 // Number Formatting
@@ -325,11 +325,22 @@ export function getRoomCacheKey(platform, id) {
   return `${platform}-${id}`;
 }
 
+/**
+ * Check whether a platform is an international (non-mainland) service
+ * Used for viewer labels, thumbnail refresh cadence and error titles
+ *
+ * @param {string} platform - Platform name
+ * @returns {boolean} True for twitch/kick/youtube etc.
+ */
+export function isInternationalPlatform(platform) {
+  return PLATFORM_CONFIG[platform]?.international === true;
+}
+
 /**
  * Normalize room ID for platforms with case-insensitive channel names
  * Handles full URLs and @ prefixes.
  *
- * @param {string} platform - Platform name (twitch/kick)
+ * @param {string} platform - Platform name (twitch/kick/chzzk/soop/huya/youtube/douyin)
  * @param {string|number} rawId - Raw room ID or URL
  * @returns {string} Normalized room ID
  */
@@ -352,9 +363,142 @@ export function normalizeRoomId(platform, rawId) {
     return id.toLowerCase();
   }
 
+  if (platform === 'chzzk') {
+    // chzzk.naver.com/live/<channelId> or chzzk.naver.com/<channelId>
+    id = id.replace(/^.*chzzk\.naver\.com\/(?:live\/)?/i, '');
+    id = id.split(/[/?#]/)[0];
+    return id.toLowerCase();
+  }
+
+  if (platform === 'soop') {
+    // play./ch./bj. on sooplive.co.kr or the legacy afreecatv.com domains
+    id = id.replace(/^.*(?:sooplive\.co\.kr|afreecatv\.com)\/?/i, '');
+    id = id.split(/[/?#]/)[0];
+    return id.toLowerCase();
+  }
+
+  if (platform === 'youtube') {
+    // Accepts @handle, channel ID (UC...), and /@handle or /channel/UC... URLs (incl. /live)
+    const handleMatch = id.match(/(?:^|youtube\.com\/)(@[\w.-]+)/i);
+    if (handleMatch) return handleMatch[1].toLowerCase();
+    const channelMatch = id.match(/(?:^|\/channel\/)(UC[\w-]{22})(?:[/?#]|$)/);
+    if (channelMatch) return channelMatch[1];
+    return '';
+  }
+
+  if (platform === 'douyin') {
+    // live.douyin.com/<web_rid> or bare web_rid
+    id = id.replace(/^.*live\.douyin\.com\/?/i, '');
+    id = id.split(/[/?#]/)[0];
+    return id;
+  }
+
+  if (platform === 'huya') {
+    id = id.replace(/^.*huya\.com\/?/i, '');
+    id = id.split(/[/?#]/)[0];
+    return id;
+  }
+
   return id;
 }
 
+/**
+ * Check a normalized room ID against the platform's ID format
+ *
+ * @param {string} platform - Platform name
+ * @param {string} id - Normalized room ID
+ * @returns {boolean} True if the ID fits PLATFORM_CONFIG idPattern/maxIdLength
+ */
+export function isValidRoomId(platform, id) {
+  const config = PLATFORM_CONFIG[platform];
+  if (!config || !id) return false;
+  if (config.maxIdLength && id.length > config.maxIdLength) return false;
+  return !config.idPattern || config.idPattern.test(id);
+}
+
+/**
+ * Build a URL pattern from a custom platform's roomUrl template
+ * @param {string} template - e.g. "https://example.com/{id}"
+ * @returns {RegExp} Pattern capturing the ID
+ */
+function roomUrlToPattern(template) {
+  const escaped = template.replace(/^https?:\/\//i, '').replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  return new RegExp(escaped.replace('\\{id\\}', '([^/?#&\\s]+)'), 'i');
+}
+
+/**
+ * Detect platform and room ID from pasted text
+ * Accepts full URLs, mobile share links and share text with a URL inside,
+ * using PLATFORM_CONFIG urlPatterns (custom platforms: their roomUrl template).
+ *
+ * @param {string} text - Pasted text
+ * @param {string[]} [platforms] - Platforms to consider (default: all)
+ * @returns {{platform: string, id: string}|null} Detected room or null
+ *
+ * @example
+ * detectPlatformFromInput('https://live.bilibili.com/h5/21452505?from=share')
+ * // => { platform: 'bilibili', id: '21452505' }
+ */
+export function detectPlatformFromInput(text, platforms = Object.keys(PLATFORM_CONFIG)) {
+  if (!text) return null;
+  const value = String(text);
+
+  for (const platform of platforms) {
+    const config = PLATFORM_CONFIG[platform];
+    if (!config) continue;
+
+    const patterns = config.urlPatterns || (config.roomUrl ? [roomUrlToPattern(config.roomUrl)] : []);
+    for (const pattern of patterns) {
+      const match = value.match(pattern);
+      if (!match) continue;
+
+      let raw = match[1];
+      try {
+        raw = decodeURIComponent(raw);
+      } catch {
+        // Keep the raw capture
+      }
+      const id = normalizeRoomId(platform, raw);
+      if (isValidRoomId(platform, id)) return { platform, id };
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Find a platform short link (e.g. b23.tv) that needs a network lookup to resolve
+ *
+ * @param {string} text - Pasted text
+ * @returns {{platform: string, url: string}|null} Short link with its platform, or null
+ */
+export function findShortLink(text) {
+  if (!text) return null;
+
+  for (const [platform, config] of Object.entries(PLATFORM_CONFIG)) {
+    for (const host of config.shortLinkHosts || []) {
+      const pattern = new RegExp(`(?:https?://)?${host.replace(/\./g, '\\.')}/[\\w-]+`, 'i');
+      const match = String(text).match(pattern);
+      if (match) {
+        const url = /^https?:\/\//i.test(match[0]) ? match[0] : `https://${match[0]}`;
+        return { platform, url };
+      }
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Whether text looks like a URL rather than a bare room ID
+ *
+ * @param {string} text - Input text
+ * @returns {boolean} True for "https://..." or "host.tld/..." input
+ */
+export function looksLikeUrl(text) {
+  return /https?:\/\/|[\w-]+\.[a-z]{2,}\//i.test(String(text || ''));
+}
+
 /**
  * Generate DOM element ID for room card
  * Eliminates duplicate string concatenation throughout codebase
@@ -9,11 +9,14 @@
  * - Queue management with priority support
  * - Performance tracking and health monitoring
  * - Fallback to next-best proxy when primary is full
+ * - Background health probes with escalating quarantine of failing proxies
  *
  * @module utils/proxy-pool-manager
  */
 
-import { getSmartProxyOrder } from '../api/proxy-manager.js';
+import { getSmartProxyOrder, invalidateProxyOrder } from '../api/proxy-manager.js';
+import { PROXIES } from '../config/proxies.js';
+import { API_ENDPOINTS } from '../config/constants.js';
 
 // ====================================================================
 // Configuration
@@ -22,9 +25,16 @@ import { getSmartProxyOrder } from '../api/proxy-manager.js';
 const CONFIG = {
     MAX_CONCURRENT_PER_PROXY: 3,  // 优化：从5降到3，减少每个代理的并发请求
     QUEUE_TIMEOUT: 15000,          // 15 seconds timeout for queued requests
-    HEALTH_CHECK_INTERVAL: 30000,  // 30 seconds health check
+    HEALTH_CHECK_INTERVAL: 2 * 60 * 1000,   // One probe round every 2 minutes (low priority)
+    HEALTH_CHECK_INITIAL_DELAY: 30000,      // Leave the startup refresh alone
+    HEALTH_CHECK_TIMEOUT: 5000,
+    QUARANTINE_BASE: 2 * 60 * 1000,         // First failure; doubled per consecutive failure
+    QUARANTINE_MAX: 60 * 60 * 1000,
 };
 
+// Tiny, stable JSON response every proxy (and relay allow-list) can reach
+const HEALTH_CHECK_URL = `${API_ENDPOINTS.BILIBILI.ROOM_INIT}?id=1`;
+
 // ====================================================================
 // State Management
 // ====================================================================
@@ -42,11 +52,14 @@ const proxyConnections = new Map();
 const proxyQueues = new Map();
 
 /**
- * Track proxy health status
- * Structure: Map<proxyName, {healthy: boolean, lastCheck: timestamp}>
+ * Track proxy health status (filled by the background health probes)
+ * Structure: Map<proxyName, {healthy: boolean, lastCheck: timestamp, failures: number, quarantinedUntil: timestamp}>
  */
 const proxyHealth = new Map();
 
+let healthCheckTimer = null;
+let healthCheckRunning = false;
+
 // ====================================================================
 // Core Functions
 // ====================================================================
@@ -71,12 +84,27 @@ function getQueue(proxyName) {
     return proxyQueues.get(proxyName);
 }
 
+/**
+ * Concurrency limit of a proxy (self-hosted relays may declare their own)
+ */
+function getCapacity(proxyName) {
+    const proxy = PROXIES.find(p => p.name === proxyName);
+    return proxy?.maxConcurrent || CONFIG.MAX_CONCURRENT_PER_PROXY;
+}
+
+/**
+ * Whether a proxy is a self-hosted relay
+ */
+function isPrivateProxy(proxyName) {
+    return PROXIES.some(p => p.name === proxyName && p.tier === 'private');
+}
+
 /**
  * Check if proxy has available capacity
  */
 function hasCapacity(proxyName) {
     const current = getConnectionCount(proxyName);
-    return current < CONFIG.MAX_CONCURRENT_PER_PROXY;
+    return current < getCapacity(proxyName);
 }
 
 /**
@@ -88,18 +116,22 @@ async function acquireSlot(proxyName, targetUrl = '') {
     if (hasCapacity(proxyName)) {
         const count = getConnectionCount(proxyName);
         proxyConnections.set(proxyName, count + 1);
-        console.log(`[ProxyPool] ✓ ${proxyName} slot acquired (${count + 1}/${CONFIG.MAX_CONCURRENT_PER_PROXY})`);
+        console.log(`[ProxyPool] ✓ ${proxyName} slot acquired (${count + 1}/${getCapacity(proxyName)})`);
         return proxyName;
     }
 
     // No capacity - try next best proxy
-    console.log(`[ProxyPool] ⚠ ${proxyName} at max capacity, finding alternative...`);
-    const alternativeProxy = await findAlternativeProxy(proxyName, targetUrl);
+    // (a busy private relay waits instead of handing the request to a public proxy)
+    let alternativeProxy = null;
+    if (!isPrivateProxy(proxyName)) {
+        console.log(`[ProxyPool] ⚠ ${proxyName} at max capacity, finding alternative...`);
+        alternativeProxy = await findAlternativeProxy(proxyName, targetUrl);
+    }
 
     if (alternativeProxy) {
         const count = getConnectionCount(alternativeProxy);
         proxyConnections.set(alternativeProxy, count + 1);
-        console.log(`[ProxyPool] ✓ Using ${alternativeProxy} instead (${count + 1}/${CONFIG.MAX_CONCURRENT_PER_PROXY})`);
+        console.log(`[ProxyPool] ✓ Using ${alternativeProxy} instead (${count + 1}/${getCapacity(alternativeProxy)})`);
         return alternativeProxy;
     }
 
@@ -134,7 +166,7 @@ function releaseSlot(proxyName) {
     const count = getConnectionCount(proxyName);
     if (count > 0) {
         proxyConnections.set(proxyName, count - 1);
-        console.log(`[ProxyPool] ✓ ${proxyName} slot released (${count - 1}/${CONFIG.MAX_CONCURRENT_PER_PROXY})`);
+        console.log(`[ProxyPool] ✓ ${proxyName} slot released (${count - 1}/${getCapacity(proxyName)})`);
 
         // Process queued requests
         processQueue(proxyName);
@@ -153,7 +185,7 @@ function processQueue(proxyName) {
         if (next) {
             const count = getConnectionCount(proxyName);
             proxyConnections.set(proxyName, count + 1);
-            console.log(`[ProxyPool] ✓ Processing queued request for ${proxyName} (${count + 1}/${CONFIG.MAX_CONCURRENT_PER_PROXY})`);
+            console.log(`[ProxyPool] ✓ Processing queued request for ${proxyName} (${count + 1}/${getCapacity(proxyName)})`);
             next.resolve(proxyName);
         }
     }
@@ -167,6 +199,7 @@ async function findAlternativeProxy(excludeProxy, targetUrl) {
 
     for (const proxy of orderedProxies) {
         if (proxy.name === excludeProxy) continue;
+        if (isProxyQuarantined(proxy.name)) continue;
         if (hasCapacity(proxy.name)) {
             return proxy.name;
         }
@@ -201,6 +234,155 @@ export async function executeWithProxyControl(fetchFn, preferredProxy, targetUrl
     }
 }
 
+// ====================================================================
+// Health Checks
+// ====================================================================
+
+/**
+ * Get or initialize health record for a proxy
+ */
+function getHealth(proxyName) {
+    if (!proxyHealth.has(proxyName)) {
+        proxyHealth.set(proxyName, { healthy: true, lastCheck: 0, failures: 0, quarantinedUntil: 0 });
+    }
+    return proxyHealth.get(proxyName);
+}
+
+/**
+ * Whether a proxy is quarantined after failed health checks
+ * @param {string} proxyName - Proxy name
+ * @param {number} [now] - Current timestamp
+ * @returns {boolean} True while the quarantine lasts
+ */
+export function isProxyQuarantined(proxyName, now = Date.now()) {
+    return (proxyHealth.get(proxyName)?.quarantinedUntil || 0) > now;
+}
+
+/**
+ * Record a health check result (failures quarantine the proxy, for longer each time)
+ */
+function recordHealthResult(proxyName, healthy) {
+    const health = getHealth(proxyName);
+    health.lastCheck = Date.now();
+    health.healthy = healthy;
+
+    if (healthy) {
+        if (health.failures > 0) console.log(`[ProxyPool] ✓ ${proxyName} passed health check again`);
+        health.failures = 0;
+        health.quarantinedUntil = 0;
+        return;
+    }
+
+    health.failures++;
+    const duration = Math.min(CONFIG.QUARANTINE_BASE * 2 ** (health.failures - 1), CONFIG.QUARANTINE_MAX);
+    health.quarantinedUntil = health.lastCheck + duration;
+    console.warn(`[ProxyPool] ✗ ${proxyName} failed health check, quarantined for ${Math.round(duration / 60000)} min`);
+    invalidateProxyOrder();
+}
+
+/**
+ * Request the health check URL through a proxy
+ * @returns {Promise<boolean>} Whether the proxy returned JSON
+ */
+async function probeProxy(proxy) {
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), CONFIG.HEALTH_CHECK_TIMEOUT);
+    try {
+        const res = await fetch(proxy.url(HEALTH_CHECK_URL), { cache: 'no-store', signal: controller.signal });
+        if (!res.ok) return false;
+        const raw = await res.json();
+        const data = proxy.wrap
+            ? (typeof raw.contents === 'string' ? JSON.parse(raw.contents) : raw.contents)
+            : raw;
+        return !!data && typeof data === 'object';
+    } catch (e) {
+        return false;
+    } finally {
+        clearTimeout(timer);
+    }
+}
+
+/**
+ * Wait until the browser is idle (probes never compete with rendering or refreshes)
+ */
+function waitForIdle() {
+    if (typeof globalThis.requestIdleCallback !== 'function') return Promise.resolve();
+    return new Promise(resolve => globalThis.requestIdleCallback(resolve, { timeout: CONFIG.HEALTH_CHECK_TIMEOUT }));
+}
+
+/**
+ * Probe every proxy once, one at a time
+ * Quarantined proxies are skipped until their quarantine ends.
+ * @returns {Promise<void>}
+ */
+export async function runProxyHealthChecks() {
+    if (healthCheckRunning) return;
+    healthCheckRunning = true;
+    try {
+        for (const proxy of [...PROXIES]) {
+            if (isProxyQuarantined(proxy.name)) continue;
+            await waitForIdle();
+            recordHealthResult(proxy.name, await probeProxy(proxy));
+        }
+    } finally {
+        healthCheckRunning = false;
+    }
+}
+
+/**
+ * Start the background health probes
+ * @param {Object} [options]
+ * @param {Function} [options.shouldRun] - Checked before each round (e.g. only the leader tab probes)
+ */
+export function startProxyHealthChecks({ shouldRun = () => true } = {}) {
+    if (healthCheckTimer) return;
+
+    const schedule = delay => {
+        healthCheckTimer = setTimeout(async () => {
+            if (globalThis.navigator?.onLine !== false && shouldRun()) {
+                await runProxyHealthChecks();
+            }
+            if (healthCheckTimer) schedule(CONFIG.HEALTH_CHECK_INTERVAL);
+        }, delay);
+    };
+    schedule(CONFIG.HEALTH_CHECK_INITIAL_DELAY);
+}
+
+/**
+ * Stop the background health probes
+ */
+export function stopProxyHealthChecks() {
+    clearTimeout(healthCheckTimer);
+    healthCheckTimer = null;
+}
+
+/**
+ * Quarantined proxies and when their quarantine ends (sent to the status worker)
+ * @returns {Object} proxyName -> timestamp
+ */
+export function getProxyQuarantine() {
+    const now = Date.now();
+    const quarantine = {};
+    for (const [proxyName, health] of proxyHealth.entries()) {
+        if (health.quarantinedUntil > now) quarantine[proxyName] = health.quarantinedUntil;
+    }
+    return quarantine;
+}
+
+/**
+ * Use quarantines decided elsewhere (the status worker gets the page's)
+ * @param {Object} quarantine - proxyName -> timestamp, from getProxyQuarantine()
+ */
+export function applyProxyQuarantine(quarantine) {
+    for (const health of proxyHealth.values()) health.quarantinedUntil = 0;
+    Object.entries(quarantine).forEach(([proxyName, until]) => {
+        const health = getHealth(proxyName);
+        health.healthy = false;
+        health.quarantinedUntil = until;
+    });
+    invalidateProxyOrder();
+}
+
 /**
  * Get current pool statistics
  */
@@ -208,11 +390,13 @@ export function getPoolStats() {
     const stats = {};
     for (const [proxyName, count] of proxyConnections.entries()) {
         const queue = getQueue(proxyName);
+        const capacity = getCapacity(proxyName);
         stats[proxyName] = {
             active: count,
             queued: queue.length,
-            capacity: CONFIG.MAX_CONCURRENT_PER_PROXY,
-            utilization: ((count / CONFIG.MAX_CONCURRENT_PER_PROXY) * 100).toFixed(1) + '%'
+            capacity,
+            utilization: ((count / capacity) * 100).toFixed(1) + '%',
+            quarantined: isProxyQuarantined(proxyName)
         };
     }
     return stats;
@@ -231,6 +415,7 @@ export function showPoolStats() {
         console.log(`  Active:      ${data.active}/${data.capacity}`);
         console.log(`  Queued:      ${data.queued}`);
         console.log(`  Utilization: ${data.utilization}`);
+        if (data.quarantined) console.log('  Quarantined: yes');
     }
     console.log('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━\n');
 }
@@ -255,7 +255,11 @@ function compressCacheData() {
                         owner: data.owner,
                         avatar: data.avatar,
                         title: data.title,
-                        cover: data.cover
+                        cover: data.cover,
+                        uid: data.uid, // Bilibili batch lookups are keyed by UID
+                        channelId: data.channelId, // Kick realtime topics
+                        chatroomId: data.chatroomId,
+                        canonicalId: data.canonicalId // Pending alias → canonical ID migration
                     };
                 }
             }
@@ -1,7 +1,65 @@
-import { defineConfig } from 'vite';
+import { defineConfig, build } from 'vite';
+
+/**
+ * Build the Service Worker (src/service-worker.js) after the app as one
+ * self-contained classic script, dist/sw.js, so its scope is the app root
+ * and it shares no chunks with the page. The dev server serves it as a module.
+ */
+function serviceWorkerBuild() {
+  return {
+    name: 'liveradar-service-worker',
+    apply: 'build',
+    async closeBundle() {
+      await build({
+        configFile: false,
+        logLevel: 'warn',
+        build: {
+          outDir: 'dist',
+          emptyOutDir: false,
+          copyPublicDir: false,
+          sourcemap: false,
+          minify: 'terser',
+          terserOptions: { format: { comments: false, ascii_only: false } },
+          lib: {
+            entry: 'src/service-worker.js',
+            name: 'LiveRadarServiceWorker',
+            formats: ['iife'],
+            fileName: () => 'sw.js',
+          },
+        },
+      });
+    },
+  };
+}
+
+/**
+ * Serve the platform proxy (server/relay.js) at the same-origin proxy path in
+ * `vite` and `vite preview`, so local development doesn't depend on public CORS
+ * proxies. The app detects it at startup like the Netlify/Pages function.
+ */
+function devPlatformProxy() {
+  const mount = async (server) => {
+    const { APP_CONFIG } = await import('./src/config/constants.js');
+    const { createRelayMiddleware } = await import('./server/relay.js');
+    server.middlewares.use(
+      APP_CONFIG.RELAY.SAME_ORIGIN_PATH,
+      createRelayMiddleware({ origins: ['self'] })
+    );
+  };
+  return {
+    name: 'liveradar-dev-proxy',
+    configureServer: mount,
+    configurePreviewServer: mount,
+  };
+}
 
 export default defineConfig({
   base: './', // Support both root and subdirectory deployment
+  plugins: [serviceWorkerBuild(), devPlatformProxy()],
+  // The status worker is created with type 'module' (core/status-worker-client.js)
+  worker: {
+    format: 'es',
+  },
   build: {
     outDir: 'dist',
     assetsDir: 'assets',